@@ -10,7 +10,9 @@
 //   {
 //     "limitPerKey": 2500,
 //     "outputDir": "C:\\path\\to\\output",
-//     "keysFile": "C:\\path\\to\\keys.json"
+//     "keysFile": "C:\\path\\to\\keys.json",
+//     "reconcileKeyUsage": true,
+//     "columnMap": { "postUrl": "Post link" }   (default column: "post url")
 //   }
 
 const fs = require("fs");
@@ -26,14 +28,20 @@ if (module.paths && !module.paths.includes(path.join(appRoot, 'node_modules')))
 const { ApifyClient } = require("apify-client");
 const { parse } = require("csv-parse/sync");
 const { stringify } = require("csv-stringify/sync");
+const { getVaultApifyTokens } = require("../lib/vault-keys");
+const { openApifyKeyPool } = require("../lib/apify-key-pool");
+const { apifyClientOptions } = require("../lib/api-endpoints");
+const { createRunBudget } = require("../lib/run-budget");
+const { startAndWait, collected, isPartial } = require("../lib/apify-runs");
+const { watchStop } = require("../lib/stop-signal");
+const events = require("../lib/events");
+const { readColumnMap, resolveColumn } = require("../lib/column-map");
 
 // ==== CONSTANTS / DEFAULTS ====
 const ACTOR_ID = "ZI6ykbLlGS3APaPE8";
 const DEFAULT_LIMIT_PER_KEY = 2500;
 const DEFAULT_OUTPUT_DIR = path.join(__dirname, "output");
 
-// USED_KEYS_FILE will be set after KEYS_JSON_PATH is determined
-
 // ==== ENV CONFIG (TOOL_CONFIG) ====
 let envCfg = {};
 try {
@@ -105,8 +113,11 @@ const LIMIT_PER_KEY =
     ? limitFromFlag
     : limitFromEnv || DEFAULT_LIMIT_PER_KEY;
 
+// Keys picked from the app's vault replace keys.json
+const VAULT_TOKENS = getVaultApifyTokens();
+
 // Basic validation
-if (!KEYS_JSON_PATH || !POSTS_CSV_PATHS.length) {
+if ((!KEYS_JSON_PATH && !VAULT_TOKENS.length) || !POSTS_CSV_PATHS.length) {
   console.error(
     "Usage: node comment-orchestrator.js posts.csv [more_posts.csv ...] keys.json\n" +
       "Or with flags: comment-orchestrator.js posts.csv --keys keys.json [--out ./output --limit 2500]"
@@ -114,30 +125,29 @@ if (!KEYS_JSON_PATH || !POSTS_CSV_PATHS.length) {
   process.exit(1);
 }
 
-KEYS_JSON_PATH = path.resolve(KEYS_JSON_PATH);
+KEYS_JSON_PATH = KEYS_JSON_PATH ? path.resolve(KEYS_JSON_PATH) : null;
 POSTS_CSV_PATHS = POSTS_CSV_PATHS.map((p) => path.resolve(p));
 
-// Set USED_KEYS_FILE in same directory as keys.json
-const USED_KEYS_FILE = path.join(path.dirname(KEYS_JSON_PATH), "used_keys.json");
+// Check real monthly usage with Apify before picking keys
+const RECONCILE_KEYS = !!fromEnv("reconcileKeyUsage", false);
+const COLUMN_MAP = readColumnMap(envCfg);
 
-// ==== STOP FLAG (for Electron Stop button via SIGTERM) ====
-let stopping = false;
-process.on("SIGTERM", () => {
-  stopping = true;
-  emitStatus("Stop signal received. Finishing current task and then exiting...", {
+// ==== STOP (Electron Stop button / Ctrl+C, see lib/stop-signal) ====
+const shouldStop = watchStop((reason) => {
+  emitStatus(`Stop requested (${reason}). Finishing current task and then exiting...`, {
     stopping: true,
   });
 });
 
-// ==== JSON HELPERS FOR ELECTRON ====
+// ==== EVENTS FOR ELECTRON (backend/lib/events.js) ====
 function emitStatus(message, metrics) {
-  const payload = { type: "status", message, metrics: metrics || undefined };
-  console.log(JSON.stringify(payload));
+  events.log("info", message);
+  if (metrics) events.metrics(metrics);
 }
 
 function emitMetrics(metrics) {
-  const payload = { type: "metrics", metrics };
-  console.log(JSON.stringify(payload));
+  events.metrics(metrics);
+  events.progress(metrics.processedPosts, metrics.totalPosts, { unit: "posts" });
 }
 
 // ==== TEXT CLEANERS ====
@@ -169,59 +179,23 @@ function writeCsv(filePath, rows, order) {
 }
 
 // ==== KEY MANAGEMENT ====
-function loadKeys(keysPath) {
-  const raw = JSON.parse(fs.readFileSync(keysPath, "utf8"));
-  let tokens = [];
-
-  if (Array.isArray(raw)) {
-    tokens = typeof raw[0] === "string" ? raw : raw.map((k) => k.token);
-  } else if (raw.tokens) {
-    tokens = raw.tokens;
-  }
-
-  if (fs.existsSync(USED_KEYS_FILE)) {
-    console.log("▶ Resuming key usage from used_keys.json");
-    const usedRaw = JSON.parse(fs.readFileSync(USED_KEYS_FILE, "utf8"));
-    return usedRaw.keys;
-  }
-
-  return tokens.map((token, i) => ({
-    id: i + 1,
-    token,
-    used: 0,
-    remaining: LIMIT_PER_KEY,
-    limit: LIMIT_PER_KEY,
-    banned: false,
-    error: null,
-  }));
+// Shared pool (backend/lib/apify-key-pool.js): budget counted in comments per key
+function openPool() {
+  return openApifyKeyPool({
+    scope: "comment-scraper",
+    keysPath: KEYS_JSON_PATH,
+    budgetPerKey: LIMIT_PER_KEY,
+    log: (level, message) => console.log(`    [${level.toUpperCase()}] ${message}`),
+  });
 }
 
-function saveUsedKeys(keys) {
-  fs.writeFileSync(
-    USED_KEYS_FILE,
-    JSON.stringify({ limitPerKey: LIMIT_PER_KEY, keys }, null, 2),
-    "utf8"
-  );
-}
-
-function chooseKeyForPost(keys, commentNum) {
-  const active = keys.filter((k) => !k.banned && k.remaining > 0);
-  if (!active.length) return null;
-
-  const fitting = active.filter((k) => k.remaining >= commentNum);
-  if (fitting.length) {
-    return fitting.reduce((best, k) =>
-      k.remaining < best.remaining ? k : best
-    );
-  }
-
-  return active.reduce((best, k) =>
-    k.remaining > best.remaining ? k : best
-  );
+function poolMetrics(pool) {
+  const c = pool.counts();
+  return { activeKeys: c.active, keysBanned: c.banned };
 }
 
 // ==== APIFY RUNNER (QUIET) ====
-async function runActorQuiet(client, input) {
+async function runActorQuiet(client, input, journal) {
   const origLog = console.log;
   const origInfo = console.info;
 
@@ -230,7 +204,7 @@ async function runActorQuiet(client, input) {
   console.info = () => {};
 
   try {
-    return await client.actor(ACTOR_ID).call(input);
+    return await startAndWait(client, ACTOR_ID, input, journal);
   } finally {
     console.log = origLog;
     console.info = origInfo;
@@ -241,30 +215,33 @@ async function runActorQuiet(client, input) {
 (async () => {
   if (!fs.existsSync(OUTPUT_DIR)) fs.mkdirSync(OUTPUT_DIR, { recursive: true });
 
-  const keys = loadKeys(KEYS_JSON_PATH);
+  const pool = openPool();
+  if (!pool.size) {
+    console.error("No Apify keys found in keys.json / vault.");
+    process.exit(1);
+  }
+  if (RECONCILE_KEYS) {
+    console.log("▶ Checking key usage with Apify...");
+    await pool.reconcile();
+  }
 
   console.log("\n=== START COMMENT ORCHESTRATOR ===");
   console.log("Config:");
   console.log("  Posts CSVs:", POSTS_CSV_PATHS);
-  console.log("  Keys file:", KEYS_JSON_PATH);
+  console.log("  Keys file:", KEYS_JSON_PATH || `vault (${VAULT_TOKENS.length} keys)`);
   console.log("  Output dir:", OUTPUT_DIR);
   console.log("  Limit per key:", LIMIT_PER_KEY);
 
   console.log("Keys state:");
-  console.table(
-    keys.map((k) => ({
-      id: k.id,
-      remaining: k.remaining,
-      banned: k.banned,
-    }))
-  );
+  console.table(pool.summary());
 
   emitStatus("Comment orchestrator started.", {
     outputDir: OUTPUT_DIR,
     limitPerKey: LIMIT_PER_KEY,
-    keysCount: keys.length,
+    keysCount: pool.size,
   });
 
+  const budget = createRunBudget({ unit: "usd" });
   let totalProcessed = 0;
   let totalPosts = 0;
 
@@ -278,13 +255,12 @@ async function runActorQuiet(client, input) {
   emitMetrics({
     totalPosts,
     processedPosts: 0,
-    activeKeys: keys.filter((k) => !k.banned && k.remaining > 0).length,
-    keysBanned: keys.filter((k) => k.banned).length,
+    ...poolMetrics(pool),
   });
 
   // Process each posts file
   for (let fIndex = 0; fIndex < POSTS_CSV_PATHS.length; fIndex++) {
-    if (stopping) {
+    if (shouldStop()) {
       console.log("\nStop flag set, breaking file loop.");
       break;
     }
@@ -304,18 +280,33 @@ async function runActorQuiet(client, input) {
     const records = parseCsv(POSTS_CSV_PATH);
     const CSV_COLUMNS = records.length ? Object.keys(records[0]) : [];
 
+    let postUrlCol = "post url";
+    if (records.length) {
+      try {
+        postUrlCol = resolveColumn(CSV_COLUMNS, COLUMN_MAP, "postUrl", ["post url"]) || postUrlCol;
+      } catch (err) {
+        console.log(`  → ${err.message}, skipping.`);
+        emitStatus(`${path.basename(POSTS_CSV_PATH)}: ${err.message}`);
+        continue;
+      }
+    }
+
     console.log(`  Posts in file: ${records.length}`);
 
     let processedInFile = 0;
 
     for (let i = 0; i < records.length; i++) {
-      if (stopping) {
+      if (shouldStop()) {
         console.log("  Stop flag set, breaking post loop.");
         break;
       }
+      if (budget.exceeded()) {
+        console.log("  Budget reached, breaking post loop.");
+        break;
+      }
 
       const row = records[i];
-      const postUrl = row["post url"];
+      const postUrl = row[postUrlCol];
       const rawAuthor = row["author name"];
       const author = cleanText(rawAuthor || "");
       const status = (row["status"] || "").toLowerCase();
@@ -323,6 +314,7 @@ async function runActorQuiet(client, input) {
 
       if (!postUrl) {
         console.log(`  [${i + 1}/${records.length}] No post url → skip`);
+        events.warningRow("No post url", { row: i + 1, file: POSTS_CSV_PATH });
         continue;
       }
 
@@ -339,6 +331,7 @@ async function runActorQuiet(client, input) {
             author || "Unknown"
           } → invalid comment num → skip`
         );
+        events.warningRow(`Invalid comment num "${row["comment num"] ?? ""}"`, { row: i + 1, file: POSTS_CSV_PATH });
         continue;
       }
 
@@ -358,9 +351,15 @@ async function runActorQuiet(client, input) {
       });
 
       let success = false;
-
-      while (!success && !stopping) {
-        const key = chooseKeyForPost(keys, commentNum);
+      // Each key gets one attempt per post
+      const triedKeys = [];
+
+      while (!success && !shouldStop()) {
+        const key = await pool.waitForKey({
+          need: commentNum,
+          exclude: triedKeys,
+          shouldStop,
+        });
         if (!key) {
           console.log(
             "    → No active keys left with credits. Stopping for this post."
@@ -373,40 +372,34 @@ async function runActorQuiet(client, input) {
           );
           break;
         }
+        triedKeys.push(key.id);
 
-        const maxItems = Math.min(
-          commentNum,
-          key.remaining,
-          LIMIT_PER_KEY
-        );
-        if (maxItems <= 0) {
-          key.banned = true;
-          key.error = "No remaining credits but selected.";
-          key.remaining = 0;
-          saveUsedKeys(keys);
-          console.log(
-            `    → Key ${key.id} had 0 remaining, marking banned.`
-          );
-          continue;
-        }
+        const maxItems = Math.min(commentNum, key.remaining, LIMIT_PER_KEY);
 
         console.log(
-          `    → Using key ${key.id} (remaining: ${key.remaining}) maxItems: ${maxItems}`
+          `    → Using key ${key.label} (remaining: ${key.remaining}) maxItems: ${maxItems}`
         );
         emitStatus("Calling Apify actor", {
-          keyId: key.id,
+          keyId: key.label,
           maxItems,
           remainingBefore: key.remaining,
         });
 
-        const client = new ApifyClient({ token: key.token });
+        const client = new ApifyClient(apifyClientOptions(key.token));
+        const fileName = `${safeFileName(author)} (${commentNum}).csv`;
+        const outPath = path.join(OUTPUT_DIR, fileName);
 
         try {
-          const run = await runActorQuiet(client, {
-            posts: [postUrl],
-            maxItems,
-            profileScraperMode: "short",
-          });
+          const run = await runActorQuiet(
+            client,
+            {
+              posts: [postUrl],
+              maxItems,
+              profileScraperMode: "short",
+            },
+            { token: key.token, keyLabel: key.label, output: outPath, meta: { postUrl, author } }
+          );
+          budget.add(run.usageTotalUsd);
 
           const { items } = await client
             .dataset(run.defaultDatasetId)
@@ -431,9 +424,6 @@ async function runActorQuiet(client, input) {
               };
             });
 
-          const fileName = `${safeFileName(author)} (${commentNum}).csv`;
-          const outPath = path.join(OUTPUT_DIR, fileName);
-
           writeCsv(outPath, rows, [
             "First Name",
             "Last Name",
@@ -442,44 +432,43 @@ async function runActorQuiet(client, input) {
             "Author Name",
             "Post Url",
           ]);
+          events.artifact(outPath, { rows: rows.length, ...(isPartial(run) ? { label: "Partial comments" } : {}) });
+
+          const charged = pool.charge(key, maxItems);
+          pool.reportSuccess(key);
+          // Aborted by Stop: keep the partial file, redo the post next time
+          const partial = isPartial(run);
+          row["status"] = partial ? "partial" : "done";
+          if (!partial) {
+            processedInFile++;
+            totalProcessed++;
+          }
 
-          key.used += maxItems;
-          key.remaining = Math.max(0, key.remaining - maxItems);
-          row["status"] = "done";
-          processedInFile++;
-          totalProcessed++;
-
-          saveUsedKeys(keys);
           writeCsv(POSTS_CSV_PATH, records, CSV_COLUMNS);
+          collected(run.id);
 
           console.log(
-            `    → Saved: ${fileName} | rows: ${rows.length}`
+            `    → Saved: ${fileName} | rows: ${rows.length}${partial ? ` (partial, run ${run.status})` : ""}`
           );
           console.log(
-            `      Key ${key.id} remaining: ${key.remaining}`
+            `      Key ${key.label} remaining: ${charged.remaining}`
           );
 
           emitMetrics({
             totalPosts,
             processedPosts: totalProcessed,
-            activeKeys: keys.filter(
-              (k) => !k.banned && k.remaining > 0
-            ).length,
-            keysBanned: keys.filter((k) => k.banned).length,
+            ...poolMetrics(pool),
           });
 
           success = true;
         } catch (err) {
-          console.log(`    → Key ${key.id} FAILED: ${err.message}`);
-          key.banned = true;
-          key.error = err.message;
-          key.remaining = 0;
-          saveUsedKeys(keys);
+          console.log(`    → Key ${key.label} FAILED: ${err.message}`);
+          const { action } = pool.reportError(key, err);
           console.log(
-            "      Marked key as banned, trying next key (if any)..."
+            `      Key ${action === "retry" ? "kept" : action}, trying next key (if any)...`
           );
-          emitStatus("Key failed and was banned.", {
-            keyId: key.id,
+          emitStatus(`Key failed (${action}).`, {
+            keyId: key.label,
             error: err.message,
           });
         }
@@ -494,7 +483,7 @@ async function runActorQuiet(client, input) {
       postsProcessedInFile: processedInFile,
     });
 
-    if (stopping) {
+    if (shouldStop() || budget.exceeded()) {
       console.log("Stopping after finishing this file.");
       break;
     }
@@ -502,26 +491,22 @@ async function runActorQuiet(client, input) {
 
   console.log("\n=== SUMMARY ===");
   console.log(`Total posts processed: ${totalProcessed}`);
-  console.table(
-    keys.map((k) => ({
-      id: k.id,
-      used: k.used,
-      remaining: k.remaining,
-      banned: k.banned,
-      error: k.error || "",
-    }))
-  );
+  console.log(budget.summary());
+  console.table(pool.summary());
   console.log("=== DONE ===\n");
 
   emitMetrics({
     totalPosts,
     processedPosts: totalProcessed,
-    activeKeys: keys.filter((k) => !k.banned && k.remaining > 0).length,
-    keysBanned: keys.filter((k) => k.banned).length,
+    ...poolMetrics(pool),
   });
 
   emitStatus("Comment orchestrator finished.", {
     totalPosts,
     processedPosts: totalProcessed,
+    ...budget.metrics(),
+  });
+  events.summary(shouldStop() || budget.exceeded() ? "stopped" : "done", {
+    counts: { totalPosts, processedPosts: totalProcessed },
   });
 })();
@@ -7,6 +7,13 @@ const path = require('path');
 const csv = require('csv-parser');
 const { createObjectCsvWriter } = require('csv-writer');
 const { ApifyClient } = require('apify-client');
+const { openApifyKeyPool } = require('../lib/apify-key-pool');
+const { apifyClientOptions } = require('../lib/api-endpoints');
+const { createRunBudget } = require('../lib/run-budget');
+const { startAndWait, collected, isPartial } = require('../lib/apify-runs');
+const { watchStop } = require('../lib/stop-signal');
+const events = require('../lib/events');
+const { readColumnMap, resolveColumn } = require('../lib/column-map');
 
 // ----- Config intake -----
 function getToolConfigFromEnv() {
@@ -20,13 +27,12 @@ function getToolConfigFromEnv() {
   }
 }
 
-function nowISO() { return new Date().toISOString(); }
 function logLine(level, message) {
   // Clean, readable log output
-  console.log(JSON.stringify({ type: 'log', level, message }));
+  events.log(level, message);
 }
 function sendStatus(status, metrics = undefined) {
-  console.log(JSON.stringify({ type: 'status', status, metrics }));
+  events.status(status, metrics);
 }
 
 const ACTOR_ID = '9Sk4JJhEma9vBKqrg';
@@ -70,21 +76,27 @@ const BASE_ACTOR_INPUT = {
 };
 
 function safeMkdir(dir) { if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true }); }
-function readJson(filePath, fallback) {
-  try { if (!fs.existsSync(filePath)) return fallback; return JSON.parse(fs.readFileSync(filePath, 'utf8')); } catch { return fallback; }
-}
-function writeJson(filePath, obj) { fs.writeFileSync(filePath, JSON.stringify(obj, null, 2), 'utf8'); }
 
-async function readUrlsFromCsv(csvPath, urlColHint) {
+// columnMap.website (column mapper) > urlCol > common names > first column
+async function readUrlsFromCsv(csvPath, urlColHint, columnMap = {}) {
   return new Promise((resolve, reject) => {
     const urls = [];
     let detectedHeaders = null;
+    let mappedCol = null;
 
-    fs.createReadStream(csvPath)
+    const stream = fs.createReadStream(csvPath)
       .pipe(csv())
-      .on('headers', (headers) => (detectedHeaders = headers))
+      .on('headers', (headers) => {
+        detectedHeaders = headers;
+        try {
+          mappedCol = resolveColumn(headers, columnMap, 'website');
+        } catch (err) {
+          stream.destroy();
+          reject(err);
+        }
+      })
       .on('data', (row) => {
-        let col = urlColHint;
+        let col = mappedCol || urlColHint;
         if (!col) {
           const candidates = ['website','Website','url','Url','URL','domain','Domain','site','Site'];
           col = candidates.find((c) => row[c] !== undefined) || null;
@@ -193,22 +205,14 @@ async function main() {
     console.error('Input CSV not found. Please provide inputCsvPath.');
     process.exit(1);
   }
-  if (!fs.existsSync(keysPath)) {
-    console.error('keys.json not found. Please provide keysPath.');
+  // Shared key pool: vault keys, else keys.json (one batch per key per run)
+  const pool = openApifyKeyPool({ scope: 'contact-details-scraper', keysPath, log: logLine });
+  if (!pool.size) {
+    console.error(`No Apify keys found. Please provide keysPath (${keysPath}) or pick vault keys.`);
     process.exit(1);
   }
   safeMkdir(outputDir);
 
-  const keysDir = path.dirname(keysPath);
-  const usedKeysPath = path.join(keysDir, 'used_keys.json');
-  const bannedKeysPath = path.join(keysDir, 'banned_keys.json');
-
-  const keys = readJson(keysPath, null);
-  if (!Array.isArray(keys) || keys.length === 0) {
-    console.error(`keys.json is missing or empty: ${keysPath}`);
-    process.exit(1);
-  }
-
   const actorInputBase = buildActorInputForChoice(outputChoice);
   // Override with social toggles if provided
   if (cfg.scrapeSocialMediaProfiles && typeof cfg.scrapeSocialMediaProfiles === 'object') {
@@ -251,12 +255,17 @@ async function main() {
   const outputModeNames = { '1': 'All Fields', '2': 'Social Profiles Only', '3': 'Lead Enrichment Only', '4': 'Leads + Social', '5': 'All Outputs' };
   logLine('info', `⚡ Initializing Contact Details Scraper`);
   logLine('info', `📁 Input: ${path.basename(inputCsvPath)}`);
-  logLine('info', `🔑 API Keys: ${keys.length} available`);
+  logLine('info', `🔑 API Keys: ${pool.size} available`);
   logLine('info', `📊 Output Mode: ${outputModeNames[outputChoice] || outputChoice}`);
   logLine('info', `📦 Batch Size: ${batchSize} URLs per key`);
-  sendStatus('starting', { totalKeys: keys.length });
+  sendStatus('starting', { totalKeys: pool.size });
 
-  const urls = await readUrlsFromCsv(inputCsvPath, urlCol);
+  if (cfg.reconcileKeyUsage) {
+    logLine('info', '🔎 Checking key usage with Apify...');
+    await pool.reconcile();
+  }
+
+  const urls = await readUrlsFromCsv(inputCsvPath, urlCol, readColumnMap(cfg));
   const uniqueUrls = Array.from(new Set(urls));
   logLine('info', `✅ Loaded ${uniqueUrls.length} unique URL${uniqueUrls.length !== 1 ? 's' : ''} from CSV`);
   sendStatus('urls-loaded', { urlsTotal: uniqueUrls.length });
@@ -265,21 +274,25 @@ async function main() {
   logLine('info', `🔄 Created ${urlChunks.length} batch${urlChunks.length !== 1 ? 'es' : ''} for processing`);
   sendStatus('chunks-created', { chunksCreated: urlChunks.length });
 
-  const usedKeys = readJson(usedKeysPath, []);
-  const bannedKeys = readJson(bannedKeysPath, []);
-  const usedMap = new Map(usedKeys.map((x) => [x.key, x]));
-  const bannedMap = new Map(bannedKeys.map((x) => [x.key, x]));
-
   const allItems = []; const socialRows = []; const leadRows = [];
-  let chunkIndex = 0; let keyIndex = 0;
-
-  while (chunkIndex < urlChunks.length && keyIndex < keys.length) {
-    const key = keys[keyIndex];
-    if (!key || typeof key !== 'string') { keyIndex++; continue; }
-    if (bannedMap.has(key)) { keyIndex++; continue; }
+  // Items are only written at the end: runs stay in the journal until then
+  const finishedRunIds = [];
+  const triedKeys = []; let usedKeyCount = 0; let failedKeyCount = 0;
+  let chunkIndex = 0;
+  const budget = createRunBudget({ unit: 'usd', log: (msg) => logLine('warn', msg) });
+  const stopRequested = watchStop((reason) => logLine('warn', `⏹ Stop requested (${reason}); finishing the current batch…`));
+
+  while (chunkIndex < urlChunks.length) {
+    if (budget.exceeded() || stopRequested()) {
+      logLine('warn', `⏹ Skipping ${urlChunks.length - chunkIndex} remaining batch(es)`);
+      break;
+    }
+    const key = pool.acquire({ exclude: triedKeys });
+    if (!key) break;
+    triedKeys.push(key.id);
 
     const urlsForThisKey = urlChunks[chunkIndex];
-    const client = new ApifyClient({ token: key });
+    const client = new ApifyClient(apifyClientOptions(key.token));
     const actorInput = { ...actorInputBase, startUrls: urlsForThisKey.map((u) => ({ url: u })) };
     if (!Array.isArray(actorInput.leadsEnrichmentDepartments) || actorInput.leadsEnrichmentDepartments.length === 0) {
       delete actorInput.leadsEnrichmentDepartments;
@@ -287,29 +300,36 @@ async function main() {
 
     const deptFilter = Array.isArray(actorInput.leadsEnrichmentDepartments) ? ` (${actorInput.leadsEnrichmentDepartments.length} dept${actorInput.leadsEnrichmentDepartments.length !== 1 ? 's' : ''})` : '';
     logLine('info', `🚀 Processing batch ${chunkIndex + 1}/${urlChunks.length} with ${urlsForThisKey.length} URL${urlsForThisKey.length !== 1 ? 's' : ''}${deptFilter}`);
-    sendStatus('run-start', { activeKeyIndex: keyIndex + 1, chunksProcessed: chunkIndex });
+    sendStatus('run-start', { activeKeyIndex: triedKeys.length, chunksProcessed: chunkIndex });
 
     try {
-      const run = await client.actor(ACTOR_ID).call(actorInput);
+      const run = await startAndWait(client, ACTOR_ID, actorInput, {
+        token: key.token,
+        keyLabel: key.label,
+        output: outputDir,
+        meta: { batch: chunkIndex + 1 },
+      });
+      budget.add(run.usageTotalUsd);
       const items = await fetchAllDatasetItems(client, run.defaultDatasetId);
       allItems.push(...items);
+      finishedRunIds.push(run.id);
+      if (isPartial(run)) logLine('warn', `⏹ Batch ${chunkIndex + 1} ended early (${run.status}): keeping ${items.length} partial item(s)`);
       if (choiceToModes(outputChoice).social) for (const it of items) socialRows.push(buildSocialRow(it));
       if (choiceToModes(outputChoice).leads) for (const it of items) leadRows.push(buildLeadRow(it));
 
-      const used = usedMap.get(key) || { key, runs: 0, urlsProcessed: 0, lastUsedAt: '' };
-      used.runs += 1; used.urlsProcessed += urlsForThisKey.length; used.lastUsedAt = nowISO(); usedMap.set(key, used);
+      pool.charge(key, urlsForThisKey.length);
+      pool.reportSuccess(key);
+      usedKeyCount++;
 
-      chunkIndex++; keyIndex++;
+      chunkIndex++;
       sendStatus('chunk-finished', { chunksProcessed: chunkIndex });
+      events.progress(chunkIndex, urlChunks.length, { unit: 'batches' });
     } catch (err) {
       const msg = (err?.message || '').toString();
-      bannedMap.set(key, { key, reason: 'ERROR', bannedAt: nowISO(), message: msg.slice(0, 500) });
-      keyIndex++;
+      pool.reportError(key, err);
+      failedKeyCount++;
       logLine('error', `❌ API Key failed: ${msg.slice(0, 120)}`);
     }
-
-    writeJson(usedKeysPath, Array.from(usedMap.values()));
-    writeJson(bannedKeysPath, Array.from(bannedMap.values()));
   }
 
   const stamp = new Date().toISOString().replace(/[:.]/g, '-');
@@ -327,6 +347,7 @@ async function main() {
     const normalized = flattenedRows.map((r) => { const obj = {}; for (const h of headerSet) obj[h] = r[h] ?? ''; return obj; });
     await writer.writeRecords(normalized);
     allPath = combinedPath;
+    events.artifact(allPath, { label: 'Combined output', rows: normalized.length });
   } else {
     // Create separate files for other modes
     if (modes.all) {
@@ -337,6 +358,7 @@ async function main() {
       const writer = createObjectCsvWriter({ path: allPath, header: headers });
       const normalized = flattenedRows.map((r) => { const obj = {}; for (const h of headerSet) obj[h] = r[h] ?? ''; return obj; });
       await writer.writeRecords(normalized);
+      events.artifact(allPath, { label: 'All fields', rows: normalized.length });
     }
     if (modes.social) {
       socialPath = path.join(outputDir, `apify_social_profiles_${stamp}.csv`);
@@ -351,6 +373,7 @@ async function main() {
       ];
       const writer = createObjectCsvWriter({ path: socialPath, header: headers });
       await writer.writeRecords(socialRows);
+      events.artifact(socialPath, { label: 'Social profiles', rows: socialRows.length });
     }
     if (modes.leads) {
       leadsPath = path.join(outputDir, `apify_lead_enrichment_${stamp}.csv`);
@@ -387,25 +410,27 @@ async function main() {
       ];
       const writer = createObjectCsvWriter({ path: leadsPath, header: headers });
       await writer.writeRecords(leadRows);
+      events.artifact(leadsPath, { label: 'Lead enrichment', rows: leadRows.length });
     }
   }
+  finishedRunIds.forEach(collected);
 
-  const bannedList = Array.from(bannedMap.values());
-  const usedList = Array.from(usedMap.values());
   sendStatus('finished', {
     urlsTotal: uniqueUrls.length,
     chunksCreated: urlChunks.length,
     chunksProcessed: chunkIndex,
-    usedKeys: usedList.length,
-    bannedKeys: bannedList.length,
+    usedKeys: usedKeyCount,
+    bannedKeys: pool.counts().banned,
+    ...budget.metrics(),
   });
   logLine('info', ``);
   logLine('info', `✨ Process completed successfully`);
   logLine('info', `📊 Summary:`);
   logLine('info', `   • URLs Processed: ${uniqueUrls.length}`);
   logLine('info', `   • Batches Completed: ${chunkIndex}/${urlChunks.length}`);
-  logLine('info', `   • API Keys Used: ${usedList.length}`);
-  if (bannedList.length > 0) logLine('info', `   • Failed Keys: ${bannedList.length}`);
+  logLine('info', `   • API Keys Used: ${usedKeyCount}`);
+  if (failedKeyCount > 0) logLine('info', `   • Failed Keys: ${failedKeyCount}`);
+  logLine(budget.exceeded() ? 'warn' : 'info', `   • ${budget.summary()}`);
   if (outputChoice === '5') {
     logLine('info', `📄 Combined Output: ${path.basename(allPath)}`);
   } else {
@@ -414,6 +439,9 @@ async function main() {
     if (leadsPath) logLine('info', `👤 Lead Enrichment: ${path.basename(leadsPath)}`);
   }
   logLine('info', `💾 Output saved to: ${outputDir}`);
+  events.summary(stopRequested() || budget.exceeded() ? 'stopped' : 'done', {
+    counts: { urlsTotal: uniqueUrls.length, items: allItems.length, chunksProcessed: chunkIndex, failedKeys: failedKeyCount },
+  });
 }
 
 function flattenAny(value, prefix = '', out = {}) {
@@ -424,6 +452,7 @@ function flattenAny(value, prefix = '', out = {}) {
 }
 
 main().catch((e) => {
-  console.error(JSON.stringify({ type: 'log', level: 'error', message: e?.message || 'Unhandled error' }));
+  logLine('error', e?.message || 'Unhandled error');
+  events.summary('error', { message: e?.message || 'Unhandled error' });
   process.exit(1);
 });
@@ -3,13 +3,13 @@
 // - Reads input CSVs with linkedin url column
 // - Calls Apify actor per CSV using rotating API keys
 // - Writes per-key + global *_fixed.csv outputs
-// - Tracks key usage in used_keys.json
+// - Tracks key usage in the shared Apify key pool (backend/lib/apify-key-pool.js)
 // - Uses TOOL_CONFIG (from Electron) + CLI args for configuration
-// - Supports clean logs + live metrics via status() and stdout
+// - Supports clean logs + live metrics via status() and stdout events (lib/events)
 
 // Script initialization
 
-let path, fs, fg, parse, stringify, ApifyClient;
+let path, fs, fg, parse, stringify, ApifyClient, keyPool, apiEndpoints, runBudget, apifyRuns, stopSignal, events, readColumnMap, resolveColumn;
 
 try {
   path = require("path");
@@ -26,6 +26,13 @@ try {
   parse = require("csv-parse/sync").parse;
   stringify = require("csv-stringify/sync").stringify;
   ApifyClient = require("apify-client").ApifyClient;
+  keyPool = require("../lib/apify-key-pool");
+  apiEndpoints = require("../lib/api-endpoints");
+  runBudget = require("../lib/run-budget");
+  apifyRuns = require("../lib/apify-runs");
+  stopSignal = require("../lib/stop-signal");
+  events = require("../lib/events");
+  ({ readColumnMap, resolveColumn } = require("../lib/column-map"));
 } catch (err) {
   console.error("[FATAL] Module loading failed:", err.message);
   process.exit(1);
@@ -33,10 +40,9 @@ try {
 
 let cancelRequested = false;
 
-// ========= Soft stop via STOP_FLAG_FILE (from Electron main) =========
-const STOP_FLAG_FILE = process.env.STOP_FLAG_FILE || null;
+// ========= Stop: signal or STOP_FLAG_FILE (lib/stop-signal), or requestCancel() =========
 function shouldStop() {
-  return cancelRequested || (STOP_FLAG_FILE && fs.existsSync(STOP_FLAG_FILE));
+  return cancelRequested || stopSignal.stopRequested();
 }
 
 // ========= Logging hooks (can be overridden by Electron) =========
@@ -52,14 +58,12 @@ function getHooks(hooks = {}) {
   };
 }
 
-// ========= GRACEFUL STOP VIA SIGNALS (for hard kill) =========
-function handleStopSignal(signal) {
-  defaultLog(`[STOP] Received ${signal}. Stopping after current tasks complete...`);
-  cancelRequested = true;
+// ========= GRACEFUL STOP (Stop button / Ctrl+C) =========
+function handleStopSignal(reason) {
+  defaultLog(`[STOP] Stop requested (${reason}). Stopping after current tasks complete...`);
 }
 
-process.on("SIGTERM", handleStopSignal);
-process.on("SIGINT", handleStopSignal);
+stopSignal.watchStop(handleStopSignal);
 
 // ========= CLI + TOOL_CONFIG helpers =========
 const argv = process.argv.slice(2);
@@ -102,12 +106,6 @@ function readCsv(filePath) {
   return parse(content, { columns: true, skip_empty_lines: true });
 }
 
-function findKeyInsensitive(obj, wantLower) {
-  return Object.keys(obj || {}).find(
-    (k) => k.toLowerCase().trim() === wantLower
-  );
-}
-
 function firstNonEmpty(...vals) {
   for (const v of vals) {
     const s = (v ?? "").toString().trim();
@@ -133,102 +131,9 @@ function safeFileName(s) {
     .trim();
 }
 
-// used_keys.json beside keys.json
-function loadUsedKeys(usedPath) {
-  if (!fs.existsSync(usedPath)) return [];
-  try {
-    const a = JSON.parse(fs.readFileSync(usedPath, "utf8"));
-    return Array.isArray(a) ? a : [];
-  } catch {
-    return [];
-  }
-}
-function saveUsedKeys(usedPath, list) {
-  fs.writeFileSync(usedPath, JSON.stringify(list, null, 2), "utf8");
-}
-
-// Build token state from keys.json + extra tokens
-function buildTokenState(keysJsonPath, extraTokens, quotaPerKey) {
-  const usedPath = path.join(path.dirname(keysJsonPath), "used_keys.json");
-  const used = loadUsedKeys(usedPath);
-  const usedMap = new Map(used.map((x) => [x.token, x.remaining]));
-
-  let jsonKeys = [];
-  if (fs.existsSync(keysJsonPath)) {
-    try {
-      const arr = JSON.parse(fs.readFileSync(keysJsonPath, "utf8"));
-      if (Array.isArray(arr))
-        jsonKeys = arr.map((s) => String(s).trim()).filter(Boolean);
-    } catch {}
-  }
-
-  const extras = String(extraTokens || "")
-    .split(",")
-    .map((s) => s.trim())
-    .filter(Boolean);
-
-  const combined = [...jsonKeys, ...extras].filter(
-    (v, i, a) => a.indexOf(v) === i
-  );
-
-  if (combined.length === 0 && used.length === 0) {
-    throw new Error("No API keys found. Provide keys.json or extra tokens.");
-  }
-
-  const partials = used.filter((x) => x.remaining > 0);
-  for (const t of combined) {
-    if (
-      usedMap.has(t) &&
-      usedMap.get(t) > 0 &&
-      !partials.find((x) => x.token === t)
-    ) {
-      partials.push({ token: t, remaining: usedMap.get(t) });
-    }
-  }
-
-  const fresh = combined
-    .filter((t) => !usedMap.has(t))
-    .map((t) => ({ token: t, remaining: quotaPerKey }));
-
-  partials.sort((a, b) => b.remaining - a.remaining);
-
-  const exhausted = new Set(
-    used.filter((x) => x.remaining === 0).map((x) => x.token)
-  );
-  const list = [...partials, ...fresh].filter((t) => !exhausted.has(t.token));
-  if (!list.length) throw new Error("All keys are exhausted (remaining=0).");
-
-  return { list, usedPath };
-}
-
-function updateUsedKeys(usedPath, tokenStates) {
-  const existing = loadUsedKeys(usedPath);
-  const map = new Map(existing.map((x) => [x.token, x.remaining]));
-  for (const t of tokenStates) map.set(t.token, t.remaining);
-  const merged = [...map.entries()].map(([token, remaining]) => ({
-    token,
-    remaining,
-  }));
-  saveUsedKeys(usedPath, merged);
-}
-
-// classify auth/blocked errors so we fail over to next key
-function isAuthOrBlockedError(msg) {
-  const s = (msg || "").toString().toLowerCase();
-  return (
-    s.includes("authentication") ||
-    (s.includes("auth") && (s.includes("invalid") || s.includes("token"))) ||
-    s.includes("user was not found") ||
-    s.includes("forbidden") ||
-    s.includes("blocked") ||
-    s.includes("401") ||
-    s.includes("403")
-  );
-}
-
-// Call Apify actor with retries for 429/5xx
-async function fetchApify({ token, usernames, actorId, label, log }) {
-  const client = new ApifyClient({ token });
+// Call Apify actor with retries for 429/5xx. Resolves to { items, usageTotalUsd }.
+async function fetchApify({ token, keyLabel, output, usernames, actorId, label, log }) {
+  const client = new ApifyClient(apiEndpoints.apifyClientOptions(token));
   let attempt = 0;
   let inFlight = false;
   
@@ -248,16 +153,18 @@ async function fetchApify({ token, usernames, actorId, label, log }) {
       console.warn = () => {};
       
       try {
-        const run = await client.actor(actorId).call({
-          usernames,
-          includeEmail: true,
-        });
+        const run = await apifyRuns.startAndWait(
+          client,
+          actorId,
+          { usernames, includeEmail: true },
+          { token, keyLabel, output, meta: { label } }
+        );
         const { items } = await client
           .dataset(run.defaultDatasetId)
           .listItems({ clean: true, limit: 100000 });
         
         inFlight = false;
-        return items;
+        return { items, runId: run.id, partial: apifyRuns.isPartial(run), usageTotalUsd: run.usageTotalUsd };
       } finally {
         // Restore console methods
         console.log = originalLog;
@@ -278,9 +185,14 @@ async function fetchApify({ token, usernames, actorId, label, log }) {
   }
 }
 
-function extractUsernames(rows) {
+// columnMap field (column mapper) or the built-in header, case-insensitive
+function inputColumn(rows, columnMap, field, defaultHeader) {
+  return resolveColumn(Object.keys(rows[0] || {}), columnMap, field, [defaultHeader]);
+}
+
+function extractUsernames(rows, columnMap = {}) {
   if (!rows.length) return [];
-  const key = findKeyInsensitive(rows[0], "linkedin url");
+  const key = inputColumn(rows, columnMap, "linkedinUrl", "linkedin url");
   const set = new Set();
   for (const r of rows) {
     const v = (key ? r[key] : "").toString().trim();
@@ -289,11 +201,11 @@ function extractUsernames(rows) {
   return Array.from(set);
 }
 
-function buildInputLookup(rows) {
+function buildInputLookup(rows, columnMap = {}) {
   if (!rows.length) return new Map();
-  const lkLinkedin = findKeyInsensitive(rows[0], "linkedin url");
-  const lkPost = findKeyInsensitive(rows[0], "post url");
-  const lkAuthor = findKeyInsensitive(rows[0], "author name");
+  const lkLinkedin = inputColumn(rows, columnMap, "linkedinUrl", "linkedin url");
+  const lkPost = inputColumn(rows, columnMap, "postUrl", "post url");
+  const lkAuthor = inputColumn(rows, columnMap, "authorName", "author name");
   const map = new Map();
   for (const r of rows) {
     const url = (lkLinkedin ? r[lkLinkedin] : "").toString().trim();
@@ -370,16 +282,17 @@ function mapItem(item, lookup) {
  *   csvSize         → expected rows per CSV (for quota math)
  *   csvsPerKey      → how many CSVs per key
  *   concurrency     → workers
+ *   reconcile       → check real key usage with Apify first
  *
  * hooks (optional):
  *   log(line)       → logging
- *   status(str)     → status updates
+ *   status(phase, metrics) → status updates (stdout events when spawned)
  */
 async function startRunInternal(cfg, hooks) {
   const { log, status } = getHooks(hooks);
 
   cancelRequested = false;
-  status("Running...");
+  status("started");
 
   const {
     inDir,
@@ -390,6 +303,7 @@ async function startRunInternal(cfg, hooks) {
     csvSize,
     csvsPerKey,
     concurrency,
+    reconcile,
   } = cfg;
 
   if (!actorId) {
@@ -399,8 +313,23 @@ async function startRunInternal(cfg, hooks) {
   if (!inDir || !fs.existsSync(inDir))
     throw new Error("Input folder not found.");
   if (!outDir) throw new Error("Output folder not selected.");
-  if (!keysPath || !fs.existsSync(keysPath))
-    throw new Error("keys.json not found.");
+
+  // Shared key pool: budget counted in profiles per key
+  const QUOTA_PER_KEY =
+    (parseInt(csvSize, 10) || 100) * (parseInt(csvsPerKey, 10) || 10);
+  const pool = keyPool.openApifyKeyPool({
+    scope: "apify-email-enricher",
+    keysPath,
+    extraTokens,
+    budgetPerKey: QUOTA_PER_KEY,
+    log: (level, msg) => log(`[KEYS] ${msg}`),
+  });
+  if (!pool.size) throw new Error("No API keys found. Provide keys.json or extra tokens.");
+  if (reconcile) {
+    log("[KEYS] Checking key usage with Apify...");
+    await pool.reconcile();
+  }
+  if (!pool.usable().length) throw new Error("All keys are exhausted, banned or cooling down.");
 
   ensureDir(outDir);
   const EMAIL_BASE = path.join(outDir, "email");
@@ -408,33 +337,17 @@ async function startRunInternal(cfg, hooks) {
   ensureDir(EMAIL_BASE);
   ensureDir(GLOBAL);
 
-  const QUOTA_PER_KEY =
-    (parseInt(csvSize, 10) || 100) * (parseInt(csvsPerKey, 10) || 10);
-
-  const { list: tokenStates, usedPath } = buildTokenState(
-    keysPath,
-    extraTokens,
-    QUOTA_PER_KEY
-  );
-  updateUsedKeys(usedPath, tokenStates);
-
-  const totalQuota = tokenStates.reduce((acc, t) => acc + t.remaining, 0);
-  log(`[RUN] Starting Email Extraction | Keys: ${tokenStates.length} | Total quota: ${totalQuota}`);
+  const totalQuota = pool.remainingTotal();
+  log(`[RUN] Starting Email Extraction | Keys: ${pool.size} | Total quota: ${totalQuota}`);
 
   // Initial status for UI
-  status(
-    JSON.stringify({
-      type: 'status',
-      status: "init",
-      metrics: {
-        filesProcessed: 0,
-        remainingQuota: totalQuota,
-        errors: 0,
-        activeKey: null,
-        apiKeysLoaded: tokenStates.length,
-      }
-    })
-  );
+  status("init", {
+    filesProcessed: 0,
+    remainingQuota: totalQuota,
+    errors: 0,
+    activeKey: null,
+    apiKeysLoaded: pool.size,
+  });
 
   // Build file list: all CSVs under inDir
   const pattern = path.join(inDir, "**/*.csv").replace(/\\/g, "/");
@@ -442,19 +355,14 @@ async function startRunInternal(cfg, hooks) {
 
   if (!files.length) {
     log("[INFO] No CSVs found.");
-    status(
-      JSON.stringify({
-        type: 'status',
-        status: "done",
-        metrics: {
-          filesProcessed: 0,
-          remainingQuota: totalQuota,
-          errors: 0,
-          activeKey: null,
-          apiKeysLoaded: tokenStates.length,
-        }
-      })
-    );
+    status("done", {
+      filesProcessed: 0,
+      remainingQuota: totalQuota,
+      errors: 0,
+      activeKey: null,
+      apiKeysLoaded: pool.size,
+    });
+    events.summary("done", { counts: { files: 0 } });
     return;
   }
   log(`[INFO] Processing ${files.length} CSV file(s)...`);
@@ -462,28 +370,20 @@ async function startRunInternal(cfg, hooks) {
   let processedCount = 0;
   let skippedCount = 0;
   let errorCount = 0;
+  const budget = runBudget.createRunBudget({ unit: "usd", log });
 
-  function emitProgress(activeKeyToken) {
-    const remainingQuota = tokenStates.reduce(
-      (acc, t) => acc + t.remaining,
-      0
-    );
-    const activeKeyShort = activeKeyToken
-      ? `${activeKeyToken.slice(0, 8)}…`
-      : null;
-
-    const statusPayload = {
-      type: 'status',
-      status: shouldStop() ? "stopping" : "running",
-      metrics: {
-        filesProcessed: processedCount,
-        remainingQuota: remainingQuota,
-        apiKeysLoaded: tokenStates.length,
-        errors: errorCount,
-        activeKey: activeKeyShort,
-      }
-    };
-    status(JSON.stringify(statusPayload));
+  function emitProgress(activeKey) {
+    const remainingQuota = pool.remainingTotal();
+    const activeKeyShort = activeKey ? activeKey.label : null;
+
+    status(shouldStop() ? "draining" : "running", {
+      filesProcessed: processedCount,
+      remainingQuota: remainingQuota,
+      apiKeysLoaded: pool.size,
+      errors: errorCount,
+      activeKey: activeKeyShort,
+    });
+    events.progress(processedCount + skippedCount + errorCount, files.length, { unit: "files" });
   }
 
   let idx = 0;
@@ -494,6 +394,10 @@ async function startRunInternal(cfg, hooks) {
         log(`[WORKER ${id}] Stopping (no new CSVs).`);
         return;
       }
+      if (budget.exceeded()) {
+        log(`[WORKER ${id}] Budget reached (no new CSVs).`);
+        return;
+      }
 
       const my = idx++;
       if (my >= files.length) return;
@@ -505,15 +409,16 @@ async function startRunInternal(cfg, hooks) {
 
       try {
         const rows = readCsv(filePath);
-        const usernames = extractUsernames(rows);
+        const usernames = extractUsernames(rows, cfg.columnMap);
         if (!usernames.length) {
           log(`[${my + 1}/${files.length}] ${base} - SKIPPED (no LinkedIn URLs found)`);
+          events.warningRow("No LinkedIn URLs found", { file: filePath });
           skippedCount++;
           emitProgress(null);
           continue;
         }
 
-        const lookup = buildInputLookup(rows);
+        const lookup = buildInputLookup(rows, cfg.columnMap);
         let processed = false;
         let inFlight = false;
 
@@ -542,45 +447,38 @@ async function startRunInternal(cfg, hooks) {
             break;
           }
 
-          // pick a key with remaining > 0 that we haven't tried yet for this file
-          let tIdx = -1;
-          for (let i = 0; i < tokenStates.length; i++) {
-            const t = tokenStates[i];
-            if (t.remaining > 0 && !triedForThisFile.has(t.token)) {
-              tIdx = i;
-              break;
-            }
-          }
+          // pick a usable key we haven't tried yet for this file
+          const key = await pool.waitForKey({
+            need: usernames.length,
+            exclude: [...triedForThisFile],
+            shouldStop,
+          });
 
-          if (tIdx === -1) {
+          if (!key) {
+            if (shouldStop()) break;
             log(`[${my + 1}/${files.length}] ${base} - FAILED (all keys exhausted)`);
             errorCount++;
             emitProgress(null);
             break;
           }
 
-          const token = tokenStates[tIdx].token;
-          const reserved = Math.min(
-            usernames.length,
-            tokenStates[tIdx].remaining
-          );
-          triedForThisFile.add(token);
+          const token = key.token;
+          const reserved = Math.min(usernames.length, key.remaining);
+          triedForThisFile.add(key.id);
 
           // reserve quota
-          tokenStates[tIdx].remaining -= reserved;
-          updateUsedKeys(usedPath, tokenStates);
+          pool.charge(key, reserved);
 
           const label = `${my + 1}/${files.length}`;
           log(`[${label}] Processing ${base}...`);
-          emitProgress(token);
+          emitProgress(key);
 
           // If cancellation happens AFTER reserving but BEFORE calling Apify, roll back and stop.
           if (shouldStop()) {
             log(
               `[WORKER ${id}] Stop requested. Rolling back reserved quota and stopping.`
             );
-            tokenStates[tIdx].remaining += reserved;
-            updateUsedKeys(usedPath, tokenStates);
+            pool.charge(key, -reserved);
             emitProgress(null);
             return;
           }
@@ -589,20 +487,24 @@ async function startRunInternal(cfg, hooks) {
           // even if stop is requested
           inFlight = true;
           try {
-            const items = await fetchApify({
+            const { items, runId, partial, usageTotalUsd } = await fetchApify({
               token,
+              keyLabel: key.label,
+              output: path.join(GLOBAL, fileName),
               usernames,
               actorId,
               label,
               log,
             });
             inFlight = false;
+            budget.add(usageTotalUsd);
+            pool.reportSuccess(key);
             const mapped = items.map((it) => mapItem(it, lookup));
             const emailRows = mapped.filter(
               (r) => (r["Email"] || "").trim()
             );
 
-            const perKeyDir = path.join(EMAIL_BASE, `key_${tIdx + 1}`);
+            const perKeyDir = path.join(EMAIL_BASE, `key_${safeFileName(key.label)}`);
             ensureDir(perKeyDir);
 
             const perKeyCsvPath = path.join(perKeyDir, fileName);
@@ -631,25 +533,23 @@ async function startRunInternal(cfg, hooks) {
               columns,
             });
             fs.writeFileSync(globalCsvPath, globalCsv, "utf8");
+            events.artifact(globalCsvPath, { rows: emailRows.length, ...(partial ? { label: "Partial emails" } : {}) });
+            apifyRuns.collected(runId);
 
-            log(`[${label}] ✓ Complete | ${emailRows.length} email(s) extracted`);
+            log(`[${label}] ✓ Complete | ${emailRows.length} email(s) extracted${partial ? " (partial, run aborted)" : ""}`);
 
             processed = true; // this CSV is done
             processedCount++;
-            emitProgress(token);
+            emitProgress(key);
           } catch (err) {
             inFlight = false;
-            const msg = err?.message || String(err);
 
             // roll back quota for this failed attempt
-            tokenStates[tIdx].remaining += reserved;
-            updateUsedKeys(usedPath, tokenStates);
-
-            if (isAuthOrBlockedError(msg)) {
-              // permanently disable this key globally
-              tokenStates[tIdx].remaining = 0;
-              updateUsedKeys(usedPath, tokenStates);
-              log(`[${label}] ✗ Key authentication failed. Retrying with next key...`);
+            pool.charge(key, -reserved);
+
+            const { kind, action } = pool.reportError(key, err);
+            if (kind !== "other") {
+              log(`[${label}] ✗ Key ${action} (${kind}). Retrying with next key...`);
               emitProgress(null);
             } else {
               // other error → try next key for THIS CSV if any left
@@ -660,6 +560,7 @@ async function startRunInternal(cfg, hooks) {
         } // while !processed
       } catch (err) {
         log(`[${my + 1}/${files.length}] ${base} - ERROR: ${err?.message || String(err)}`);
+        events.warningRow(err?.message || String(err), { file: filePath });
         errorCount++;
         emitProgress(null);
       }
@@ -672,29 +573,27 @@ async function startRunInternal(cfg, hooks) {
   );
   await Promise.all(workers);
 
-  const remainingQuota = tokenStates.reduce(
-    (acc, t) => acc + t.remaining,
-    0
-  );
-
-  const finalPayload = {
-    type: 'status',
-    status: shouldStop() ? "stopped" : "done",
-    metrics: {
-      filesProcessed: processedCount,
-      remainingQuota: remainingQuota,
-      errors: errorCount,
-      activeKey: null,
-      apiKeysLoaded: tokenStates.length,
-    }
-  };
-  status(JSON.stringify(finalPayload));
+  const remainingQuota = pool.remainingTotal();
+
+  const finalStatus = shouldStop() || budget.exceeded() ? "stopped" : "done";
+  status(finalStatus, {
+    filesProcessed: processedCount,
+    remainingQuota: remainingQuota,
+    errors: errorCount,
+    activeKey: null,
+    apiKeysLoaded: pool.size,
+    ...budget.metrics(),
+  });
+  events.summary(finalStatus, {
+    counts: { files: files.length, filesProcessed: processedCount, skipped: skippedCount, errors: errorCount },
+  });
 
   if (shouldStop()) {
     log(`[STOP] Run terminated | Processed: ${processedCount} | Skipped: ${skippedCount} | Errors: ${errorCount}`);
   } else {
     log(`[COMPLETE] Processed: ${processedCount} | Skipped: ${skippedCount} | Errors: ${errorCount}`);
   }
+  log(budget.summary());
 }
 
 // Allow Electron main (or other callers) to request cancellation without signals
@@ -719,18 +618,21 @@ function requestCancel() {
       csvSize: getArgNumber("--csvSize", fromEnv("csvSize", 100)),
       csvsPerKey: getArgNumber("--csvsPerKey", fromEnv("csvsPerKey", 10)),
       concurrency: getArgNumber("--concurrency", fromEnv("concurrency", 4)),
+      reconcile: argv.includes("--reconcile-keys") || !!fromEnv("reconcileKeyUsage", false),
+      columnMap: readColumnMap(envCfg),
     };
 
     try {
       await startRunInternal(cfg, {
         log: defaultLog,
-        status: defaultLog,
+        status: (phase, metrics) => events.status(phase, metrics),
       });
       const elapsed = ((Date.now() - start) / 1000).toFixed(1);
       defaultLog(`[DONE] Email extraction completed in ${elapsed}s`);
       process.exit(0);
     } catch (err) {
       defaultLog(`[ERROR] ${err?.message || String(err)}`);
+      events.summary("error", { message: err?.message || String(err) });
       process.exit(1);
     }
   })();
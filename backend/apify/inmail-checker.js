@@ -5,6 +5,13 @@ const yargs = require("yargs");
 const { hideBin } = require("yargs/helpers");
 const { ApifyClient } = require("apify-client");
 const readline = require("readline");
+const { openApifyKeyPool, classifyApifyError } = require("../lib/apify-key-pool");
+const { apifyClientOptions } = require("../lib/api-endpoints");
+const { createRunBudget } = require("../lib/run-budget");
+const { startAndWait, collected, isPartial } = require("../lib/apify-runs");
+const { watchStop } = require("../lib/stop-signal");
+const events = require("../lib/events");
+const { detectLinkedInColumn, readColumnMap, resolveColumn } = require("../lib/column-map");
 
 /* ================= CONFIG ================= */
 const ACTOR_ID = "BlJ6u6jb5UzYsyiKT";
@@ -48,18 +55,20 @@ const config = {
   tokensStr: electronConfig.tokensStr || argv.tokens,
   linkedinColumn: electronConfig.linkedinColumn || argv["linkedin-column"],
   concurrency: electronConfig.concurrency || argv.concurrency || 5,
+  reconcileKeyUsage: !!electronConfig.reconcileKeyUsage,
+  columnMap: readColumnMap(electronConfig),
 };
 
 console.log(`CONFIG: Using folder=${config.folder}, concurrency=${config.concurrency}`);
 
 /* ================= HELPERS ================= */
-function parseTokens(tokensStr) {
-  const raw = (tokensStr || process.env.APIFY_TOKENS || process.env.APIFY_TOKEN || "").trim();
-  if (!raw) return [];
-  return raw
-    .split(",")
-    .map((t) => t.trim())
-    .filter(Boolean);
+// Shared key pool: vault keys first, else the comma-separated tokens / env (no local budget)
+function openPool(tokensStr) {
+  return openApifyKeyPool({
+    scope: "inmail-checker",
+    extraTokens: (tokensStr || process.env.APIFY_TOKENS || process.env.APIFY_TOKEN || "").trim(),
+    log: (level, msg) => console.log(`${level === "warn" ? "WARNING" : "INFO"}: ${msg}`),
+  });
 }
 
 function listCsvFiles(dir) {
@@ -80,42 +89,6 @@ async function readCsv(filePath) {
   });
 }
 
-function detectLinkedInColumn(rows) {
-  if (!rows.length) return null;
-  const headers = Object.keys(rows[0]).filter(Boolean);
-  const sample = rows.slice(0, Math.min(40, rows.length));
-
-  const headerScore = (h) => {
-    const s = h.toLowerCase();
-    let score = 0;
-    if (s.includes("linkedin")) score += 10;
-    if (s.includes("url")) score += 5;
-    if (s.includes("profile")) score += 2;
-    return score;
-  };
-
-  const valueScore = (h) => {
-    let score = 0;
-    for (const r of sample) {
-      const v = String(r[h] ?? "").trim().toLowerCase();
-      if (v.includes("linkedin.com/in/")) score += 5;
-      if (v.includes("linkedin.com")) score += 1;
-    }
-    return score;
-  };
-
-  let best = null;
-  let bestScore = -1;
-  for (const h of headers) {
-    const score = headerScore(h) + valueScore(h);
-    if (score > bestScore) {
-      bestScore = score;
-      best = h;
-    }
-  }
-  return bestScore >= 8 ? best : null;
-}
-
 function getStatusColumn(rows) {
   if (!rows.length) return "Status";
   const headers = Object.keys(rows[0]).filter(Boolean);
@@ -239,9 +212,10 @@ function withQuietActorLogs(fn) {
     error: console.error,
   };
 
-  // Save original write methods BEFORE replacing them
-  const origStdoutWrite = process.stdout.write;
-  const origStderrWrite = process.stderr.write;
+  // Save original write methods BEFORE replacing them (bound: our own progress lines
+  // may go through the filter while an actor call is muted)
+  const origStdoutWrite = process.stdout.write.bind(process.stdout);
+  const origStderrWrite = process.stderr.write.bind(process.stderr);
 
   let stdoutBuf = "";
   let stderrBuf = "";
@@ -304,41 +278,51 @@ function withQuietActorLogs(fn) {
     });
 }
 
-async function runActorForProfile({ token, linkedinUrl }) {
-  const client = new ApifyClient({ token });
+async function runActorForProfile({ token, keyLabel, linkedinUrl, output }) {
+  const client = new ApifyClient(apifyClientOptions(token));
 
   return withQuietActorLogs(async () => {
-    const run = await client.actor(ACTOR_ID).call({ linkedin_url: linkedinUrl });
+    const run = await startAndWait(client, ACTOR_ID, { linkedin_url: linkedinUrl }, { token, keyLabel, output });
     const { items } = await client.dataset(run.defaultDatasetId).listItems();
     const item = Array.isArray(items) && items.length ? items[0] : null;
-    return { runId: run?.id || "", item };
+    return { runId: run?.id || "", item, partial: isPartial(run), usageTotalUsd: run?.usageTotalUsd };
   });
 }
 
-async function runWithTokenRotation({ tokens, linkedinUrl, singleTokenMode }) {
+function isLimitError(err) {
+  const kind = classifyApifyError(err);
+  return kind === "limit" || kind === "rate" || looksLikeLimitOrRateError(err?.message || String(err));
+}
+
+// ApifyTokenUsed gets the key's label, never the token itself
+async function runWithTokenRotation({ pool, linkedinUrl, singleTokenMode, output }) {
   let lastErr = null;
+  const tried = [];
+
+  for (;;) {
+    const key = pool.acquire({ exclude: tried });
+    if (!key) break;
+    tried.push(key.id);
 
-  for (let i = 0; i < tokens.length; i++) {
-    const token = tokens[i];
     try {
-      const res = await runActorForProfile({ token, linkedinUrl });
-      return { ok: true, tokenUsed: token, ...res };
+      const res = await runActorForProfile({ token: key.token, keyLabel: key.label, linkedinUrl, output });
+      pool.reportSuccess(key);
+      return { ok: true, tokenUsed: key.label, ...res };
     } catch (err) {
-      const msg = err?.message || String(err);
-      lastErr = msg;
+      pool.reportError(key, err);
+      lastErr = err;
 
       if (singleTokenMode) {
-        return { ok: false, tokenUsed: token, error: msg, isLimit: looksLikeLimitOrRateError(msg) };
+        return { ok: false, tokenUsed: key.label, error: err?.message || String(err), isLimit: isLimitError(err) };
       }
-      continue;
     }
   }
 
   return {
     ok: false,
     tokenUsed: "",
-    error: lastErr || "Unknown error",
-    isLimit: looksLikeLimitOrRateError(lastErr || ""),
+    error: lastErr ? lastErr.message || String(lastErr) : "No usable Apify keys left",
+    isLimit: !lastErr || isLimitError(lastErr),
   };
 }
 
@@ -364,12 +348,17 @@ async function main() {
   const concurrency = Math.max(1, Number(config.concurrency || 5));
   const linkedinColOverride = config.linkedinColumn;
 
-  const tokens = parseTokens(config.tokensStr);
-  if (!tokens.length) {
+  const pool = openPool(config.tokensStr);
+  if (!pool.size) {
     console.log("ERROR: No Apify tokens provided");
     process.exit(1);
   }
-  const singleTokenMode = tokens.length === 1;
+  if (config.reconcileKeyUsage) {
+    console.log("INFO: Checking key usage with Apify...");
+    await pool.reconcile();
+  }
+  const tokens = pool.usable();
+  const singleTokenMode = pool.size === 1;
 
   console.log(`INFO: ${tokens.length} token(s) active, single-token mode: ${singleTokenMode}`);
 
@@ -397,7 +386,15 @@ async function main() {
     process.exit(1);
   }
 
-  let linkedinCol = linkedinColOverride || detectLinkedInColumn(rows);
+  let linkedinCol;
+  try {
+    linkedinCol =
+      resolveColumn(Object.keys(rows[0]), config.columnMap, "linkedinUrl", [linkedinColOverride]) ||
+      detectLinkedInColumn(rows);
+  } catch (err) {
+    console.log(`ERROR: ${err.message}`);
+    process.exit(1);
+  }
   if (!linkedinCol) {
     console.log("ERROR: Could not detect LinkedIn URL column");
     process.exit(1);
@@ -437,16 +434,19 @@ async function main() {
     doneCount: 0,
   };
 
+  const budget = createRunBudget({ unit: "usd", log: (msg) => console.log(`WARNING: ${msg}`) });
+  const stopRequested = watchStop((reason) =>
+    console.log(`WARNING: Stop requested (${reason}). Not starting new rows; in-flight checks will finish.`)
+  );
+
+  const emitStats = () => {
+    events.metrics({ ...stats, activeKeys: tokens.length, estimatedCost: tokens.length * 5 });
+    events.progress(stats.doneCount + stats.skippedCount + stats.errorCount, stats.totalRows, { unit: "rows" });
+  };
+
   console.log(`STATS: Starting with ${rows.length} rows, concurrency: ${concurrency}`);
   // Send initial metrics
-  console.log(JSON.stringify({
-    type: 'metrics',
-    metrics: {
-      ...stats,
-      activeKeys: tokens.length,
-      estimatedCost: tokens.length * 5,
-    }
-  }));
+  emitStats();
   const tasks = rows.map((row, index) => async () => {
     for (const h of Object.values(OUTPUT_COLS)) if (!(h in row)) row[h] = "";
     if (!(statusCol in row)) row[statusCol] = "";
@@ -461,14 +461,13 @@ async function main() {
     if (status === STATUS_DONE) {
       stats.doneCount++;
       writer.enqueue(row);
-      console.log(JSON.stringify({
-        type: 'metrics',
-        metrics: {
-          ...stats,
-          activeKeys: tokens.length,
-          estimatedCost: tokens.length * 5,
-        }
-      }));
+      emitStats();
+      return;
+    }
+
+    // Budget reached / stopped: keep the row untouched so the next run picks it up
+    if (budget.exceeded() || stopRequested()) {
+      writer.enqueue(row);
       return;
     }
 
@@ -476,45 +475,43 @@ async function main() {
       row[statusCol] = STATUS_SKIPPED;
       row[OUTPUT_COLS.error] = "Missing/invalid LinkedIn URL";
       stats.skippedCount++;
+      events.warningRow("Missing/invalid LinkedIn URL", { row: index + 1, file: inputCsv });
       writer.enqueue(row);
       await writeInputCsv(inputCsv, rows, inputHeaders);
-      console.log(JSON.stringify({
-        type: 'metrics',
-        metrics: {
-          ...stats,
-          activeKeys: tokens.length,
-          estimatedCost: tokens.length * 5,
-        }
-      }));
+      emitStats();
       return;
     }
 
-    const res = await runWithTokenRotation({ tokens, linkedinUrl, singleTokenMode });
+    const res = await runWithTokenRotation({ pool, linkedinUrl, singleTokenMode, output: outPath });
     row[OUTPUT_COLS.token] = res.tokenUsed || "";
+    if (res.ok) budget.add(res.usageTotalUsd);
 
     if (!res.ok) {
       row[statusCol] = STATUS_ERROR;
       row[OUTPUT_COLS.error] = res.error || "Unknown error";
       stats.errorCount++;
+      events.warningRow(res.error || "Unknown error", { row: index + 1, file: inputCsv });
       writer.enqueue(row);
       await writeInputCsv(inputCsv, rows, inputHeaders);
-      console.log(JSON.stringify({
-        type: 'metrics',
-        metrics: {
-          ...stats,
-          activeKeys: tokens.length,
-          estimatedCost: tokens.length * 5,
-        }
-      }));
+      emitStats();
 
       if (singleTokenMode && res.isLimit) {
         await writer.close();
         console.log(`WARNING: Rate limit reached. Stopping.`);
+        events.artifact(outPath);
+        events.summary("stopped", { counts: { ...stats }, message: "Rate limit reached" });
         process.exit(0);
       }
       return;
     }
 
+    // Run aborted by Stop before the profile came back: leave the row for the next run
+    if (res.partial && !res.item) {
+      writer.enqueue(row);
+      collected(res.runId);
+      return;
+    }
+
     row[OUTPUT_COLS.runId] = res.runId || "";
 
     const openFlag = extractOpenProfileFlag(res.item);
@@ -530,14 +527,8 @@ async function main() {
 
     writer.enqueue(row);
     await writeInputCsv(inputCsv, rows, inputHeaders);
-    console.log(JSON.stringify({
-      type: 'metrics',
-      metrics: {
-        ...stats,
-        activeKeys: tokens.length,
-        estimatedCost: tokens.length * 5,
-      }
-    }));
+    collected(res.runId);
+    emitStats();
   });
 
   await runPool({ tasks, concurrency });
@@ -545,10 +536,14 @@ async function main() {
   await writer.close();
 
   console.log(`SUCCESS: Output saved to ${path.basename(outPath)}`);
+  events.artifact(outPath, { rows: stats.totalRows });
   console.log(`FINAL: Total: ${stats.totalRows} | LinkedIn: ${stats.totalLinkedIn} | Open: ${stats.openCount} | Closed: ${stats.closedCount} | Skipped: ${stats.skippedCount} | Error: ${stats.errorCount} | Done: ${stats.doneCount}`);
+  console.log(`FINAL: ${budget.summary()}`);
+  events.summary(budget.exceeded() || stopRequested() ? "stopped" : "done", { counts: { ...stats } });
 }
 
 main().catch((err) => {
   console.log("FATAL:", err?.message || err);
+  events.summary("error", { message: err?.message || String(err) });
   process.exit(1);
 });
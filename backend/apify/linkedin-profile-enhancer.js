@@ -9,6 +9,13 @@ const readline = require("readline");
 const { ApifyClient } = require("apify-client");
 const csvParser = require("csv-parser");
 const { createObjectCsvWriter } = require("csv-writer");
+const { openApifyKeyPool } = require("../lib/apify-key-pool");
+const { apifyClientOptions } = require("../lib/api-endpoints");
+const { createRunBudget } = require("../lib/run-budget");
+const { startAndWait, collected, isPartial } = require("../lib/apify-runs");
+const { watchStop } = require("../lib/stop-signal");
+const events = require("../lib/events");
+const { readColumnMap, resolveColumn } = require("../lib/column-map");
 
 // ========================
 // TOOL CONFIG (from Electron)
@@ -31,14 +38,10 @@ const BATCH_SIZE = fromEnv("batchSize", 10);
 let INPUT_CSV = fromEnv("inputCsv", "");
 let OUTPUT_DIR = fromEnv("outputDir", "");
 let KEYS_JSON_PATH = fromEnv("keysFilePath", path.resolve("./keys.json"));
-let USED_KEYS_JSON_PATH = "";
 let OUTPUT_CSV = "";
-
-// Set used_keys.json in same directory as keys.json
-if (KEYS_JSON_PATH) {
-  const keysDir = path.dirname(KEYS_JSON_PATH);
-  USED_KEYS_JSON_PATH = path.join(keysDir, "used_keys.json");
-}
+const RECONCILE_KEYS = !!fromEnv("reconcileKeyUsage", false);
+// Column mapper fields (lib/column-map) override the normalized header names below
+const COLUMN_MAP = readColumnMap(envCfg);
 
 // ========================
 // OUTPUT HEADERS
@@ -90,11 +93,6 @@ function kv(key, value) {
   const k = String(key).padEnd(26, " ");
   console.log(`${k}: ${value}`);
 }
-function keyHint(token) {
-  const t = String(token || "");
-  if (t.length < 16) return t;
-  return `${t.slice(0, 10)}...${t.slice(-4)}`;
-}
 
 // ========================
 // UTILS
@@ -108,11 +106,22 @@ function normalizeHeader(h) {
     .toLowerCase()
     .replace(/[^a-z0-9]+/g, "");
 }
-function extractInputRow(row) {
+// columnMap field -> extractInputRow key
+const MAPPED_FIELDS = {
+  firstName: "firstname",
+  lastName: "lastname",
+  email: "email",
+  author: "author",
+  postUrl: "postLinkedinUrl",
+  profileUrl: "profileUrl",
+  companyWebsite: "inputCompanyWebsite",
+  companyLinkedinUrl: "inputCompanyLinkedinUrl"
+};
+function extractInputRow(row, mapped = {}) {
   const norm = {};
   for (const k of Object.keys(row)) norm[normalizeHeader(k)] = row[k];
 
-  return {
+  const out = {
     firstname: String(norm["firstname"] || "").trim(),
     lastname: String(norm["lastname"] || "").trim(),
     email: String(norm["email"] || "").trim(),
@@ -123,6 +132,10 @@ function extractInputRow(row) {
     inputCompanyWebsite: String(norm["companywebsite"] || "").trim(),
     inputCompanyLinkedinUrl: String(norm["companylinkedinurl"] || "").trim()
   };
+  for (const [field, header] of Object.entries(mapped)) {
+    out[MAPPED_FIELDS[field]] = String(row[header] || "").trim();
+  }
+  return out;
 }
 function parseCompanyUrnFromUrl(companyUrl) {
   if (!companyUrl) return "";
@@ -158,101 +171,26 @@ function waitForEnter(promptText) {
   });
 }
 
-// ========================
-// ERROR CLASSIFIER
-// ========================
-function classifyError(e) {
-  const msg = String(e?.message || e || "");
-  const lower = msg.toLowerCase();
-
-  if (lower.includes("authentication token is not valid") || lower.includes("not authorized")) {
-    return { type: "INVALID_TOKEN", msg };
-  }
-  if (lower.includes("rate limit") || lower.includes("too many requests") || lower.includes("429")) {
-    return { type: "RATE_LIMIT", msg };
-  }
-  return { type: "UNKNOWN", msg };
-}
-
 // ========================
 // KEY MANAGEMENT
 // ========================
-function loadKeys() {
-  if (!fs.existsSync(KEYS_JSON_PATH)) {
-    throw new Error(`keys.json not found at: ${KEYS_JSON_PATH}`);
-  }
-  const raw = JSON.parse(fs.readFileSync(KEYS_JSON_PATH, "utf-8"));
-
-  let entries = [];
-  if (Array.isArray(raw)) {
-    entries = raw
-      .filter((v) => v && String(v).trim().length > 0)
-      .map((token, idx) => ({ name: `api${idx + 1}`, token: String(token).trim() }));
-  } else if (raw && typeof raw === "object") {
-    entries = Object.entries(raw)
-      .filter(([k, v]) => k && v && String(v).trim().length > 0)
-      .map(([k, v]) => ({ name: k, token: String(v).trim() }));
-  } else {
-    throw new Error("keys.json must be an array of tokens OR an object of named tokens.");
-  }
-
-  if (!entries.length) throw new Error("keys.json has no usable keys.");
-  return entries;
-}
-
-function loadUsedKeysState(keys) {
-  let state = {};
-  if (fs.existsSync(USED_KEYS_JSON_PATH)) {
-    try {
-      state = JSON.parse(fs.readFileSync(USED_KEYS_JSON_PATH, "utf-8")) || {};
-    } catch {
-      state = {};
-    }
-  }
-
-  for (const k of keys) {
-    if (!state[k.name]) {
-      state[k.name] = {
-        tokenHint: keyHint(k.token),
-        usedCredits: 0,
-        remainingCredits: MAX_CREDITS_PER_KEY,
-        status: "ACTIVE", // ACTIVE | INVALID | EXHAUSTED
-        reason: "",
-        lastUsedAt: ""
-      };
-    } else {
-      const used = Number(state[k.name].usedCredits || 0);
-      state[k.name].usedCredits = used;
-      state[k.name].remainingCredits = Math.max(0, MAX_CREDITS_PER_KEY - used);
-      if (state[k.name].remainingCredits <= 0) {
-        state[k.name].status = "EXHAUSTED";
-      }
-    }
-  }
-
-  return state;
-}
-
-function saveUsedKeysState(state) {
-  fs.writeFileSync(USED_KEYS_JSON_PATH, JSON.stringify(state, null, 2), "utf-8");
-}
-
-function pickNextKey(keys, usedState, neededCredits) {
-  for (const k of keys) {
-    const st = usedState[k.name];
-    if (!st) continue;
-    if (st.status !== "ACTIVE") continue;
-    if (st.remainingCredits < neededCredits) continue;
-    return k;
-  }
-  return null;
+// Shared pool (backend/lib/apify-key-pool.js): budget counted in profiles per key
+function openPool() {
+  const pool = openApifyKeyPool({
+    scope: "linkedin-profile-enhancer",
+    keysPath: KEYS_JSON_PATH,
+    budgetPerKey: MAX_CREDITS_PER_KEY,
+    log: (level, msg) => log(level === "warn" ? "WARN" : "INFO", msg),
+  });
+  if (!pool.size) throw new Error(`No Apify keys found (keys.json: ${KEYS_JSON_PATH})`);
+  return pool;
 }
 
 // ========================
 // PRECHECK TOKEN
 // ========================
-async function precheckToken(name, token) {
-  const client = new ApifyClient({ token });
+async function precheckToken(token) {
+  const client = new ApifyClient(apifyClientOptions(token));
   const me = await client.user().get();
   return me?.username || "OK";
 }
@@ -263,9 +201,21 @@ async function precheckToken(name, token) {
 function readAllInputRows(csvPath) {
   return new Promise((resolve, reject) => {
     const rows = [];
+    const mapped = {};
+    const parser = csvParser();
     fs.createReadStream(csvPath)
-      .pipe(csvParser())
-      .on("data", (row) => rows.push(extractInputRow(row)))
+      .pipe(parser)
+      .on("headers", (headers) => {
+        try {
+          for (const field of Object.keys(COLUMN_MAP)) {
+            if (MAPPED_FIELDS[field]) mapped[field] = resolveColumn(headers, COLUMN_MAP, field);
+          }
+        } catch (err) {
+          parser.destroy();
+          reject(err);
+        }
+      })
+      .on("data", (row) => rows.push(extractInputRow(row, mapped)))
       .on("end", () => resolve(rows))
       .on("error", reject);
   });
@@ -274,8 +224,9 @@ function readAllInputRows(csvPath) {
 // ========================
 // APIFY RUN
 // ========================
-async function runActorForUrls(token, urls) {
-  const client = new ApifyClient({ token });
+async function runActorForUrls(keyObj, urls, batchNo) {
+  const { token } = keyObj;
+  const client = new ApifyClient(apifyClientOptions(token));
   const input = {
     urls: urls.map((u) => ({ url: u })),
     findContacts: false,
@@ -283,21 +234,21 @@ async function runActorForUrls(token, urls) {
   };
 
   log("INFO", "Submitting profiles to LinkedIn scraper...");
-  const run = await client.actor(ACTOR_ID).call(input, { waitSecs: 0 });
-  
-  log("INFO", "Enrichment in progress...");
-  
-  // Poll for completion
-  let runInfo = await client.run(run.id).get();
   let dots = 0;
-  
-  while (runInfo.status === "RUNNING") {
-    process.stdout.write(".");
-    dots++;
-    if (dots % 50 === 0) process.stdout.write("\n");
-    await new Promise(resolve => setTimeout(resolve, 2000));
-    runInfo = await client.run(run.id).get();
-  }
+
+  // Started + journaled, then polled until it ends (reattachable after a crash)
+  const runInfo = await startAndWait(client, ACTOR_ID, input, {
+    token,
+    keyLabel: keyObj.label,
+    output: OUTPUT_CSV,
+    meta: { batch: batchNo },
+    onStart: () => log("INFO", "Enrichment in progress..."),
+    onPoll: () => {
+      process.stdout.write(".");
+      dots++;
+      if (dots % 50 === 0) process.stdout.write("\n");
+    },
+  });
   
   if (dots > 0) console.log("");
   
@@ -307,8 +258,8 @@ async function runActorForUrls(token, urls) {
     log("WARN", `Enrichment finished with status: ${runInfo.status}`);
   }
   
-  const { items } = await client.dataset(run.defaultDatasetId).listItems();
-  return items || [];
+  const { items } = await client.dataset(runInfo.defaultDatasetId).listItems();
+  return { items: items || [], runId: runInfo.id, partial: isPartial(runInfo), usageTotalUsd: runInfo.usageTotalUsd };
 }
 
 // ========================
@@ -336,43 +287,35 @@ async function main() {
   kv("Input CSV", INPUT_CSV);
   kv("Output CSV", OUTPUT_CSV);
 
-  const keys = loadKeys();
-  const usedState = loadUsedKeysState(keys);
-  saveUsedKeysState(usedState);
-
-  section("KEYS LOADED");
-  keys.forEach((k) => {
-    const st = usedState[k.name];
-    console.log(
-      `${k.name.padEnd(6)} | ${st.tokenHint.padEnd(20)} | status=${st.status} | remaining=${st.remainingCredits}`
-    );
-  });
+  const pool = openPool();
 
-  // Precheck keys
+  // Precheck keys (with reconcileKeyUsage: real monthly usage from Apify instead)
   section("KEY PRECHECK");
-  for (const k of keys) {
-    const st = usedState[k.name];
-    if (st.status !== "ACTIVE") continue;
-
-    try {
-      const who = await precheckToken(k.name, k.token);
-      log("OK", `${k.name} token valid (Apify user: ${who})`);
-    } catch (e) {
-      const info = classifyError(e);
-      st.status = "INVALID";
-      st.reason = info.msg;
-      st.lastUsedAt = new Date().toISOString();
-      saveUsedKeysState(usedState);
-      log("FAIL", `${k.name} token invalid -> saved to used_keys.json`);
-      log("FAIL", `Reason: ${info.msg}`);
+  if (RECONCILE_KEYS) {
+    for (const r of await pool.reconcile()) {
+      if (r.ok) log("OK", `${r.label} usage $${r.monthlyUsageUsd.toFixed(2)}${r.maxMonthlyUsageUsd ? ` of $${r.maxMonthlyUsageUsd.toFixed(2)}` : ""}`);
+      else log("FAIL", `${r.label}: ${r.error}`);
+    }
+  } else {
+    for (const k of pool.usable()) {
+      try {
+        const who = await precheckToken(k.token);
+        log("OK", `${k.label} token valid (Apify user: ${who})`);
+      } catch (e) {
+        const { action } = pool.reportError(k, e);
+        log("FAIL", `${k.label} precheck failed (${action})`);
+        log("FAIL", `Reason: ${String(e?.message || e)}`);
+      }
     }
   }
 
-  const activeKeys = keys.filter((k) => usedState[k.name]?.status === "ACTIVE");
-  if (!activeKeys.length) {
+  section("KEYS LOADED");
+  console.table(pool.summary());
+
+  if (!pool.usable().length) {
     section("STOPPED");
     log("FAIL", "No ACTIVE keys available. Fix keys.json and rerun.");
-    log("INFO", `Check: ${USED_KEYS_JSON_PATH}`);
+    log("INFO", `Check: ${pool.stateFile}`);
     return;
   }
 
@@ -382,6 +325,9 @@ async function main() {
   section("INPUT SUMMARY");
   kv("Rows in CSV", allRows.length);
   kv("Valid linkedin profileUrl", rows.length);
+  allRows.forEach((r, i) => {
+    if (!rows.includes(r)) events.warningRow("Missing/invalid LinkedIn profile URL", { row: i + 1, file: INPUT_CSV });
+  });
 
   const fileExists = fs.existsSync(OUTPUT_CSV);
   const csvWriter = createObjectCsvWriter({
@@ -392,52 +338,82 @@ async function main() {
 
   log("OK", fileExists ? "Appending to existing output CSV" : "Creating new output CSV with headers");
 
+  const budget = createRunBudget({ unit: "usd", log: (msg) => log("WARN", msg) });
+  const stopRequested = watchStop((reason) => log("WARN", `Stop requested (${reason}); finishing the current batch.`));
+
   let processed = 0;
+  // Keys that already failed the current batch
+  let failedForBatch = [];
+  let written = 0;
+
+  const emitProgress = () => {
+    events.metrics({ profilesProcessed: processed, validProfiles: rows.length, keysActive: pool.counts().active });
+    events.progress(processed, rows.length, { unit: "profiles" });
+  };
+  emitProgress();
 
   while (processed < rows.length) {
+    if (stopRequested()) {
+      section("STOPPED");
+      log("WARN", `Stop requested, ${rows.length - processed} profile(s) not sent.`);
+      break;
+    }
+    if (budget.exceeded()) {
+      section("STOPPED");
+      log("WARN", `Budget reached, ${rows.length - processed} profile(s) not sent.`);
+      break;
+    }
+
     const batch = rows.slice(processed, processed + BATCH_SIZE);
     const neededCredits = batch.length;
 
-    const keyObj = pickNextKey(keys, usedState, neededCredits);
-    if (!keyObj) {
+    const keyObj = await pool.waitForKey({ need: neededCredits, exclude: failedForBatch });
+    if (!keyObj || keyObj.remaining < neededCredits) {
       section("STOPPED");
       log("FAIL", "No usable keys left (INVALID/EXHAUSTED/insufficient credits).");
-      log("INFO", `Check: ${USED_KEYS_JSON_PATH}`);
+      log("INFO", `Check: ${pool.stateFile}`);
       break;
     }
 
-    const st = usedState[keyObj.name];
-
     section(`BATCH ${Math.floor(processed / BATCH_SIZE) + 1}`);
-    kv("Using key", `${keyObj.name} (${st.tokenHint})`);
-    kv("Credits before", st.remainingCredits);
+    kv("Using key", keyObj.label);
+    kv("Credits before", keyObj.remaining);
     kv("Batch size", batch.length);
 
     const urls = batch.map((r) => r.profileUrl);
 
     let items = [];
+    let runId = null;
+    let partial = false;
     try {
-      items = await runActorForUrls(keyObj.token, urls);
+      const res = await runActorForUrls(keyObj, urls, Math.floor(processed / BATCH_SIZE) + 1);
+      items = res.items;
+      runId = res.runId;
+      partial = res.partial;
+      budget.add(res.usageTotalUsd);
       log("OK", `Actor run success. Items returned: ${items.length}`);
     } catch (e) {
-      const info = classifyError(e);
-      st.status = info.type === "INVALID_TOKEN" ? "INVALID" : st.status;
-      st.reason = info.msg;
-      st.lastUsedAt = new Date().toISOString();
-      saveUsedKeysState(usedState);
+      const { action } = pool.reportError(keyObj, e);
+      failedForBatch.push(keyObj.id);
 
-      log("FAIL", `Key ${keyObj.name} failed.`);
-      log("FAIL", `Reason: ${info.msg}`);
+      log("FAIL", `Key ${keyObj.label} failed (${action}).`);
+      log("FAIL", `Reason: ${String(e?.message || e)}`);
 
       continue;
     }
+    pool.reportSuccess(keyObj);
+    failedForBatch = [];
 
     const byInputUrl = new Map();
     for (const it of items) {
       if (it?.inputUrl) byInputUrl.set(String(it.inputUrl).trim(), it);
     }
 
-    const outRows = batch.map((r) => {
+    // Aborted run: only the profiles that came back (the rest are not written)
+    const batchRows = partial ? batch.filter((r) => byInputUrl.has(r.profileUrl)) : batch;
+    if (partial) log("WARN", `Run ended early: saving ${batchRows.length}/${batch.length} enriched profile(s)`);
+
+    const outRows = batchRows.map((r) => {
       const it = byInputUrl.get(r.profileUrl) || null;
 
       const pos = pickCurrentPosition(it);
@@ -481,36 +457,40 @@ async function main() {
     });
 
     await csvWriter.writeRecords(outRows);
+    written += outRows.length;
+    collected(runId);
     log("OK", `Wrote ${outRows.length} rows to output CSV`);
 
     // credits update
-    st.usedCredits += neededCredits;
-    st.remainingCredits = Math.max(0, MAX_CREDITS_PER_KEY - st.usedCredits);
-    st.lastUsedAt = new Date().toISOString();
-    if (st.remainingCredits <= 0) {
-      st.status = "EXHAUSTED";
-      st.reason = "Credit cap reached";
-      log("WARN", `${keyObj.name} exhausted (used=${st.usedCredits})`);
+    const st = pool.charge(keyObj, neededCredits);
+    if (st.remaining <= 0) {
+      log("WARN", `${keyObj.label} exhausted (used=${st.used})`);
     }
-    saveUsedKeysState(usedState);
 
     processed += batch.length;
+    emitProgress();
 
     kv("Progress", `${processed}/${rows.length}`);
-    kv("Credits after", st.remainingCredits);
+    kv("Credits after", st.remaining);
 
-    if (processed < rows.length) {
+    if (processed < rows.length && !budget.exceeded() && !stopRequested()) {
       await waitForEnter("\nPress ENTER to send next 10...\n");
     }
   }
 
   section("FINISHED");
   log("OK", `Output: ${OUTPUT_CSV}`);
-  log("OK", `Key log: ${USED_KEYS_JSON_PATH}`);
+  log("OK", `Key log: ${pool.stateFile}`);
+  log("INFO", budget.summary());
+  if (written) events.artifact(OUTPUT_CSV, { rows: written });
+  events.summary(processed < rows.length ? "stopped" : "done", {
+    counts: { inputRows: allRows.length, validProfiles: rows.length, profilesProcessed: processed, rowsWritten: written },
+  });
 }
 
 main().catch((e) => {
   section("FATAL ERROR");
   console.log(String(e?.stack || e?.message || e));
+  events.summary("error", { message: e?.message || String(e) });
   process.exit(1);
 });
@@ -1,6 +1,6 @@
 // backend/post-finder.mjs
 // LinkedIn Post Finder — Apify actor wrapper (Electron-friendly)
-// - Rotates API keys with used_keys.json
+// - Rotates API keys through the shared key pool (backend/lib/apify-key-pool.js)
 // - Tracks already-scraped keywords in keywords.json
 // - Filters posts by reactions >= 20
 // - Writes posts.csv (append, with header)
@@ -19,7 +19,8 @@
 //     "keywordFile": "C:\\...\\keywords.txt",
 //     "keysJson": "C:\\...\\keys.json",
 //     "outputDir": "C:\\...\\output",
-//     "perKeyLimit": 3000
+//     "perKeyLimit": 3000,
+//     "reconcileKeyUsage": true
 //   }
 
 import fs from "fs";
@@ -28,12 +29,17 @@ import readline from "readline";
 import { fileURLToPath } from "url";
 import { stringify } from "csv-stringify/sync";
 import { ApifyClient } from "apify-client";
+import vaultKeys from "../lib/vault-keys.js";
+import keyPool from "../lib/apify-key-pool.js";
+import apiEndpoints from "../lib/api-endpoints.js";
+import runBudget from "../lib/run-budget.js";
+import apifyRuns from "../lib/apify-runs.js";
+import stopSignal from "../lib/stop-signal.js";
+import events from "../lib/events.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-let cancelRequested = false;
-
 /* ===================== METRICS TRACKING ===================== */
 let globalMetrics = {
   totalKeys: 0,
@@ -41,36 +47,27 @@ let globalMetrics = {
 };
 
 function emitMetrics() {
-  console.log(JSON.stringify({
-    type: 'metrics',
-    metrics: {
-      totalKeys: globalMetrics.totalKeys,
-      postsFound: globalMetrics.postsFound
-    }
-  }));
+  events.metrics({
+    totalKeys: globalMetrics.totalKeys,
+    postsFound: globalMetrics.postsFound
+  });
 }
 
-/* ===================== STOP FLAG (Electron) ===================== */
+/* ===================== RUN BUDGET (USD) ===================== */
+const budget = runBudget.createRunBudget({ unit: "usd" });
 
-const STOP_FLAG_FILE = process.env.STOP_FLAG_FILE || null;
-function shouldStop() {
-  return cancelRequested || (STOP_FLAG_FILE && fs.existsSync(STOP_FLAG_FILE));
-}
+/* ===================== GRACEFUL STOP (SIGTERM/SIGINT/STOP_FLAG_FILE) ===================== */
 
-/* ===================== GRACEFUL STOP (SIGTERM/SIGINT) ===================== */
-
-function handleStopSignal(signal) {
+function handleStopSignal(reason) {
   console.log("");
   console.log("=".repeat(80));
-  console.log(`[STOP] Signal ${signal} received by post-finder.`);
+  console.log(`[STOP] Stop requested (${reason}) in post-finder.`);
   console.log("[STOP] Will NOT start new keywords.");
   console.log("[STOP] Any in-flight Apify run will finish, then exit.");
   console.log("=".repeat(80));
-  cancelRequested = true;
 }
 
-process.on("SIGTERM", handleStopSignal);
-process.on("SIGINT", handleStopSignal);
+const shouldStop = stopSignal.watchStop(handleStopSignal);
 
 /* ===================== CLI + ENV PARSING ===================== */
 const argv = process.argv.slice(2);
@@ -113,7 +110,6 @@ const DEFAULT_OUTPUT_CSV = path.join(DEFAULT_OUTPUT_DIR, "posts.csv");
 
 // Data files next to this script by default
 const DEFAULT_KEYS_JSON = path.join(__dirname, "keys.json");
-const DEFAULT_USED_KEYS_BASENAME = "used_keys.json";
 const DEFAULT_KEYWORDS_BASENAME = "keywords.json";
 
 /* ===================== EFFECTIVE CONFIG ===================== */
@@ -130,21 +126,20 @@ const OUTPUT_CSV = getArg(
   fromEnv("outputCsv", path.join(OUTPUT_DIR, "posts.csv"))
 );
 
-// keys.json
+// keys.json (the UI sends keysFilePath)
 const KEYS_JSON = getArg(
   "--keys",
-  fromEnv("keysJson", DEFAULT_KEYS_JSON)
+  fromEnv("keysJson", fromEnv("keysFilePath", DEFAULT_KEYS_JSON))
 );
 
-// used_keys.json & keywords.json live next to KEYS_JSON
+// Keys picked from the app's vault replace keys.json
+const VAULT_TOKENS = vaultKeys.getVaultApifyTokens();
+
+// keywords.json lives next to KEYS_JSON (app key-state folder for vault keys)
 const KEYS_DIR = path.dirname(KEYS_JSON);
-const USED_KEYS_JSON = path.join(
-  KEYS_DIR,
-  path.basename(fromEnv("usedKeysJson", DEFAULT_USED_KEYS_BASENAME))
-);
-const KEYWORDS_JSON = path.join(
-  KEYS_DIR,
-  path.basename(fromEnv("keywordsJson", DEFAULT_KEYWORDS_BASENAME))
+const KEYWORDS_JSON = vaultKeys.keyStateFile(
+  path.basename(fromEnv("keywordsJson", DEFAULT_KEYWORDS_BASENAME)),
+  KEYS_DIR
 );
 
 // Per-key quota (Electron → CLI → default 3000)
@@ -153,6 +148,20 @@ const PER_KEY_LIMIT = getArgNumber(
   fromEnv("perKeyLimit", 3000)
 );
 
+// Check real monthly usage with Apify before the first keyword
+const RECONCILE_KEYS = argv.includes("--reconcile-keys") || !!fromEnv("reconcileKeyUsage", false);
+
+// Shared key pool: budget counted in dataset items (posts) per key
+let pool = null;
+function openPool() {
+  return keyPool.openApifyKeyPool({
+    scope: "post-finder",
+    keysPath: KEYS_JSON,
+    budgetPerKey: PER_KEY_LIMIT,
+    log: (level, msg) => console.log(`${level === "warn" ? "⚠️ " : "ℹ️ "} ${msg}`),
+  });
+}
+
 // Single keyword / keyword file (Electron → CLI)
 const KEYWORD_FILE = getArg(
   "--keyword-file",
@@ -187,7 +196,7 @@ function writeJson(file, data) {
 
 // Initialize data stores if missing
 function initStores() {
-  if (!fs.existsSync(KEYS_JSON)) {
+  if (!VAULT_TOKENS.length && !fs.existsSync(KEYS_JSON)) {
     writeJson(KEYS_JSON, [
       // "apify_api_XXXXXXXXXXXXXXXXXXXXXXXXXXXX",
       // "apify_api_YYYYYYYYYYYYYYYYYYYYYYYYYYYY"
@@ -198,60 +207,12 @@ function initStores() {
       )} — add your Apify API keys (array of strings).`
     );
   }
-  if (!fs.existsSync(USED_KEYS_JSON)) {
-    writeJson(USED_KEYS_JSON, []);
-    console.log(`⛏️  Created ${path.basename(USED_KEYS_JSON)}.`);
-  }
   if (!fs.existsSync(KEYWORDS_JSON)) {
     writeJson(KEYWORDS_JSON, { scraped: [] });
     console.log(`⛏️  Created ${path.basename(KEYWORDS_JSON)}.`);
   }
 }
 
-// Load next usable key (one with remaining > 0). If not in used file yet, seed with PER_KEY_LIMIT.
-function getNextKey() {
-  const keys = readJsonSafe(KEYS_JSON, []);
-  if (keys.length === 0) {
-    console.error("❌ No API keys found in keys.json. Add at least one key.");
-    process.exit(1);
-  }
-  let used = readJsonSafe(USED_KEYS_JSON, []);
-
-  // Seed any new keys not yet tracked
-  const usedTokensSet = new Set(used.map((k) => k.token));
-  keys.forEach((k) => {
-    if (!usedTokensSet.has(k)) {
-      used.push({ token: k, remaining: PER_KEY_LIMIT });
-    }
-  });
-
-  // Filter keys with remaining > 0
-  used = used.filter((k) => k.remaining > 0);
-
-  if (used.length === 0) {
-    console.error(
-      "❌ All API keys are exhausted. Refill keys.json or reset used_keys.json."
-    );
-    process.exit(1);
-  }
-
-  // Save normalized used list
-  writeJson(USED_KEYS_JSON, used);
-
-  // Return first usable
-  return used[0];
-}
-
-function decrementRemaining(token, amount) {
-  const used = readJsonSafe(USED_KEYS_JSON, []);
-  const idx = used.findIndex((k) => k.token === token);
-  if (idx >= 0) {
-    const newRemaining = Math.max(0, used[idx].remaining - amount);
-    used[idx].remaining = newRemaining;
-    writeJson(USED_KEYS_JSON, used);
-  }
-}
-
 // Append or create CSV with header
 function appendToCsv(rows) {
   ensureDir(OUTPUT_DIR);
@@ -343,7 +304,8 @@ function ask(question) {
  * Returns an object:
  *   { consumed: <raw items count>, scraped: <unique filtered rows count> }
  */
-async function runOnceWithCurrentKey(keyword, apiToken) {
+async function runOnceWithCurrentKey(keyword, keyObj) {
+  const apiToken = keyObj.token;
   if (shouldStop()) {
     console.log(
       `⏹ Stop requested before Apify call for keyword: "${keyword}". Skipping.`
@@ -354,7 +316,7 @@ async function runOnceWithCurrentKey(keyword, apiToken) {
   console.log(`\n🔎 Keyword: "${keyword}"`);
   console.log(`🔐 Using API key (masked): ${apiToken.slice(0, 10)}...`);
 
-  const client = new ApifyClient({ token: apiToken });
+  const client = new ApifyClient(apiEndpoints.apifyClientOptions(apiToken));
 
   const input = {
     searchQueries: [keyword],
@@ -378,18 +340,26 @@ async function runOnceWithCurrentKey(keyword, apiToken) {
   let run;
   try {
     // Once the request is sent, we MUST wait for it to complete
-    run = await client.actor(actorId).call(input);
+    run = await apifyRuns.startAndWait(client, actorId, input, {
+      token: apiToken,
+      keyLabel: keyObj.label,
+      output: OUTPUT_CSV,
+      meta: { keyword },
+    });
   } finally {
     // Restore console methods
     console.log = originalLog;
     console.error = originalError;
     console.warn = originalWarn;
   }
+  budget.add(run.usageTotalUsd);
 
   originalLog("📥 Fetching dataset items...");
   const items = await listAllItems(client, run.defaultDatasetId);
 
-  originalLog(`📦 Retrieved ${items.length} raw items.`);
+  originalLog(
+    `📦 Retrieved ${items.length} raw items.${apifyRuns.isPartial(run) ? ` (partial: run ${run.status})` : ""}`
+  );
   const normalized = items.map(normalizeItem);
 
   // Filter: reactions >= 20 and valid url
@@ -411,6 +381,7 @@ async function runOnceWithCurrentKey(keyword, apiToken) {
   } else {
     originalLog("ℹ️  No rows met the criteria for this keyword.");
   }
+  apifyRuns.collected(run.id);
 
   // `consumed` = all dataset items fetched
   // `scraped`  = unique rows that passed filter
@@ -431,6 +402,9 @@ async function scrapeKeyword(keyword) {
     return;
   }
 
+  // Keys that already failed this keyword
+  const triedKeys = [];
+
   for (;;) {
     if (shouldStop()) {
       console.log(
@@ -439,31 +413,32 @@ async function scrapeKeyword(keyword) {
       return;
     }
 
-    const keyObj = getNextKey(); // ensures used_keys.json exists and finds key with remaining > 0
+    const keyObj = await pool.waitForKey({ exclude: triedKeys, shouldStop });
     if (!keyObj) {
-      console.error("❌ No usable keys left.");
+      if (shouldStop()) return;
+      console.error(
+        "❌ No usable keys left. Refill keys.json or check apify-key-pool.json."
+      );
       process.exit(1);
     }
+    triedKeys.push(keyObj.id);
 
     console.log(
       `\n🔁 Current key remaining budget: ${keyObj.remaining} posts`
     );
 
-    // Emit an initial STATE snapshot (before run)
-    console.log(
-      "::STATE:: " +
-        JSON.stringify({
-          keyword,
-          activeKey: keyObj.token.slice(0, 8) + "...",
-          scraped: 0,
-          remainingPerKey: keyObj.remaining,
-        })
-    );
+    // Emit an initial snapshot (before run)
+    events.metrics({
+      keyword,
+      activeKey: keyObj.label,
+      scraped: 0,
+      remainingPerKey: keyObj.remaining,
+    });
 
     try {
       const { consumed, scraped } = await runOnceWithCurrentKey(
         keyword,
-        keyObj.token
+        keyObj
       );
 
       if (shouldStop()) {
@@ -473,44 +448,31 @@ async function scrapeKeyword(keyword) {
       }
 
       const charge = Math.max(1, consumed); // at least 1 to avoid stuck state
-      decrementRemaining(keyObj.token, charge);
-      console.log(
-        `🔻 Deducted ${charge}. Key budget updated in used_keys.json.\n`
-      );
-
-      // Read updated remaining for this key to show accurate value
-      const usedAfter = readJsonSafe(USED_KEYS_JSON, []);
-      const entryAfter = usedAfter.find((x) => x.token === keyObj.token);
-      const remainingAfter =
-        entryAfter && typeof entryAfter.remaining === "number"
-          ? entryAfter.remaining
-          : null;
+      const after = pool.charge(keyObj, charge);
+      pool.reportSuccess(keyObj);
+      console.log(`🔻 Deducted ${charge}. Key budget updated.\n`);
 
       // Update postsFound metric
       globalMetrics.postsFound += scraped;
       emitMetrics();
 
-      // Emit STATE snapshot after run for UI
-      console.log(
-        "::STATE:: " +
-          JSON.stringify({
-            keyword,
-            activeKey: keyObj.token.slice(0, 8) + "...",
-            scraped,
-            remainingPerKey: remainingAfter,
-          })
-      );
+      // Emit snapshot after run for UI
+      events.metrics({
+        keyword,
+        activeKey: keyObj.label,
+        scraped,
+        remainingPerKey: after ? after.remaining : null,
+      });
 
       // One run per keyword by design.
       break;
     } catch (err) {
       const msg = err?.message || err;
+      const { action } = pool.reportError(keyObj, err);
       console.error(
-        "❌ Error with this key. Will rotate to next key.\n",
+        `❌ Error with this key (${action}). Will rotate to next key.\n`,
         msg?.message || msg
       );
-      // Exhaust this key and rotate
-      decrementRemaining(keyObj.token, keyObj.remaining || PER_KEY_LIMIT);
       // loop continues to next available key
     }
   }
@@ -581,10 +543,20 @@ function loadKeywordsFromFile(filePath) {
   initStores();
 
   // Initialize totalKeys count
-  const keys = readJsonSafe(KEYS_JSON, []);
-  globalMetrics.totalKeys = keys.length;
+  pool = openPool();
+  if (!pool.size) {
+    console.error("❌ No API keys found in keys.json. Add at least one key.");
+    process.exit(1);
+  }
+  globalMetrics.totalKeys = pool.size;
   emitMetrics();
 
+  if (RECONCILE_KEYS) {
+    console.log("🔎 Checking key usage with Apify...");
+    await pool.reconcile();
+  }
+  console.table(pool.summary());
+
   // Ensure CSV header exists (create empty file with header if not present)
   if (!fs.existsSync(OUTPUT_CSV)) {
     appendToCsv([]); // this writes just header
@@ -606,6 +578,8 @@ function loadKeywordsFromFile(filePath) {
     );
 
     const kwStore = readJsonSafe(KEYWORDS_JSON, { scraped: [] });
+    let keywordsDone = 0;
+    events.progress(0, keywords.length, { unit: "keywords" });
     for (const kw of keywords) {
       if (shouldStop()) {
         console.log(
@@ -613,16 +587,26 @@ function loadKeywordsFromFile(filePath) {
         );
         break;
       }
+      if (budget.exceeded()) {
+        console.log("💸 Budget reached; not starting more keywords.");
+        break;
+      }
 
       const lower = kw.toLowerCase();
       if (kwStore.scraped.includes(lower)) {
         console.log(`⚠️  "${kw}" is already scraped. Skipping.`);
-        continue;
+      } else {
+        await scrapeKeyword(kw);
       }
-      await scrapeKeyword(kw);
+      events.progress(++keywordsDone, keywords.length, { unit: "keywords" });
     }
 
+    console.log(budget.summary());
     console.log("👋 Done. (non-interactive run)");
+    events.artifact(OUTPUT_CSV);
+    events.summary(shouldStop() || budget.exceeded() ? "stopped" : "done", {
+      counts: { keywords: keywords.length, keywordsDone, postsFound: globalMetrics.postsFound },
+    });
     return;
   }
 
@@ -663,6 +647,10 @@ function loadKeywordsFromFile(filePath) {
       console.log("⏹ Stop requested; exiting after current keyword.");
       break;
     }
+    if (budget.exceeded()) {
+      console.log(budget.summary());
+      break;
+    }
 
     const more = (
       await ask("Do you want to scrape MORE? (y/n): ")
@@ -8,15 +8,17 @@ import { fileURLToPath } from "url";
 import { parse } from "csv-parse/sync";
 import { stringify } from "csv-stringify/sync";
 import { ApifyClient } from "apify-client";
+import keyPool from "../lib/apify-key-pool.js";
+import apiEndpoints from "../lib/api-endpoints.js";
+import runBudget from "../lib/run-budget.js";
+import apifyRuns from "../lib/apify-runs.js";
+import stopSignal from "../lib/stop-signal.js";
+import events from "../lib/events.js";
+import columnMap from "../lib/column-map.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-/* ----------------- STOP SUPPORT ----------------- */
-
-const STOP_FLAG_FILE = process.env.STOP_FLAG_FILE || "";
-let stopRequested = false;
-
 /* ----------------- METRICS TRACKING ----------------- */
 
 let globalMetrics = {
@@ -25,41 +27,31 @@ let globalMetrics = {
 };
 
 function emitMetrics() {
-  console.log(JSON.stringify({
-    type: 'metrics',
-    metrics: {
-      postsProcessed: globalMetrics.postsProcessed,
-      uniqueReactors: globalMetrics.uniqueReactors
-    }
-  }));
+  events.metrics({
+    postsProcessed: globalMetrics.postsProcessed,
+    uniqueReactors: globalMetrics.uniqueReactors
+  });
 }
 
-function handleStopSignal(signal) {
+/* ----------------- STOP SUPPORT ----------------- */
+
+function handleStopSignal(reason) {
   console.log("");
   console.log("=".repeat(80));
-  console.log(`[STOP] Signal ${signal} received.`);
+  console.log(`[STOP] Stop requested (${reason}).`);
   console.log("[STOP] Will NOT start new posts or new API keys.");
   console.log(
     "[STOP] Any in-flight Apify run will be awaited, then script will exit gracefully."
   );
   console.log("=".repeat(80));
-  stopRequested = true;
 }
 
-process.on("SIGTERM", handleStopSignal);
-process.on("SIGINT", handleStopSignal);
+// Signal or STOP_FLAG_FILE
+const shouldStop = stopSignal.watchStop(handleStopSignal);
 
-function softStopRequested() {
-  try {
-    return STOP_FLAG_FILE && fs.existsSync(STOP_FLAG_FILE);
-  } catch {
-    return false;
-  }
-}
+/* ================= RUN BUDGET (USD) ================= */
 
-function shouldStop() {
-  return stopRequested || softStopRequested();
-}
+const budget = runBudget.createRunBudget({ unit: "usd" });
 
 /* ================= CLI + ENV CONFIG ================= */
 
@@ -88,6 +80,9 @@ try {
 const fromEnv = (key, fallback) =>
   Object.prototype.hasOwnProperty.call(envCfg, key) ? envCfg[key] : fallback;
 
+// Column mapper (lib/column-map): the post URL column, else "post url"
+const COLUMN_MAP = columnMap.readColumnMap(envCfg);
+
 /* ================= DEFAULT CONFIG ================= */
 
 const DEFAULT_INPUT_CSV =
@@ -108,12 +103,9 @@ const APIFY_ACTOR_ID = getArg(
   "--actor",
   fromEnv("actorId", DEFAULT_APIFY_ACTOR_ID)
 );
-const KEYS_JSON = getArg("--keys", fromEnv("keysJson", DEFAULT_KEYS_JSON));
-
-const KEYS_DIR = path.dirname(KEYS_JSON);
-const USED_KEYS_JSON = getArg(
-  "--used-keys",
-  path.join(KEYS_DIR, "used_keys.json")
+const KEYS_JSON = getArg(
+  "--keys",
+  fromEnv("keysJson", fromEnv("keysFilePath", DEFAULT_KEYS_JSON))
 );
 
 const PER_KEY_REACTION_LIMIT = getArgNumber(
@@ -127,6 +119,9 @@ const RESET_BUDGETS_FLAG =
 const UNBLOCK_ALL_FLAG =
   argv.includes("--unblock-all-keys") || !!fromEnv("unblockAll", false);
 
+const RECONCILE_KEYS_FLAG =
+  argv.includes("--reconcile-keys") || !!fromEnv("reconcileKeyUsage", false);
+
 const hr = () => console.log("=".repeat(80));
 
 /* ================= HELPERS ================= */
@@ -160,38 +155,11 @@ function writeCsv(filePath, rows) {
   fs.writeFileSync(filePath, csv, "utf8");
 }
 
-function loadJson(filePath, fallback) {
-  try {
-    if (!fs.existsSync(filePath)) return fallback;
-    return JSON.parse(fs.readFileSync(filePath, "utf8"));
-  } catch {
-    return fallback;
-  }
-}
-
-function saveJson(filePath, data) {
-  fs.writeFileSync(filePath, JSON.stringify(data, null, 2), "utf8");
-}
-
-function classifyErrorType(err) {
-  const status = err?.statusCode ?? err?.status ?? null;
-  const msg = String(err?.message || "").toLowerCase();
-
-  if (status === 401 || status === 403) return "auth";
-  if (status === 402) return "billing";
-  if (status === 429) return "quota";
-
-  if (msg.includes("billing")) return "billing";
-  if (msg.includes("invalid token")) return "auth";
-  if (msg.includes("rate limit")) return "quota";
-
-  return "other";
-}
 
 /* ================= ACTOR CALL ================= */
 
-async function runActorOnce(apifyToken, postUrl) {
-  const client = new ApifyClient({ token: apifyToken });
+async function runActorOnce(key, postUrl, outPath) {
+  const client = new ApifyClient(apiEndpoints.apifyClientOptions(key.token));
   const input = { posts: [postUrl] };
   
   // Suppress console output from Apify
@@ -206,13 +174,19 @@ async function runActorOnce(apifyToken, postUrl) {
   let run;
   try {
     // Once the request is sent, we MUST wait for it to complete
-    run = await client.actor(APIFY_ACTOR_ID).call(input);
+    run = await apifyRuns.startAndWait(client, APIFY_ACTOR_ID, input, {
+      token: key.token,
+      keyLabel: key.label,
+      output: outPath,
+      meta: { postUrl },
+    });
   } finally {
     // Restore console methods
     console.log = originalLog;
     console.error = originalError;
     console.warn = originalWarn;
   }
+  budget.add(run.usageTotalUsd);
 
   const items = [];
   let offset = 0;
@@ -228,7 +202,7 @@ async function runActorOnce(apifyToken, postUrl) {
     offset += batch.length;
   }
 
-  return items;
+  return { items, runId: run.id, partial: apifyRuns.isPartial(run) };
 }
 
 function flatten(obj, prefix = "", out = {}) {
@@ -266,45 +240,40 @@ function itemsToRows(items) {
 
   ensureDir(OUTPUT_DIR);
 
-  const keysPriority = loadJson(KEYS_JSON, []);
-  let keyStates = loadJson(USED_KEYS_JSON, []);
-
-  if (RESET_BUDGETS_FLAG || !keyStates.length) {
-    keyStates = keysPriority.map((t) => ({
-      token: t,
-      remaining: PER_KEY_REACTION_LIMIT,
-      blocked: false,
-    }));
-    saveJson(USED_KEYS_JSON, keyStates);
-  }
+  // Shared key pool: budget counted in reactions per key
+  const pool = keyPool.openApifyKeyPool({
+    scope: "reaction-scraper",
+    keysPath: KEYS_JSON,
+    budgetPerKey: PER_KEY_REACTION_LIMIT,
+    log: (level, msg) => console.log(`[${level.toUpperCase()}] ${msg}`),
+  });
 
-  if (UNBLOCK_ALL_FLAG) {
-    keyStates = keyStates.map((k) => ({ ...k, blocked: false }));
-    saveJson(USED_KEYS_JSON, keyStates);
+  if (RESET_BUDGETS_FLAG) pool.resetUsage();
+  if (UNBLOCK_ALL_FLAG) pool.unbanAll();
+  if (RECONCILE_KEYS_FLAG) {
+    console.log("Checking key usage with Apify...");
+    await pool.reconcile();
   }
+  console.table(pool.summary());
 
   let inputRows = readCsv(INPUT_CSV);
+  const postUrlCol = inputRows.length
+    ? columnMap.resolveColumn(Object.keys(inputRows[0]), COLUMN_MAP, "postUrl", ["post url"]) || "post url"
+    : "post url";
 
   let processed = 0,
     skipped = 0,
     failed = 0;
 
   const emitState = (extra = {}) => {
-    console.log(
-      "::STATE:: " +
-        JSON.stringify({
-          processed,
-          skipped,
-          failed,
-          ...extra,
-        })
-    );
+    events.metrics({ processed, skipped, failed, ...extra });
+    events.progress(processed + skipped + failed, inputRows.length, { unit: "posts" });
   };
 
   emitState();
 
   for (let i = 0; i < inputRows.length; i++) {
-    if (shouldStop()) break;
+    if (shouldStop() || budget.exceeded()) break;
 
     const row = inputRows[i];
     if (String(row.status || "").toLowerCase() === "done") {
@@ -313,7 +282,7 @@ function itemsToRows(items) {
       continue;
     }
 
-    const postUrl = (row["post url"] || "").trim();
+    const postUrl = (row[postUrlCol] || "").trim();
     const authorName = (row["author name"] || "unknown").trim();
     const reactionNeed = Math.max(
       1,
@@ -324,38 +293,44 @@ function itemsToRows(items) {
     const outPath = path.join(OUTPUT_DIR, outName);
 
     let rowDone = false;
+    const triedKeys = [];
 
     while (!rowDone) {
       if (shouldStop()) break;
 
-      const activeKey = keyStates.find(
-        (k) => !k.blocked && k.remaining > 0
-      );
+      const activeKey = await pool.waitForKey({
+        need: reactionNeed,
+        exclude: triedKeys,
+        shouldStop,
+      });
       if (!activeKey) {
         failed++;
+        events.warningRow("No usable Apify key left", { row: i + 1, file: INPUT_CSV });
         break;
       }
+      triedKeys.push(activeKey.id);
 
       emitState({
         currentIndex: i + 1,
         currentAuthor: authorName,
-        activeKey: activeKey.token.slice(0, 8) + "...",
+        activeKey: activeKey.label,
       });
 
       try {
-        const items = await runActorOnce(activeKey.token, postUrl);
+        const { items, runId, partial } = await runActorOnce(activeKey, postUrl, outPath);
         const rows = itemsToRows(items);
 
         writeCsv(outPath, rows);
+        events.artifact(outPath, { rows: rows.length, ...(partial ? { label: "Partial reactions" } : {}) });
+        apifyRuns.collected(runId);
 
-        row.status = "done";
+        // Aborted by Stop: keep the partial file, redo the post next time
+        row.status = partial ? "partial" : "done";
+        if (partial) console.log(`Saved ${rows.length} partial reactor(s) for ${authorName} (run aborted)`);
         writeCsv(INPUT_CSV, inputRows);
 
-        activeKey.remaining = Math.max(
-          0,
-          activeKey.remaining - reactionNeed
-        );
-        saveJson(USED_KEYS_JSON, keyStates);
+        pool.charge(activeKey, reactionNeed);
+        pool.reportSuccess(activeKey);
 
         processed++;
         globalMetrics.postsProcessed = processed;
@@ -365,13 +340,12 @@ function itemsToRows(items) {
 
         if (shouldStop()) break;
       } catch (err) {
-        const errType = classifyErrorType(err);
+        const { kind } = pool.reportError(activeKey, err);
 
-        if (errType !== "other") {
-          activeKey.blocked = true;
-          saveJson(USED_KEYS_JSON, keyStates);
-        } else {
+        // Key problems rotate to the next key; anything else fails the row
+        if (kind === "other") {
           failed++;
+          events.warningRow(err?.message || String(err), { row: i + 1, file: INPUT_CSV });
           break;
         }
       }
@@ -380,11 +354,16 @@ function itemsToRows(items) {
 
   hr();
   if (shouldStop()) console.log("STOPPED BY USER");
+  else if (budget.exceeded()) console.log("STOPPED: BUDGET REACHED");
   else console.log("DONE");
   console.log(`Processed: ${processed}`);
   console.log(`Skipped:   ${skipped}`);
   console.log(`Failed:    ${failed}`);
+  console.log(budget.summary());
   hr();
 
   emitState();
+  events.summary(shouldStop() || budget.exceeded() ? "stopped" : "done", {
+    counts: { processed, skipped, failed, uniqueReactors: globalMetrics.uniqueReactors },
+  });
 })();
@@ -15,7 +15,10 @@
  * Node v18+
  */
 
-const API_URL = "https://api.blitz-api.ai/v2/utilities/current-date";
+const { createBlitzClient } = require("../lib/blitz-client");
+const { watchStop } = require("../lib/stop-signal");
+
+const ENDPOINT = "/v2/utilities/current-date";
 
 /* =========================
  * CLI + TOOL_CONFIG
@@ -103,28 +106,10 @@ function jlog(level, msg, meta = {}) {
  * Network
  * =======================*/
 async function callCurrentDate({ apiKey, region }) {
-  const t0 = Date.now();
-
-  const res = await fetch(API_URL, {
-    method: "POST",
-    headers: {
-      "x-api-key": apiKey,
-      "Content-Type": "application/json",
-    },
-    body: JSON.stringify({ region }),
-  });
-
-  const ms = Date.now() - t0;
-
-  const text = await res.text();
-  let data;
-  try {
-    data = JSON.parse(text);
-  } catch {
-    data = { _raw: text };
-  }
-
-  return { ok: res.ok, status: res.status, ms, data };
+  // Single call: no need to look up the key's rate limit first
+  const client = createBlitzClient({ apiKey });
+  const res = await client.post(ENDPOINT, { region });
+  return { ok: res.ok, status: res.status, ms: res.duration_ms, data: res.data };
 }
 
 /* =========================
@@ -159,6 +144,13 @@ async function main() {
     UI.line();
   }
 
+  // A single request, nothing to save: Stop ends the run at once
+  watchStop((reason) => {
+    UI.warn(`Stopped (${reason})`);
+    jlog("warn", "stopped", { reason });
+    process.exit(0);
+  });
+
   const r = await callCurrentDate({ apiKey, region });
 
   if (!r.ok) {
@@ -4,7 +4,15 @@
 const fs = require("fs");
 const path = require("path");
 
-const API_URL = "https://api.blitz-api.ai/v2/enrichment/domain-to-linkedin";
+const { createBlitzClient } = require("../lib/blitz-client");
+const { openEnrichmentCache } = require("../lib/enrichment-cache");
+const { createRunBudget } = require("../lib/run-budget");
+const { watchStop } = require("../lib/stop-signal");
+const events = require("../lib/events");
+const { readColumnMap, resolveColumn } = require("../lib/column-map");
+const { normalizeDomain, isValidValue } = require("../lib/input-checks");
+
+const ENDPOINT = "/v2/enrichment/domain-to-linkedin";
 
 // Ensure packaged apps can resolve dependencies
 const appRoot = process.env.APP_ROOT || path.resolve(__dirname, "../../");
@@ -39,6 +47,8 @@ function getConfig() {
     singleDomain: config.singleDomain || getArg("--domain"),
     inputPath: config.inputPath || getArg("--input"),
     columnName: config.columnName || getArg("--column", "domain"),
+    // columnMap (column mapper) wins over columnName
+    columnMap: readColumnMap(config),
     outputDir: config.outputDir || getArg("--output-dir", "./output"),
     outputFileName: config.outputFileName || getArg("--output-file", ""),
     concurrency: parseInt(config.concurrency || getArg("--concurrency", "6"), 10),
@@ -56,55 +66,16 @@ function fmtMs(ms) {
   return `${(ms / 1000).toFixed(2)}s`;
 }
 
-function sleep(ms) {
-  return new Promise((resolve) => setTimeout(resolve, ms));
-}
-
-// Accepts "blitz-agency.com" or "https://blitz-agency.com"
-function normalizeDomain(input) {
-  if (!input) return "";
-  let s = input.trim();
-  if (!s) return "";
-
-  // if it's a URL, parse it
-  if (/^https?:\/\//i.test(s)) {
-    try {
-      const u = new URL(s);
-      return u.hostname; // keep just host
-    } catch {
-      // fall through
-    }
-  }
-
-  // remove path if user pasted without scheme
-  s = s.replace(/\/.*$/, "");
-  // remove trailing slash
-  s = s.replace(/\/$/, "");
-  // remove leading www.
-  s = s.replace(/^www\./i, "");
-  return s;
-}
-
+// Accepts "blitz-agency.com" or "https://blitz-agency.com" (normalizeDomain: lib/input-checks)
 function looksLikeDomainish(s) {
-  const d = normalizeDomain(s);
-  return d.includes(".") && !d.includes(" ");
+  return isValidValue("domain", normalizeDomain(s));
 }
 
 function emitStatus(phase = "running", extra = {}) {
   const { totalDomains = null, domainsProcessed = null, urlsFound = null, urlsNotFound = null } = extra;
 
-  console.log(
-    JSON.stringify({
-      type: "status",
-      status: phase,
-      metrics: {
-        totalDomains,
-        domainsProcessed,
-        urlsFound,
-        urlsNotFound,
-      },
-    })
-  );
+  events.status(phase, { totalDomains, domainsProcessed, urlsFound, urlsNotFound });
+  if (domainsProcessed !== null) events.progress(domainsProcessed, totalDomains, { unit: "domains" });
 }
 
 function csvEscape(v) {
@@ -177,46 +148,13 @@ function extractLines(text) {
     .filter(Boolean);
 }
 
-async function blitzDomainToLinkedin(domainInput, apiKey, attempt = 1) {
-  const t0 = Date.now();
-
+function blitzDomainToLinkedin(client, domainInput, onRetry) {
   // API expects "domain" - send original if it's a URL, else send normalized domain
   const payloadDomain = /^https?:\/\//i.test(domainInput)
     ? domainInput.trim()
     : normalizeDomain(domainInput);
 
-  const res = await fetch(API_URL, {
-    method: "POST",
-    headers: {
-      "x-api-key": apiKey,
-      "Content-Type": "application/json",
-    },
-    body: JSON.stringify({ domain: payloadDomain }),
-  });
-
-  const text = await res.text();
-  let data;
-  try {
-    data = JSON.parse(text);
-  } catch {
-    data = { _raw: text };
-  }
-
-  const ms = Date.now() - t0;
-
-  if (!res.ok) {
-    const status = res.status;
-    const shouldRetry = status === 429 || status >= 500;
-
-    if (shouldRetry && attempt < 5) {
-      const backoff = Math.min(15000, 750 * Math.pow(2, attempt));
-      return { ok: "retry", status, duration_ms: ms, data, backoff };
-    }
-
-    return { ok: false, status, duration_ms: ms, data };
-  }
-
-  return { ok: true, status: res.status, duration_ms: ms, data };
+  return client.post(ENDPOINT, { domain: payloadDomain }, { onRetry, cache: true });
 }
 
 function flattenRow(raw_domain, result) {
@@ -262,11 +200,12 @@ async function main() {
 
     if (ext === ".csv") {
       const parsed = parseCSV(raw);
-      if (!parsed.headers.includes(columnName)) {
+      const column = resolveColumn(parsed.headers, config.columnMap, "domain", [columnName]);
+      if (!column) {
         console.error(`CSV missing column "${columnName}". Found: ${parsed.headers.join(", ")}`);
         process.exit(1);
       }
-      domains = parsed.rows.map((r) => (r[columnName] || "").trim()).filter(Boolean);
+      domains = parsed.rows.map((r) => (r[column] || "").trim()).filter(Boolean);
     } else {
       domains = extractLines(raw);
     }
@@ -276,12 +215,22 @@ async function main() {
   }
 
   // clean + dedupe + validate
-  domains = Array.from(new Set(domains.map((d) => d.trim()).filter(Boolean)));
+  // "acme.com" and "https://www.acme.com/about" are the same company: keep the first
+  const seenDomains = new Set();
+  domains = domains
+    .map((d) => d.trim())
+    .filter((d) => {
+      const key = normalizeDomain(d);
+      if (!d || seenDomains.has(key)) return false;
+      seenDomains.add(key);
+      return true;
+    });
   const invalid = domains.filter((d) => !looksLikeDomainish(d));
   domains = domains.filter((d) => looksLikeDomainish(d));
 
   if (invalid.length) {
     console.log(`Skipping ${invalid.length} invalid-looking domains (kept ${domains.length}).`);
+    invalid.forEach((d) => events.warningRow(`Not a domain: ${d}`, { data: { value: d } }));
   }
 
   if (!domains.length) {
@@ -307,26 +256,27 @@ async function main() {
   let foundTrue = 0;
   let failed = 0;
 
-  console.log(`Starting run • ${domains.length} domains • concurrency ${concurrency}`);
+  const budget = createRunBudget({ unit: "credits" });
+  const stopRequested = watchStop((reason) => console.log(`⏹ Stop requested (${reason}) • not starting new domains, waiting for in-flight requests…`));
+  const cache = openEnrichmentCache();
+  const client = createBlitzClient({ apiKey, budget, cache });
+  const limit = await client.init();
+
+  console.log(`Starting run • ${domains.length} domains • concurrency ${concurrency} • ${limit.rate} req/s (${limit.source})`);
   console.log(`Output dir: ${path.resolve(outputDir)}`);
 
   async function worker(workerId) {
     while (true) {
+      if (budget.exceeded() || stopRequested()) return;
       const i = cursor++;
       if (i >= domains.length) return;
 
       const d = domains[i];
 
       try {
-        let res = await blitzDomainToLinkedin(d, apiKey, 1);
-
-        let attempts = 1;
-        while (res.ok === "retry") {
-          console.log(`Worker ${workerId} retry (${res.status}) • ${d}`);
-          await sleep(res.backoff);
-          attempts++;
-          res = await blitzDomainToLinkedin(d, apiKey, attempts);
-        }
+        const res = await blitzDomainToLinkedin(client, d, ({ status, error, waitMs }) => {
+          console.log(`Worker ${workerId} retry (${status || error}) in ${fmtMs(waitMs)} • ${d}`);
+        });
 
         results[i] = flattenRow(d, res);
 
@@ -337,10 +287,11 @@ async function main() {
 
         if (ok) {
           if (found) foundTrue++;
-          console.log(`Worker ${workerId} • ${d} • ${found ? "FOUND" : "NO MATCH"} • ${fmtMs(res.duration_ms)}`);
+          console.log(`Worker ${workerId} • ${d} • ${found ? "FOUND" : "NO MATCH"} • ${res.cached ? "cached" : fmtMs(res.duration_ms)}`);
         } else {
           failed++;
           console.log(`Worker ${workerId} • ${d} • FAIL (${res.status || "?"}) • ${fmtMs(res.duration_ms)}`);
+          events.warningRow(`API request failed (${res.status || "?"})`, { data: { input: d } });
         }
 
         emitStatus("running", {
@@ -360,6 +311,7 @@ async function main() {
         failed++;
 
         console.error(`Error processing ${d}: ${e?.message || e}`);
+        events.warningRow(e?.message || String(e), { data: { input: d } });
       }
     }
   }
@@ -368,6 +320,7 @@ async function main() {
   const workers = Math.max(1, Math.min(concurrency || 1, 25));
   for (let w = 1; w <= workers; w++) pool.push(worker(w));
   await Promise.all(pool);
+  await client.syncCredits();
 
   const stamp = new Date().toISOString().replace(/[:.]/g, "-").replace("T", "_").replace("Z", "");
   const outFile = outputFileName && outputFileName.trim().length > 0
@@ -375,24 +328,33 @@ async function main() {
     : `domain_to_linkedin_${stamp}.csv`;
   const outPath = path.join(outputDir, outFile);
 
-  fs.writeFileSync(outPath, toCSV(headers, results), "utf8");
+  // Rows never started (budget reached / Stop) are left out
+  fs.writeFileSync(outPath, toCSV(headers, results.filter(Boolean)), "utf8");
+  events.artifact(outPath, { rows: results.filter(Boolean).length });
 
   const urlsFound = foundTrue;
   const urlsNotFound = Math.max(0, processed - foundTrue - failed);
 
   console.log(`DONE ✓ Saved: ${outPath}`);
   console.log(`Summary: total=${domains.length}, processed=${processed}, found=${urlsFound}, not_found=${urlsNotFound}, failed=${failed}`);
+  console.log(budget.summary());
+  console.log(cache.summary());
+  cache.flush();
 
-  emitStatus("done", {
+  emitStatus(budget.exceeded() || stopRequested() ? "stopped" : "done", {
     totalDomains: domains.length,
     domainsProcessed: processed,
     urlsFound,
     urlsNotFound,
   });
+  events.summary(budget.exceeded() || stopRequested() ? "stopped" : "done", {
+    counts: { total: domains.length, processed, found: urlsFound, notFound: urlsNotFound, failed, ...cache.metrics() },
+  });
 }
 
 main().catch((e) => {
   console.error("Fatal:", e);
   emitStatus("error", {});
+  events.summary("error", { message: e?.message || String(e) });
   process.exit(1);
 });
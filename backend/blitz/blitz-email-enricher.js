@@ -18,41 +18,28 @@ if (module.paths && !module.paths.includes(path.join(appRoot, "node_modules")))
 const csv = require("csv-parser");
 const createCsvWriter = require("csv-writer").createObjectCsvWriter;
 
-// fetch polyfill (Node 18+ has global fetch; older needs node-fetch)
-const fetch =
-  globalThis.fetch ||
-  ((...args) => import("node-fetch").then((m) => m.default(...args)));
+const { createBlitzClient } = require("../lib/blitz-client");
+const { blitzEmailEnrichBaseUrl } = require("../lib/api-endpoints");
+const { openEnrichmentCache } = require("../lib/enrichment-cache");
+const { createRunBudget } = require("../lib/run-budget");
+const { watchStop } = require("../lib/stop-signal");
+const events = require("../lib/events");
+const { readColumnMap, resolveColumn } = require("../lib/column-map");
 
 /* ========================
  * STOP SUPPORT
  * ======================*/
-const STOP_FLAG_FILE = process.env.STOP_FLAG_FILE || "";
-let stopRequested = false;
-
-function handleStopSignal(signal) {
+function handleStopSignal(reason) {
   console.log("");
   console.log("=".repeat(80));
-  console.log(`[STOP] Signal ${signal} received by blitz-email-enricher.`);
+  console.log(`[STOP] Stop requested (${reason}) in blitz-email-enricher.`);
   console.log("[STOP] Will NOT start new rows after the current one finishes.");
   console.log("[STOP] Current Blitz request (if any) will finish, then stop cleanly.");
   console.log("=".repeat(80));
-  stopRequested = true;
 }
 
-process.on("SIGINT", handleStopSignal);
-process.on("SIGTERM", handleStopSignal);
-
-function softStopRequested() {
-  try {
-    return STOP_FLAG_FILE && fs.existsSync(STOP_FLAG_FILE);
-  } catch {
-    return false;
-  }
-}
-
-function shouldStop() {
-  return stopRequested || softStopRequested();
-}
+// Signal or STOP_FLAG_FILE
+const shouldStop = watchStop(handleStopSignal);
 
 /* ========================
  * CLI + TOOL_CONFIG
@@ -101,6 +88,8 @@ const AUTHOR_NAME_COL = "Author Name";
 const FIRST_NAME_COL = "First Name";
 const LAST_NAME_COL = "Last Name";
 const STATUS_COL = "Status"; // ✅ NEW
+// Explicit { field: header } from the card's column mapper; wins over the names above
+const COLUMN_MAP = readColumnMap(envCfg);
 
 const BLITZ_OUTPUT_COLUMNS = [
   "Email [Blitz]",
@@ -110,9 +99,9 @@ const BLITZ_OUTPUT_COLUMNS = [
   "Company Linkedin Url [Blitz]",
 ];
 
-// Rate limit config (Blitz: 5 req / sec, ~18k/hour)
-const MAX_CONCURRENT_REQUESTS = 10;
-const MAX_REQUESTS_PER_SECOND = 5;
+// Blitz rate limit comes from the key's key-info (see backend/lib/blitz-client.js)
+// Absolute URL: this endpoint stays on its own production host
+const EMAIL_ENRICH_URL = `${blitzEmailEnrichBaseUrl()}/api/enrichment/email`;
 const CHECKPOINT_BATCH_SIZE = parseInt(
   getArg("--checkpoint-batch", fromEnv("checkpointBatchSize", "50")),
   10
@@ -186,94 +175,31 @@ function logLine(level, msg, obj) {
 }
 
 /* ========================
- * SIMPLE RATE LIMITER
+ * BLITZ LOOKUP (shared client)
  * ======================*/
-const jobQueue = [];
-let activeRequests = 0;
-let rateLimiterInterval = null;
-let lastRequestTime = 0;
+let blitz = null;
 
-// cache per profile URL to avoid multiple Blitz calls for same person
-const blitzCache = new Map();
+// persistent cache (backend/lib/enrichment-cache.js): a person already looked up
+// in this run, or within the TTL when "only cache misses" is on, costs no call
+let enrichCache = null;
 
-function startRateLimiter() {
-  if (rateLimiterInterval) return;
+async function blitzEmailLookup(profileUrl) {
+  if (!profileUrl) return { found: false, email: "" };
 
-  rateLimiterInterval = setInterval(async () => {
-    if (jobQueue.length === 0 && activeRequests === 0) return;
-
-    const now = Date.now();
-    const minTimeBetweenRequests = 1000 / MAX_REQUESTS_PER_SECOND;
-    if (now - lastRequestTime < minTimeBetweenRequests) return;
-
-    while (activeRequests < MAX_CONCURRENT_REQUESTS && jobQueue.length > 0) {
-      if (shouldStop()) break;
-
-      const job = jobQueue.shift();
-      activeRequests++;
-      lastRequestTime = Date.now();
-
-      runJob(job).finally(() => {
-        activeRequests--;
-      });
-    }
-  }, 50);
-}
+  const res = await blitz.post(EMAIL_ENRICH_URL, { linkedin_profile_url: profileUrl }, {
+    cache: true,
+    shouldStop,
+    onRetry: ({ status, error, attempt, waitMs }) => {
+      console.log(`⏳  Blitz ${status || error} for ${profileUrl} — retry #${attempt} in ${(waitMs / 1000).toFixed(1)}s`);
+    },
+  });
 
-function stopRateLimiter() {
-  if (rateLimiterInterval) {
-    clearInterval(rateLimiterInterval);
-    rateLimiterInterval = null;
+  if (!res.ok) {
+    const text = res.data?._raw ?? JSON.stringify(res.data);
+    throw new Error(`Blitz HTTP ${res.status} — ${text || ""}`.trim());
   }
-}
 
-function enqueueJob(job) {
-  jobQueue.push(job);
-}
-
-async function runJob(job) {
-  const { profileUrl, resolve, reject } = job;
-
-  try {
-    const res = await fetch("https://prod.blitz-api.ai/api/enrichment/email", {
-      method: "POST",
-      headers: {
-        "x-api-key": BLITZ_API_KEY,
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify({ linkedin_profile_url: profileUrl }),
-    });
-
-    if (!res.ok) {
-      const text = await res.text().catch(() => "");
-      throw new Error(
-        `Blitz HTTP ${res.status} — ${res.statusText || ""} ${text || ""}`.trim()
-      );
-    }
-
-    const data = await res.json();
-    resolve(data);
-  } catch (err) {
-    reject(err);
-  }
-}
-
-function blitzEmailLookup(profileUrl) {
-  if (!profileUrl) return Promise.resolve({ found: false, email: "" });
-
-  const cached = blitzCache.get(profileUrl);
-  if (cached) return Promise.resolve(cached);
-
-  return new Promise((resolve, reject) => {
-    enqueueJob({
-      profileUrl,
-      resolve: (data) => {
-        blitzCache.set(profileUrl, data);
-        resolve(data);
-      },
-      reject,
-    });
-  });
+  return res.data;
 }
 
 /* ========================
@@ -383,22 +309,17 @@ function emitMetrics(extra = {}) {
     skippedDone = null,
   } = extra;
 
-  console.log(
-    JSON.stringify({
-      type: "status",
-      status: phase,
-      metrics: {
-        currentFile,
-        totalFiles,
-        currentRow,
-        totalRows,
-        rowsProcessed: currentRow,
-        emailsFound,
-        emailsNotFound,
-        skippedDone,
-      },
-    })
-  );
+  events.status(phase, {
+    currentFile,
+    totalFiles,
+    currentRow,
+    totalRows,
+    rowsProcessed: currentRow,
+    emailsFound,
+    emailsNotFound,
+    skippedDone,
+  });
+  if (currentRow !== null) events.progress(currentRow, totalRows, { unit: "rows" });
 }
 
 /* ========================
@@ -412,7 +333,6 @@ async function processSingleCsvFile() {
   console.log(`📁 Output file : ${OUTPUT_FILE}`);
   console.log(`🔗 LinkedIn URL column: ${LINKEDIN_URL_COL}`);
   console.log(`🔑 Blitz API key: ${BLITZ_API_KEY ? "OK (set)" : "NOT SET!"}`);
-  console.log("💡 Limit: 5 requests/second (~18k leads/hour)");
   console.log("======================================\n");
 
   if (!INPUT_FILE) {
@@ -438,8 +358,12 @@ async function processSingleCsvFile() {
 
   initLogs();
 
-  // Start rate limiter (for Blitz calls)
-  startRateLimiter();
+  // Blitz client (rate limit read from key-info)
+  const budget = createRunBudget({ unit: "credits", log: (msg) => console.log(`⚠️ ${msg}`) });
+  enrichCache = openEnrichmentCache({ log: (msg) => console.log(`⚠️ ${msg}`) });
+  blitz = createBlitzClient({ apiKey: BLITZ_API_KEY, budget, cache: enrichCache });
+  const limit = await blitz.init();
+  console.log(`💡 Limit: ${limit.rate} requests/second (${limit.source})\n`);
 
   // Read rows + capture header order
   const rows = [];
@@ -456,12 +380,23 @@ async function processSingleCsvFile() {
       .on("error", reject);
   });
 
-  if (!headerOrder.includes(LINKEDIN_URL_COL)) {
+  // Mapped fields read only their mapped column; the rest keep the built-in names
+  const mapped = {};
+  try {
+    for (const field of Object.keys(COLUMN_MAP)) mapped[field] = resolveColumn(headerOrder, COLUMN_MAP, field);
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+  }
+  const sourceColumns = (field, defaults) => (mapped[field] ? [mapped[field]] : defaults);
+
+  if (!mapped.linkedinUrl && !headerOrder.includes(LINKEDIN_URL_COL)) {
     console.error(
       `❌ Selected LinkedIn URL column "${LINKEDIN_URL_COL}" not found. Headers detected: ${headerOrder.join(", ")}`
     );
     process.exit(1);
   }
+  if (mapped.linkedinUrl) console.log(`🔗 LinkedIn URL column (mapped): ${mapped.linkedinUrl}`);
 
   // Ensure Status column exists on all rows; if missing in file, add and checkpoint once
   const hadStatusHeader = headerOrder.includes(STATUS_COL);
@@ -516,6 +451,10 @@ async function processSingleCsvFile() {
       logLine("WARN", "Stop requested; breaking before starting next row", { index: i });
       break;
     }
+    if (budget.exceeded()) {
+      logLine("WARN", "Budget reached; breaking before starting next row", { index: i, ...budget.metrics() });
+      break;
+    }
 
     processedCount++;
     const row = rows[i];
@@ -536,16 +475,29 @@ async function processSingleCsvFile() {
       continue;
     }
 
-    const profileUrl = valueFromColumns(row, [LINKEDIN_URL_COL, PROFILE_URL_COL, "LinkedIn URL", "Profile URL", "linkedin_url"], "");
-    const position = valueFromColumns(row, [POSITION_COL, "Title", "Job Title", "Position"], "");
-    const authorName = valueFromColumns(row, [AUTHOR_NAME_COL, "Author", "Author Name"], "");
-    const postUrl = valueFromColumns(row, [POST_URL_COL, "Post URL", "Post Url"], "");
-    const inputFirstName = valueFromColumns(row, [FIRST_NAME_COL, "First Name", "Firstname", "first_name"], "");
-    const inputLastName = valueFromColumns(row, [LAST_NAME_COL, "Last Name", "Lastname", "last_name"], "");
+    const profileUrl = valueFromColumns(
+      row,
+      sourceColumns("linkedinUrl", [LINKEDIN_URL_COL, PROFILE_URL_COL, "LinkedIn URL", "Profile URL", "linkedin_url"]),
+      ""
+    );
+    const position = valueFromColumns(row, sourceColumns("jobTitle", [POSITION_COL, "Title", "Job Title", "Position"]), "");
+    const authorName = valueFromColumns(row, sourceColumns("authorName", [AUTHOR_NAME_COL, "Author", "Author Name"]), "");
+    const postUrl = valueFromColumns(row, sourceColumns("postUrl", [POST_URL_COL, "Post URL", "Post Url"]), "");
+    const inputFirstName = valueFromColumns(
+      row,
+      sourceColumns("firstName", [FIRST_NAME_COL, "First Name", "Firstname", "first_name"]),
+      ""
+    );
+    const inputLastName = valueFromColumns(
+      row,
+      sourceColumns("lastName", [LAST_NAME_COL, "Last Name", "Lastname", "last_name"]),
+      ""
+    );
 
     if (!profileUrl) {
       console.log(`⚠️  [Row ${processedCount}] Missing LinkedIn profile URL. Marking done + skipping.`);
       logLine("WARN", "Missing profile URL; marking done", { rowIndex: i + 1 });
+      events.warningRow("Missing LinkedIn profile URL", { row: i + 1, file: INPUT_FILE });
 
       // ✅ mark done even if missing URL (so it won't repeat forever)
       row[STATUS_COL] = "done";
@@ -573,6 +525,7 @@ async function processSingleCsvFile() {
     } catch (err) {
       console.log(`❌  [Row ${processedCount}] Error calling Blitz for ${profileUrl}: ${err.message || String(err)}`);
       logLine("ERROR", "Blitz call failed", { profileUrl, error: err.message || String(err) });
+      events.warningRow(`Blitz call failed: ${err.message || String(err)}`, { row: i + 1, file: INPUT_FILE });
 
       // ✅ still mark done (as you requested: "as the linkedin url is sent to the api keep adding done")
       row[STATUS_COL] = "done";
@@ -656,10 +609,13 @@ async function processSingleCsvFile() {
   console.log(`   • Blitz calls made   : ${apiTouchedCount}`);
   console.log(`   • Emails found       : ${emailFoundCount}`);
   console.log(`   • Emails not found   : ${emailNotFoundCount}`);
+  await blitz.syncCredits();
+  console.log(`   • ${budget.summary()}`);
+  console.log(`   • ${enrichCache.summary()}`);
   console.log("✅ Run finished.\n");
 
   emitMetrics({
-    phase: shouldStop() ? "stopped" : "done",
+    phase: shouldStop() || budget.exceeded() ? "stopped" : "done",
     currentFile: path.basename(INPUT_FILE),
     totalFiles: 1,
     currentRow: processedCount,
@@ -668,15 +624,19 @@ async function processSingleCsvFile() {
     emailsNotFound: emailNotFoundCount,
     skippedDone: skippedDoneCount,
   });
-
-  // Wait for any remaining queued jobs to finish
-  let waitCount = 0;
-  while ((jobQueue.length > 0 || activeRequests > 0) && waitCount < 600) {
-    await new Promise((r) => setTimeout(r, 100));
-    waitCount++;
-  }
-
-  stopRateLimiter();
+  enrichCache.flush();
+  events.artifact(OUTPUT_FILE, { rows: emailFoundCount + emailNotFoundCount });
+  if (RUN_LOG) events.artifact(RUN_LOG, { kind: "log", label: "Run log" });
+  events.summary(shouldStop() || budget.exceeded() ? "stopped" : "done", {
+    counts: {
+      totalRows: rows.length,
+      skippedDone: skippedDoneCount,
+      blitzCalls: apiTouchedCount,
+      emailsFound: emailFoundCount,
+      emailsNotFound: emailNotFoundCount,
+      ...enrichCache.metrics(),
+    },
+  });
 }
 
 /* ========================
@@ -687,5 +647,6 @@ processSingleCsvFile().catch((err) => {
   try {
     if (RUN_LOG) fs.appendFileSync(RUN_LOG, `FATAL: ${err?.stack || err}\n`);
   } catch {}
+  events.summary("error", { message: err?.message || String(err) });
   process.exit(1);
 });
@@ -2,9 +2,21 @@
  * Blitz Employee Finder (CSV -> CSV) — Pretty console (NO ANSI, Electron-safe)
  *
  * Supports:
- *  - CLI flags: --apiKey, --input, --output-dir, --output-file, --concurrency, --column, --verbose, --json
+ *  - CLI flags: --apiKey, --input, --output-dir, --output-file, --concurrency, --column, --verbose, --json,
+ *    --retry-failures, --all-pages, --max-per-company N
  *  - Electron TOOL_CONFIG via BLITZ_API_KEY and TOOL_CONFIG JSON
  *  - CSV input column: "Company LinkedIn Url" (preferred) or legacy "company_linkedin_url"
+ *  - Resume: each company's rows are appended to the output as it finishes, then
+ *    <output>.checkpoint.jsonl (backend/lib/row-checkpoint.js) records the row (company
+ *    URL + its filter columns), so a crash or hard kill keeps everything written so far.
+ *    Rerunning into the same output file skips finished rows and retries failed ones;
+ *    a company's earlier rows are replaced only once it finishes again.
+ *    retryFailuresOnly / --retry-failures runs just the failures. Needs a fixed output
+ *    filename (the default one is timestamped).
+ *  - All pages (fetchAllPages / --all-pages): walks page, page+1, … per company until
+ *    total_pages, an empty page, maxResultsPerCompany people (default 100), the credit
+ *    budget or Stop. People are deduped across pages by LinkedIn URL; "Pages Fetched"
+ *    and the pagesFetched metric report the pages used.
  *
  * Node v18+
  */
@@ -18,7 +30,14 @@ if (module.paths && !module.paths.includes(path.join(appRoot, "node_modules")))
   module.paths.unshift(path.join(appRoot, "node_modules"));
 }
 
-const API_URL = "https://api.blitz-api.ai/v2/search/employee-finder";
+const { createBlitzClient } = require("../lib/blitz-client");
+const { createRunBudget } = require("../lib/run-budget");
+const { watchStop } = require("../lib/stop-signal");
+const events = require("../lib/events");
+const { readColumnMap, resolveColumn } = require("../lib/column-map");
+const { openRowCheckpoint } = require("../lib/row-checkpoint");
+
+const ENDPOINT = "/v2/search/employee-finder";
 
 /* =========================
  * CLI + TOOL_CONFIG
@@ -120,7 +139,7 @@ const UI = {
       `… Progress: ${done}/${total}  |  ok=${okCompanies}  |  zero=${zeroCompanies}  |  fail=${failCompanies}  |  out_rows=${outRows}`
     );
   },
-  summary({ inputRows, outRows, okRows, errRows, outPath }) {
+  summary({ inputRows, outRows, okRows, errRows, outPath, budget }) {
     if (JSON_ONLY) return;
 
     this.section("Run Summary");
@@ -128,6 +147,7 @@ const UI = {
     console.log(`✓ Output rows:    ${outRows}`);
     console.log(`✓ Clean rows:     ${okRows}`);
     console.log(`✓ Rows w/ issues: ${errRows}`);
+    if (budget) console.log(`${budget.exceeded() ? "⚠" : "✓"} ${budget.summary()}`);
     console.log("");
     console.log("Saved CSV:");
     console.log(outPath);
@@ -140,10 +160,8 @@ function jlog(level, msg, meta = {}) {
   console.log(JSON.stringify({ ts: new Date().toISOString(), level, msg, ...meta }));
 }
 
-function emitState(payload) {
-  try {
-    console.log("::STATE:: " + JSON.stringify(payload));
-  } catch {}
+function emitState({ status, ...metrics }) {
+  events.status(status, metrics);
 }
 
 /* =========================
@@ -199,10 +217,13 @@ function parseCSV(text) {
   }
   return { headers, rows };
 }
+function csvLine(headers, row) {
+  return headers.map((h) => csvEscape(row[h])).join(",");
+}
 function toCSV(headers, rows) {
   const lines = [];
   lines.push(headers.map(csvEscape).join(","));
-  for (const r of rows) lines.push(headers.map((h) => csvEscape(r[h])).join(","));
+  for (const r of rows) lines.push(csvLine(headers, r));
   return lines.join("\n");
 }
 
@@ -244,46 +265,73 @@ function getRowVal(row, possibleKeys) {
 }
 
 /* =========================
- * Network + retries
+ * Network (rate limit + retries live in the shared client)
  * =======================*/
-function sleep(ms) {
-  return new Promise((r) => setTimeout(r, ms));
+function callEmployeeFinder(client, payload, onRetry) {
+  return client.post(ENDPOINT, payload, { onRetry });
 }
 
-async function callEmployeeFinder(payload, apiKey, attempt = 1) {
-  const t0 = Date.now();
+function responseError(res) {
+  return (
+    res?.data?.message ||
+    res?.data?.error ||
+    (res?.data?._raw ? String(res.data._raw).slice(0, 260) : "Request failed")
+  );
+}
 
-  const res = await fetch(API_URL, {
-    method: "POST",
-    headers: {
-      "x-api-key": apiKey,
-      "Content-Type": "application/json",
-    },
-    body: JSON.stringify(payload),
-  });
+function personKey(person) {
+  const url = String(person.linkedin_url || "").trim().toLowerCase().replace(/\/+$/, "");
+  return url || String(person.full_name || "").trim().toLowerCase();
+}
 
-  const text = await res.text();
-  let data;
-  try {
-    data = JSON.parse(text);
-  } catch {
-    data = { _raw: text };
-  }
+/**
+ * One company: its page only, or (allPages) every page from payload.page on.
+ * Returns { people: [{ person, pagePayload, data }], pagesFetched, totalPages,
+ *   lastData, ms, duplicates, capped, halted, error: { status, message, page } | null }
+ */
+async function fetchCompanyPages(client, payload, { allPages, maxPerCompany, shouldHalt, onRetry }) {
+  const people = [];
+  const seen = new Set();
+  const out = { people, pagesFetched: 0, totalPages: null, lastData: {}, ms: 0, duplicates: 0, capped: false, halted: false, error: null };
+
+  for (let page = payload.page || 1; ; page++) {
+    const pagePayload = { ...payload, page };
+    const res = await callEmployeeFinder(client, pagePayload, onRetry);
+    out.ms += res.duration_ms || 0;
+
+    if (res.ok !== true) {
+      out.error = { status: res.status, message: responseError(res), page };
+      return out;
+    }
 
-  const ms = Date.now() - t0;
+    out.pagesFetched++;
+    const data = res.data || {};
+    out.lastData = data;
+    if (data.total_pages !== undefined) out.totalPages = data.total_pages;
+    const results = Array.isArray(data.results) ? data.results : [];
 
-  if (!res.ok) {
-    const status = res.status;
-    const shouldRetry = status === 429 || status >= 500;
+    for (const person of results) {
+      const key = personKey(person);
+      if (key && seen.has(key)) {
+        out.duplicates++;
+        continue;
+      }
+      if (key) seen.add(key);
+      people.push({ person, pagePayload, data });
+      if (allPages && people.length >= maxPerCompany) break;
+    }
 
-    if (shouldRetry && attempt < 5) {
-      const backoff = Math.min(15000, 750 * Math.pow(2, attempt));
-      return { ok: "retry", status, duration_ms: ms, data, backoff };
+    if (!allPages) return out;
+    if (people.length >= maxPerCompany) {
+      out.capped = true;
+      return out;
+    }
+    if (results.length === 0 || (out.totalPages !== null && page >= out.totalPages)) return out;
+    if (shouldHalt()) {
+      out.halted = true;
+      return out;
     }
-    return { ok: false, status, duration_ms: ms, data };
   }
-
-  return { ok: true, status: res.status, duration_ms: ms, data };
 }
 
 /* =========================
@@ -294,7 +342,7 @@ function pickExperience(p) {
   return exp || {};
 }
 
-function flattenEmployee(inputRowIndex, searchPayload, apiResult, person) {
+function flattenEmployee(inputRowIndex, searchPayload, apiResult, person, pagesFetched = 1) {
   const loc = person.location || {};
   const exp = pickExperience(person);
   const expLoc = exp.job_location || {};
@@ -325,13 +373,14 @@ function flattenEmployee(inputRowIndex, searchPayload, apiResult, person) {
 
     "Results Length": apiResult?.results_length !== undefined ? String(apiResult.results_length) : "",
     "Total Pages": apiResult?.total_pages !== undefined ? String(apiResult.total_pages) : "",
+    "Pages Fetched": String(pagesFetched),
 
     "Error Status": "",
     "Error Message": "",
   };
 }
 
-function flattenErrorRow(inputRowIndex, searchPayload, status, message) {
+function flattenErrorRow(inputRowIndex, searchPayload, status, message, pagesFetched = 0) {
   return {
     "Input Row": String(inputRowIndex),
     "Company LinkedIn Url": searchPayload.company_linkedin_url ?? "",
@@ -358,13 +407,14 @@ function flattenErrorRow(inputRowIndex, searchPayload, status, message) {
 
     "Results Length": "",
     "Total Pages": "",
+    "Pages Fetched": String(pagesFetched),
 
     "Error Status": String(status ?? ""),
     "Error Message": String(message ?? ""),
   };
 }
 
-function flattenNoResultsRow(inputRowIndex, searchPayload, apiResult) {
+function flattenNoResultsRow(inputRowIndex, searchPayload, apiResult, pagesFetched = 1) {
   return {
     "Input Row": String(inputRowIndex),
     "Company LinkedIn Url": searchPayload.company_linkedin_url ?? "",
@@ -391,6 +441,7 @@ function flattenNoResultsRow(inputRowIndex, searchPayload, apiResult) {
 
     "Results Length": apiResult?.results_length !== undefined ? String(apiResult.results_length) : "0",
     "Total Pages": apiResult?.total_pages !== undefined ? String(apiResult.total_pages) : "",
+    "Pages Fetched": String(pagesFetched),
 
     "Error Status": "",
     "Error Message": "",
@@ -400,6 +451,53 @@ function flattenNoResultsRow(inputRowIndex, searchPayload, apiResult) {
 /* =========================
  * Build payload from CSV row
  * =======================*/
+/* =========================
+ * Output file
+ * =======================*/
+const OUTPUT_HEADERS = [
+  "Input Row",
+  "Company LinkedIn Url",
+  "Page",
+  "Max Results",
+
+  "First Name",
+  "Last Name",
+  "Full Name",
+  "Headline",
+  "Country Code",
+  "Continent",
+  "LinkedIn Url",
+  "Connections Count",
+  "Profile Picture Url",
+
+  "Job Title",
+  "Exp Company LinkedIn Url",
+  "Exp Company LinkedIn Id",
+  "Job Start Date",
+  "Job End Date",
+  "Job Is Current",
+  "Job Location Country Code",
+
+  "Results Length",
+  "Total Pages",
+  "Pages Fetched",
+
+  "Error Status",
+  "Error Message",
+];
+
+/**
+ * Write the output sorted by input row (temp file + rename). Columns are matched
+ * by name, so rows read from an older version's file get the current header.
+ */
+function writeOutput(outPath, rows) {
+  const sorted = [...rows].sort((a, b) => Number(a["Input Row"]) - Number(b["Input Row"]));
+  const tmp = `${outPath}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, `${toCSV(OUTPUT_HEADERS, sorted)}\n`, "utf8");
+  fs.renameSync(tmp, outPath);
+  return sorted.length;
+}
+
 function buildPayloadFromRow(row, columnName) {
   const payload = {
     company_linkedin_url: String(getRowVal(row, [columnName, "Company LinkedIn Url", "company_linkedin_url"])).trim(),
@@ -441,6 +539,12 @@ async function main() {
     1,
     parseInt(getArg("--concurrency", fromEnv("concurrency", "3")), 10) || 3
   );
+  const retryFailuresOnly = hasFlag("--retry-failures") || fromEnv("retryFailuresOnly", false) === true;
+  const allPages = hasFlag("--all-pages") || fromEnv("fetchAllPages", false) === true;
+  const maxPerCompany = Math.max(
+    1,
+    parseInt(getArg("--max-per-company", fromEnv("maxResultsPerCompany", "100")), 10) || 100
+  );
 
   if (!apiKey) {
     if (JSON_ONLY) {
@@ -468,59 +572,143 @@ async function main() {
   const raw = fs.readFileSync(inPath, "utf8");
   const parsed = parseCSV(raw);
 
-  const hasNew = parsed.headers.includes(columnName) || parsed.headers.includes("Company LinkedIn Url");
-  const hasOld = parsed.headers.includes("company_linkedin_url");
+  // columnMap (column mapper) > --column / columnName > "Company LinkedIn Url" > legacy company_linkedin_url
+  let column;
+  try {
+    column = resolveColumn(parsed.headers, readColumnMap(envCfg), "companyLinkedinUrl", [
+      columnName,
+      "Company LinkedIn Url",
+      "company_linkedin_url",
+    ]);
+  } catch (err) {
+    UI.err(err.message);
+    process.exit(1);
+  }
 
-  if (!hasNew && !hasOld) {
+  if (!column) {
     UI.err(`Input CSV must include column "${columnName}" (or legacy: company_linkedin_url)`);
     UI.info(`Found headers: ${parsed.headers.join(", ")}`);
     process.exit(1);
   }
 
-  const rows = parsed.rows.filter((r) => {
-    const v = getRowVal(r, [columnName, "Company LinkedIn Url", "company_linkedin_url"]);
-    return String(v || "").trim().length > 0;
+  const rows = parsed.rows.filter((r) => String(getRowVal(r, [column]) || "").trim().length > 0);
+
+  const stamp = new Date().toISOString().replace(/[:.]/g, "-").replace("T", "_").replace("Z", "");
+  const outName = outputFileName || `employee_finder_${stamp}.csv`;
+  const outPath = path.join(outputDir || path.dirname(inPath), outName);
+
+  // Resume: rows already in this output (same company + filters) are skipped
+  const checkpoint = openRowCheckpoint({ inputPath: inPath, outputPath: outPath, log: (msg) => UI.info(msg) });
+  const checkpointKey = (payload) => {
+    const { company_linkedin_url, ...filters } = payload;
+    return checkpoint.keyFor(company_linkedin_url, allPages ? { ...filters, allPages, maxPerCompany } : filters);
+  };
+
+  let skippedDone = 0;
+  let skippedNotFailed = 0;
+  let retrying = 0;
+  const todo = [];
+  rows.forEach((row, idx) => {
+    const payload = buildPayloadFromRow(row, column);
+    if (!payload.company_linkedin_url) {
+      todo.push(idx); // reported as SKIP below
+      return;
+    }
+    const { run, reason } = checkpoint.plan(checkpointKey(payload), { retryFailuresOnly });
+    if (reason === "done") skippedDone++;
+    if (reason === "not-failed") skippedNotFailed++;
+    if (reason === "retry") retrying++;
+    if (run) todo.push(idx);
   });
 
+  const budget = createRunBudget({ unit: "credits", log: (msg) => UI.warn(msg) });
+  const stopRequested = watchStop((reason) => UI.warn(`Stop requested (${reason}) • not starting new companies, waiting for in-flight requests…`));
+  const client = createBlitzClient({ apiKey, budget });
+  const limit = await client.init();
+
   if (!JSON_ONLY) {
     UI.ok(`Loaded ${rows.length} rows`);
     UI.info(`Input:  ${inPath}`);
     UI.info(`Output: ${path.resolve(outputDir || ".")}`);
     UI.info(`Concurrency: ${concurrency}`);
+    if (allPages) UI.info(`All pages: up to ${maxPerCompany} people per company`);
+    UI.info(`Rate limit: ${limit.rate} req/s (${limit.source})`);
+    if (skippedDone || retrying || retryFailuresOnly) {
+      UI.info(
+        `Checkpoint: ${skippedDone} done (skipped), ${retrying} failed last time (retrying)` +
+          (retryFailuresOnly ? `, ${skippedNotFailed} not failed (skipped – retry failures only)` : "")
+      );
+    }
     UI.section("Processing");
   }
 
   jlog("info", "starting", {
     total_rows: rows.length,
     concurrency,
+    rate_limit: limit.rate,
     input: inPath,
     output_dir: outputDir,
   });
 
   emitState({
-    status: "start",
+    status: "started",
     inputRows: rows.length,
     outputRows: 0,
     cleanRows: 0,
     issueRows: 0,
+    skippedDone,
+    pagesFetched: 0,
   });
 
-  const outRows = [];
+  // Resumed run: the earlier rows of companies queried again are held back until
+  // the company finishes (its new rows replace them) or the run ends without
+  // reaching it (they go back in). A crash drops only those, and their companies
+  // are not done, so the next run queries them again.
+  const heldRows = new Map(); // "Input Row" -> earlier rows
+  fs.mkdirSync(path.dirname(outPath), { recursive: true });
+  if ((skippedDone || retrying) && fs.existsSync(outPath)) {
+    const rerun = new Set(todo.map((idx) => String(idx + 1)));
+    const kept = [];
+    for (const row of parseCSV(fs.readFileSync(outPath, "utf8")).rows) {
+      const inputRow = row["Input Row"];
+      if (!rerun.has(inputRow)) kept.push(row);
+      else heldRows.set(inputRow, [...(heldRows.get(inputRow) || []), row]);
+    }
+    writeOutput(outPath, kept);
+  } else {
+    writeOutput(outPath, []);
+  }
+
+  let outputRows = 0;
   let cursor = 0;
 
+  // A company's rows go out in one append before its checkpoint entry, so a
+  // crash never marks a row done whose people were not saved
+  function saveCompany(idx, companyRows, key, error) {
+    heldRows.delete(String(idx + 1));
+    if (companyRows.length) {
+      fs.appendFileSync(outPath, companyRows.map((r) => `${csvLine(OUTPUT_HEADERS, r)}\n`).join(""), "utf8");
+      outputRows += companyRows.length;
+    }
+    if (error) checkpoint.markFailed(key, error);
+    else checkpoint.markDone(key);
+  }
+
   // counters (per input row)
   let done = 0;
   let okCompanies = 0;
   let zeroCompanies = 0;
   let failCompanies = 0;
   let issueRows = 0;
+  let pagesFetched = 0;
 
   async function worker(workerId) {
     while (true) {
-      const idx = cursor++;
-      if (idx >= rows.length) return;
+      if (budget.exceeded() || stopRequested()) return;
+      if (cursor >= todo.length) return;
+      const idx = todo[cursor++];
 
-      const payload = buildPayloadFromRow(rows[idx], columnName);
+      const payload = buildPayloadFromRow(rows[idx], column);
 
       if (!payload.company_linkedin_url) {
         done++;
@@ -534,37 +722,43 @@ async function main() {
           status: "SKIP",
           note: "missing URL",
         });
-        if (done % 5 === 0 || done === rows.length) {
-          UI.progress({ done, total: rows.length, okCompanies, zeroCompanies, failCompanies, outRows: outRows.length });
+        events.warningRow("Missing company LinkedIn URL", { row: idx + 1, file: inPath });
+        if (done % 5 === 0 || done === todo.length) {
+          UI.progress({ done, total: todo.length, okCompanies, zeroCompanies, failCompanies, outRows: outputRows });
+          events.progress(done, todo.length, { unit: "rows" });
           emitState({
-            status: "progress",
+            status: "running",
             inputRows: rows.length,
-            outputRows: outRows.length,
-            cleanRows: outRows.length - issueRows,
+            outputRows,
+            cleanRows: outputRows - issueRows,
             issueRows: issueRows,
+            skippedDone,
+            pagesFetched,
           });
         }
         continue;
       }
 
       try {
-        let res = await callEmployeeFinder(payload, apiKey, 1);
-        let attempts = 1;
-
-        while (res.ok === "retry") {
-          jlog("warn", "retrying", { workerId, row: idx + 1, status: res.status, attempt: attempts, backoff_ms: res.backoff });
-          await sleep(res.backoff);
-          attempts++;
-          res = await callEmployeeFinder(payload, apiKey, attempts);
-        }
+        const fetched = await fetchCompanyPages(client, payload, {
+          allPages,
+          maxPerCompany,
+          shouldHalt: () => budget.exceeded() || stopRequested(),
+          onRetry: ({ status, error, attempt, waitMs }) => {
+            jlog("warn", "retrying", { workerId, row: idx + 1, status: status || error, attempt, backoff_ms: waitMs });
+          },
+        });
+        pagesFetched += fetched.pagesFetched;
 
-        if (res.ok !== true) {
-          const msg =
-            res?.data?.message ||
-            res?.data?.error ||
-            (res?.data?._raw ? String(res.data._raw).slice(0, 260) : "Request failed");
+        const companyRows = fetched.people.map(({ person, pagePayload, data }) =>
+          flattenEmployee(idx + 1, pagePayload, data, person, fetched.pagesFetched)
+        );
 
-          outRows.push(flattenErrorRow(idx + 1, payload, res.status, msg));
+        if (fetched.error) {
+          const { status, message: msg, page } = fetched.error;
+
+          companyRows.push(flattenErrorRow(idx + 1, { ...payload, page }, status, msg, fetched.pagesFetched));
+          saveCompany(idx, companyRows, checkpointKey(payload), `${status}: ${msg}`);
           issueRows++;
           failCompanies++;
           done++;
@@ -573,23 +767,33 @@ async function main() {
             i: idx + 1,
             total: rows.length,
             url: payload.company_linkedin_url,
-            page: payload.page,
+            page,
             max: payload.max_results,
-            ms: res.duration_ms,
+            ms: fetched.ms,
             status: "FAIL",
-            note: `${res.status}${msg ? " • " + String(msg).slice(0, 80) : ""}`,
+            note: `${status}${msg ? " • " + String(msg).slice(0, 80) : ""}${
+              fetched.people.length ? ` (kept ${fetched.people.length} from earlier pages)` : ""
+            }`,
           });
 
-          jlog("error", "request_failed", { workerId, row: idx + 1, status: res.status, duration_ms: res.duration_ms });
+          jlog("error", "request_failed", { workerId, row: idx + 1, status, page, duration_ms: fetched.ms });
+          events.warningRow(`Request failed (${status}): ${msg}`, { row: idx + 1, file: inPath });
         } else {
-          const data = res.data || {};
-          const results = Array.isArray(data.results) ? data.results : [];
+          const results = fetched.people.length;
 
-          if (results.length > 0) okCompanies++;
+          if (results > 0) okCompanies++;
           else zeroCompanies++;
 
-          for (const p of results) outRows.push(flattenEmployee(idx + 1, payload, data, p));
-          if (results.length === 0) outRows.push(flattenNoResultsRow(idx + 1, payload, data));
+          if (results === 0) {
+            companyRows.push(flattenNoResultsRow(idx + 1, payload, fetched.lastData, fetched.pagesFetched));
+          }
+          // Cut short by Stop / budget: not done, so a resume fetches the company again
+          saveCompany(
+            idx,
+            companyRows,
+            checkpointKey(payload),
+            fetched.halted ? `Stopped after ${fetched.pagesFetched} page(s)` : null
+          );
 
           done++;
 
@@ -599,23 +803,29 @@ async function main() {
             url: payload.company_linkedin_url,
             page: payload.page,
             max: payload.max_results,
-            ms: res.duration_ms,
-            results: results.length,
-            totalPages: data.total_pages ?? "?",
+            ms: fetched.ms,
+            results,
+            totalPages: allPages
+              ? `${fetched.pagesFetched}/${fetched.totalPages ?? "?"}${fetched.capped ? " (cap)" : ""}${
+                  fetched.halted ? " (stopped)" : ""
+                }`
+              : fetched.totalPages ?? "?",
             status: "OK",
           });
 
           jlog("info", "request_ok", {
             workerId,
             row: idx + 1,
-            duration_ms: res.duration_ms,
-            results: results.length,
-            total_pages: data.total_pages ?? null,
+            duration_ms: fetched.ms,
+            results,
+            total_pages: fetched.totalPages,
+            pages_fetched: fetched.pagesFetched,
+            duplicates: fetched.duplicates,
           });
         }
       } catch (e) {
         const msg = e?.message || String(e);
-        outRows.push(flattenErrorRow(idx + 1, payload, "", msg));
+        saveCompany(idx, [flattenErrorRow(idx + 1, payload, "", msg)], checkpointKey(payload), msg);
         issueRows++;
 
         failCompanies++;
@@ -633,16 +843,20 @@ async function main() {
         });
 
         jlog("error", "exception", { workerId, row: idx + 1, error: msg });
+        events.warningRow(msg, { row: idx + 1, file: inPath });
       }
 
-      if (done % 5 === 0 || done === rows.length) {
-        UI.progress({ done, total: rows.length, okCompanies, zeroCompanies, failCompanies, outRows: outRows.length });
+      if (done % 5 === 0 || done === todo.length) {
+        UI.progress({ done, total: todo.length, okCompanies, zeroCompanies, failCompanies, outRows: outputRows });
+        events.progress(done, todo.length, { unit: "rows" });
         emitState({
-          status: "progress",
+          status: "running",
           inputRows: rows.length,
-          outputRows: outRows.length,
-          cleanRows: outRows.length - issueRows,
+          outputRows,
+          cleanRows: outputRows - issueRows,
           issueRows: issueRows,
+          skippedDone,
+          pagesFetched,
         });
       }
     }
@@ -651,77 +865,59 @@ async function main() {
   const pool = [];
   for (let w = 1; w <= concurrency; w++) pool.push(worker(w));
   await Promise.all(pool);
+  await client.syncCredits();
 
   if (!JSON_ONLY) UI.line();
 
-  const headers = [
-    "Input Row",
-    "Company LinkedIn Url",
-    "Page",
-    "Max Results",
-
-    "First Name",
-    "Last Name",
-    "Full Name",
-    "Headline",
-    "Country Code",
-    "Continent",
-    "LinkedIn Url",
-    "Connections Count",
-    "Profile Picture Url",
-
-    "Job Title",
-    "Exp Company LinkedIn Url",
-    "Exp Company LinkedIn Id",
-    "Job Start Date",
-    "Job End Date",
-    "Job Is Current",
-    "Job Location Country Code",
-
-    "Results Length",
-    "Total Pages",
-
-    "Error Status",
-    "Error Message",
-  ];
-
-  const stamp = new Date().toISOString().replace(/[:.]/g, "-").replace("T", "_").replace("Z", "");
-  const outName = outputFileName || `employee_finder_${stamp}.csv`;
-  const outPath = path.join(outputDir || path.dirname(inPath), outName);
-
-  fs.writeFileSync(outPath, toCSV(headers, outRows), "utf8");
+  // Companies this run never reached keep their earlier rows
+  const fileRows = [...parseCSV(fs.readFileSync(outPath, "utf8")).rows, ...[...heldRows.values()].flat()];
+  events.artifact(outPath, { rows: writeOutput(outPath, fileRows) });
 
   const errRows = issueRows;
-  const okRows = outRows.length - errRows;
+  const okRows = outputRows - errRows;
 
   emitState({
-    status: "done",
+    status: budget.exceeded() || stopRequested() ? "stopped" : "done",
     inputRows: rows.length,
-    outputRows: outRows.length,
+    outputRows,
     cleanRows: okRows,
     issueRows: errRows,
+    skippedDone,
+    pagesFetched,
   });
 
   if (!JSON_ONLY) {
     UI.summary({
       inputRows: rows.length,
-      outRows: outRows.length,
+      outRows: outputRows,
       okRows,
       errRows,
       outPath,
+      budget,
     });
+    if (failCompanies > 0) {
+      UI.warn(
+        `${failCompanies} row(s) failed – saved to ${path.basename(checkpoint.path)}. Run again with "Retry failures only" (--retry-failures) to re-query just these.`
+      );
+    }
   }
 
   jlog("info", "done", {
     output_file: outPath,
     input_rows: rows.length,
-    output_rows: outRows.length,
+    output_rows: outputRows,
     ok_rows: okRows,
     issue_rows: errRows,
+    ...budget.metrics(),
+  });
+
+  events.summary(budget.exceeded() || stopRequested() ? "stopped" : "done", {
+    counts: { inputRows: rows.length, outputRows, cleanRows: okRows, issueRows: errRows, skippedDone, pagesFetched },
   });
 }
 
 main().catch((e) => {
   console.error("Fatal:", e);
+  events.summary("error", { message: e?.message || String(e) });
   process.exit(1);
 });
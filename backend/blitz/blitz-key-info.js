@@ -14,7 +14,8 @@
  * Node v18+
  */
 
-const API_URL = "https://api.blitz-api.ai/v2/account/key-info";
+const { createBlitzClient } = require("../lib/blitz-client");
+const { watchStop } = require("../lib/stop-signal");
 
 /* =========================
  * CLI
@@ -168,22 +169,10 @@ function printPlans(plans) {
  * Request
  * =======================*/
 async function fetchKeyInfo(apiKey) {
-  const t0 = Date.now();
-  const res = await fetch(API_URL, {
-    method: "GET",
-    headers: { "x-api-key": apiKey },
-  });
-  const ms = Date.now() - t0;
-
-  const text = await res.text();
-  let data;
-  try {
-    data = JSON.parse(text);
-  } catch {
-    data = { _raw: text };
-  }
-
-  return { ok: res.ok, status: res.status, ms, data };
+  // --json output must stay a single document, so no telemetry lines there
+  const client = createBlitzClient({ apiKey, telemetry: !jsonOnly });
+  const res = await client.keyInfo();
+  return { ok: res.ok, status: res.status, ms: res.duration_ms, data: res.data };
 }
 
 /* =========================
@@ -213,6 +202,12 @@ async function main() {
     hr();
   }
 
+  // A single read-only request, nothing to save: Stop ends the run at once
+  watchStop((reason) => {
+    if (!jsonOnly) console.log(`${badge("STOPPED")} ${reason}`);
+    process.exit(0);
+  });
+
   const r = await fetchKeyInfo(apiKey);
 
   if (!r.ok) {
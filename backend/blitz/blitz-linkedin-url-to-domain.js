@@ -4,7 +4,15 @@
 const fs = require("fs");
 const path = require("path");
 
-const API_URL = "https://api.blitz-api.ai/v2/enrichment/linkedin-to-domain";
+const { createBlitzClient } = require("../lib/blitz-client");
+const { openEnrichmentCache } = require("../lib/enrichment-cache");
+const { createRunBudget } = require("../lib/run-budget");
+const { watchStop } = require("../lib/stop-signal");
+const events = require("../lib/events");
+const { readColumnMap, resolveColumn } = require("../lib/column-map");
+const { normalizeValue, isValidValue } = require("../lib/input-checks");
+
+const ENDPOINT = "/v2/enrichment/linkedin-to-domain";
 
 // Ensure packaged apps can resolve dependencies
 const appRoot = process.env.APP_ROOT || path.resolve(__dirname, "../../");
@@ -39,6 +47,8 @@ function getConfig() {
     singleCompany: config.singleCompany || getArg("--company"),
     inputPath: config.inputPath || getArg("--input"),
     columnName: config.columnName || getArg("--column", "company_linkedin_url"),
+    // columnMap (column mapper) wins over columnName
+    columnMap: readColumnMap(config),
     outputDir: config.outputDir || getArg("--output-dir", "./output"),
     outputFileName: config.outputFileName || getArg("--output-file", ""),
     concurrency: parseInt(config.concurrency || getArg("--concurrency", "6"), 10),
@@ -56,31 +66,11 @@ function fmtMs(ms) {
   return `${(ms / 1000).toFixed(2)}s`;
 }
 
-function sleep(ms) {
-  return new Promise((resolve) => setTimeout(resolve, ms));
-}
-
-function looksLikeCompanyLinkedInUrl(s) {
-  if (!s) return false;
-  const v = s.trim().toLowerCase();
-  return v.includes("linkedin.com/company/");
-}
-
 function emitStatus(phase = "running", extra = {}) {
   const { totalUrls = null, urlsProcessed = null, domainsFound = null, domainsNotFound = null } = extra;
 
-  console.log(
-    JSON.stringify({
-      type: "status",
-      status: phase,
-      metrics: {
-        totalUrls,
-        urlsProcessed,
-        domainsFound,
-        domainsNotFound,
-      },
-    })
-  );
+  events.status(phase, { totalUrls, urlsProcessed, domainsFound, domainsNotFound });
+  if (urlsProcessed !== null) events.progress(urlsProcessed, totalUrls, { unit: "urls" });
 }
 
 function csvEscape(v) {
@@ -153,41 +143,8 @@ function extractLines(text) {
     .filter(Boolean);
 }
 
-async function blitzLinkedinToDomain(company_linkedin_url, apiKey, attempt = 1) {
-  const t0 = Date.now();
-
-  const res = await fetch(API_URL, {
-    method: "POST",
-    headers: {
-      "x-api-key": apiKey,
-      "Content-Type": "application/json",
-    },
-    body: JSON.stringify({ company_linkedin_url }),
-  });
-
-  const text = await res.text();
-  let data;
-  try {
-    data = JSON.parse(text);
-  } catch {
-    data = { _raw: text };
-  }
-
-  const ms = Date.now() - t0;
-
-  if (!res.ok) {
-    const status = res.status;
-    const shouldRetry = status === 429 || status >= 500;
-
-    if (shouldRetry && attempt < 5) {
-      const backoff = Math.min(15000, 750 * Math.pow(2, attempt));
-      return { ok: "retry", status, duration_ms: ms, data, backoff };
-    }
-
-    return { ok: false, status, duration_ms: ms, data };
-  }
-
-  return { ok: true, status: res.status, duration_ms: ms, data };
+function blitzLinkedinToDomain(client, company_linkedin_url, onRetry) {
+  return client.post(ENDPOINT, { company_linkedin_url }, { onRetry, cache: true });
 }
 
 function flattenRow(company_linkedin_url, result) {
@@ -232,11 +189,12 @@ async function main() {
 
     if (ext === ".csv") {
       const parsed = parseCSV(raw);
-      if (!parsed.headers.includes(columnName)) {
+      const column = resolveColumn(parsed.headers, config.columnMap, "companyLinkedinUrl", [columnName]);
+      if (!column) {
         console.error(`CSV missing column "${columnName}". Found: ${parsed.headers.join(", ")}`);
         process.exit(1);
       }
-      urls = parsed.rows.map((r) => (r[columnName] || "").trim()).filter(Boolean);
+      urls = parsed.rows.map((r) => (r[column] || "").trim()).filter(Boolean);
     } else {
       urls = extractLines(raw);
     }
@@ -245,13 +203,14 @@ async function main() {
     process.exit(1);
   }
 
-  // clean + dedupe + validate
-  urls = Array.from(new Set(urls.map((u) => u.trim()).filter(Boolean)));
-  const invalid = urls.filter((u) => !looksLikeCompanyLinkedInUrl(u));
-  urls = urls.filter((u) => looksLikeCompanyLinkedInUrl(u));
+  // clean + dedupe + validate (lib/input-checks, same rules as the pre-flight report)
+  urls = Array.from(new Set(urls.map((u) => normalizeValue("linkedinCompany", u)).filter(Boolean)));
+  const invalid = urls.filter((u) => !isValidValue("linkedinCompany", u));
+  urls = urls.filter((u) => isValidValue("linkedinCompany", u));
 
   if (invalid.length) {
     console.log(`Skipping ${invalid.length} invalid-looking company LinkedIn URLs (kept ${urls.length}).`);
+    invalid.forEach((u) => events.warningRow(`Not a LinkedIn company URL: ${u}`, { data: { value: u } }));
   }
 
   if (!urls.length) {
@@ -276,26 +235,27 @@ async function main() {
   let foundTrue = 0;
   let failed = 0;
 
-  console.log(`Starting run • ${urls.length} company URLs • concurrency ${concurrency}`);
+  const budget = createRunBudget({ unit: "credits" });
+  const stopRequested = watchStop((reason) => console.log(`⏹ Stop requested (${reason}) • not starting new URLs, waiting for in-flight requests…`));
+  const cache = openEnrichmentCache();
+  const client = createBlitzClient({ apiKey, budget, cache });
+  const limit = await client.init();
+
+  console.log(`Starting run • ${urls.length} company URLs • concurrency ${concurrency} • ${limit.rate} req/s (${limit.source})`);
   console.log(`Output dir: ${path.resolve(outputDir)}`);
 
   async function worker(workerId) {
     while (true) {
+      if (budget.exceeded() || stopRequested()) return;
       const i = cursor++;
       if (i >= urls.length) return;
 
       const company_linkedin_url = urls[i];
 
       try {
-        let res = await blitzLinkedinToDomain(company_linkedin_url, apiKey, 1);
-
-        let attempts = 1;
-        while (res.ok === "retry") {
-          console.log(`Worker ${workerId} retry (${res.status}) • ${company_linkedin_url}`);
-          await sleep(res.backoff);
-          attempts++;
-          res = await blitzLinkedinToDomain(company_linkedin_url, apiKey, attempts);
-        }
+        const res = await blitzLinkedinToDomain(client, company_linkedin_url, ({ status, error, waitMs }) => {
+          console.log(`Worker ${workerId} retry (${status || error}) in ${fmtMs(waitMs)} • ${company_linkedin_url}`);
+        });
 
         results[i] = flattenRow(company_linkedin_url, res);
 
@@ -306,10 +266,11 @@ async function main() {
 
         if (ok) {
           if (found) foundTrue++;
-          console.log(`Worker ${workerId} • ${company_linkedin_url} • ${found ? "FOUND" : "NO MATCH"} • ${fmtMs(res.duration_ms)}`);
+          console.log(`Worker ${workerId} • ${company_linkedin_url} • ${found ? "FOUND" : "NO MATCH"} • ${res.cached ? "cached" : fmtMs(res.duration_ms)}`);
         } else {
           failed++;
           console.log(`Worker ${workerId} • ${company_linkedin_url} • FAIL (${res.status || "?"}) • ${fmtMs(res.duration_ms)}`);
+          events.warningRow(`API request failed (${res.status || "?"})`, { data: { input: company_linkedin_url } });
         }
 
         emitStatus("running", {
@@ -329,6 +290,7 @@ async function main() {
         failed++;
 
         console.error(`Error processing ${company_linkedin_url}: ${e?.message || e}`);
+        events.warningRow(e?.message || String(e), { data: { input: company_linkedin_url } });
       }
     }
   }
@@ -337,6 +299,7 @@ async function main() {
   const workers = Math.max(1, Math.min(concurrency || 1, 25));
   for (let w = 1; w <= workers; w++) pool.push(worker(w));
   await Promise.all(pool);
+  await client.syncCredits();
 
   const stamp = new Date().toISOString().replace(/[:.]/g, "-").replace("T", "_").replace("Z", "");
   const outFile = outputFileName && outputFileName.trim().length > 0
@@ -344,24 +307,33 @@ async function main() {
     : `linkedin_url_to_domain_${stamp}.csv`;
   const outPath = path.join(outputDir, outFile);
 
-  fs.writeFileSync(outPath, toCSV(headers, results), "utf8");
+  // Rows never started (budget reached / Stop) are left out
+  fs.writeFileSync(outPath, toCSV(headers, results.filter(Boolean)), "utf8");
+  events.artifact(outPath, { rows: results.filter(Boolean).length });
 
   const domainsFound = foundTrue;
   const domainsNotFound = Math.max(0, processed - foundTrue - failed);
 
   console.log(`DONE ✓ Saved: ${outPath}`);
   console.log(`Summary: total=${urls.length}, processed=${processed}, found=${domainsFound}, not_found=${domainsNotFound}, failed=${failed}`);
+  console.log(budget.summary());
+  console.log(cache.summary());
+  cache.flush();
 
-  emitStatus("done", {
+  emitStatus(budget.exceeded() || stopRequested() ? "stopped" : "done", {
     totalUrls: urls.length,
     urlsProcessed: processed,
     domainsFound,
     domainsNotFound,
   });
+  events.summary(budget.exceeded() || stopRequested() ? "stopped" : "done", {
+    counts: { total: urls.length, processed, found: domainsFound, notFound: domainsNotFound, failed, ...cache.metrics() },
+  });
 }
 
 main().catch((e) => {
   console.error("Fatal:", e);
   emitStatus("error", {});
+  events.summary("error", { message: e?.message || String(e) });
   process.exit(1);
 });
@@ -12,7 +12,15 @@
 const fs = require("fs");
 const path = require("path");
 
-const API_URL = "https://api.blitz-api.ai/v2/enrichment/email-to-person";
+const { createBlitzClient } = require("../lib/blitz-client");
+const { openEnrichmentCache } = require("../lib/enrichment-cache");
+const { createRunBudget } = require("../lib/run-budget");
+const { watchStop } = require("../lib/stop-signal");
+const events = require("../lib/events");
+const { readColumnMap, resolveColumn } = require("../lib/column-map");
+const { normalizeValue, isValidValue } = require("../lib/input-checks");
+
+const ENDPOINT = "/v2/enrichment/email-to-person";
 
 /* =========================
  * Output helpers
@@ -93,8 +101,8 @@ const UI = {
   worker(workerId, email, i, total) {
     console.log(`👤 Worker ${workerId} → ${email} (${i}/${total})`);
   },
-  result(email, ms, found) {
-    console.log(`✅ ${email} • ${found ? "FOUND" : "NO MATCH"} • ${fmtMs(ms)}`);
+  result(email, ms, found, cached = false) {
+    console.log(`✅ ${email} • ${found ? "FOUND" : "NO MATCH"} • ${cached ? "cached" : fmtMs(ms)}`);
   },
   fail(email, status, ms) {
     console.log(`❌ ${email} • FAIL (${status || "?"}) • ${fmtMs(ms)}`);
@@ -102,12 +110,15 @@ const UI = {
   retry(email, status, attempt, backoffMs) {
     console.log(`↻ Retry • ${email} • ${status} • attempt ${attempt} • wait ${fmtMs(backoffMs)}`);
   },
-  summary({ total, processed, found, noMatch, failed, outPath }) {
+  summary({ total, processed, found, noMatch, failed, outPath, budget, cache }) {
     this.section("Summary");
     this.ok(`Processed: ${processed}/${total}`);
     this.ok(`Found:     ${found}`);
     this.ok(`No match:  ${noMatch}`);
     this.ok(`Failed:    ${failed}`);
+    if (budget?.exceeded()) this.warn(budget.summary());
+    else if (budget) this.info(budget.summary());
+    if (cache) this.info(cache.summary());
     console.log("");
     console.log("Saved CSV:");
     console.log(outPath);
@@ -135,6 +146,8 @@ function getConfig() {
     singleEmail: config.singleEmail || getArg("--email"),
     inputPath: config.inputPath || getArg("--input"),
     columnName: config.columnName || getArg("--column", "email"),
+    // columnMap (column mapper) wins over columnName
+    columnMap: readColumnMap(config),
     outputDir: config.outputDir || getArg("--outputDir", "./output"),
     outputFileName: config.outputFileName || getArg("--outputFileName", ""),
     concurrency: parseInt(config.concurrency || getArg("--concurrency", "4"), 10),
@@ -150,7 +163,7 @@ function getConfig() {
 /* =========================
  * Emit Status for Electron
  * =========================
- * (DO NOT CHANGE THIS FORMAT)
+ * (events: backend/lib/events.js)
  * ======================*/
 function emitStatus(phase = "running", extra = {}) {
   const {
@@ -160,18 +173,8 @@ function emitStatus(phase = "running", extra = {}) {
     emailsNotFound = null,
   } = extra;
 
-  console.log(
-    JSON.stringify({
-      type: "status",
-      status: phase,
-      metrics: {
-        totalEmails,
-        emailsProcessed,
-        emailsFound,
-        emailsNotFound,
-      },
-    })
-  );
+  events.status(phase, { totalEmails, emailsProcessed, emailsFound, emailsNotFound });
+  if (emailsProcessed !== null) events.progress(emailsProcessed, totalEmails, { unit: "emails" });
 }
 
 /* =========================
@@ -257,52 +260,13 @@ function parseCSV(text) {
 function extractEmailsFromTxt(text) {
   return text.split(/\r?\n/).map((x) => x.trim()).filter(Boolean);
 }
-function looksLikeEmail(s) {
-  return typeof s === "string" && /.+@.+\..+/.test(s.trim());
-}
 
 /* =========================
- * Network + retries
+ * Network (rate limit + retries live in the shared client)
  * =======================*/
-function sleep(ms) {
-  return new Promise((r) => setTimeout(r, ms));
-}
-
-async function blitzEmailToPerson(email, apiKey, attempt = 1) {
-  const t0 = Date.now();
-
-  const res = await fetch(API_URL, {
-    method: "POST",
-    headers: {
-      "x-api-key": apiKey,
-      "Content-Type": "application/json",
-    },
-    body: JSON.stringify({ email }),
-  });
-
-  const text = await res.text();
-  let data;
-  try {
-    data = JSON.parse(text);
-  } catch {
-    data = { _raw: text };
-  }
-
-  const ms = Date.now() - t0;
-
-  if (!res.ok) {
-    const status = res.status;
-    const shouldRetry = status === 429 || status >= 500;
-
-    if (shouldRetry && attempt < 5) {
-      const backoff = Math.min(15000, 750 * Math.pow(2, attempt));
-      return { ok: "retry", email, status, duration_ms: ms, data, backoff };
-    }
-
-    return { ok: false, email, status, duration_ms: ms, data };
-  }
-
-  return { ok: true, email, status: res.status, duration_ms: ms, data };
+async function blitzEmailToPerson(client, email, onRetry) {
+  const res = await client.post(ENDPOINT, { email }, { onRetry, cache: true });
+  return { ...res, email };
 }
 
 /* =========================
@@ -416,11 +380,12 @@ async function main() {
 
     if (ext === ".csv") {
       const parsed = parseCSV(raw);
-      if (!parsed.headers.includes(columnName)) {
+      const column = resolveColumn(parsed.headers, cfg.columnMap, "email", [columnName]);
+      if (!column) {
         console.error(`CSV missing column "${columnName}". Found: ${parsed.headers.join(", ")}`);
         process.exit(1);
       }
-      emails = parsed.rows.map((r) => (r[columnName] || "").trim()).filter(Boolean);
+      emails = parsed.rows.map((r) => (r[column] || "").trim()).filter(Boolean);
     } else {
       emails = extractEmailsFromTxt(raw);
     }
@@ -429,13 +394,21 @@ async function main() {
     process.exit(1);
   }
 
-  // cleanup + dedupe + sanity filter
-  emails = Array.from(new Set(emails.map((e) => e.trim()).filter(Boolean)));
-  const invalid = emails.filter((e) => !looksLikeEmail(e));
-  emails = emails.filter((e) => looksLikeEmail(e));
+  // cleanup + dedupe + sanity filter (lib/input-checks, same rules as the pre-flight report)
+  emails = Array.from(new Set(emails.map((e) => normalizeValue("email", e)).filter(Boolean)));
+  const invalid = emails.filter((e) => !isValidValue("email", e));
+  emails = emails.filter((e) => isValidValue("email", e));
+  invalid.forEach((e) => events.warningRow(`Not an email address: ${e}`, { data: { value: e } }));
+
+  const budget = createRunBudget({ unit: "credits", log: (msg) => !jsonOnly && UI.warn(msg) });
+  const stopRequested = watchStop((reason) => !jsonOnly && UI.warn(`Stop requested (${reason}) • not starting new emails, waiting for in-flight requests…`));
+  const cache = openEnrichmentCache({ log: (msg) => !jsonOnly && UI.warn(msg) });
+  const client = createBlitzClient({ apiKey, budget, cache });
+  const limit = await client.init();
 
   if (!jsonOnly) {
     UI.ok(`Loaded ${emails.length} emails • concurrency: ${concurrency}`);
+    UI.info(`Rate limit: ${limit.rate} req/s (${limit.source})`);
     UI.info(`Output folder: ${outputDir}`);
     if (invalid.length) UI.warn(`Skipping ${invalid.length} invalid-looking emails.`);
     UI.section("Processing");
@@ -444,6 +417,7 @@ async function main() {
   slog(verbose || jsonOnly, "info", "starting", {
     total_emails: emails.length,
     concurrency,
+    rate_limit: limit.rate,
     output_dir: outputDir,
   });
 
@@ -480,6 +454,7 @@ async function main() {
 
   async function worker(workerId) {
     while (true) {
+      if (budget.exceeded() || stopRequested()) return;
       const i = cursor++;
       if (i >= emails.length) return;
 
@@ -488,22 +463,16 @@ async function main() {
       if (!jsonOnly) UI.worker(workerId, email, i + 1, emails.length);
 
       try {
-        let res = await blitzEmailToPerson(email, apiKey, 1);
-
-        let attempts = 1;
-        while (res.ok === "retry") {
-          if (!jsonOnly) UI.retry(email, res.status, attempts, res.backoff);
+        const res = await blitzEmailToPerson(client, email, ({ status, error, attempt, waitMs }) => {
+          if (!jsonOnly) UI.retry(email, status || error, attempt, waitMs);
           slog(verbose || jsonOnly, "warn", "retrying", {
             workerId,
             email,
-            status: res.status,
-            attempt: attempts,
-            backoff_ms: res.backoff,
+            status: status || error,
+            attempt,
+            backoff_ms: waitMs,
           });
-          await sleep(res.backoff);
-          attempts++;
-          res = await blitzEmailToPerson(email, apiKey, attempts);
-        }
+        });
 
         results[i] = flattenResult(email, res);
 
@@ -514,7 +483,7 @@ async function main() {
 
         if (ok) {
           if (found) foundTrue++;
-          if (!jsonOnly) UI.result(email, res.duration_ms, found);
+          if (!jsonOnly) UI.result(email, res.duration_ms, found, res.cached);
         } else {
           failed++;
           if (!jsonOnly) UI.fail(email, res.status, res.duration_ms);
@@ -550,6 +519,7 @@ async function main() {
 
         if (!jsonOnly) UI.err(`Exception: ${email} • ${e?.message || String(e)}`);
         slog(true, "error", "exception", { workerId, email, error: e?.message || String(e) });
+        events.warningRow(e?.message || String(e), { data: { input: email } });
       }
     }
   }
@@ -557,6 +527,7 @@ async function main() {
   const pool = [];
   for (let w = 1; w <= concurrency; w++) pool.push(worker(w));
   await Promise.all(pool);
+  await client.syncCredits();
 
   const stamp = new Date()
     .toISOString()
@@ -567,9 +538,11 @@ async function main() {
   const fileName = outputFileName || defaultFileName;
   const outPath = path.join(outputDir, fileName);
 
-  fs.writeFileSync(outPath, toCSV(columns, results), "utf8");
+  // Rows never started (budget reached / Stop) are left out
+  fs.writeFileSync(outPath, toCSV(columns, results.filter(Boolean)), "utf8");
+  events.artifact(outPath, { rows: results.filter(Boolean).length });
 
-  const noMatch = Math.max(0, emails.length - foundTrue - failed);
+  const noMatch = Math.max(0, processed - foundTrue - failed);
 
   if (!jsonOnly) {
     UI.summary({
@@ -579,6 +552,8 @@ async function main() {
       noMatch,
       failed,
       outPath,
+      budget,
+      cache,
     });
   }
 
@@ -588,10 +563,24 @@ async function main() {
     found_true: foundTrue,
     failed,
     not_found: noMatch,
+    ...budget.metrics(),
+    ...cache.metrics(),
+  });
+  cache.flush();
+
+  emitStatus(budget.exceeded() || stopRequested() ? "stopped" : "done", {
+    totalEmails: emails.length,
+    emailsProcessed: processed,
+    emailsFound: foundTrue,
+    emailsNotFound: noMatch,
+  });
+  events.summary(budget.exceeded() || stopRequested() ? "stopped" : "done", {
+    counts: { total: emails.length, processed, found: foundTrue, notFound: noMatch, failed, ...cache.metrics() },
   });
 }
 
 main().catch((e) => {
   console.error("Fatal:", e);
+  events.summary("error", { message: e?.message || String(e) });
   process.exit(1);
 });
@@ -20,32 +20,28 @@ if (module.paths && !module.paths.includes(path.join(appRoot, "node_modules")))
   module.paths.unshift(path.join(appRoot, "node_modules"));
 }
 
-const API_URL = "https://api.blitz-api.ai/v2/enrichment/phone-to-person";
+const { createBlitzClient } = require("../lib/blitz-client");
+const { openEnrichmentCache } = require("../lib/enrichment-cache");
+const { createRunBudget } = require("../lib/run-budget");
+const { watchStop } = require("../lib/stop-signal");
+const events = require("../lib/events");
+const { readColumnMap, resolveColumn } = require("../lib/column-map");
+const { normalizeValue, isValidValue } = require("../lib/input-checks");
+
+const ENDPOINT = "/v2/enrichment/phone-to-person";
 
 /* ========================
  * STOP SUPPORT
  * ======================*/
-const STOP_FLAG_FILE = process.env.STOP_FLAG_FILE || "";
-let stopRequested = false;
-
-function handleStopSignal(signal) {
+function handleStopSignal(reason) {
   console.log("");
   ui.divider();
-  ui.warn(`Stop requested (${signal}). Finishing current request, then stopping cleanly...`);
+  ui.warn(`Stop requested (${reason}). Finishing current request, then stopping cleanly...`);
   ui.divider();
-  stopRequested = true;
 }
 
-process.on("SIGINT", handleStopSignal);
-process.on("SIGTERM", handleStopSignal);
-
-function softStopRequested() {
-  try {
-    return STOP_FLAG_FILE && fs.existsSync(STOP_FLAG_FILE);
-  } catch {
-    return false;
-  }
-}
+// Signal or STOP_FLAG_FILE
+const stopRequested = watchStop(handleStopSignal);
 
 // --- CLI arg helpers ---
 function getArg(flag, fallback = null) {
@@ -75,6 +71,8 @@ function getConfig() {
     singlePhone: config.singlePhone || getArg("--phone"),
     inputPath: config.inputPath || getArg("--input"),
     columnName: config.columnName || getArg("--column", "phone"),
+    // columnMap (column mapper) wins over columnName
+    columnMap: readColumnMap(config),
     outputDir: config.outputDir || getArg("--output-dir", "./output"),
     concurrency: parseInt(config.concurrency || getArg("--concurrency", "3"), 10),
     jsonLogs: Boolean(config.jsonLogs) || hasFlag("--json") || process.env.JSON_LOGS === "1",
@@ -119,11 +117,14 @@ const ui = {
   retry(phone, status, attempt, backoff) {
     console.log(`⚠️  ${formatPhone(phone)}  • ${status} • retry #${attempt} in ${Math.round(backoff / 100) / 10}s`);
   },
-  doneSummary({ processed, total, found, notFound, outPath, stoppedEarly }) {
+  doneSummary({ processed, total, found, notFound, outPath, stoppedEarly, budget, cache }) {
     this.section("Run Summary");
     this.ok(`Processed : ${processed} / ${total}${stoppedEarly ? " (stopped early)" : ""}`);
     this.ok(`Found     : ${found}`);
     this.ok(`No match  : ${notFound}`);
+    if (budget?.exceeded()) this.warn(budget.summary());
+    else if (budget) this.ok(budget.summary());
+    if (cache) this.ok(cache.summary());
     console.log("");
     console.log(`📁 Saved CSV:\n${outPath}`);
     console.log("");
@@ -144,7 +145,7 @@ function formatPhone(p) {
 
 /* ========================
  * LOGGING
- * - Keep emitStatus() JSON for Electron parsing
+ * - Status/progress go out as events (backend/lib/events.js)
  * - Make normal logs pretty by default
  * - Allow --json to get old JSON logs
  * ======================*/
@@ -166,6 +167,7 @@ function log(config, level, msg, meta = {}) {
     if (msg === "Starting run") {
       ui.title("Reverse Phone → Person Lookup");
       ui.ok(`Tool started • Concurrency: ${meta.concurrency}`);
+      ui.ok(`Rate limit   • ${meta.rate_limit}`);
       ui.ok(`Total phones • ${meta.total_phones}`);
       ui.ok(`Output dir   • ${meta.output_dir}`);
       return;
@@ -217,7 +219,7 @@ function log(config, level, msg, meta = {}) {
 
 /* ========================
  * Status/Metrics output for Electron UI
- * (DO NOT CHANGE THIS FORMAT)
+ * (events: backend/lib/events.js)
  * ======================*/
 function emitStatus(phase = "running", extra = {}) {
   const {
@@ -227,18 +229,8 @@ function emitStatus(phase = "running", extra = {}) {
     phonesNotFound = null,
   } = extra;
 
-  console.log(
-    JSON.stringify({
-      type: "status",
-      status: phase,
-      metrics: {
-        totalPhones,
-        phonesProcessed,
-        phonesFound,
-        phonesNotFound,
-      },
-    })
-  );
+  events.status(phase, { totalPhones, phonesProcessed, phonesFound, phonesNotFound });
+  if (phonesProcessed !== null) events.progress(phonesProcessed, totalPhones, { unit: "phones" });
 }
 
 // --- CSV helpers ---
@@ -316,64 +308,36 @@ function extractPhonesFromTxt(text) {
     .filter(Boolean);
 }
 
-// --- Blitz call with retries/backoff ---
-function sleep(ms) {
-  return new Promise((r) => setTimeout(r, ms));
-}
-
-async function blitzPhoneToPerson(phone, apiKey, attempt = 1, configForLog) {
-  const t0 = Date.now();
-
-  const res = await fetch(API_URL, {
-    method: "POST",
-    headers: {
-      "x-api-key": apiKey,
-      "Content-Type": "application/json",
-    },
-    body: JSON.stringify({ phone }),
-  });
-
-  const text = await res.text();
-  let data;
-  try {
-    data = JSON.parse(text);
-  } catch {
-    data = { _raw: text };
-  }
-
-  const ms = Date.now() - t0;
-
-  // Retry on rate limits / transient errors
-  if (!res.ok) {
-    const status = res.status;
-
-    const shouldRetry = status === 429 || status >= 500;
-    if (shouldRetry && attempt < 5) {
-      const backoff = Math.min(15000, 750 * Math.pow(2, attempt)); // 1500, 3000, 6000...
+// --- Blitz call (rate limit + retries live in the shared client) ---
+async function blitzPhoneToPerson(client, phone, configForLog) {
+  const res = await client.post(ENDPOINT, { phone }, {
+    cache: true,
+    shouldStop: stopRequested,
+    onRetry: ({ status, error, attempt, waitMs }) => {
       log(configForLog, "warn", "Request failed; retrying", {
         phone,
-        status,
+        status: status || error,
         attempt,
-        backoff_ms: backoff,
+        backoff_ms: waitMs,
       });
-      await sleep(backoff);
-      return blitzPhoneToPerson(phone, apiKey, attempt + 1, configForLog);
-    }
+    },
+  });
 
+  if (!res.ok) {
     log(configForLog, "error", "Request failed (no more retries)", {
       phone,
-      status,
-      attempt,
-      duration_ms: ms,
-      response_preview: String(text).slice(0, 300),
+      status: res.status,
+      attempt: res.attempts,
+      duration_ms: res.duration_ms,
+      response_preview: String(res.data?._raw ?? JSON.stringify(res.data)).slice(0, 300),
     });
 
-    return { ok: false, phone, status, duration_ms: ms, data };
+    return { ok: false, phone, status: res.status, duration_ms: res.duration_ms, data: res.data };
   }
 
-  log(configForLog, "info", "Request ok", { phone, status: res.status, duration_ms: ms });
+  log(configForLog, "info", "Request ok", { phone, status: res.status, duration_ms: res.duration_ms, cached: !!res.cached });
 
-  return { ok: true, phone, status: res.status, duration_ms: ms, data };
+  return { ok: true, phone, status: res.status, duration_ms: res.duration_ms, data: res.data };
 }
 
 // --- Flatten Blitz response into CSV row ---
@@ -469,11 +433,12 @@ async function main() {
 
     if (ext === ".csv") {
       const parsed = parseCSV(raw);
-      if (!parsed.headers.includes(columnName)) {
+      const column = resolveColumn(parsed.headers, config.columnMap, "phone", [columnName]);
+      if (!column) {
         console.error(`CSV missing column "${columnName}". Found columns: ${parsed.headers.join(", ")}`);
         process.exit(1);
       }
-      phones = parsed.rows.map((r) => (r[columnName] || "").trim()).filter(Boolean);
+      phones = parsed.rows.map((r) => (r[column] || "").trim()).filter(Boolean);
     } else {
       phones = extractPhonesFromTxt(raw);
     }
@@ -482,13 +447,25 @@ async function main() {
     process.exit(1);
   }
 
-  // Basic cleanup + de-dupe
-  phones = Array.from(new Set(phones.map((p) => p.trim()).filter(Boolean)));
+  // Cleanup + de-dupe + sanity filter (lib/input-checks, same rules as the pre-flight report)
+  phones = Array.from(new Set(phones.map((p) => normalizeValue("phone", p)).filter(Boolean)));
+  const invalid = phones.filter((p) => !isValidValue("phone", p));
+  phones = phones.filter((p) => isValidValue("phone", p));
+  if (invalid.length) {
+    ui.warn(`Skipping ${invalid.length} invalid-looking phone numbers (kept ${phones.length}).`);
+    invalid.forEach((p) => events.warningRow(`Not a phone number: ${p}`, { data: { value: p } }));
+  }
+
+  const budget = createRunBudget({ unit: "credits", log: (msg) => ui.warn(msg) });
+  const cache = openEnrichmentCache({ log: (msg) => ui.warn(msg) });
+  const client = createBlitzClient({ apiKey, budget, cache });
+  const limit = await client.init();
 
   // Starting log
   log(config, "info", "Starting run", {
     total_phones: phones.length,
     concurrency,
+    rate_limit: `${limit.rate} req/s (${limit.source})`,
     output_dir: outputDir,
   });
 
@@ -535,7 +512,7 @@ async function main() {
 
   async function worker(workerId) {
     while (true) {
-      if (stopRequested || softStopRequested()) {
+      if (stopRequested() || budget.exceeded()) {
         log(config, "info", "Worker stopping", { workerId });
         return;
       }
@@ -553,7 +530,7 @@ async function main() {
       }
 
       try {
-        const res = await blitzPhoneToPerson(phone, apiKey, 1, config);
+        const res = await blitzPhoneToPerson(client, phone, config);
         results[myIndex] = flattenResult(phone, res);
 
         processedCount++;
@@ -576,6 +553,8 @@ async function main() {
           error: e?.message || String(e),
         });
 
+        events.warningRow(e?.message || String(e), { data: { input: phone } });
+
         results[myIndex] = flattenResult(phone, {
           ok: false,
           status: "",
@@ -591,17 +570,19 @@ async function main() {
   const workers = [];
   for (let w = 0; w < Math.max(1, concurrency); w++) workers.push(worker(w + 1));
   await Promise.all(workers);
+  await client.syncCredits();
+
+  // Stopped early? (Stop button or budget reached)
+  const stoppedEarly = stopRequested() || budget.exceeded();
 
   // Final status update
-  emitStatus("done", {
+  emitStatus(stoppedEarly ? "stopped" : "done", {
     totalPhones: phones.length,
     phonesProcessed: processedCount,
     phonesFound: foundCount,
     phonesNotFound: notFoundCount,
   });
 
-  // Stopped early?
-  const stoppedEarly = stopRequested || softStopRequested();
   if (stoppedEarly) {
     log(config, "warn", "Run stopped early", {
       processed: results.filter((r) => r).length,
@@ -619,6 +600,7 @@ async function main() {
   const outPath = path.join(outputDir, `reverse_phone_to_person_${stamp}.csv`);
   const csv = toCSV(headers, results.filter((r) => r));
   fs.writeFileSync(outPath, csv, "utf8");
+  events.artifact(outPath, { rows: results.filter((r) => r).length });
 
   // End log (json mode still gets your structured "Done")
   log(config, "info", "Done", {
@@ -626,6 +608,8 @@ async function main() {
     total: phones.length,
     found_true: foundCount,
     found_false: notFoundCount,
+    ...budget.metrics(),
+    ...cache.metrics(),
   });
 
   // Pretty summary (even if json mode, it's fine)
@@ -636,10 +620,18 @@ async function main() {
     notFound: notFoundCount,
     outPath,
     stoppedEarly,
+    budget,
+    cache,
+  });
+
+  cache.flush();
+  events.summary(stoppedEarly ? "stopped" : "done", {
+    counts: { total: phones.length, processed: processedCount, found: foundCount, notFound: notFoundCount, ...cache.metrics() },
   });
 }
 
 main().catch((e) => {
   console.error("Fatal:", e);
+  events.summary("error", { message: e?.message || String(e) });
   process.exit(1);
 });
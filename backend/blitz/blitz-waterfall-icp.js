@@ -12,7 +12,10 @@
 //   --include PATH         include_titles.csv path
 //   --exclude PATH         exclude_titles.csv path
 //   --locations PATH       locations.csv path
+//   --tiers PATH           cascade tiers CSV/JSON (replaces the three lists above)
 //   --max-results N        contacts per company (default: 10)
+//   --concurrency N        companies queried in parallel (default: 3)
+//   --retry-failures       only re-query companies that failed last time
 //   --api-key KEY          Blitz API key (else BLITZ_API_KEY env, else default)
 //
 //
@@ -23,13 +26,43 @@
 //   "includeTitlesCsv": "C:\\path\\to\\include_titles.csv",
 //   "excludeTitlesCsv": "C:\\path\\to\\exclude_titles.csv",
 //   "locationsCsv": "C:\\path\\to\\locations.csv",
+//   "tiersPath": "C:\\path\\to\\tiers.csv",          // optional, see CASCADE TIERS
+//   "cascadeTiers": [ { "name": "VP Sales US", "includeTitles": ["vp sales"], "locations": ["US"] } ],
 //   "maxResults": 10,
-//   "apiKey": "blitz_XXXXXXXX"
+//   "concurrency": 3,
+//   "retryFailuresOnly": false,
+//   "apiKey": "blitz_XXXXXXXX",
+//   "columnMap": { "companyLinkedinUrl": "Company URL" }   // default column: company_linkedin_url
 // }
 //
+// CASCADE TIERS:
+//   Tiers are tried in order; a later tier is only used when the earlier ones
+//   found nobody. Source: cascadeTiers (card tier editor) > tiersPath/--tiers >
+//   the include/exclude/locations CSVs as a single tier.
+//   tiers.csv: one row per tier, columns tier,include_title,exclude_title,location
+//   with "|" or ";" between values. tiers.json: [{ name, include_title,
+//   exclude_title, location }] (camelCase includeTitles/excludeTitles/locations too).
+//   The API does not say which step matched, so each contact's "Matched Tier"
+//   is the first tier whose titles (and locations, when set) fit the contact.
+//   A contact outside every location-restricted tier it fits by title only
+//   counts for a tier without locations, or is left blank ("tierUnmatched").
+//
+// RESUME:
+//   <output>.checkpoint.jsonl (backend/lib/row-checkpoint.js) records each
+//   company (URL + cascade/max-results signature) once its rows are written, or
+//   its error. Rerunning with the same input + output skips finished companies
+//   and retries the failed ones; "retryFailuresOnly" runs just the failures.
+//
+// CONCURRENCY:
+//   A pool of "concurrency" workers shares the client's rate limiter (the key's
+//   max_requests_per_seconds), so more workers never exceed the key's rate; the
+//   pool is also capped at about 2 seconds of requests at that rate. Rows are
+//   appended in input order: a company that finishes early waits for the ones
+//   before it.
+//
 // STOP SUPPORT:
 //   - Set env STOP_FLAG_FILE to a path. If that file exists, script stops
-//     before starting new companies.
+//     before starting new companies; in-flight companies finish and are written.
 //   - SIGINT / SIGTERM (Ctrl+C) also trigger graceful stop.
 // =======================================================
 
@@ -44,45 +77,32 @@ if (module.paths && !module.paths.includes(path.join(appRoot, 'node_modules')))
 }
 
 const csv = require("csv-parser");
-const { createObjectCsvWriter } = require("csv-writer");
+const { createObjectCsvWriter, createObjectCsvStringifier } = require("csv-writer");
 
-// fetch polyfill (Node 18+ has global fetch; older needs node-fetch)
-const fetch =
-  globalThis.fetch ||
-  ((...args) =>
-    import("node-fetch").then((m) => m.default(...args)));
+const { createBlitzClient } = require("../lib/blitz-client");
+const { createRunBudget } = require("../lib/run-budget");
+const { watchStop } = require("../lib/stop-signal");
+const events = require("../lib/events");
+const { readColumnMap, resolveColumn } = require("../lib/column-map");
+const { openRowCheckpoint } = require("../lib/row-checkpoint");
 
-/* ----------------- STOP SUPPORT ----------------- */
+const WATERFALL_ENDPOINT = "/api/search/waterfall-icp-real-time";
 
-const STOP_FLAG_FILE = process.env.STOP_FLAG_FILE || "";
-let stopRequested = false;
+/* ----------------- STOP SUPPORT ----------------- */
 
-function handleStopSignal(signal) {
+function handleStopSignal(reason) {
   console.log("");
   console.log("=".repeat(80));
-  console.log(`[STOP] Signal ${signal} received by blitz-waterfall-icp.`);
+  console.log(`[STOP] Stop requested (${reason}) in blitz-waterfall-icp.`);
   console.log("[STOP] Will NOT start new companies.");
   console.log(
-    "[STOP] Any in-flight Blitz call will finish, then the script will exit."
+    "[STOP] In-flight Blitz calls will finish and be written, then the script will exit."
   );
   console.log("=".repeat(80));
-  stopRequested = true;
-}
-
-process.on("SIGINT", handleStopSignal);
-process.on("SIGTERM", handleStopSignal);
-
-function softStopRequested() {
-  try {
-    return STOP_FLAG_FILE && fs.existsSync(STOP_FLAG_FILE);
-  } catch {
-    return false;
-  }
 }
 
-function shouldStop() {
-  return stopRequested || softStopRequested();
-}
+// Signal or STOP_FLAG_FILE
+const shouldStop = watchStop(handleStopSignal);
 
 /* ----------------- CLI + TOOL_CONFIG ----------------- */
 
@@ -116,6 +136,20 @@ function fromEnv(key, fallback) {
     : fallback;
 }
 
+// The card sends its own field names (companiesCsvPath, …); empty fields fall through
+function fromEnvAny(keys, fallback) {
+  for (const key of keys) {
+    const val = envCfg[key];
+    if (val !== undefined && val !== null && val !== "") return val;
+  }
+  return fallback;
+}
+
+function cardOutputCsv() {
+  if (!envCfg.outputDir) return null;
+  return path.join(envCfg.outputDir, envCfg.outputFile || "blitz_icp_results.csv");
+}
+
 /* ----------------- DEFAULT CONFIG ----------------- */
 
 const DEFAULT_INPUT_CSV = path.join(process.cwd(), "companies.csv");
@@ -140,35 +174,49 @@ const DEFAULT_MAX_RESULTS = 10;
 // I/O paths (CLI > TOOL_CONFIG > defaults)
 const INPUT_CSV = getArg(
   "--in",
-  fromEnv("inputCsv", DEFAULT_INPUT_CSV)
+  fromEnvAny(["inputCsv", "companiesCsvPath"], DEFAULT_INPUT_CSV)
 );
 
 const OUTPUT_CSV = getArg(
   "--out",
-  fromEnv("outputCsv", DEFAULT_OUTPUT_CSV)
+  fromEnvAny(["outputCsv"], cardOutputCsv() || DEFAULT_OUTPUT_CSV)
 );
 
 const INCLUDE_TITLES_CSV = getArg(
   "--include",
-  fromEnv("includeTitlesCsv", DEFAULT_INCLUDE_TITLES_CSV)
+  fromEnvAny(["includeTitlesCsv", "includeTitlesCsvPath"], DEFAULT_INCLUDE_TITLES_CSV)
 );
 
 const EXCLUDE_TITLES_CSV = getArg(
   "--exclude",
-  fromEnv("excludeTitlesCsv", DEFAULT_EXCLUDE_TITLES_CSV)
+  fromEnvAny(["excludeTitlesCsv", "excludeTitlesCsvPath"], DEFAULT_EXCLUDE_TITLES_CSV)
 );
 
 const LOCATIONS_CSV = getArg(
   "--locations",
-  fromEnv("locationsCsv", DEFAULT_LOCATIONS_CSV)
+  fromEnvAny(["locationsCsv", "locationsCsvPath"], DEFAULT_LOCATIONS_CSV)
 );
 
+// Cascade tiers: inline list (card editor) or a CSV/JSON file
+const TIERS_PATH = getArg("--tiers", fromEnvAny(["tiersPath"], ""));
+const INLINE_TIERS = Array.isArray(envCfg.cascadeTiers) ? envCfg.cascadeTiers : [];
+
 // Max results per company
 const MAX_RESULTS = getArgNumber(
   "--max-results",
-  fromEnv("maxResults", DEFAULT_MAX_RESULTS)
+  Number(fromEnvAny(["maxResults", "maxResultsPerCompany"], DEFAULT_MAX_RESULTS)) || DEFAULT_MAX_RESULTS
 );
 
+// Parallel workers (further capped by the key's rate, see CONCURRENCY)
+const CONCURRENCY = Math.max(
+  1,
+  getArgNumber("--concurrency", parseInt(fromEnvAny(["concurrency"], 3), 10) || 3)
+);
+
+// Resume: only companies the checkpoint lists as failed
+const RETRY_FAILURES_ONLY =
+  argv.includes("--retry-failures") || fromEnv("retryFailuresOnly", false) === true;
+
 // Blitz API key: CLI > TOOL_CONFIG > env > hardcoded default
 const BLITZ_API_KEY = getArg(
   "--api-key",
@@ -177,6 +225,21 @@ const BLITZ_API_KEY = getArg(
 
 /* ----------------- METRICS EMITTER (for Electron UI) ----------------- */
 
+// Contacts attributed to each cascade tier (index = tier - 1), set once tiers load
+let tierHits = [];
+let tierUnmatched = 0;
+
+function tierHitMetrics() {
+  const metrics = {
+    tierHits: tierHits.map((n, i) => `T${i + 1} ${n}`).join(" · "),
+  };
+  tierHits.forEach((n, i) => {
+    metrics[`tier${i + 1}Hits`] = n;
+  });
+  if (tierHits.length > 1) metrics.tierUnmatched = tierUnmatched;
+  return metrics;
+}
+
 function emitMetrics(extra = {}) {
   const {
     phase = "running",
@@ -186,22 +249,22 @@ function emitMetrics(extra = {}) {
     currentCompany = null,
     contactsFound = null,
     noMatches = null,
+    skippedDone = null,
   } = extra;
 
-  console.log(
-    JSON.stringify({
-      type: "status",
-      status: phase,
-      metrics: {
-        totalCompanies,
-        companiesProcessed: processedCompanies,
-        failedCompanies,
-        currentCompany,
-        contactsFound,
-        noMatches,
-      },
-    })
-  );
+  events.status(phase, {
+    totalCompanies,
+    companiesProcessed: processedCompanies,
+    failedCompanies,
+    currentCompany,
+    contactsFound,
+    noMatches,
+    skippedDone,
+    ...tierHitMetrics(),
+  });
+  if (processedCompanies !== null) {
+    events.progress(processedCompanies + (failedCompanies || 0), totalCompanies, { unit: "companies" });
+  }
 }
 
 /* ----------------- SAFETY CHECKS ----------------- */
@@ -214,7 +277,7 @@ function ensureInputExists() {
     process.exit(1);
   }
 
-  if (!fs.existsSync(INCLUDE_TITLES_CSV)) {
+  if (INLINE_TIERS.length === 0 && !TIERS_PATH && !fs.existsSync(INCLUDE_TITLES_CSV)) {
     console.error(
       `\n[ERROR] "${INCLUDE_TITLES_CSV}" not found. This file is required (include titles).\n`
     );
@@ -231,13 +294,23 @@ function ensureInputExists() {
 
 /* ----------------- HELPERS: CSV READERS ----------------- */
 
-function readCompaniesFromCsv(csvPath, columnName) {
+function readCompaniesFromCsv(csvPath, defaultColumn) {
   return new Promise((resolve, reject) => {
     const companies = [];
     let rowCount = 0;
+    let columnName = defaultColumn;
 
-    fs.createReadStream(csvPath)
+    const stream = fs
+      .createReadStream(csvPath)
       .pipe(csv())
+      .on("headers", (headers) => {
+        try {
+          columnName = resolveColumn(headers, readColumnMap(envCfg), "companyLinkedinUrl", [defaultColumn]) || defaultColumn;
+        } catch (err) {
+          stream.destroy();
+          reject(err);
+        }
+      })
       .on("data", (row) => {
         rowCount++;
         const url = row[columnName];
@@ -283,29 +356,177 @@ function readListFromCsv(
         const raw = cols.find((v) => v && String(v).trim());
         if (!raw) return;
 
-        let val = String(raw).trim();
+        const val = String(raw).trim();
+        values.push(normalizeLocation ? normalizeLocationValue(val) : val);
+      })
+      .on("end", () => resolve(values))
+      .on("error", (err) => reject(err));
+  });
+}
+
+function normalizeLocationValue(val) {
+  const lower = val.toLowerCase();
+  if (lower === "usa") return "US";
+  if (lower.length === 2) return lower.toUpperCase();
+  return val;
+}
 
-        if (normalizeLocation) {
-          const lower = val.toLowerCase();
+/* ----------------- CASCADE TIERS ----------------- */
 
-          if (lower === "usa") {
-            val = "US";
-          } else if (lower.length === 2) {
-            val = lower.toUpperCase();
-          } else {
-            val = val;
-          }
-        }
+// Array, or a "|" / ";" / newline separated string
+function splitList(value) {
+  const items = Array.isArray(value) ? value : String(value ?? "").split(/[|;\n]/);
+  return items.map((v) => String(v ?? "").trim()).filter(Boolean);
+}
+
+function pick(obj, keys) {
+  for (const key of keys) {
+    if (obj[key] !== undefined && obj[key] !== null && obj[key] !== "") return obj[key];
+  }
+  return undefined;
+}
+
+function normalizeTier(raw, idx) {
+  // CSV headers: match "Include Title", "include_titles", … case-insensitively
+  const byKey = {};
+  for (const [k, v] of Object.entries(raw || {})) {
+    byKey[k.toLowerCase().replace(/[^a-z]/g, "")] = v;
+  }
+
+  const includeTitles = splitList(pick(byKey, ["includetitle", "includetitles", "include"]));
+  if (includeTitles.length === 0) {
+    throw new Error(`Cascade tier ${idx + 1} has no include titles.`);
+  }
 
-        values.push(val);
+  return {
+    name: String(pick(byKey, ["name", "tier", "tiername"]) ?? "").trim() || `Tier ${idx + 1}`,
+    include_title: includeTitles,
+    exclude_title: splitList(pick(byKey, ["excludetitle", "excludetitles", "exclude"])),
+    location: splitList(pick(byKey, ["location", "locations"])).map(normalizeLocationValue),
+  };
+}
+
+function readTiersFile(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return Promise.reject(new Error(`Cascade tiers file not found: ${filePath}`));
+  }
+
+  if (path.extname(filePath).toLowerCase() === ".json") {
+    try {
+      const parsed = JSON.parse(fs.readFileSync(filePath, "utf8"));
+      const list = Array.isArray(parsed) ? parsed : parsed?.tiers;
+      if (!Array.isArray(list)) {
+        throw new Error('expected an array of tiers or { "tiers": [...] }');
+      }
+      return Promise.resolve(list);
+    } catch (err) {
+      return Promise.reject(new Error(`Invalid cascade tiers JSON "${filePath}": ${err.message}`));
+    }
+  }
+
+  return new Promise((resolve, reject) => {
+    const rows = [];
+    fs.createReadStream(filePath)
+      .pipe(csv())
+      .on("data", (row) => {
+        if (Object.values(row).some((v) => v && String(v).trim())) rows.push(row);
       })
-      .on("end", () => resolve(values))
+      .on("end", () => resolve(rows))
       .on("error", (err) => reject(err));
   });
 }
 
+/**
+ * Ordered cascade: card tiers > tiers file > the three filter CSVs as one tier.
+ * Returns { tiers, source }.
+ */
+async function loadCascadeTiers() {
+  if (INLINE_TIERS.length > 0) {
+    return { tiers: INLINE_TIERS.map(normalizeTier), source: "card tier editor" };
+  }
+
+  if (TIERS_PATH) {
+    const raw = await readTiersFile(TIERS_PATH);
+    if (raw.length === 0) throw new Error(`"${TIERS_PATH}" has no tiers.`);
+    return { tiers: raw.map(normalizeTier), source: TIERS_PATH };
+  }
+
+  const includeTitles = await readListFromCsv(INCLUDE_TITLES_CSV, {
+    required: true,
+    normalizeLocation: false,
+  });
+  if (includeTitles.length === 0) {
+    throw new Error(
+      `"${INCLUDE_TITLES_CSV}" is empty. Add at least one title (e.g. "ceo") and rerun.`
+    );
+  }
+
+  const excludeTitles = await readListFromCsv(EXCLUDE_TITLES_CSV, {
+    required: false,
+    normalizeLocation: false,
+  });
+  const locations = await readListFromCsv(LOCATIONS_CSV, {
+    required: false,
+    normalizeLocation: true,
+  });
+
+  return {
+    tiers: [
+      {
+        name: "Tier 1",
+        include_title: includeTitles,
+        exclude_title: excludeTitles,
+        location: locations,
+      },
+    ],
+    source: "include/exclude/locations CSVs",
+  };
+}
+
+function toApiCascade(tiers) {
+  return tiers.map(({ include_title, exclude_title, location }) => ({
+    include_title,
+    exclude_title,
+    location,
+  }));
+}
+
+function titleFits(text, tier) {
+  const hay = text.toLowerCase();
+  if (!tier.include_title.some((t) => hay.includes(t.toLowerCase()))) return false;
+  return !tier.exclude_title.some((t) => hay.includes(t.toLowerCase()));
+}
+
+function locationFits(person, tier) {
+  if (tier.location.length === 0) return true;
+  const country = String(person.country || "").trim().toLowerCase();
+  return !!country && tier.location.some((l) => l.toLowerCase() === country);
+}
+
+/**
+ * Index of the tier a contact came from, or -1. One tier: always that tier.
+ * Otherwise the first tier whose titles and locations fit, then the first
+ * tier without a location filter whose titles fit. A tier with locations is
+ * never credited with a contact outside them.
+ */
+function findMatchedTier(person, tiers) {
+  if (tiers.length === 1) return 0;
+
+  const matchedValues = Array.isArray(person.what_matched)
+    ? person.what_matched.map((w) => w.value).join(" ")
+    : "";
+  const text = `${person.job_title || ""} ${matchedValues}`;
+
+  const full = tiers.findIndex((t) => titleFits(text, t) && locationFits(person, t));
+  if (full !== -1) return full;
+  return tiers.findIndex((t) => t.location.length === 0 && titleFits(text, t));
+}
+
 /* ----------------- HELPER: Blitz API CALL ----------------- */
 
+// Shared client: key-info rate limit, retries on 429/5xx, request telemetry
+let blitz = null;
+
 async function callBlitzWaterfall(companyUrl, cascade, maxResults) {
   const body = {
     company_linkedin_url: companyUrl,
@@ -313,26 +534,23 @@ async function callBlitzWaterfall(companyUrl, cascade, maxResults) {
     max_results: maxResults,
   };
 
-  const res = await fetch(
-    "https://api.blitz-api.ai/api/search/waterfall-icp-real-time",
-    {
-      method: "POST",
-      headers: {
-        "x-api-key": BLITZ_API_KEY,
-        "Content-Type": "application/json",
-      },
-      body: JSON.stringify(body),
-    }
-  );
+  const res = await blitz.post(WATERFALL_ENDPOINT, body, {
+    shouldStop,
+    onRetry: ({ status, error, attempt, waitMs }) => {
+      console.log(
+        `[RETRY] ${companyUrl} -> ${status || error}, attempt ${attempt}, retrying in ${Math.round(waitMs / 100) / 10}s`
+      );
+    },
+  });
 
   if (!res.ok) {
-    const text = await res.text().catch(() => "");
+    const text = res.data?._raw ?? JSON.stringify(res.data);
     throw new Error(
-      `HTTP ${res.status} ${res.statusText} for ${companyUrl}: ${text}`.trim()
+      `HTTP ${res.status} for ${companyUrl} after ${res.attempts} attempt(s): ${text}`.trim()
     );
   }
 
-  return res.json();
+  return res.data;
 }
 
 /* ----------------- HELPER: pretty print result ----------------- */
@@ -375,7 +593,7 @@ function logCompanyResult(idx, total, companyUrl, apiResponse) {
 
 /* ----------------- HELPER: flatten for CSV ----------------- */
 
-function flattenResultsForCsv(companyResponse) {
+function flattenResultsForCsv(companyResponse, tiers) {
   const rows = [];
   const companyUrl = companyResponse.company_linkedin_url || "";
   const maxResults = companyResponse.max_results ?? "";
@@ -391,6 +609,8 @@ function flattenResultsForCsv(companyResponse) {
         ? person.what_matched.map((w) => `${w.key}: ${w.value}`).join(" | ")
         : "";
 
+    const tierIdx = findMatchedTier(person, tiers);
+
     rows.push({
       search_company_linkedin_url: companyUrl,
       search_max_results: maxResults,
@@ -409,6 +629,8 @@ function flattenResultsForCsv(companyResponse) {
       icp: person.icp ?? "",
       ranking: person.ranking ?? "",
       what_matched: whatMatched,
+      matched_tier: tierIdx === -1 ? "" : tierIdx + 1,
+      matched_tier_name: tierIdx === -1 ? "" : tiers[tierIdx].name,
     });
   }
 
@@ -417,9 +639,65 @@ function flattenResultsForCsv(companyResponse) {
 
 /* ----------------- CSV WRITER (STREAMING APPEND) ----------------- */
 
-// Create/append output CSV once, then append rows per company
+// Output columns; the CSV is created (or appended to) once, then rows per company
+const OUTPUT_HEADER = [
+  {
+    id: "search_company_linkedin_url",
+    title: "Search Company LinkedIn Url",
+  },
+  { id: "search_max_results", title: "Search Max Results" },
+  { id: "search_results_length", title: "Search Results Length" },
+  { id: "company_domain", title: "Company Domain" },
+  { id: "company_linkedin_url", title: "Company LinkedIn Url" },
+  { id: "full_name", title: "Full Name" },
+  { id: "first_name", title: "First Name" },
+  { id: "last_name", title: "Last Name" },
+  { id: "job_title", title: "Job Title" },
+  { id: "linkedin_headline", title: "LinkedIn Headline" },
+  { id: "person_linkedin_url", title: "Person LinkedIn Url" },
+  { id: "country", title: "Country" },
+  { id: "icp", title: "ICP" },
+  { id: "ranking", title: "Ranking" },
+  { id: "what_matched", title: "What Matched" },
+  { id: "matched_tier", title: "Matched Tier" },
+  { id: "matched_tier_name", title: "Matched Tier Name" },
+];
+
 let globalCsvWriter = null;
 
+/**
+ * An existing OUTPUT_CSV must have exactly these columns (e.g. one written
+ * before the Matched Tier columns existed would get rows longer than its header).
+ * One that doesn't is renamed aside (<name>.old-<timestamp>.csv) and the run
+ * starts a fresh file; its checkpoint starts over with it.
+ */
+function ensureOutputHeaderMatches() {
+  if (!fs.existsSync(OUTPUT_CSV)) return;
+
+  let firstLine = "";
+  const fd = fs.openSync(OUTPUT_CSV, "r");
+  try {
+    const buf = Buffer.alloc(64 * 1024);
+    const bytes = fs.readSync(fd, buf, 0, buf.length, 0);
+    firstLine = buf.toString("utf8", 0, bytes).replace(/^\uFEFF/, "").split(/\r?\n/)[0];
+  } finally {
+    fs.closeSync(fd);
+  }
+  if (!firstLine.trim()) return;
+
+  const expected = createObjectCsvStringifier({ header: OUTPUT_HEADER }).getHeaderString().trim();
+  if (firstLine.trim() === expected) return;
+
+  const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+  const parsed = path.parse(OUTPUT_CSV);
+  const aside = path.join(parsed.dir, `${parsed.name}.old-${stamp}${parsed.ext || ".csv"}`);
+  fs.renameSync(OUTPUT_CSV, aside);
+  console.log(
+    `[OUTPUT] "${OUTPUT_CSV}" has other columns (written by an older version?).\n` +
+      `         Moved it to "${aside}" and starting a fresh file.`
+  );
+}
+
 function getCsvWriter() {
   if (globalCsvWriter) return globalCsvWriter;
 
@@ -428,31 +706,17 @@ function getCsvWriter() {
     fs.mkdirSync(dir, { recursive: true });
   }
 
-  const fileExists = fs.existsSync(OUTPUT_CSV);
+
+  // Header up front, so the checkpoint has an output file to match even
+  // before the first company with contacts
+  if (!fs.existsSync(OUTPUT_CSV)) {
+    fs.writeFileSync(OUTPUT_CSV, createObjectCsvStringifier({ header: OUTPUT_HEADER }).getHeaderString(), "utf8");
+  }
 
   globalCsvWriter = createObjectCsvWriter({
     path: OUTPUT_CSV,
-    header: [
-      {
-        id: "search_company_linkedin_url",
-        title: "Search Company LinkedIn Url",
-      },
-      { id: "search_max_results", title: "Search Max Results" },
-      { id: "search_results_length", title: "Search Results Length" },
-      { id: "company_domain", title: "Company Domain" },
-      { id: "company_linkedin_url", title: "Company LinkedIn Url" },
-      { id: "full_name", title: "Full Name" },
-      { id: "first_name", title: "First Name" },
-      { id: "last_name", title: "Last Name" },
-      { id: "job_title", title: "Job Title" },
-      { id: "linkedin_headline", title: "LinkedIn Headline" },
-      { id: "person_linkedin_url", title: "Person LinkedIn Url" },
-      { id: "country", title: "Country" },
-      { id: "icp", title: "ICP" },
-      { id: "ranking", title: "Ranking" },
-      { id: "what_matched", title: "What Matched" },
-    ],
-    append: fileExists,
+    header: OUTPUT_HEADER,
+    append: true,
   });
 
   return globalCsvWriter;
@@ -475,7 +739,13 @@ function getCsvWriter() {
   console.log(`   INCLUDE_TITLES   = ${INCLUDE_TITLES_CSV}`);
   console.log(`   EXCLUDE_TITLES   = ${EXCLUDE_TITLES_CSV}`);
   console.log(`   LOCATIONS_CSV    = ${LOCATIONS_CSV}`);
+  console.log(
+    `   CASCADE_TIERS    = ${
+      INLINE_TIERS.length ? `${INLINE_TIERS.length} from card` : TIERS_PATH || "(filter CSVs)"
+    }`
+  );
   console.log(`   MAX_RESULTS      = ${MAX_RESULTS}`);
+  console.log(`   CONCURRENCY      = ${CONCURRENCY}`);
   console.log(
     `   BLITZ_API_KEY    = ${
       BLITZ_API_KEY ? BLITZ_API_KEY.slice(0, 10) + "…" : "NOT SET"
@@ -483,70 +753,98 @@ function getCsvWriter() {
   );
   console.log("------------------------------------------------\n");
 
-  // Load filters
-  let includeTitles;
+  // Load cascade tiers
+  let tiers;
+  let tiersSource;
   try {
-    includeTitles = await readListFromCsv(INCLUDE_TITLES_CSV, {
-      required: true,
-      normalizeLocation: false,
-    });
+    ({ tiers, source: tiersSource } = await loadCascadeTiers());
   } catch (e) {
     console.error(`\n[ERROR] ${e.message}\n`);
     process.exit(1);
   }
 
-  if (includeTitles.length === 0) {
+  console.log(`[LOG] Cascade: ${tiers.length} tier(s) from ${tiersSource}`);
+  tiers.forEach((tier, i) => {
+    console.log(
+      `   ${i + 1}. ${tier.name}: include ${tier.include_title.length}, exclude ${tier.exclude_title.length}, locations ${
+        tier.location.length || "any"
+      }`
+    );
+  });
+
+  const cascade = toApiCascade(tiers);
+  tierHits = tiers.map(() => 0);
+
+  // Load companies
+  const inputCompanies = await readCompaniesFromCsv(INPUT_CSV, COLUMN_NAME);
+  if (inputCompanies.length === 0) {
     console.error(
-      `\n[ERROR] "${INCLUDE_TITLES_CSV}" is empty. Add at least one title (e.g. "ceo") and rerun.\n`
+      "\n[ERROR] No valid company URLs found. Check your CSV and column name.\n"
     );
     process.exit(1);
   }
 
-  const excludeTitles = await readListFromCsv(EXCLUDE_TITLES_CSV, {
-    required: false,
-    normalizeLocation: false,
-  });
+  ensureOutputHeaderMatches();
 
-  const locations = await readListFromCsv(LOCATIONS_CSV, {
-    required: false,
-    normalizeLocation: true,
-  });
+  // Resume: skip companies already written with these filters
+  const checkpoint = openRowCheckpoint({ inputPath: INPUT_CSV, outputPath: OUTPUT_CSV });
+  const filterSignature = { cascade, maxResults: MAX_RESULTS };
+  const checkpointKey = (companyUrl) => checkpoint.keyFor(companyUrl, filterSignature);
 
-  console.log("[LOG] Filters loaded:");
-  console.log(
-    `   include_title: ${includeTitles.length} item(s) (${INCLUDE_TITLES_CSV})`
-  );
-  console.log(
-    `   exclude_title: ${excludeTitles.length} item(s)${
-      excludeTitles.length ? " (" + EXCLUDE_TITLES_CSV + ")" : ""
-    }`
-  );
-  console.log(
-    `   location:      ${locations.length} item(s)${
-      locations.length ? " (" + LOCATIONS_CSV + ")" : ""
-    }`
-  );
+  let skippedDone = 0;
+  let skippedNotFailed = 0;
+  let retrying = 0;
+  const companies = inputCompanies.filter((companyUrl) => {
+    const { run, reason } = checkpoint.plan(checkpointKey(companyUrl), {
+      retryFailuresOnly: RETRY_FAILURES_ONLY,
+    });
+    if (reason === "done") skippedDone++;
+    if (reason === "not-failed") skippedNotFailed++;
+    if (reason === "retry") retrying++;
+    return run;
+  });
 
-  // Cascade (single step for now)
-  const cascade = [
-    {
-      include_title: includeTitles,
-      exclude_title: excludeTitles,
-      location: locations,
-    },
-  ];
+  if (skippedDone || retrying || RETRY_FAILURES_ONLY) {
+    console.log(
+      `[CHECKPOINT] ${checkpoint.path}\n   done already: ${skippedDone} (skipped), failed last time: ${retrying} (retrying)${
+        RETRY_FAILURES_ONLY ? `, not failed: ${skippedNotFailed} (skipped – retry failures only)` : ""
+      }`
+    );
+  }
+  if (RETRY_FAILURES_ONLY) {
+    companies.forEach((companyUrl) => {
+      console.log(`   - ${companyUrl} -> ${checkpoint.error(checkpointKey(companyUrl)) || "failed"}`);
+    });
+  }
 
-  // Load companies
-  const companies = await readCompaniesFromCsv(INPUT_CSV, COLUMN_NAME);
   if (companies.length === 0) {
-    console.error(
-      "\n[ERROR] No valid company URLs found. Check your CSV and column name.\n"
+    console.log(
+      `\n[DONE] Nothing to run: ${
+        RETRY_FAILURES_ONLY ? "no failed companies recorded" : "every company is already in the output"
+      }. Delete "${checkpoint.path}" to query them again.\n`
     );
-    process.exit(1);
+    emitMetrics({
+      phase: "done",
+      totalCompanies: 0,
+      processedCompanies: 0,
+      failedCompanies: 0,
+      contactsFound: 0,
+      noMatches: 0,
+      skippedDone,
+    });
+    events.summary("done", { counts: { totalCompanies: 0, skippedDone } });
+    return;
   }
 
+  const budget = createRunBudget({ unit: "credits", log: (msg) => console.log(`\n${msg}`) });
+  blitz = createBlitzClient({ apiKey: BLITZ_API_KEY, budget });
+  const limit = await blitz.init();
+
+  // Workers past ~2s of requests at the key's rate would only queue on the limiter
+  const workerCount = Math.min(CONCURRENCY, Math.max(1, Math.ceil(limit.rate * 2)), companies.length);
+
   console.log(
-    `\n[LOG] Starting Blitz search for ${companies.length} companie(s) with max_results=${MAX_RESULTS}...\n`
+    `\n[LOG] Starting Blitz search for ${companies.length} companie(s) with max_results=${MAX_RESULTS}, ${workerCount} worker(s) (${limit.rate} req/s, ${limit.source})...\n`
   );
 
   // Prepare CSV writer (create or append)
@@ -566,65 +864,76 @@ function getCsvWriter() {
     currentCompany: null,
     contactsFound,
     noMatches,
+    skippedDone,
   });
 
-  for (let i = 0; i < companies.length; i++) {
-    if (shouldStop()) {
-      console.log("");
-      console.log("=".repeat(70));
-      console.log(
-        "[STOP] Stop requested. Not starting any new companies. Remaining companies will be skipped."
-      );
-      console.log("=".repeat(70));
-      break;
+  // Finished companies wait here until every company before them is written,
+  // so the output keeps input order whatever order the workers finish in
+  const finished = new Map(); // index -> { companyUrl, rows } | { companyUrl, error }
+  let nextToWrite = 0;
+  let writeChain = Promise.resolve();
+  let writeError = null;
+
+  async function flushFinished() {
+    while (finished.has(nextToWrite)) {
+      const { companyUrl, rows, error } = finished.get(nextToWrite);
+      finished.delete(nextToWrite);
+      nextToWrite++;
+
+      if (error) {
+        errorSummary.push({ companyUrl, error });
+        checkpoint.markFailed(checkpointKey(companyUrl), error);
+        continue;
+      }
+      // STREAMING APPEND: write this company's rows as soon as its turn comes
+      if (rows.length > 0) await csvWriter.writeRecords(rows);
+      checkpoint.markDone(checkpointKey(companyUrl));
     }
+  }
 
-    const idx = i + 1;
-    const companyUrl = companies[i];
-
-    console.log(
-      `\n[RUN] (${idx}/${companies.length}) Querying Blitz for: ${companyUrl}`
-    );
-
-    emitMetrics({
-      phase: "running",
-      totalCompanies: companies.length,
-      processedCompanies,
-      failedCompanies,
-      currentCompany: companyUrl,
-      contactsFound,
-      noMatches,
+  // Workers don't wait for their turn; a failed write stops the run
+  function finish(i, result) {
+    finished.set(i, result);
+    writeChain = writeChain.then(flushFinished).catch((err) => {
+      writeError = writeError || err;
     });
+  }
 
-    try {
-      const apiRes = await callBlitzWaterfall(
-        companyUrl,
-        cascade,
-        MAX_RESULTS
-      );
-
-      const decorated = {
-        company_linkedin_url: companyUrl,
-        max_results: apiRes.max_results ?? MAX_RESULTS,
-        results_length:
-          apiRes.results_length ??
-          (apiRes.results ? apiRes.results.length : 0),
-        results: apiRes.results || [],
-      };
-
-      logCompanyResult(idx, companies.length, companyUrl, decorated);
-
-      const rows = flattenResultsForCsv(decorated);
-
-      if (rows.length === 0) {
-        noMatches++;
-      } else {
-        contactsFound += rows.length;
-        // STREAMING APPEND: write this company's rows immediately
-        await csvWriter.writeRecords(rows);
+  let cursor = 0;
+  let stopAnnounced = false;
+
+  async function worker() {
+    while (true) {
+      if (writeError) return;
+      if (shouldStop()) {
+        if (!stopAnnounced && cursor < companies.length) {
+          stopAnnounced = true;
+          console.log("");
+          console.log("=".repeat(70));
+          console.log(
+            "[STOP] Stop requested. Not starting any new companies. Remaining companies will be skipped."
+          );
+          console.log("=".repeat(70));
+        }
+        return;
       }
+      if (budget.exceeded()) {
+        if (!stopAnnounced && cursor < companies.length) {
+          stopAnnounced = true;
+          console.log(`[BUDGET] Skipping the remaining ${companies.length - cursor} companie(s).`);
+        }
+        return;
+      }
+
+      const i = cursor++;
+      if (i >= companies.length) return;
 
-      processedCompanies++;
+      const idx = i + 1;
+      const companyUrl = companies[i];
+
+      console.log(
+        `\n[RUN] (${idx}/${companies.length}) Querying Blitz for: ${companyUrl}`
+      );
 
       emitMetrics({
         phase: "running",
@@ -634,15 +943,50 @@ function getCsvWriter() {
         currentCompany: companyUrl,
         contactsFound,
         noMatches,
+        skippedDone,
       });
-    } catch (err) {
-      console.error(
-        `[ERROR] Failed for company: ${companyUrl}\n        ${
-          err.message || String(err)
-        }`
-      );
-      failedCompanies++;
-      errorSummary.push({ companyUrl, error: err.message || String(err) });
+
+      try {
+        const apiRes = await callBlitzWaterfall(
+          companyUrl,
+          cascade,
+          MAX_RESULTS
+        );
+
+        const decorated = {
+          company_linkedin_url: companyUrl,
+          max_results: apiRes.max_results ?? MAX_RESULTS,
+          results_length:
+            apiRes.results_length ??
+            (apiRes.results ? apiRes.results.length : 0),
+          results: apiRes.results || [],
+        };
+
+        logCompanyResult(idx, companies.length, companyUrl, decorated);
+
+        const rows = flattenResultsForCsv(decorated, tiers);
+
+        if (rows.length === 0) {
+          noMatches++;
+        } else {
+          contactsFound += rows.length;
+          rows.forEach((row) => {
+            if (row.matched_tier === "") tierUnmatched++;
+            else tierHits[row.matched_tier - 1]++;
+          });
+        }
+        finish(i, { companyUrl, rows });
+
+        processedCompanies++;
+      } catch (err) {
+        const message = err.message || String(err);
+        console.error(
+          `[ERROR] Failed for company: ${companyUrl}\n        ${message}`
+        );
+        failedCompanies++;
+        events.warningRow(message, { file: INPUT_CSV, data: { companyUrl } });
+        finish(i, { companyUrl, error: message });
+      }
 
       emitMetrics({
         phase: "running",
@@ -652,10 +996,17 @@ function getCsvWriter() {
         currentCompany: companyUrl,
         contactsFound,
         noMatches,
+        skippedDone,
       });
     }
   }
 
+  const workers = [];
+  for (let w = 0; w < workerCount; w++) workers.push(worker());
+  await Promise.all(workers);
+  await writeChain;
+  if (writeError) throw writeError;
+
   if (contactsFound === 0) {
     console.warn(
       `\n[WARN] No contact rows generated – "${OUTPUT_CSV}" may not have new rows.`
@@ -666,27 +1017,53 @@ function getCsvWriter() {
     );
   }
 
+  if (contactsFound > 0) {
+    console.log("\n[SUMMARY] Contacts per cascade tier:");
+    tiers.forEach((tier, i) => console.log(`   ${i + 1}. ${tier.name}: ${tierHits[i]}`));
+    if (tierUnmatched > 0) console.log(`   (no tier inferred): ${tierUnmatched}`);
+  }
+
   if (errorSummary.length > 0) {
     console.log("\n[SUMMARY] Some companies failed:");
     errorSummary.forEach((e) => {
       console.log(`   - ${e.companyUrl} -> ${e.error}`);
     });
+    console.log(
+      `[CHECKPOINT] Failures saved to "${checkpoint.path}". Run again with "Retry failures only" (--retry-failures) to re-query just these.`
+    );
   } else {
     console.log("\n[SUMMARY] All processed companies succeeded without API errors.");
   }
 
+  await blitz.syncCredits();
+  console.log(`\n${budget.summary()}`);
+
   emitMetrics({
-    phase: shouldStop() ? "stopped" : "done",
+    phase: shouldStop() || budget.exceeded() ? "stopped" : "done",
     totalCompanies: companies.length,
     processedCompanies,
     failedCompanies,
     currentCompany: null,
     contactsFound,
     noMatches,
+    skippedDone,
+  });
+  if (contactsFound > 0) events.artifact(OUTPUT_CSV, { rows: contactsFound });
+  events.summary(shouldStop() || budget.exceeded() ? "stopped" : "done", {
+    counts: {
+      totalCompanies: companies.length,
+      processedCompanies,
+      failedCompanies,
+      contactsFound,
+      noMatches,
+      skippedDone,
+      ...tierHitMetrics(),
+    },
   });
 
   console.log("\n[DONE] Blitz ICP enrichment complete.\n");
 })().catch((e) => {
   console.error("UNCAUGHT ERROR:", e);
+  events.summary("error", { message: e?.message || String(e) });
   process.exit(1);
 });
@@ -5,7 +5,8 @@
  * ✅ User selects the column to dedupe by
  * ✅ Keeps FIRST or LAST occurrence (configurable)
  * ✅ Writes a clean output CSV
- * ✅ Pretty console + structured JSON logs for Electron
+ * ✅ Pretty console + structured JSON events for Electron (backend/lib/events.js)
+ * ✅ Stop (backend/lib/stop-signal.js) ends the run without writing a half-deduped CSV
  *
  * Usage:
  *   node csv-deduplicator.js
@@ -16,6 +17,9 @@
 
 const fs = require("fs");
 const path = require("path");
+const events = require("../lib/events");
+const { watchStop } = require("../lib/stop-signal");
+const { readColumnMap } = require("../lib/column-map");
 
 /* ===================== PRETTY CONSOLE ===================== */
 const C = {
@@ -132,71 +136,59 @@ async function main() {
     try {
       config = JSON.parse(process.env.TOOL_CONFIG || "{}") || {};
     } catch (e) {
-      console.error(
-        JSON.stringify({ type: "log", level: "error", message: `Failed to parse TOOL_CONFIG: ${e.message}` })
-      );
+      events.log("error", `Failed to parse TOOL_CONFIG: ${e.message}`);
       process.exit(1);
     }
   }
 
   try {
     const inputPath = config.inputPath;
-    const columnName = config.columnName;
+    // columnMap.dedupeBy (column mapper) wins over columnName
+    const columnName = readColumnMap(config).dedupeBy || config.columnName;
     const keepMode = config.keepMode || "first";
     const outputDir = config.outputDir || path.dirname(inputPath);
     const outputFileName = config.outputFileName || "deduped.csv";
 
     if (!inputPath) {
-      console.error(JSON.stringify({ type: "log", level: "error", message: "Input CSV is required." }));
+      events.log("error", "Input CSV is required.");
       process.exit(1);
     }
 
     if (!columnName) {
-      console.error(JSON.stringify({ type: "log", level: "error", message: "Column name is required." }));
+      events.log("error", "Column name is required.");
       process.exit(1);
     }
 
     if (!fs.existsSync(inputPath)) {
-      console.error(JSON.stringify({ type: "log", level: "error", message: `Input file not found: ${inputPath}` }));
+      events.log("error", `Input file not found: ${inputPath}`);
       process.exit(1);
     }
 
-    console.log(JSON.stringify({ type: "log", level: "info", message: `Loading CSV: ${path.basename(inputPath)}` }));
+    events.log("info", `Loading CSV: ${path.basename(inputPath)}`);
 
     const text = readText(inputPath);
     const parsed = parseCsv(text);
 
     if (!parsed.headers.length) {
-      console.error(JSON.stringify({ type: "log", level: "error", message: "CSV has no headers or is empty." }));
+      events.log("error", "CSV has no headers or is empty.");
       process.exit(1);
     }
 
     const colIndex = parsed.headers.findIndex((h) => h.trim() === columnName.trim());
     if (colIndex === -1) {
-      console.error(
-        JSON.stringify({
-          type: "log",
-          level: "error",
-          message: `Column "${columnName}" not found in CSV. Available: ${parsed.headers.join(", ")}`,
-        })
-      );
+      events.log("error", `Column "${columnName}" not found in CSV. Available: ${parsed.headers.join(", ")}`);
       process.exit(1);
     }
 
-    console.log(
-      JSON.stringify({
-        type: "log",
-        level: "info",
-        message: `Loaded ${parsed.rows.length} rows • ${parsed.headers.length} columns`,
-      })
-    );
-    console.log(
-      JSON.stringify({
-        type: "log",
-        level: "info",
-        message: `Deduplicating by column: ${columnName} (keep: ${keepMode})`,
-      })
-    );
+    events.log("info", `Loaded ${parsed.rows.length} rows • ${parsed.headers.length} columns`);
+    events.log("info", `Deduplicating by column: ${columnName} (keep: ${keepMode})`);
+
+    // The loops below are synchronous: stopRequested() reads the stop flag itself
+    const stopRequested = watchStop();
+    function stopped() {
+      events.log("warn", "Stopped • no output written");
+      events.summary("stopped", { counts: { inputRows: parsed.rows.length } });
+    }
 
     const seen = new Map();
     const kept = [];
@@ -210,17 +202,9 @@ async function main() {
     if (keepMode === "first") {
       for (let i = 0; i < total; i++) {
         if (i % step === 0 || i === total - 1) {
-          console.log(
-            JSON.stringify({
-              type: "metrics",
-              metrics: {
-                "dedupe-processed": i + 1,
-                "dedupe-total": total,
-                "dedupe-kept": kept.length,
-                "dedupe-removed": removed,
-              },
-            })
-          );
+          if (stopRequested()) return stopped();
+          events.progress(i + 1, total, { unit: "rows" });
+          events.metrics({ processed: i + 1, total, kept: kept.length, removed });
         }
 
         const row = parsed.rows[i];
@@ -244,17 +228,9 @@ async function main() {
       // keepMode === "last"
       for (let i = 0; i < total; i++) {
         if (i % step === 0 || i === total - 1) {
-          console.log(
-            JSON.stringify({
-              type: "metrics",
-              metrics: {
-                "dedupe-processed": i + 1,
-                "dedupe-total": total,
-                "dedupe-kept": kept.length,
-                "dedupe-removed": removed,
-              },
-            })
-          );
+          if (stopRequested()) return stopped();
+          events.progress(i + 1, total, { unit: "rows" });
+          events.metrics({ processed: i + 1, total, kept: kept.length, removed });
         }
 
         const row = parsed.rows[i];
@@ -278,31 +254,23 @@ async function main() {
       }
     }
 
+    if (stopRequested()) return stopped();
     const outPath = path.join(outputDir, outputFileName);
     writeCsv(outPath, parsed.headers, kept);
 
-    console.log(
-      JSON.stringify({
-        type: "metrics",
-        metrics: {
-          "dedupe-input-rows": total,
-          "dedupe-output-rows": kept.length,
-          "dedupe-removed": removed,
-          "dedupe-empty-key": emptyKey,
-        },
-        status: "complete",
-      })
-    );
-
-    console.log(JSON.stringify({ type: "log", level: "info", message: `✓ Saved → ${outPath}` }));
-    console.log(JSON.stringify({ type: "log", level: "info", message: `Input rows: ${total}` }));
-    console.log(JSON.stringify({ type: "log", level: "info", message: `Output rows: ${kept.length}` }));
-    console.log(JSON.stringify({ type: "log", level: "info", message: `Duplicates removed: ${removed}` }));
-    console.log(JSON.stringify({ type: "log", level: "info", message: `Empty key rows kept: ${emptyKey}` }));
-    console.log(JSON.stringify({ type: "status", status: "done" }));
+    events.artifact(outPath, { rows: kept.length });
+    events.metrics({ inputRows: total, outputRows: kept.length, removed, emptyKey });
+
+    events.log("info", `✓ Saved → ${outPath}`);
+    events.log("info", `Input rows: ${total}`);
+    events.log("info", `Output rows: ${kept.length}`);
+    events.log("info", `Duplicates removed: ${removed}`);
+    events.log("info", `Empty key rows kept: ${emptyKey}`);
+    events.summary("done", { counts: { inputRows: total, outputRows: kept.length, removed, emptyKey } });
   } catch (err) {
     const message = err?.message || String(err);
-    console.error(JSON.stringify({ type: "log", level: "error", message }));
+    events.log("error", message);
+    events.summary("error", { message });
     process.exitCode = 1;
   }
 }
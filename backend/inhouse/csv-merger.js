@@ -8,6 +8,8 @@
  * ✅ Writes one merged CSV
  * ✅ Attractive console + JSONL log file
  * ✅ Folder selection dialog for Electron
+ * ✅ Stop (backend/lib/stop-signal.js) ends the run before the merged CSV is
+ *    written: a merge of only some files would look complete
  *
  * Usage:
  *   node csv-merger.js
@@ -20,6 +22,8 @@
 
 const fs = require("fs");
 const path = require("path");
+const events = require("../lib/events");
+const { watchStop } = require("../lib/stop-signal");
 
 /* ===================== CONFIG ===================== */
 const DEFAULT_OUT_FILE = "merged.csv";
@@ -394,7 +398,7 @@ async function main() {
       outFile = config.outputFileName || DEFAULT_OUT_FILE;
       logName = config.logFileName || DEFAULT_LOG_FILE;
     } catch (e) {
-      console.error(JSON.stringify({ type: 'log', level: 'error', message: `Failed to parse TOOL_CONFIG: ${e.message}` }));
+      events.log('error', `Failed to parse TOOL_CONFIG: ${e.message}`);
       process.exit(1);
     }
   } else {
@@ -422,7 +426,7 @@ async function main() {
 
   if (!inputDir) {
     const errMsg = "No input folder specified.";
-    console.error(JSON.stringify({ type: 'log', level: 'error', message: errMsg }));
+    events.log('error', errMsg);
     process.exit(1);
   }
 
@@ -441,9 +445,9 @@ async function main() {
     console.log(color("🧾 Log:", C.gray), color(path.join(actualOutputDir, logName), C.gray));
     hr();
   } else {
-    console.log(JSON.stringify({ type: 'log', level: 'info', message: `Input folder: ${inputDir}` }));
-    console.log(JSON.stringify({ type: 'log', level: 'info', message: `Output folder: ${actualOutputDir}` }));
-    console.log(JSON.stringify({ type: 'log', level: 'info', message: `Output file: ${outFile}` }));
+    events.log('info', `Input folder: ${inputDir}`);
+    events.log('info', `Output folder: ${actualOutputDir}`);
+    events.log('info', `Output file: ${outFile}`);
   }
 
   LOG_PATH = path.join(actualOutputDir, logName);
@@ -453,7 +457,7 @@ async function main() {
     LOG_PATH = null;
     const warnMsg = "Could not write log file (continuing without logs).";
     if (isElectron) {
-      console.log(JSON.stringify({ type: 'log', level: 'warn', message: warnMsg }));
+      events.log('warn', warnMsg);
     } else {
       warn(warnMsg);
     }
@@ -461,11 +465,24 @@ async function main() {
 
   logEvent("run_start", { inputDir, outFile });
 
+  // Parsing and merging are synchronous: stopRequested() reads the stop flag itself
+  const stopRequested = watchStop();
+  function stopped() {
+    const msg = "Stopped • no merged CSV written";
+    if (isElectron) {
+      events.log('warn', msg);
+      events.summary('stopped');
+    } else {
+      warn(msg);
+    }
+    logEvent("run_stopped");
+  }
+
   const files = readCsvFiles(inputDir);
   if (!files.length) {
     const errMsg = "No .csv files found in the folder.";
     if (isElectron) {
-      console.error(JSON.stringify({ type: 'log', level: 'error', message: errMsg }));
+      events.log('error', errMsg);
     } else {
       fail(errMsg);
     }
@@ -474,9 +491,9 @@ async function main() {
   }
 
   if (isElectron) {
-    console.log(JSON.stringify({ type: 'log', level: 'info', message: `Found ${files.length} CSV file(s)` }));
+    events.log('info', `Found ${files.length} CSV file(s)`);
     files.forEach((f, i) => {
-      console.log(JSON.stringify({ type: 'log', level: 'info', message: `  ${i + 1}. ${path.basename(f)}` }));
+      events.log('info', `  ${i + 1}. ${path.basename(f)}`);
     });
   } else {
     ok(`Found ${files.length} CSV file(s):`);
@@ -488,7 +505,9 @@ async function main() {
   const unionHeaders = [];
   const unionSet = new Set();
 
-  const parsed = files.map((filePath) => {
+  const parsed = [];
+  for (const filePath of files) {
+    if (stopRequested()) return stopped();
     const text = readText(filePath);
     const p = parseCsv(text);
 
@@ -516,12 +535,12 @@ async function main() {
       canonicalHeaders: unique,
     });
 
-    return { filePath, headers: unique, rows: p.rows };
-  });
+    parsed.push({ filePath, headers: unique, rows: p.rows });
+  }
 
   if (isElectron) {
-    console.log(JSON.stringify({ type: 'log', level: 'info', message: `Union headers: ${unionHeaders.length}` }));
-    console.log(JSON.stringify({ type: 'log', level: 'info', message: `Sample columns: ${unionHeaders.slice(0, 10).join(', ')}${unionHeaders.length > 10 ? '...' : ''}` }));
+    events.log('info', `Union headers: ${unionHeaders.length}`);
+    events.log('info', `Sample columns: ${unionHeaders.slice(0, 10).join(', ')}${unionHeaders.length > 10 ? '...' : ''}`);
   } else {
     ok(`Union headers: ${unionHeaders.length}`);
     console.log(color("🧩 Sample columns:", C.gray));
@@ -535,6 +554,7 @@ async function main() {
   let emptyRowsSkipped = 0;
 
   for (const pf of parsed) {
+    if (stopRequested()) return stopped();
     const base = path.basename(pf.filePath);
 
     // header -> index map for that file
@@ -565,30 +585,28 @@ async function main() {
     }
 
     if (isElectron) {
-      console.log(JSON.stringify({ type: 'log', level: 'info', message: `${base}: appended ${fileAppended} rows` }));
+      events.log('info', `${base}: appended ${fileAppended} rows`);
     } else {
       ok(`${base}: appended ${fileAppended} rows`);
     }
     logEvent("file_appended", { file: base, appended: fileAppended });
   }
 
+  if (stopRequested()) return stopped();
   const outPath = path.join(actualOutputDir, outFile);
   writeCsv(outPath, unionHeaders, mergedRows);
 
   if (isElectron) {
-    console.log(JSON.stringify({ type: 'log', level: 'info', message: `✓ Saved to: ${outPath}` }));
-    console.log(JSON.stringify({ 
-      type: 'metrics', 
-      metrics: { 
-        'csv-merger-files': files.length,
-        'csv-merger-rows': mergedRows.length,
-        'csv-merger-columns': unionHeaders.length
-      },
-      status: 'complete'
-    }));
-    console.log(JSON.stringify({ type: 'log', level: 'info', message: `Total input rows: ${totalRowsIn}` }));
-    console.log(JSON.stringify({ type: 'log', level: 'info', message: `Empty rows skipped: ${emptyRowsSkipped}` }));
-    console.log(JSON.stringify({ type: 'log', level: 'info', message: `Output rows: ${mergedRows.length}` }));
+    events.log('info', `✓ Saved to: ${outPath}`);
+    events.artifact(outPath, { rows: mergedRows.length });
+    events.metrics({ files: files.length, rows: mergedRows.length, columns: unionHeaders.length });
+    events.log('info', `Total input rows: ${totalRowsIn}`);
+    events.log('info', `Empty rows skipped: ${emptyRowsSkipped}`);
+    events.log('info', `Output rows: ${mergedRows.length}`);
+    if (LOG_PATH) events.artifact(LOG_PATH, { kind: 'log', label: 'Merge log' });
+    events.summary('done', {
+      counts: { files: files.length, inputRows: totalRowsIn, emptyRowsSkipped, outputRows: mergedRows.length },
+    });
   } else {
     hr();
     ok(`Saved → ${outPath}`);
@@ -614,5 +632,6 @@ main().catch((e) => {
   hr();
   fail(e?.message || String(e));
   logEvent("run_error", { message: e?.message || String(e), stack: e?.stack || "" });
+  if (process.env.TOOL_CONFIG) events.summary("error", { message: e?.message || String(e) });
   process.exit(1);
 });
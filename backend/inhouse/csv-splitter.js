@@ -12,7 +12,8 @@
  *
  * Notes:
  * - CLI: pretty human output (NO ANSI, no raw JSON spam)
- * - Electron (TOOL_CONFIG): emits JSON events: {type:"log"/"metrics"/"status"}
+ * - Electron (TOOL_CONFIG): emits versioned JSON events (backend/lib/events.js)
+ * - Stop (backend/lib/stop-signal.js): reading stops, the parts written so far are kept
  */
 
 const fs = require("fs");
@@ -20,6 +21,8 @@ const path = require("path");
 const readline = require("readline");
 const { parse } = require("csv-parse");
 const { stringify } = require("csv-stringify");
+const events = require("../lib/events");
+const { watchStop } = require("../lib/stop-signal");
 
 const DEFAULT_DIR =
   "D:\\apollo aify leads fixer\\apollo aify leads fixer\\In house codes\\Splitter";
@@ -102,33 +105,29 @@ const UI = {
   },
 };
 
-/* =========================
- * Electron event emitter
- * =======================*/
-function emitEvent(obj) {
-  // Electron runner expects JSON lines.
-  process.stdout.write(JSON.stringify(obj) + "\n");
-}
-
 /* =========================
  * Logger (3 modes)
  * =======================
  * - CLI pretty (default)  -> human friendly lines
  * - CLI JSON (--json)     -> JSON log lines
- * - Electron              -> emitEvent({type:"log"...}) and NO extra noise
+ * - Electron              -> events (backend/lib/events.js) and NO extra noise
  */
 function createLogger({ mode }) {
   const nowISO = () => new Date().toISOString();
 
   if (mode === "electron") {
     return {
-      info: (m, meta) => emitEvent({ type: "log", level: "info", message: m, meta }),
-      warn: (m, meta) => emitEvent({ type: "log", level: "warn", message: m, meta }),
-      error: (m, meta) => emitEvent({ type: "log", level: "error", message: m, meta }),
-      success: (m, meta) => emitEvent({ type: "log", level: "success", message: m, meta }),
-      progress: (meta) => emitEvent({ type: "status", status: "running", metrics: meta }),
-      done: (meta) => emitEvent({ type: "status", status: "done", metrics: meta }),
-      metrics: (meta) => emitEvent({ type: "metrics", metrics: meta, status: "complete" }),
+      info: (m) => events.log("info", m),
+      warn: (m) => events.log("warn", m),
+      error: (m) => events.log("error", m),
+      success: (m) => events.log("success", m),
+      progress: (meta) => {
+        events.progress(meta.totalRows, meta.expectedRows ?? null, { unit: "rows" });
+        events.metrics({ totalRows: meta.totalRows, parts: meta.partsCreated });
+      },
+      done: (meta, status = "done") => events.summary(status, { counts: meta }),
+      metrics: (meta) => events.metrics(meta),
+      artifact: (filePath, rows) => events.artifact(filePath, { rows }),
     };
   }
 
@@ -142,8 +141,9 @@ function createLogger({ mode }) {
       error: (m, meta) => j("error", m, meta),
       success: (m, meta) => j("success", m, meta),
       progress: (meta) => j("status", "progress", meta),
-      done: (meta) => j("status", "done", meta),
+      done: (meta, status = "done") => j("status", status, meta),
       metrics: (meta) => j("metrics", "metrics", meta),
+      artifact: (filePath, rows) => j("artifact", filePath, { rows }),
     };
   }
 
@@ -162,6 +162,7 @@ function createLogger({ mode }) {
       UI.ok(`Output folder: ${meta.outputFolder}`);
     },
     metrics: () => {},
+    artifact: () => {},
   };
 }
 
@@ -267,13 +268,13 @@ function createPartWriter({ outDir, base, partIndex, header, log }) {
   // Only print open file in CLI (don’t spam 100 lines in Electron)
   log.info(`Creating part ${partIndex}: ${path.basename(outPath)}`);
 
-  const close = () =>
+  const close = (rows) =>
     new Promise((resolve, reject) => {
       fileStream.once("finish", resolve);
       fileStream.once("error", reject);
       csv.once("error", reject);
       csv.end();
-    });
+    }).then(() => log.artifact(outPath, rows));
 
   return { outPath, csv, close };
 }
@@ -371,6 +372,13 @@ async function main() {
       outDir,
     });
 
+    // Stop: no more rows; the part being written is closed and kept
+    let stopping = false;
+    watchStop((reason) => {
+      stopping = true;
+      log.warn(`Stop requested (${reason}) • closing the current part…`);
+    });
+
     const t0 = Date.now();
 
     const parser = parse({
@@ -393,6 +401,7 @@ async function main() {
     const recordsStream = inputStream.pipe(parser);
 
     for await (const record of recordsStream) {
+      if (stopping) break;
       if (!header) {
         header = Object.keys(record);
         log.success("Detected columns", { count: header.length });
@@ -408,7 +417,7 @@ async function main() {
       }
 
       if (rowCountInPart >= rowsPerFile) {
-        await writer.close();
+        await writer.close(rowCountInPart);
         partIndex += 1;
         rowCountInPart = 0;
         writer = createPartWriter({
@@ -434,11 +443,13 @@ async function main() {
       }
     }
 
-    if (writer) await writer.close();
+    if (writer) await writer.close(rowCountInPart);
 
     const ms = Date.now() - t0;
 
+    const status = stopping ? "stopped" : "done";
     const summary = {
+      status,
       totalRows,
       partsCreated: partIndex,
       outputFolder: outDir,
@@ -448,29 +459,26 @@ async function main() {
     // CLI pretty summary
     if (mode === "pretty") {
       UI.line();
-      UI.ok(`Split completed • ${summary.duration}`);
+      if (stopping) UI.warn(`Split stopped • ${summary.duration}`);
+      else UI.ok(`Split completed • ${summary.duration}`);
       UI.ok(`Rows: ${summary.totalRows}`);
       UI.ok(`Parts: ${summary.partsCreated}`);
       UI.ok(`Output folder: ${summary.outputFolder}`);
       UI.line();
     } else {
-      log.success("Split completed", summary);
+      log.success(stopping ? "Split stopped" : "Split completed", summary);
     }
 
     // Electron metrics/status
     if (isElectron) {
-      const metrics = {
-        "csv-splitter-total-rows": totalRows,
-        "csv-splitter-parts": partIndex,
-        "csv-splitter-output": outDir,
-      };
-      log.metrics(metrics);
-      log.done(metrics);
+      log.metrics({ totalRows, parts: partIndex, outputDir: outDir });
+      log.done({ totalRows, parts: partIndex }, status);
     }
   } catch (err) {
     const message = err?.message || String(err);
     if (isElectron) {
       log.error(message);
+      events.summary("error", { message });
     } else {
       UI.err(message);
     }
@@ -0,0 +1,50 @@
+// backend/lib/api-endpoints.js
+// Base URLs for the Blitz and Apify APIs, shared by every backend.
+//
+// Defaults are the production hosts. The app (Key Vault → API endpoints, offline
+// mock mode) and the CLI (env / --mock) override them per run through:
+//   KOLDIFY_BLITZ_BASE_URL   e.g. http://127.0.0.1:4010
+//   KOLDIFY_APIFY_BASE_URL   e.g. http://127.0.0.1:4010  (ApifyClient appends /v2)
+
+const DEFAULT_BLITZ_BASE_URL = "https://api.blitz-api.ai";
+const DEFAULT_APIFY_BASE_URL = "https://api.apify.com";
+// /api/enrichment/email is only known to be served from the older prod host.
+const BLITZ_EMAIL_ENRICH_BASE_URL = "https://prod.blitz-api.ai";
+
+function cleanBaseUrl(value, fallback) {
+  const v = String(value || "").trim().replace(/\/+$/, "");
+  return v || fallback;
+}
+
+function blitzBaseUrl(env = process.env) {
+  return cleanBaseUrl(env.KOLDIFY_BLITZ_BASE_URL, DEFAULT_BLITZ_BASE_URL);
+}
+
+/**
+ * Base URL for the Blitz email-enrichment endpoint: the override when one is
+ * set, otherwise its production host.
+ */
+function blitzEmailEnrichBaseUrl(env = process.env) {
+  return cleanBaseUrl(env.KOLDIFY_BLITZ_BASE_URL, BLITZ_EMAIL_ENRICH_BASE_URL);
+}
+
+function apifyBaseUrl(env = process.env) {
+  return cleanBaseUrl(env.KOLDIFY_APIFY_BASE_URL, DEFAULT_APIFY_BASE_URL);
+}
+
+/**
+ * Options for `new ApifyClient(...)` that honour the configured base URL.
+ */
+function apifyClientOptions(token, extra = {}) {
+  const baseUrl = apifyBaseUrl();
+  return { token, baseUrl, publicBaseUrl: baseUrl, ...extra };
+}
+
+module.exports = {
+  DEFAULT_BLITZ_BASE_URL,
+  DEFAULT_APIFY_BASE_URL,
+  blitzBaseUrl,
+  blitzEmailEnrichBaseUrl,
+  apifyBaseUrl,
+  apifyClientOptions,
+};
@@ -0,0 +1,566 @@
+// backend/lib/apify-key-pool.js
+// One Apify key rotation shared by every backend/apify script.
+//
+// All usage, bans and cooldowns live in a single state file
+// (apify-key-pool.json), keyed by a token fingerprint so the file never holds
+// a key and every tool / parallel run sees the same picture of each key.
+// Every change re-reads and rewrites the file under <file>.lock.
+// Local usage is counted per tool ("scope"), in the tool's own unit (comments,
+// posts, profiles…) against its own per-key budget.
+//
+// Rules, identical for every tool:
+//   invalid token (401/403)        → banned until unbanAll() or a good reconcile()
+//   monthly limit / billing (402)  → exhausted until Apify's usage cycle ends
+//   rate limited (429)             → cooldown, doubling per strike (max 15 min)
+//   any other error                → strike; 3 in a row → 5 min cooldown
+//   local budget used up           → skipped by this tool until resetUsage()
+//
+// reconcile() reads each token's real monthly usage and limit from the Apify
+// user endpoint (GET /v2/users/me/limits): keys over their limit are parked
+// until the cycle ends, and a new cycle resets the local counters.
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { getVaultApifyKeys } = require("./vault-keys");
+const { apifyBaseUrl } = require("./api-endpoints");
+
+const STATE_VERSION = 1;
+const STATE_FILE_NAME = "apify-key-pool.json";
+
+const RATE_COOLDOWN_MS = 60 * 1000;
+const MAX_RATE_COOLDOWN_MS = 15 * 60 * 1000;
+const STRIKE_LIMIT = 3;
+const STRIKE_COOLDOWN_MS = 5 * 60 * 1000;
+const RECONCILE_TIMEOUT_MS = 15 * 1000;
+// A lock older than this was left by a killed process (updates take milliseconds)
+const LOCK_STALE_MS = 10 * 1000;
+const LOCK_TIMEOUT_MS = 15 * 1000;
+const LOCK_RETRY_MS = 10;
+
+// ================================
+// 🔑 KEY SOURCES
+// ================================
+
+/**
+ * Keys for a run: vault keys (KOLDIFY_APIFY_KEYS) win; otherwise keys.json plus
+ * any extra tokens. keys.json may be an array of tokens, an array of
+ * { token, label|name }, { tokens: [...] } or { "<name>": "<token>" }.
+ * Returns: [{ label, token }] (deduped by token)
+ */
+function loadApifyKeys({ keysPath = null, extraTokens = [] } = {}) {
+  const vault = getVaultApifyKeys();
+  if (vault.length) return vault;
+
+  const list = [];
+  if (keysPath && fs.existsSync(keysPath)) {
+    const raw = JSON.parse(fs.readFileSync(keysPath, "utf8"));
+    const entries = Array.isArray(raw)
+      ? raw
+      : Array.isArray(raw?.tokens)
+        ? raw.tokens
+        : Object.entries(raw || {}).map(([name, token]) => ({ name, token }));
+
+    entries.forEach((entry, i) => {
+      const token = typeof entry === "string" ? entry : entry?.token;
+      const label = typeof entry === "string" ? null : entry?.label || entry?.name;
+      list.push({ label: String(label || `api${i + 1}`), token: String(token || "").trim() });
+    });
+  }
+
+  const extras = Array.isArray(extraTokens) ? extraTokens : String(extraTokens || "").split(",");
+  extras
+    .map((t) => String(t).trim())
+    .filter(Boolean)
+    .forEach((token, i) => list.push({ label: `extra${i + 1}`, token }));
+
+  return list.filter((k, i, all) => k.token && all.findIndex((o) => o.token === k.token) === i);
+}
+
+/**
+ * The shared state file: KOLDIFY_KEY_POOL_FILE when the desktop app / CLI sets
+ * it, otherwise next to keys.json (or the working directory).
+ */
+function keyPoolStateFile(keysPath = null) {
+  if (process.env.KOLDIFY_KEY_POOL_FILE) return process.env.KOLDIFY_KEY_POOL_FILE;
+  return path.join(keysPath ? path.dirname(keysPath) : process.cwd(), STATE_FILE_NAME);
+}
+
+function fingerprint(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex").slice(0, 16);
+}
+
+function hintFor(token) {
+  const t = String(token || "");
+  return t.length > 12 ? `${t.slice(0, 6)}…${t.slice(-4)}` : "…";
+}
+
+// ================================
+// ⚠️ ERROR CLASSIFICATION
+// ================================
+
+/**
+ * "auth" | "limit" | "rate" | "other" for an error thrown by apify-client or fetch.
+ */
+function classifyApifyError(err) {
+  const status = err?.statusCode ?? err?.status ?? null;
+  const type = String(err?.type || "").toLowerCase();
+  const msg = String(err?.message || err || "").toLowerCase();
+
+  if (status === 401 || status === 403) return "auth";
+  if (status === 402) return "limit";
+  if (status === 429) return "rate";
+
+  if (/token-not-valid|user-or-token-not-found/.test(type)) return "auth";
+  if (/not-enough-usage|usage-limit|monthly-usage/.test(type)) return "limit";
+  if (/rate-limit/.test(type)) return "rate";
+
+  if (/authentication token is not valid|invalid token|not authorized|user was not found|forbidden/.test(msg)) {
+    return "auth";
+  }
+  if (/monthly usage|usage limit|hard limit|billing|not enough usage|payment required/.test(msg)) {
+    return "limit";
+  }
+  if (/rate limit|too many requests|\b429\b/.test(msg)) return "rate";
+  return "other";
+}
+
+function startOfNextMonthUtc(now = new Date()) {
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1)).toISOString();
+}
+
+function isFuture(iso, now = Date.now()) {
+  return !!iso && new Date(iso).getTime() > now;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Blocking sleep for the (synchronous) lock wait
+function sleepSync(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+/**
+ * Run fn() holding <file>.lock (exclusive create, retried), so read-modify-write
+ * cycles of parallel runs on the same state file never interleave.
+ */
+function withFileLock(file, fn) {
+  const lock = `${file}.lock`;
+  fs.mkdirSync(path.dirname(lock), { recursive: true });
+  const deadline = Date.now() + LOCK_TIMEOUT_MS;
+  for (;;) {
+    try {
+      fs.closeSync(fs.openSync(lock, "wx"));
+      break;
+    } catch (err) {
+      if (err.code !== "EEXIST") throw err;
+      try {
+        if (Date.now() - fs.statSync(lock).mtimeMs > LOCK_STALE_MS) fs.rmSync(lock, { force: true });
+      } catch {
+        // released between the open and the stat
+      }
+      if (Date.now() > deadline) throw new Error(`Apify key pool state is locked (${lock})`);
+      sleepSync(LOCK_RETRY_MS);
+    }
+  }
+  try {
+    return fn();
+  } finally {
+    fs.rmSync(lock, { force: true });
+  }
+}
+
+// ================================
+// 🗂️ KEY POOL
+// ================================
+
+/**
+ * scope:        tool id the local usage counters belong to
+ * keys:         [{ label, token }] (see loadApifyKeys)
+ * budgetPerKey: local units each key may spend for this tool (null = unlimited)
+ * stateFile:    shared state path (see keyPoolStateFile)
+ * log:          (level, message) => void, for reconcile / ban notices
+ */
+function createApifyKeyPool({ scope, keys, budgetPerKey = null, stateFile, log = () => {} }) {
+  if (!scope) throw new Error("Apify key pool needs a scope (tool id)");
+
+  const budget = Number(budgetPerKey) > 0 ? Number(budgetPerKey) : Infinity;
+  const members = (keys || []).map((k) => ({ id: fingerprint(k.token), label: k.label, token: k.token }));
+
+  function read() {
+    try {
+      if (!fs.existsSync(stateFile)) return { version: STATE_VERSION, keys: {} };
+      const state = JSON.parse(fs.readFileSync(stateFile, "utf8"));
+      return state && typeof state.keys === "object" ? state : { version: STATE_VERSION, keys: {} };
+    } catch {
+      return { version: STATE_VERSION, keys: {} };
+    }
+  }
+
+  // tmp + rename so a parallel reader never sees half a file
+  function write(state) {
+    fs.mkdirSync(path.dirname(stateFile), { recursive: true });
+    const tmp = `${stateFile}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(state, null, 2), "utf8");
+    fs.renameSync(tmp, stateFile);
+  }
+
+  function blankEntry(member) {
+    return { label: member.label, hint: hintFor(member.token), strikes: 0, usage: {} };
+  }
+
+  /**
+   * Re-read, change one key's entry, write back, all under the state file's
+   * lock: a parallel run's usage, strikes and bans written meanwhile are kept.
+   */
+  function update(member, fn) {
+    return withFileLock(stateFile, () => {
+      const state = read();
+      const entry = state.keys[member.id] || blankEntry(member);
+      entry.label = member.label;
+      entry.usage = entry.usage || {};
+      fn(entry);
+      state.version = STATE_VERSION;
+      state.keys[member.id] = entry;
+      write(state);
+      return entry;
+    });
+  }
+
+  function entryFor(state, member) {
+    return state.keys[member.id] || blankEntry(member);
+  }
+
+  function usedOf(entry) {
+    return Number(entry.usage?.[scope] || 0);
+  }
+
+  function statusOf(entry, now = Date.now()) {
+    if (entry.bannedAt) return "banned";
+    if (isFuture(entry.exhaustedUntil, now)) return "exhausted";
+    if (isFuture(entry.cooldownUntil, now)) return "cooling";
+    if (usedOf(entry) >= budget) return "spent";
+    return "active";
+  }
+
+  function view(member, entry) {
+    return {
+      id: member.id,
+      label: member.label,
+      token: member.token,
+      used: usedOf(entry),
+      remaining: Math.max(0, budget - usedOf(entry)),
+    };
+  }
+
+  function findMember(key) {
+    const id = typeof key === "string" ? key : key?.id;
+    return members.find((m) => m.id === id) || null;
+  }
+
+  /** Every key that can be used right now (pool order). */
+  function usable() {
+    const state = read();
+    const now = Date.now();
+    return members
+      .map((m) => ({ member: m, entry: entryFor(state, m) }))
+      .filter(({ entry }) => statusOf(entry, now) === "active")
+      .map(({ member, entry }) => view(member, entry));
+  }
+
+  /**
+   * Pick a key for a job needing `need` units: the usable key whose remaining
+   * budget fits `need` most tightly (keeps big budgets for big jobs), else the
+   * one with the most left. Unlimited budgets rotate least-recently-used first.
+   * exclude: ids (or keys) to skip, e.g. keys already tried for this item.
+   * Returns { id, label, token, used, remaining } or null.
+   */
+  function acquire({ need = 0, exclude = [] } = {}) {
+    const skip = new Set(exclude.map((k) => (typeof k === "string" ? k : k?.id)));
+    const state = read();
+    const now = Date.now();
+
+    const usable = members
+      .filter((m) => !skip.has(m.id))
+      .map((m) => ({ member: m, entry: entryFor(state, m) }))
+      .filter(({ entry }) => statusOf(entry, now) === "active")
+      .map(({ member, entry }) => ({
+        ...view(member, entry),
+        lastUsedAt: entry.lastUsedAt ? new Date(entry.lastUsedAt).getTime() : 0,
+      }));
+    if (!usable.length) return null;
+
+    const fitting = usable.filter((k) => k.remaining >= need);
+    const ordered = fitting.length
+      ? fitting.sort((a, b) => a.remaining - b.remaining || a.lastUsedAt - b.lastUsedAt)
+      : usable.sort((a, b) => b.remaining - a.remaining || a.lastUsedAt - b.lastUsedAt);
+
+    const { lastUsedAt, ...picked } = ordered[0];
+    update(findMember(picked), (entry) => {
+      entry.lastUsedAt = new Date(now).toISOString();
+    });
+    return picked;
+  }
+
+  /**
+   * ms until a cooling key is usable again (null if no key will come back by waiting).
+   */
+  function nextAvailableIn({ exclude = [] } = {}) {
+    const skip = new Set(exclude.map((k) => (typeof k === "string" ? k : k?.id)));
+    const state = read();
+    const now = Date.now();
+    const waits = members
+      .filter((m) => !skip.has(m.id))
+      .map((m) => entryFor(state, m))
+      .filter((e) => statusOf(e, now) === "cooling")
+      .map((e) => new Date(e.cooldownUntil).getTime() - now);
+    return waits.length ? Math.max(0, Math.min(...waits)) : null;
+  }
+
+  /**
+   * acquire(), waiting out cooldowns when every remaining key is cooling.
+   * shouldStop: () => boolean, checked every second while waiting.
+   */
+  async function waitForKey({ need = 0, exclude = [], shouldStop = () => false } = {}) {
+    for (;;) {
+      const key = acquire({ need, exclude });
+      if (key) return key;
+
+      const waitMs = nextAvailableIn({ exclude });
+      if (waitMs === null) return null;
+      log("warn", `All usable Apify keys are cooling down; waiting ${Math.ceil(waitMs / 1000)}s`);
+
+      const until = Date.now() + waitMs;
+      while (Date.now() < until) {
+        if (shouldStop()) return null;
+        await sleep(Math.min(1000, until - Date.now()));
+      }
+    }
+  }
+
+  /** Count `amount` local units against a key (negative amounts refund). */
+  function charge(key, amount) {
+    const member = findMember(key);
+    if (!member) return null;
+    const entry = update(member, (e) => {
+      e.usage[scope] = Math.max(0, usedOf(e) + Number(amount || 0));
+      e.lastUsedAt = new Date().toISOString();
+    });
+    return view(member, entry);
+  }
+
+  function reportSuccess(key) {
+    const member = findMember(key);
+    if (!member) return;
+    update(member, (e) => {
+      e.strikes = 0;
+      e.lastError = null;
+    });
+  }
+
+  /**
+   * Apply the ban / cooldown rules for a failed call.
+   * Returns { kind, action: "banned" | "exhausted" | "cooldown" | "retry", until }.
+   */
+  function reportError(key, err) {
+    const member = findMember(key);
+    const kind = classifyApifyError(err);
+    if (!member) return { kind, action: "retry", until: null };
+
+    const message = String(err?.message || err || "").slice(0, 300);
+    const now = new Date();
+    let result = { kind, action: "retry", until: null };
+
+    update(member, (e) => {
+      e.lastError = message;
+      e.strikes = Number(e.strikes || 0) + 1;
+
+      if (kind === "auth") {
+        e.bannedAt = now.toISOString();
+        e.banReason = message;
+        result = { kind, action: "banned", until: null };
+      } else if (kind === "limit") {
+        const cycleEnd = e.apify?.cycleEndAt;
+        e.exhaustedUntil = isFuture(cycleEnd, now.getTime()) ? cycleEnd : startOfNextMonthUtc(now);
+        e.exhaustedReason = message;
+        result = { kind, action: "exhausted", until: e.exhaustedUntil };
+      } else if (kind === "rate" || e.strikes >= STRIKE_LIMIT) {
+        const ms =
+          kind === "rate"
+            ? Math.min(MAX_RATE_COOLDOWN_MS, RATE_COOLDOWN_MS * 2 ** Math.max(0, e.strikes - 1))
+            : STRIKE_COOLDOWN_MS;
+        e.cooldownUntil = new Date(now.getTime() + ms).toISOString();
+        e.cooldownReason = message;
+        if (kind !== "rate") e.strikes = 0;
+        result = { kind, action: "cooldown", until: e.cooldownUntil };
+      }
+    });
+
+    if (result.action !== "retry") {
+      log("warn", `Apify key ${member.label} ${result.action}${result.until ? ` until ${result.until}` : ""}: ${message}`);
+    }
+    return result;
+  }
+
+  /**
+   * Ask Apify for every key's real monthly usage / limit and fold it into the
+   * state file. Keys that fail auth are banned; keys that answer are unbanned.
+   * Returns [{ label, ok, monthlyUsageUsd, maxMonthlyUsageUsd, cycleEndAt, error }].
+   */
+  async function reconcile() {
+    const results = [];
+    for (const member of members) {
+      try {
+        const res = await fetch(`${apifyBaseUrl()}/v2/users/me/limits`, {
+          headers: { Authorization: `Bearer ${member.token}` },
+          signal: AbortSignal.timeout(RECONCILE_TIMEOUT_MS),
+        });
+        if (!res.ok) {
+          const err = new Error(`Apify limits request failed: HTTP ${res.status}`);
+          err.statusCode = res.status;
+          throw err;
+        }
+        const data = (await res.json())?.data || {};
+        const info = {
+          monthlyUsageUsd: Number(data.current?.monthlyUsageUsd ?? 0),
+          maxMonthlyUsageUsd: Number(data.limits?.maxMonthlyUsageUsd ?? 0) || null,
+          cycleStartAt: data.monthlyUsageCycle?.startAt || null,
+          cycleEndAt: data.monthlyUsageCycle?.endAt || null,
+          checkedAt: new Date().toISOString(),
+        };
+
+        update(member, (e) => {
+          // New billing cycle → local counters start over for every tool
+          if (e.apify?.cycleStartAt && info.cycleStartAt && e.apify.cycleStartAt !== info.cycleStartAt) {
+            e.usage = {};
+          }
+          e.apify = info;
+          e.bannedAt = null;
+          e.banReason = null;
+          if (info.maxMonthlyUsageUsd !== null && info.monthlyUsageUsd >= info.maxMonthlyUsageUsd) {
+            e.exhaustedUntil = info.cycleEndAt || startOfNextMonthUtc();
+            e.exhaustedReason = `Monthly usage $${info.monthlyUsageUsd.toFixed(2)} of $${info.maxMonthlyUsageUsd.toFixed(2)}`;
+          } else {
+            e.exhaustedUntil = null;
+            e.exhaustedReason = null;
+          }
+        });
+        results.push({ label: member.label, ok: true, ...info, error: null });
+      } catch (err) {
+        if (classifyApifyError(err) === "auth") reportError(member, err);
+        results.push({ label: member.label, ok: false, error: String(err?.message || err) });
+      }
+    }
+    return results;
+  }
+
+  /** Forget this tool's local usage for every key in the pool. */
+  function resetUsage() {
+    for (const member of members) update(member, (e) => delete e.usage[scope]);
+  }
+
+  /** Lift bans, cooldowns and exhaustion for every key in the pool. */
+  function unbanAll() {
+    for (const member of members) {
+      update(member, (e) => {
+        Object.assign(e, {
+          bannedAt: null,
+          banReason: null,
+          cooldownUntil: null,
+          cooldownReason: null,
+          exhaustedUntil: null,
+          exhaustedReason: null,
+          strikes: 0,
+        });
+      });
+    }
+  }
+
+  /**
+   * Per-key rows for logs / console.table (no tokens).
+   */
+  function summary() {
+    const state = read();
+    const now = Date.now();
+    return members.map((m) => {
+      const e = entryFor(state, m);
+      const usd = e.apify?.maxMonthlyUsageUsd
+        ? `$${Number(e.apify.monthlyUsageUsd).toFixed(2)}/$${Number(e.apify.maxMonthlyUsageUsd).toFixed(2)}`
+        : "";
+      return {
+        label: m.label,
+        hint: hintFor(m.token),
+        status: statusOf(e, now),
+        used: usedOf(e),
+        remaining: budget === Infinity ? "∞" : Math.max(0, budget - usedOf(e)),
+        apifyUsage: usd,
+        reason: e.banReason || e.exhaustedReason || e.cooldownReason || "",
+      };
+    });
+  }
+
+  function counts() {
+    const rows = summary();
+    const by = (s) => rows.filter((r) => r.status === s).length;
+    return {
+      total: rows.length,
+      active: by("active"),
+      banned: by("banned"),
+      exhausted: by("exhausted") + by("spent"),
+      cooling: by("cooling"),
+    };
+  }
+
+  /** Sum of local budget left over usable keys (Infinity with no budget). */
+  function remainingTotal() {
+    const state = read();
+    const now = Date.now();
+    return members
+      .map((m) => entryFor(state, m))
+      .filter((e) => statusOf(e, now) === "active")
+      .reduce((acc, e) => acc + Math.max(0, budget - usedOf(e)), 0);
+  }
+
+  return {
+    size: members.length,
+    stateFile,
+    usable,
+    acquire,
+    waitForKey,
+    nextAvailableIn,
+    charge,
+    reportSuccess,
+    reportError,
+    reconcile,
+    resetUsage,
+    unbanAll,
+    summary,
+    counts,
+    remainingTotal,
+  };
+}
+
+/**
+ * The usual setup for a backend: keys from the vault / keys.json, the shared
+ * state file, scoped to the running tool (TOOL_ID, else `scope`).
+ */
+function openApifyKeyPool({ scope, keysPath = null, extraTokens = [], budgetPerKey = null, log } = {}) {
+  return createApifyKeyPool({
+    scope: process.env.TOOL_ID || scope,
+    keys: loadApifyKeys({ keysPath, extraTokens }),
+    budgetPerKey,
+    stateFile: keyPoolStateFile(keysPath),
+    log,
+  });
+}
+
+module.exports = {
+  createApifyKeyPool,
+  openApifyKeyPool,
+  loadApifyKeys,
+  keyPoolStateFile,
+  classifyApifyError,
+  fingerprint,
+};
@@ -0,0 +1,193 @@
+// backend/lib/apify-runs.js
+// Journal of started Apify actor runs, shared by every backend/apify script.
+//
+// Tools start actors with startAndWait() instead of client.actor(id).call():
+// the run is started, written to the journal (run id, actor, dataset, key,
+// input chunk, target output), then polled until it ends. Once the tool
+// has saved the run's items it calls collected(runId) and the entry is removed.
+// Whatever is left in the journal belongs to a process that died before
+// collecting (app crash, quit mid-run): main/apify-reattach.js offers those runs
+// on the next launch and downloads their datasets, so paid runs are not lost.
+//
+// The journal (apify-runs.json) lives at KOLDIFY_APIFY_RUNS_FILE when the app /
+// CLI sets it, otherwise in the working directory. Like the key pool state it
+// never holds a vault key: vault-sourced runs keep only the key fingerprint and
+// the app finds the key again in its vault. keys.json / pasted tokens are
+// stored as-is (they already live in plain files).
+//
+// Abort on Stop (KOLDIFY_ABORT_ON_STOP=1, the "Stop aborts running actors" card
+// option): Stop (backend/lib/stop-signal.js) aborts every run this process is
+// waiting on. startAndWait() then resolves with the ABORTED run, so the tool
+// saves whatever partial items the dataset already holds. A kill (second Stop,
+// grace timeout) leaves anything not saved yet in the journal.
+
+const fs = require("fs");
+const path = require("path");
+const { getVaultApifyTokens } = require("./vault-keys");
+const { apifyBaseUrl } = require("./api-endpoints");
+const { fingerprint } = require("./apify-key-pool");
+const { watchStop, stopRequested } = require("./stop-signal");
+
+const JOURNAL_VERSION = 1;
+const JOURNAL_FILE_NAME = "apify-runs.json";
+const POLL_SECS = 30;
+const STOP_POLL_SECS = 5; // with abort on Stop: how often the stop flag file is checked
+const TERMINAL_STATUSES = ["SUCCEEDED", "FAILED", "ABORTED", "TIMED-OUT"];
+
+const ABORT_ON_STOP = process.env.KOLDIFY_ABORT_ON_STOP === "1";
+const inFlight = new Map(); // runId -> ApifyClient
+let watching = false;
+
+function abortInFlight(reason) {
+  for (const [runId, client] of inFlight) {
+    console.log(`[STOP] Aborting Apify run ${runId} (${reason}); partial results will be saved.`);
+    client
+      .run(runId)
+      .abort()
+      .catch((err) => console.log(`[STOP] Could not abort ${runId}: ${err?.message || err}`));
+  }
+}
+
+// Registered with the first actor run
+function abortOnStop() {
+  if (watching) return;
+  watching = true;
+  watchStop((reason) => abortInFlight(reason));
+}
+
+function runJournalFile() {
+  return process.env.KOLDIFY_APIFY_RUNS_FILE || path.join(process.cwd(), JOURNAL_FILE_NAME);
+}
+
+function isTerminal(status) {
+  return TERMINAL_STATUSES.includes(String(status || "").toUpperCase());
+}
+
+/**
+ * Read / change the journal. All writers re-read before writing, so parallel
+ * runs only ever touch their own entries.
+ */
+function openRunJournal(file = runJournalFile()) {
+  function read() {
+    try {
+      if (!fs.existsSync(file)) return { version: JOURNAL_VERSION, runs: {} };
+      const journal = JSON.parse(fs.readFileSync(file, "utf8"));
+      return journal && typeof journal.runs === "object" ? journal : { version: JOURNAL_VERSION, runs: {} };
+    } catch {
+      return { version: JOURNAL_VERSION, runs: {} };
+    }
+  }
+
+  // tmp + rename so a parallel reader never sees half a file
+  function write(journal) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(journal, null, 2), { encoding: "utf8", mode: 0o600 });
+    fs.renameSync(tmp, file);
+  }
+
+  function change(fn) {
+    const journal = read();
+    fn(journal.runs);
+    journal.version = JOURNAL_VERSION;
+    write(journal);
+  }
+
+  return {
+    file,
+    list: () => Object.values(read().runs).sort((a, b) => String(a.startedAt).localeCompare(String(b.startedAt))),
+    get: (runId) => read().runs[runId] || null,
+    add(entry) {
+      change((runs) => {
+        runs[entry.runId] = entry;
+      });
+    },
+    update(runId, patch) {
+      change((runs) => {
+        if (runs[runId]) Object.assign(runs[runId], patch);
+      });
+    },
+    remove(runId) {
+      change((runs) => {
+        delete runs[runId];
+      });
+    },
+  };
+}
+
+/**
+ * Start an actor, journal it, and poll until it ends.
+ *
+ *   client      ApifyClient for `token`
+ *   token       the key the run is billed to
+ *   keyLabel    label shown when the app offers to reattach
+ *   output      the tool's output file or folder (recovered results are written next to / into it)
+ *   meta        anything the tool wants to see again (batch number, post url, …)
+ *   onStart(run) / onPoll(run)   progress hooks
+ *
+ * Resolves to the finished run object (same shape as actor().call()); with abort
+ * on Stop it may be ABORTED (see isPartial()). The journal entry stays until collected(run.id).
+ */
+async function startAndWait(client, actorId, input, { token, keyLabel = "", output = "", meta = {}, runOptions, onStart, onPoll } = {}) {
+  if (ABORT_ON_STOP) abortOnStop();
+  let run = await client.actor(actorId).start(input, runOptions);
+
+  const fromVault = getVaultApifyTokens().includes(token);
+  openRunJournal().add({
+    runId: run.id,
+    actorId,
+    datasetId: run.defaultDatasetId,
+    toolId: process.env.TOOL_ID || "",
+    appRunId: process.env.RUN_ID || "",
+    pid: process.pid,
+    baseUrl: apifyBaseUrl(),
+    keyId: fingerprint(token),
+    keyLabel,
+    ...(fromVault ? {} : { token }),
+    input,
+    output: output ? path.resolve(output) : "",
+    meta,
+    status: run.status,
+    startedAt: run.startedAt || new Date().toISOString(),
+  });
+  if (typeof onStart === "function") onStart(run);
+
+  inFlight.set(run.id, client);
+  try {
+    // Stop pressed between start() and here
+    if (ABORT_ON_STOP && stopRequested()) abortInFlight("stop requested");
+    while (!isTerminal(run.status)) {
+      run = (await client.run(run.id).waitForFinish({ waitSecs: ABORT_ON_STOP ? STOP_POLL_SECS : POLL_SECS })) || run;
+      if (typeof onPoll === "function") onPoll(run);
+      // Notices the flag file (and aborts through the stop handler) between polls
+      if (ABORT_ON_STOP) stopRequested();
+    }
+  } finally {
+    inFlight.delete(run.id);
+  }
+
+  openRunJournal().update(run.id, { status: run.status, finishedAt: run.finishedAt || new Date().toISOString() });
+  return run;
+}
+
+/** True when the run ended early (aborted by Stop, failed, timed out): its dataset is partial. */
+function isPartial(run) {
+  return !!run && run.status !== "SUCCEEDED";
+}
+
+/** The tool saved the run's items: forget it. */
+function collected(runId) {
+  if (runId) openRunJournal().remove(runId);
+}
+
+module.exports = {
+  JOURNAL_FILE_NAME,
+  TERMINAL_STATUSES,
+  runJournalFile,
+  openRunJournal,
+  startAndWait,
+  collected,
+  isTerminal,
+  isPartial,
+  ABORT_ON_STOP,
+};
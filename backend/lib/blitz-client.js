@@ -0,0 +1,348 @@
+// backend/lib/blitz-client.js
+// Shared HTTP client for every backend/blitz/* tool.
+//
+// - Rate: read once from /v2/account/key-info (max_requests_per_seconds) and
+//   enforced across all workers of the process (one shared request slot queue).
+// - Retries: one policy for everyone — 408/429/5xx + network errors/timeouts,
+//   honouring Retry-After, otherwise exponential backoff with jitter.
+// - Telemetry: every HTTP attempt emits one request event (backend/lib/events.js):
+//   {"v":1,"type":"request","provider":"blitz","method","endpoint","status","ok",
+//    "attempt","duration_ms","retry_in_ms","error","ts"}
+//   main.js rolls these up into per-run metrics (see main/stdout-protocol.js).
+// - Budget: with a run budget (backend/lib/run-budget.js, unit "credits"), this
+//   process counts its own spend: 1 credit per answered (2xx) billable request.
+//   key-info (remaining_credits at start − now, read every couple of seconds and
+//   after every request once the budget is nearly used) is only a cross-check: it
+//   caps the count (free "not found" answers), but other runs on the same key
+//   spend from it too, so it never adds to this run's spend.
+// - Cache: with an enrichment cache (backend/lib/enrichment-cache.js), requests
+//   sent with { cache: true } may be answered from it (no HTTP, no credits:
+//   { ok: true, status: 200, attempts: 0, cached: true }); 2xx answers are stored.
+
+const { blitzBaseUrl } = require("./api-endpoints");
+const events = require("./events");
+
+const KEY_INFO_PATH = "/v2/account/key-info";
+
+const DEFAULT_RATE = 5; // req/s when key-info is unavailable
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_TIMEOUT_MS = 60000;
+const MAX_BACKOFF_MS = 15000;
+const MAX_RETRY_AFTER_MS = 120000;
+const CREDIT_SYNC_MS = 2000;
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, Math.max(0, ms)));
+}
+
+function isRetryableStatus(status) {
+  return status === 408 || status === 429 || status >= 500;
+}
+
+/**
+ * Parse a Retry-After header (delta-seconds or HTTP date) into ms, or null.
+ */
+function parseRetryAfter(value, now = Date.now()) {
+  if (value === null || value === undefined || value === "") return null;
+  const raw = String(value).trim();
+
+  if (/^\d+(\.\d+)?$/.test(raw)) {
+    return Math.min(MAX_RETRY_AFTER_MS, Math.round(Number(raw) * 1000));
+  }
+
+  const at = Date.parse(raw);
+  if (Number.isNaN(at)) return null;
+  return Math.min(MAX_RETRY_AFTER_MS, Math.max(0, at - now));
+}
+
+function backoffFor(attempt) {
+  const base = Math.min(MAX_BACKOFF_MS, 750 * Math.pow(2, attempt));
+  return Math.round(base * (0.8 + Math.random() * 0.4));
+}
+
+/**
+ * Requests-per-second limiter shared by every caller of one client.
+ * Each call reserves the next free slot, so N workers never exceed the rate together.
+ */
+function createRateLimiter(rate) {
+  let intervalMs = 1000 / Math.max(0.1, Number(rate) || DEFAULT_RATE);
+  let nextSlotAt = 0;
+  let pausedUntil = 0;
+
+  return {
+    get rate() {
+      return 1000 / intervalMs;
+    },
+    setRate(next) {
+      const n = Number(next);
+      if (Number.isFinite(n) && n > 0) intervalMs = 1000 / n;
+    },
+    /** Hold every worker back (e.g. after a 429 with Retry-After). */
+    pause(ms) {
+      pausedUntil = Math.max(pausedUntil, Date.now() + ms);
+    },
+    async take() {
+      const now = Date.now();
+      const slot = Math.max(now, nextSlotAt, pausedUntil);
+      nextSlotAt = slot + intervalMs;
+      if (slot > now) await sleep(slot - now);
+    },
+  };
+}
+
+function endpointOf(url) {
+  try {
+    return new URL(url).pathname;
+  } catch {
+    return String(url);
+  }
+}
+
+/**
+ * createBlitzClient({ apiKey, baseUrl, rate, maxAttempts, timeoutMs, telemetry, onRetry, budget, cache })
+ *
+ * Returns { init, request, get, post, keyInfo, syncCredits, rate, stats }.
+ * request() never throws for HTTP/network failures; it resolves to
+ *   { ok, status, data, duration_ms, attempts, error }
+ * where duration_ms covers the last attempt only.
+ */
+function createBlitzClient({
+  apiKey,
+  baseUrl = blitzBaseUrl(),
+  rate = null,
+  maxAttempts = DEFAULT_MAX_ATTEMPTS,
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  telemetry = true,
+  onRetry = null,
+  budget = null,
+  cache = null,
+} = {}) {
+  if (!apiKey) throw new Error("Blitz API key is required");
+
+  const root = String(baseUrl || blitzBaseUrl()).replace(/\/+$/, "");
+  const limiter = createRateLimiter(rate || DEFAULT_RATE);
+  const stats = { requests: 0, retries: 0, throttled: 0, failed: 0 };
+  let rateSource = rate ? "config" : "default";
+  let initPromise = null;
+  let creditsAtStart = null;
+  let ownCredits = 0; // answered billable requests of this process
+  let creditCheck = null; // { keySpent, ownCredits } as of the last key-info read
+  let creditBaseline = null; // promise: remaining_credits read before the first billable call
+  let creditSync = null;
+  let lastCreditSyncAt = 0;
+
+  function urlFor(pathOrUrl) {
+    if (/^https?:\/\//i.test(pathOrUrl)) return pathOrUrl;
+    return `${root}${pathOrUrl.startsWith("/") ? "" : "/"}${pathOrUrl}`;
+  }
+
+  function emit(event) {
+    if (!telemetry) return;
+    events.request({ provider: "blitz", ...event, ts: new Date().toISOString() });
+  }
+
+  async function attemptOnce(method, url, body) {
+    const t0 = Date.now();
+    try {
+      const res = await fetch(url, {
+        method,
+        headers: {
+          "x-api-key": apiKey,
+          ...(body !== undefined ? { "Content-Type": "application/json" } : {}),
+        },
+        body: body !== undefined ? JSON.stringify(body) : undefined,
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+
+      const text = await res.text();
+      let data;
+      try {
+        data = text ? JSON.parse(text) : {};
+      } catch {
+        data = { _raw: text };
+      }
+
+      return {
+        ok: res.ok,
+        status: res.status,
+        data,
+        duration_ms: Date.now() - t0,
+        retryAfterMs: parseRetryAfter(res.headers.get("retry-after")),
+        error: null,
+      };
+    } catch (err) {
+      const timedOut = err?.name === "TimeoutError" || err?.name === "AbortError";
+      return {
+        ok: false,
+        status: 0,
+        data: { message: timedOut ? `Request timed out after ${timeoutMs}ms` : err?.message || String(err) },
+        duration_ms: Date.now() - t0,
+        retryAfterMs: null,
+        error: timedOut ? "timeout" : "network",
+      };
+    }
+  }
+
+  /**
+   * One logical request (with retries). Options:
+   *   shouldStop()  give up between attempts when the user pressed Stop
+   *   onRetry(info) per-request retry hook (overrides the client-level one)
+   *   cache         look the answer up in / save it to the client's enrichment cache
+   *   maxAttempts, skipRateLimit
+   */
+  async function request(method, pathOrUrl, body, opts = {}) {
+    const url = urlFor(pathOrUrl);
+    const endpoint = endpointOf(url);
+    const cached = opts.cache && cache ? cache.get(endpoint, body) : undefined;
+    if (cached !== undefined) {
+      return { ok: true, status: 200, data: cached, duration_ms: 0, error: null, attempts: 0, cached: true };
+    }
+    const billable = budget && endpoint !== KEY_INFO_PATH;
+    if (billable) await (creditBaseline ||= syncCredits());
+    const attemptsAllowed = Math.max(1, opts.maxAttempts || maxAttempts);
+    let last = null;
+    let attempts = 0;
+
+    for (let attempt = 1; attempt <= attemptsAllowed; attempt++) {
+      if (!opts.skipRateLimit) await limiter.take();
+
+      last = await attemptOnce(method, url, body);
+      attempts = attempt;
+      stats.requests++;
+
+      const retryable = !last.ok && (last.status === 0 || isRetryableStatus(last.status));
+      const canRetry = retryable && attempt < attemptsAllowed && !(opts.shouldStop && opts.shouldStop());
+      const waitMs = canRetry ? last.retryAfterMs ?? backoffFor(attempt) : null;
+
+      if (last.status === 429) {
+        stats.throttled++;
+        // Everyone waits, not just this worker — the key is over its rate.
+        limiter.pause(last.retryAfterMs ?? backoffFor(attempt));
+      }
+
+      emit({
+        method,
+        endpoint,
+        status: last.status,
+        ok: last.ok,
+        attempt,
+        duration_ms: last.duration_ms,
+        retry_in_ms: waitMs,
+        error: last.error || (last.ok ? null : last.data?.message || last.data?.error || null),
+      });
+
+      if (!canRetry) break;
+
+      stats.retries++;
+      const retryHook = opts.onRetry || onRetry;
+      if (typeof retryHook === "function") {
+        retryHook({ method, endpoint, status: last.status, attempt, waitMs, error: last.error });
+      }
+      await sleep(waitMs);
+    }
+
+    if (!last.ok) stats.failed++;
+    if (opts.cache && cache && last.ok) cache.set(endpoint, body, last.data);
+    if (billable && last.ok) {
+      ownCredits++;
+      updateSpent();
+      await maybeSyncCredits();
+    }
+    const { retryAfterMs, ...result } = last;
+    return { ...result, attempts };
+  }
+
+  // Own count, capped by what the key lost (plus what was sent since it was read)
+  function updateSpent() {
+    const cap = creditCheck ? creditCheck.keySpent + (ownCredits - creditCheck.ownCredits) : Infinity;
+    budget.setSpent(Math.min(ownCredits, cap));
+  }
+
+  function recordCredits(info) {
+    const remaining = Number(info?.remaining_credits);
+    if (!budget || !Number.isFinite(remaining)) return;
+    if (creditsAtStart === null) {
+      creditsAtStart = remaining;
+      return;
+    }
+    creditCheck = { keySpent: creditsAtStart - remaining, ownCredits };
+    updateSpent();
+  }
+
+  /**
+   * Re-read remaining_credits and cross-check the budget's spend. Concurrent callers
+   * share one key-info request. Resolves to credits spent so far (null without a budget).
+   */
+  function syncCredits() {
+    if (!budget) return Promise.resolve(null);
+    if (!creditSync) {
+      creditSync = keyInfo()
+        .then((res) => {
+          if (res.ok) recordCredits(res.data);
+        })
+        .finally(() => {
+          lastCreditSyncAt = Date.now();
+          creditSync = null;
+        });
+    }
+    return creditSync.then(() => budget.spent);
+  }
+
+  function maybeSyncCredits() {
+    if (!budget.enabled) return null;
+    const nearLimit = budget.remaining() <= limiter.rate * 2;
+    if (!nearLimit && Date.now() - lastCreditSyncAt < CREDIT_SYNC_MS) return null;
+    return syncCredits();
+  }
+
+  /** Fetch key info (bypasses the limiter: it's how we learn the limit). */
+  async function keyInfo() {
+    return request("GET", KEY_INFO_PATH, undefined, { skipRateLimit: true, maxAttempts: 3 });
+  }
+
+  /**
+   * Read max_requests_per_seconds from key-info and apply it. Safe to call many
+   * times; only the first call hits the API. Falls back to the default rate.
+   */
+  function init() {
+    if (!initPromise) {
+      initPromise = (async () => {
+        if (rate) return { ok: true, rate: limiter.rate, source: rateSource, info: null };
+        const res = await keyInfo();
+        if (res.ok) recordCredits(res.data);
+        if (creditsAtStart !== null) creditBaseline ||= Promise.resolve();
+        const max = Number(res.data?.max_requests_per_seconds);
+        if (res.ok && Number.isFinite(max) && max > 0) {
+          limiter.setRate(max);
+          rateSource = "key-info";
+        }
+        return { ok: res.ok, status: res.status, rate: limiter.rate, source: rateSource, info: res.data };
+      })();
+    }
+    return initPromise;
+  }
+
+  return {
+    baseUrl: root,
+    init,
+    keyInfo,
+    syncCredits,
+    request,
+    get: (pathOrUrl, opts) => request("GET", pathOrUrl, undefined, opts),
+    post: (pathOrUrl, body, opts) => request("POST", pathOrUrl, body, opts),
+    get rate() {
+      return limiter.rate;
+    },
+    get rateSource() {
+      return rateSource;
+    },
+    stats: () => ({ ...stats }),
+  };
+}
+
+module.exports = {
+  KEY_INFO_PATH,
+  createBlitzClient,
+  parseRetryAfter,
+  isRetryableStatus,
+};
@@ -0,0 +1,187 @@
+// backend/lib/column-map.js
+// Which input column each tool reads, shared by the backends, main (column
+// suggestions for the cards) and the headless CLI.
+//
+// A run may pass an explicit map in TOOL_CONFIG:
+//   "columnMap": { "linkedinUrl": "Profile", "jobTitle": "Role" }
+// Keys are the field names in TOOL_COLUMNS; values are input CSV headers.
+// A mapped column always wins over the tool's own column option and built-in
+// header names, and a mapped header the file does not have is an error.
+
+// Header words (+points when the lowercase header contains them) and a per-value
+// score summed over the sample rows; detectLinkedInColumn's original scoring.
+const COLUMN_KINDS = {
+  linkedinProfile: {
+    words: { linkedin: 10, url: 5, profile: 2 },
+    value: (v) => (v.includes("linkedin.com/in/") ? 5 : 0) + (v.includes("linkedin.com") ? 1 : 0),
+  },
+  linkedinCompany: {
+    words: { linkedin: 10, url: 5, company: 3 },
+    value: (v) => (/linkedin\.com\/(company|school)\//.test(v) ? 5 : 0) + (v.includes("linkedin.com") ? 1 : 0),
+  },
+  linkedinPost: {
+    words: { post: 10, url: 5, linkedin: 2 },
+    value: (v) => (/linkedin\.com\/(posts|feed\/update)\//.test(v) ? 6 : 0),
+  },
+  email: {
+    words: { email: 10, mail: 3 },
+    value: (v) => (/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(v) ? 5 : 0),
+  },
+  phone: {
+    words: { phone: 10, mobile: 8, tel: 5 },
+    value: (v) => (/^\+?[\d\s().-]+$/.test(v) && v.replace(/\D/g, "").length >= 7 ? 3 : 0),
+  },
+  domain: {
+    words: { domain: 10, website: 8, site: 3, url: 2 },
+    value: (v) =>
+      !v.includes("linkedin.com") && /^(https?:\/\/)?(www\.)?[a-z0-9-]+(\.[a-z0-9-]+)+(\/\S*)?$/.test(v) ? 5 : 0,
+  },
+  // Matched by alias only
+  text: { words: {}, value: () => 0 },
+};
+
+const ALIAS_SCORE = 20;
+const MIN_SCORE = 8;
+const SAMPLE_ROWS = 40;
+
+const field = (name, label, kind, aliases = [], required = false) => ({ field: name, label, kind, aliases, required });
+
+const POST_URL = field("postUrl", "Post URL", "linkedinPost", ["post url", "post linkedin url"], true);
+
+/** toolId -> the input columns it reads (required ones first). */
+const TOOL_COLUMNS = {
+  "reaction-scraper": [POST_URL],
+  "comment-scraper": [POST_URL],
+  "contact-details-scraper": [field("website", "Website / domain", "domain", ["website", "url", "domain", "site"], true)],
+  "apify-email-enricher": [
+    field("linkedinUrl", "LinkedIn profile URL", "linkedinProfile", ["linkedin url"], true),
+    field("postUrl", "Post URL", "linkedinPost", ["post url"]),
+    field("authorName", "Author name", "text", ["author name"]),
+  ],
+  "linkedin-profile-enhancer": [
+    field("profileUrl", "LinkedIn profile URL", "linkedinProfile", ["profile url", "profileurl"], true),
+    field("firstName", "First name", "text", ["first name", "firstname"]),
+    field("lastName", "Last name", "text", ["last name", "lastname"]),
+    field("email", "Email", "email", ["email"]),
+    field("author", "Author", "text", ["author"]),
+    field("postUrl", "Post URL", "linkedinPost", ["post linkedin url", "post url"]),
+    field("companyWebsite", "Company website", "domain", ["company website"]),
+    field("companyLinkedinUrl", "Company LinkedIn URL", "linkedinCompany", ["company linkedin url"]),
+  ],
+  "inmail-checker": [field("linkedinUrl", "LinkedIn profile URL", "linkedinProfile", [], true)],
+  "email-enricher": [
+    field("linkedinUrl", "LinkedIn profile URL", "linkedinProfile", ["person linkedin url", "linkedin url", "profile url", "linkedin_url"], true),
+    field("jobTitle", "Job title", "text", ["job title", "title", "position", "role"]),
+    field("firstName", "First name", "text", ["first name", "firstname", "first_name"]),
+    field("lastName", "Last name", "text", ["last name", "lastname", "last_name"]),
+    field("authorName", "Author name", "text", ["author name", "author"]),
+    field("postUrl", "Post URL", "linkedinPost", ["post url"]),
+  ],
+  "waterfall-icp": [field("companyLinkedinUrl", "Company LinkedIn URL", "linkedinCompany", ["company_linkedin_url", "company linkedin url"], true)],
+  "reverse-phone": [field("phone", "Phone", "phone", ["phone"], true)],
+  "reverse-email": [field("email", "Email", "email", ["email"], true)],
+  "find-mobile-direct-phone": [field("linkedinUrl", "LinkedIn profile URL", "linkedinProfile", ["person_linkedin_url", "person linkedin url"], true)],
+  "linkedin-url-to-domain": [field("companyLinkedinUrl", "Company LinkedIn URL", "linkedinCompany", ["company_linkedin_url", "company linkedin url"], true)],
+  "domain-to-linkedin": [field("domain", "Domain", "domain", ["domain", "website"], true)],
+  "blitz-employee-finder": [field("companyLinkedinUrl", "Company LinkedIn URL", "linkedinCompany", ["company linkedin url", "company_linkedin_url"], true)],
+  "csv-deduplicator": [field("dedupeBy", "Dedupe by", "email", ["email"], true)],
+};
+
+const normalize = (h) => String(h ?? "").trim().toLowerCase();
+
+function scoreColumn(header, rows, { kind = "text", aliases = [] }) {
+  const spec = COLUMN_KINDS[kind] || COLUMN_KINDS.text;
+  const h = normalize(header);
+
+  let score = aliases.some((a) => normalize(a) === h) ? ALIAS_SCORE : 0;
+  for (const [word, points] of Object.entries(spec.words)) {
+    if (h.includes(word)) score += points;
+  }
+  for (const row of rows.slice(0, SAMPLE_ROWS)) {
+    score += spec.value(String(row[header] ?? "").trim().toLowerCase());
+  }
+  return score;
+}
+
+/**
+ * Best header for one field spec ({ kind, aliases }) or null below the threshold.
+ * headers defaults to the first row's keys.
+ */
+function detectColumn(rows, spec, { headers = Object.keys(rows[0] || {}), exclude = [] } = {}) {
+  let best = null;
+  let bestScore = -1;
+  for (const header of headers.filter(Boolean)) {
+    if (exclude.includes(header)) continue;
+    const score = scoreColumn(header, rows, spec);
+    if (score > bestScore) {
+      bestScore = score;
+      best = header;
+    }
+  }
+  return bestScore >= MIN_SCORE ? best : null;
+}
+
+function detectLinkedInColumn(rows) {
+  if (!rows.length) return null;
+  return detectColumn(rows, { kind: "linkedinProfile" });
+}
+
+/**
+ * Suggested { field: header } for a tool; each header is used at most once.
+ */
+function suggestColumnMap(toolId, headers, rows = []) {
+  const suggested = {};
+  const taken = [];
+  for (const spec of TOOL_COLUMNS[toolId] || []) {
+    const header = detectColumn(rows, spec, { headers, exclude: taken });
+    if (header) {
+      suggested[spec.field] = header;
+      taken.push(header);
+    }
+  }
+  return suggested;
+}
+
+/** The explicit map from TOOL_CONFIG (empty entries dropped). */
+function readColumnMap(config) {
+  const raw = config && typeof config.columnMap === "object" ? config.columnMap : {};
+  return Object.fromEntries(
+    Object.entries(raw || {})
+      .map(([key, value]) => [key, String(value ?? "").trim()])
+      .filter(([, value]) => value)
+  );
+}
+
+/**
+ * Header to read `field` from: the mapped one, else the first fallback the file
+ * has (case-insensitive). Returns the header as spelled in the file, or null.
+ * Throws when the map names a header that is not in the file.
+ */
+function resolveColumn(headers, columnMap, fieldName, fallbacks = []) {
+  const find = (name) => headers.find((h) => h === name) || headers.find((h) => normalize(h) === normalize(name));
+
+  const mapped = columnMap?.[fieldName];
+  if (mapped) {
+    const header = find(mapped);
+    if (!header) throw new Error(`Mapped column "${mapped}" (${fieldName}) not found. Headers: ${headers.join(", ")}`);
+    return header;
+  }
+
+  for (const name of fallbacks) {
+    const header = name && find(name);
+    if (header) return header;
+  }
+  return null;
+}
+
+module.exports = {
+  COLUMN_KINDS,
+  TOOL_COLUMNS,
+  SAMPLE_ROWS,
+  scoreColumn,
+  detectColumn,
+  detectLinkedInColumn,
+  suggestColumnMap,
+  readColumnMap,
+  resolveColumn,
+};
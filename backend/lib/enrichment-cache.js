@@ -0,0 +1,272 @@
+// backend/lib/enrichment-cache.js
+// Persistent cache of Blitz enrichment answers, shared across runs and tools
+// (email enricher, reverse email / phone, find mobile, LinkedIn <-> domain).
+//
+// One append-only JSONL file at KOLDIFY_ENRICH_CACHE_FILE (the app keeps it in
+// userData, the CLI in the working directory). One line per answer:
+//   { k: "<endpoint> <normalized input>", t: <saved at, epoch ms>, d: <response body> }
+// The last line for a key wins. The input is cleaned up the way
+// backend/lib/input-checks.js does (and lower-cased), so " Foo@Bar.com" and
+// "foo@bar.com" share an entry. Only 2xx answers are stored, "not found" included.
+//
+// Every answer is written through. What is read back depends on the run:
+// - default (card option "Only call the API for cache misses", on by default):
+//   fresh entries answer without a request; only misses and expired entries are sent.
+// - KOLDIFY_CACHE_ONLY_MISSES=0 (option unticked): every input goes to the API,
+//   refreshing the cache; an input seen twice in the same run is still only sent once.
+// Fresh = younger than the endpoint's TTL: ENDPOINTS[…].ttlDays, overridden by
+//   KOLDIFY_CACHE_TTL = {"/v2/enrichment/phone": 7, …}   (days; 0 = not kept across runs)
+// Lookups emit metrics events (backend/lib/events.js), at most once a second:
+//   {"v":1,"type":"metrics","metrics":{"cacheHits","cacheMisses","cacheStored"}}
+//
+// Several runs may append at once (small appends land whole). Compaction on open
+// rewrites the file; a line another run appends during that instant can be lost,
+// which only costs a repeat request later.
+
+const fs = require("fs");
+const path = require("path");
+const events = require("./events");
+const { normalizeValue } = require("./input-checks");
+const { stableStringify } = require("./row-checkpoint");
+
+const CACHE_FILE_NAME = "enrichment-cache.jsonl";
+const DAY_MS = 24 * 60 * 60 * 1000;
+const METRICS_EVERY_MS = 1000;
+const COMPACT_MIN_DEAD_LINES = 500;
+
+// Cached endpoints: input kind (backend/lib/input-checks.js) + default TTL
+const ENDPOINTS = {
+  "/api/enrichment/email": { label: "Email enricher (LinkedIn → email)", kind: "linkedinProfile", ttlDays: 30 },
+  "/v2/enrichment/email-to-person": { label: "Reverse email", kind: "email", ttlDays: 30 },
+  "/v2/enrichment/phone-to-person": { label: "Reverse phone", kind: "phone", ttlDays: 30 },
+  "/v2/enrichment/phone": { label: "Find mobile / direct phone", kind: "linkedinProfile", ttlDays: 30 },
+  "/v2/enrichment/linkedin-to-domain": { label: "LinkedIn URL → domain", kind: "linkedinCompany", ttlDays: 90 },
+  "/v2/enrichment/domain-to-linkedin": { label: "Domain → LinkedIn URL", kind: "domain", ttlDays: 90 },
+};
+
+function cacheFile(env = process.env) {
+  return env.KOLDIFY_ENRICH_CACHE_FILE || path.join(process.cwd(), CACHE_FILE_NAME);
+}
+
+/** { endpoint: days } with the KOLDIFY_CACHE_TTL overrides applied. */
+function readTtlDays(env = process.env) {
+  const days = {};
+  for (const [endpoint, spec] of Object.entries(ENDPOINTS)) days[endpoint] = spec.ttlDays;
+  try {
+    const overrides = JSON.parse(env.KOLDIFY_CACHE_TTL || "null") || {};
+    for (const [endpoint, value] of Object.entries(overrides)) {
+      const n = Number(value);
+      if (endpoint in days && value !== "" && value !== null && Number.isFinite(n) && n >= 0) days[endpoint] = n;
+    }
+  } catch {
+    // bad JSON: keep the defaults
+  }
+  return days;
+}
+
+/** Cache key for a request body, or null when the endpoint is not cached. */
+function cacheKey(endpoint, body) {
+  const spec = ENDPOINTS[endpoint];
+  if (!spec || !body || typeof body !== "object") return null;
+  const input = {};
+  for (const [field, value] of Object.entries(body)) {
+    input[field] = typeof value === "string" ? normalizeValue(spec.kind, value).toLowerCase() : value;
+  }
+  return `${endpoint} ${stableStringify(input)}`;
+}
+
+function endpointOfKey(key) {
+  return String(key).slice(0, String(key).indexOf(" "));
+}
+
+function readLines(file) {
+  try {
+    return fs.readFileSync(file, "utf8").split(/\r?\n/).filter(Boolean);
+  } catch {
+    return [];
+  }
+}
+
+// key -> { t, d } (last line wins) + how many lines are superseded or torn
+function loadEntries(file) {
+  const lines = readLines(file);
+  const entries = new Map();
+  let parsedLines = 0;
+  for (const line of lines) {
+    let parsed;
+    try {
+      parsed = JSON.parse(line);
+    } catch {
+      continue; // torn last line after a kill
+    }
+    if (!parsed || typeof parsed.k !== "string") continue;
+    parsedLines++;
+    entries.set(parsed.k, { t: Number(parsed.t) || 0, d: parsed.d });
+  }
+  return { entries, deadLines: lines.length - parsedLines + (parsedLines - entries.size) };
+}
+
+function isFresh(entry, ttlDays, now = Date.now()) {
+  return !!entry && ttlDays > 0 && now - entry.t < ttlDays * DAY_MS;
+}
+
+// Drop superseded lines and entries past their TTL; write-then-rename
+function compact(file, entries, ttlDays) {
+  const now = Date.now();
+  const lines = [];
+  for (const [k, entry] of entries) {
+    const ttl = ttlDays[endpointOfKey(k)];
+    if (ttl > 0 && !isFresh(entry, ttl, now)) {
+      entries.delete(k);
+      continue;
+    }
+    lines.push(JSON.stringify({ k, t: entry.t, d: entry.d }));
+  }
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, lines.length ? `${lines.join("\n")}\n` : "", "utf8");
+  fs.renameSync(tmp, file);
+}
+
+/**
+ * openEnrichmentCache({ file, env, log, telemetry })
+ * Loads the cache file (compacting it when mostly dead lines). Used by
+ * createBlitzClient({ cache }) for requests sent with { cache: true }.
+ */
+function openEnrichmentCache({
+  file = cacheFile(),
+  env = process.env,
+  log = (msg) => console.log(msg),
+  telemetry = true,
+} = {}) {
+  const ttlDays = readTtlDays(env);
+  const onlyMisses = env.KOLDIFY_CACHE_ONLY_MISSES !== "0";
+  const { entries, deadLines } = loadEntries(file);
+  const storedThisRun = new Set();
+  const counts = { cacheHits: 0, cacheMisses: 0, cacheStored: 0 };
+  let writable = true;
+  let lastMetricsAt = 0;
+
+  try {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    if (deadLines >= COMPACT_MIN_DEAD_LINES && deadLines > entries.size) compact(file, entries, ttlDays);
+  } catch (err) {
+    log(`[CACHE] Could not tidy ${path.basename(file)}: ${err?.message || err}`);
+  }
+
+  function metrics() {
+    return { ...counts };
+  }
+
+  function changed(force = false) {
+    if (!telemetry) return;
+    const now = Date.now();
+    if (!force && now - lastMetricsAt < METRICS_EVERY_MS) return;
+    lastMetricsAt = now;
+    events.metrics(metrics());
+  }
+
+  return {
+    file,
+    onlyMisses,
+    ttlDays,
+    /**
+     * Cached response body for this request, or undefined (= send it).
+     * Counts a hit or a miss for cached endpoints.
+     */
+    get(endpoint, body) {
+      const key = cacheKey(endpoint, body);
+      if (!key) return undefined;
+      const entry = entries.get(key);
+      const usable = storedThisRun.has(key) || (onlyMisses && isFresh(entry, ttlDays[endpoint]));
+      if (usable) counts.cacheHits++;
+      else counts.cacheMisses++;
+      changed();
+      return usable ? entry.d : undefined;
+    },
+    /** Store a successful response body (write-through, every mode; TTL 0 = this run only). */
+    set(endpoint, body, data) {
+      const key = cacheKey(endpoint, body);
+      if (!key) return;
+      const entry = { t: Date.now(), d: data };
+      entries.set(key, entry);
+      storedThisRun.add(key);
+      if (writable && ttlDays[endpoint] > 0) {
+        try {
+          fs.appendFileSync(file, `${JSON.stringify({ k: key, ...entry })}\n`, "utf8");
+          counts.cacheStored++;
+        } catch (err) {
+          writable = false;
+          log(`[CACHE] Not saving answers to ${file}: ${err?.message || err}`);
+        }
+      }
+      changed();
+    },
+    metrics,
+    /** Emit the final counts (call once at the end of a run). */
+    flush: () => changed(true),
+    summary() {
+      const mode = onlyMisses ? "only misses sent to the API" : "every input sent to the API, cache refreshed";
+      return `Cache: ${counts.cacheHits} hit(s), ${counts.cacheMisses} miss(es), ${counts.cacheStored} saved (${mode}).`;
+    },
+  };
+}
+
+/**
+ * For the settings panel: entries per endpoint (fresh under the current TTLs)
+ * and the file size.
+ */
+function describeEnrichmentCache({ file = cacheFile(), env = process.env } = {}) {
+  const ttlDays = readTtlDays(env);
+  const { entries } = loadEntries(file);
+  const now = Date.now();
+  const perEndpoint = {};
+  for (const [k, entry] of entries) {
+    const endpoint = endpointOfKey(k);
+    if (!perEndpoint[endpoint]) perEndpoint[endpoint] = { entries: 0, fresh: 0 };
+    perEndpoint[endpoint].entries++;
+    if (isFresh(entry, ttlDays[endpoint], now)) perEndpoint[endpoint].fresh++;
+  }
+
+  let sizeBytes = 0;
+  try {
+    sizeBytes = fs.statSync(file).size;
+  } catch {
+    // no cache yet
+  }
+
+  return {
+    file,
+    sizeBytes,
+    entries: entries.size,
+    endpoints: Object.entries(ENDPOINTS).map(([endpoint, spec]) => ({
+      endpoint,
+      label: spec.label,
+      defaultTtlDays: spec.ttlDays,
+      ttlDays: ttlDays[endpoint],
+      entries: perEndpoint[endpoint]?.entries || 0,
+      fresh: perEndpoint[endpoint]?.fresh || 0,
+    })),
+  };
+}
+
+/** Forget every cached answer (one endpoint, or all of them). */
+function clearEnrichmentCache({ file = cacheFile(), endpoint = null } = {}) {
+  if (!endpoint) {
+    fs.rmSync(file, { force: true });
+    return;
+  }
+  const { entries } = loadEntries(file);
+  for (const k of [...entries.keys()]) if (endpointOfKey(k) === endpoint) entries.delete(k);
+  compact(file, entries, {});
+}
+
+module.exports = {
+  ENDPOINTS,
+  CACHE_FILE_NAME,
+  cacheFile,
+  cacheKey,
+  readTtlDays,
+  openEnrichmentCache,
+  describeEnrichmentCache,
+  clearEnrichmentCache,
+};
@@ -0,0 +1,92 @@
+// backend/lib/events.js
+// Versioned stdout event protocol, shared by every backend script.
+// main/stdout-protocol.js validates each line against the same schema.
+//
+// One JSON object per line, always with "v" (EVENT_VERSION) and "type":
+//   log          { level: "info"|"warn"|"error"|"success"|"debug", message }
+//   status       { status, metrics? }                     lifecycle: started/running/draining/stopped/done/error
+//   progress     { done, total|null, unit?, eta_ms|null } eta from the average rate since the first progress event
+//   metrics      { metrics: { camelCaseKey: number|string|boolean|null } }
+//   artifact     { path, kind: "output"|"recovered"|"rejected"|"log", label?, rows? }
+//   warning-row  { reason, row?, file?, data? }          a single input row that was skipped / rejected
+//   summary      { status: "done"|"stopped"|"error", counts?: {…}, message? }
+//   request      per-request API telemetry (backend/lib/blitz-client.js)
+//
+// Metric keys are plain camelCase (totalRows, rowsProcessed, …); the renderer
+// picks them up per tool card.
+
+const path = require("path");
+
+const EVENT_VERSION = 1;
+const LOG_LEVELS = ["info", "warn", "error", "success", "debug"];
+const ARTIFACT_KINDS = ["output", "recovered", "rejected", "log"];
+const SUMMARY_STATUSES = ["done", "stopped", "error"];
+
+function createEmitter({ write = (line) => process.stdout.write(`${line}\n`), now = Date.now } = {}) {
+  let progressStartedAt = null;
+  let progressStartDone = 0;
+
+  // stdout directly: some tools silence console.log around actor calls
+  function emit(type, fields) {
+    write(JSON.stringify({ v: EVENT_VERSION, type, ...fields }));
+  }
+
+  function etaMs(done, total) {
+    if (progressStartedAt === null) {
+      progressStartedAt = now();
+      progressStartDone = done;
+      return null;
+    }
+    if (!total) return null;
+    if (done >= total) return 0;
+    const doneSinceStart = done - progressStartDone;
+    if (doneSinceStart <= 0) return null;
+    return Math.round(((now() - progressStartedAt) / doneSinceStart) * (total - done));
+  }
+
+  return {
+    log(level, message) {
+      emit("log", { level: LOG_LEVELS.includes(level) ? level : "info", message: String(message) });
+    },
+    status(status, metrics) {
+      emit("status", metrics ? { status, metrics } : { status });
+    },
+    /** done / total items (total null when unknown). */
+    progress(done, total = null, { unit } = {}) {
+      const d = Math.max(0, Number(done) || 0);
+      const t = total === null || total === undefined ? null : Math.max(0, Number(total) || 0);
+      emit("progress", { done: d, total: t, ...(unit ? { unit } : {}), eta_ms: etaMs(d, t) });
+    },
+    metrics(metrics) {
+      emit("metrics", { metrics });
+    },
+    /** A file the run wrote (absolute path). */
+    artifact(filePath, { kind = "output", label, rows } = {}) {
+      emit("artifact", {
+        path: path.resolve(String(filePath)),
+        kind: ARTIFACT_KINDS.includes(kind) ? kind : "output",
+        ...(label ? { label } : {}),
+        ...(Number.isFinite(rows) ? { rows } : {}),
+      });
+    },
+    warningRow(reason, { row, file, data } = {}) {
+      emit("warning-row", {
+        reason: String(reason),
+        ...(row !== undefined ? { row } : {}),
+        ...(file ? { file } : {}),
+        ...(data !== undefined ? { data } : {}),
+      });
+    },
+    summary(status, { counts, message } = {}) {
+      emit("summary", { status, ...(counts ? { counts } : {}), ...(message ? { message } : {}) });
+    },
+    request(fields) {
+      emit("request", fields);
+    },
+  };
+}
+
+// One emitter per process is all a script needs
+const events = createEmitter();
+
+module.exports = { EVENT_VERSION, LOG_LEVELS, ARTIFACT_KINDS, SUMMARY_STATUSES, createEmitter, ...events };
@@ -0,0 +1,101 @@
+// backend/lib/input-checks.js
+// How an input value of each column kind (backend/lib/column-map.js) is cleaned
+// up and what counts as valid. The list tools (reverse phone / email, find
+// phone, domain <-> LinkedIn) apply these before calling the API, and the
+// pre-flight report (main/preflight.js) uses the same rules, so "would be fixed"
+// and "invalid" there match what a run does.
+
+const LINKEDIN_HOST = /^(https?:\/\/)?([a-z]{2,3}\.|www\.)?linkedin\.com\//i;
+
+// "linkedin.com/in/x/", "http://uk.linkedin.com/in/x" -> "https://www.linkedin.com/in/x"
+function normalizeLinkedInUrl(raw) {
+  const s = String(raw ?? "").replace(/\s+/g, "");
+  if (!LINKEDIN_HOST.test(s)) return s;
+  return s.replace(LINKEDIN_HOST, "https://www.linkedin.com/").replace(/\/+$/, "");
+}
+
+// "https://www.Blitz-Agency.com/about" -> "blitz-agency.com"
+function normalizeDomain(raw) {
+  let s = String(raw ?? "").trim().toLowerCase();
+  if (!s) return "";
+  if (/^https?:\/\//.test(s)) {
+    try {
+      s = new URL(s).hostname;
+    } catch {
+      // keep the text as typed
+    }
+  }
+  return s.replace(/\/.*$/, "").replace(/^www\./, "");
+}
+
+const CHECKS = {
+  linkedinProfile: {
+    normalize: normalizeLinkedInUrl,
+    valid: (v) => /^https:\/\/www\.linkedin\.com\/(in|pub|sales\/lead|sales\/people)\/[^/?#]+/i.test(v),
+    expected: "a LinkedIn profile URL (linkedin.com/in/...)",
+  },
+  linkedinCompany: {
+    normalize: normalizeLinkedInUrl,
+    valid: (v) => /^https:\/\/www\.linkedin\.com\/(company|school|showcase)\/[^/?#]+/i.test(v),
+    expected: "a LinkedIn company URL (linkedin.com/company/...)",
+  },
+  linkedinPost: {
+    normalize: normalizeLinkedInUrl,
+    valid: (v) => /^https:\/\/www\.linkedin\.com\/(posts|feed\/update)\//i.test(v),
+    expected: "a LinkedIn post URL (linkedin.com/posts/... or /feed/update/...)",
+  },
+  email: {
+    normalize: (raw) => String(raw ?? "").trim().replace(/^mailto:/i, "").toLowerCase(),
+    valid: (v) => /^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(v),
+    expected: "an email address",
+  },
+  phone: {
+    // Formatting only: spaces, dots, dashes and brackets go, a leading + stays
+    normalize: (raw) => String(raw ?? "").trim().replace(/[\s().-]/g, ""),
+    valid: (v) => /^\+?\d{7,15}$/.test(v),
+    expected: "a phone number (7-15 digits, optional +)",
+  },
+  domain: {
+    normalize: normalizeDomain,
+    valid: (v) => /^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(v),
+    expected: "a domain (example.com)",
+  },
+  text: {
+    normalize: (raw) => String(raw ?? "").trim(),
+    valid: (v) => v.length > 0,
+    expected: "a value",
+  },
+};
+
+function getCheck(kind) {
+  return CHECKS[kind] || CHECKS.text;
+}
+
+/**
+ * { value, empty, valid, fixed } for one raw cell. fixed = the cleaned value
+ * differs from the trimmed input (surrounding whitespace alone is not a fix).
+ */
+function checkValue(kind, raw) {
+  const check = getCheck(kind);
+  const trimmed = String(raw ?? "").trim();
+  const value = check.normalize(trimmed);
+  if (!value) return { value: "", empty: true, valid: false, fixed: false };
+  return { value, empty: false, valid: check.valid(value), fixed: value !== trimmed };
+}
+
+function normalizeValue(kind, raw) {
+  return getCheck(kind).normalize(String(raw ?? "").trim());
+}
+
+function isValidValue(kind, value) {
+  return !!value && getCheck(kind).valid(value);
+}
+
+module.exports = {
+  CHECKS,
+  checkValue,
+  normalizeValue,
+  isValidValue,
+  normalizeLinkedInUrl,
+  normalizeDomain,
+};
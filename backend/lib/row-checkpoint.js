@@ -0,0 +1,144 @@
+// backend/lib/row-checkpoint.js
+// Resume sidecar for Blitz tools that walk an input CSV one company at a time
+// (blitz-waterfall-icp.js, blitz-employee-finder.js).
+//
+// The sidecar sits next to the output: <output>.checkpoint.jsonl. Line 1 is a
+// header { v, input, output }, then one line per finished input row:
+//   { key, status: "done" | "failed", error?, at }
+// The last line for a key wins. A key is the company URL plus a short signature
+// of the filters it ran with, so changing the filters re-queries the company.
+//
+// Restarting with the same input and output skips "done" rows and retries the
+// rest (failed + never reached). With retryFailuresOnly, only "failed" rows
+// run. A different input file, or a missing output file, starts a fresh sidecar:
+// the rows it records would no longer be in the output.
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const CHECKPOINT_VERSION = 1;
+const CHECKPOINT_SUFFIX = ".checkpoint.jsonl";
+
+// Stable JSON (sorted keys) so the same filters always hash the same; also
+// builds the enrichment cache keys (backend/lib/enrichment-cache.js)
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .filter((k) => value[k] !== undefined)
+      .map((k) => `${JSON.stringify(k)}:${stableStringify(value[k])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/** Short hash of a filter object (order of keys does not matter). */
+function signatureOf(filters) {
+  return crypto.createHash("sha1").update(stableStringify(filters)).digest("hex").slice(0, 12);
+}
+
+function normalizeUrl(url) {
+  return String(url || "")
+    .trim()
+    .toLowerCase()
+    .replace(/^https?:\/\/(www\.)?/, "")
+    .replace(/[/?#]+$/, "");
+}
+
+function checkpointPathFor(outputPath) {
+  return `${outputPath}${CHECKPOINT_SUFFIX}`;
+}
+
+function readEntries(file) {
+  let lines;
+  try {
+    lines = fs.readFileSync(file, "utf8").split(/\r?\n/).filter(Boolean);
+  } catch {
+    return null;
+  }
+
+  let header = null;
+  const entries = new Map();
+  for (const line of lines) {
+    let parsed;
+    try {
+      parsed = JSON.parse(line);
+    } catch {
+      continue; // torn last line after a kill
+    }
+    if (!header) {
+      header = parsed;
+      continue;
+    }
+    if (parsed && parsed.key) entries.set(parsed.key, parsed);
+  }
+  return header ? { header, entries } : null;
+}
+
+/**
+ * openRowCheckpoint({ inputPath, outputPath, log })
+ * Loads (or starts) the sidecar for this input/output pair and compacts it.
+ */
+function openRowCheckpoint({ inputPath, outputPath, log = (msg) => console.log(msg) }) {
+  const file = checkpointPathFor(outputPath);
+  const input = path.resolve(inputPath);
+  const output = path.resolve(outputPath);
+
+  let entries = new Map();
+  const previous = readEntries(file);
+  if (previous) {
+    if (path.resolve(previous.header.input || "") !== input) {
+      log(`[CHECKPOINT] ${path.basename(file)} belongs to another input file – starting fresh.`);
+    } else if (!fs.existsSync(output)) {
+      log(`[CHECKPOINT] Output file is gone – starting fresh.`);
+    } else {
+      entries = previous.entries;
+    }
+  }
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const lines = [JSON.stringify({ v: CHECKPOINT_VERSION, input, output })];
+  for (const entry of entries.values()) lines.push(JSON.stringify(entry));
+  fs.writeFileSync(file, `${lines.join("\n")}\n`, "utf8");
+
+  function record(key, status, error) {
+    const entry = { key, status, ...(error ? { error: String(error).slice(0, 500) } : {}), at: new Date().toISOString() };
+    entries.set(key, entry);
+    fs.appendFileSync(file, `${JSON.stringify(entry)}\n`, "utf8");
+  }
+
+  function counts() {
+    let done = 0;
+    let failed = 0;
+    for (const entry of entries.values()) {
+      if (entry.status === "done") done++;
+      else if (entry.status === "failed") failed++;
+    }
+    return { done, failed };
+  }
+
+  return {
+    path: file,
+    /** Checkpoint key for one input row. */
+    keyFor: (companyUrl, filters) => `${normalizeUrl(companyUrl)}|${signatureOf(filters)}`,
+    status: (key) => entries.get(key)?.status,
+    error: (key) => entries.get(key)?.error,
+    /**
+     * Should this row run? { run: boolean, reason: "done" | "not-failed" | "retry" | "new" }
+     */
+    plan(key, { retryFailuresOnly = false } = {}) {
+      const status = entries.get(key)?.status;
+      if (status === "done") return { run: false, reason: "done" };
+      if (status === "failed") return { run: true, reason: "retry" };
+      if (retryFailuresOnly) return { run: false, reason: "not-failed" };
+      return { run: true, reason: "new" };
+    },
+    markDone: (key) => record(key, "done"),
+    markFailed: (key, error) => record(key, "failed", error),
+    counts,
+  };
+}
+
+module.exports = { openRowCheckpoint, checkpointPathFor, signatureOf, stableStringify, CHECKPOINT_SUFFIX };
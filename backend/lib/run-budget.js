@@ -0,0 +1,106 @@
+// backend/lib/run-budget.js
+// Per-run spend guardrail shared by the Apify and Blitz backends.
+//
+// The app (budget field on each Apify / Blitz card) passes the limit as
+//   KOLDIFY_BUDGET = {"limit": 5, "unit": "usd" | "credits"}
+// - Apify tools add each finished actor run's usageTotalUsd (add()).
+// - Blitz tools count 1 credit per answered request of their own, capped by the
+//   key-info delta (createBlitzClient({ budget })).
+// Once spend reaches the limit, exceeded() turns true and the tool stops starting new
+// work, exactly like a graceful Stop; in-flight requests still finish and get written.
+// Every change emits one metrics event (backend/lib/events.js):
+//   {"v":1,"type":"metrics","metrics":{"budgetSpent","budgetLimit","budgetUnit","budgetReached"}}
+
+const events = require("./events");
+
+function readBudget(env = process.env) {
+  try {
+    const parsed = JSON.parse(env.KOLDIFY_BUDGET || "null");
+    const limit = Number(parsed?.limit);
+    if (!Number.isFinite(limit) || limit <= 0) return null;
+    return { limit, unit: parsed.unit === "credits" ? "credits" : "usd" };
+  } catch {
+    return null;
+  }
+}
+
+function formatAmount(amount, unit) {
+  const n = Number(amount) || 0;
+  if (unit === "credits") return `${Math.round(n)} credit${Math.round(n) === 1 ? "" : "s"}`;
+  return `$${n.toFixed(n > 0 && n < 1 ? 3 : 2)}`;
+}
+
+/**
+ * createRunBudget({ unit: "usd" | "credits", env, log, telemetry })
+ * A budget set in the other unit does not apply (the tool just reports its spend).
+ */
+function createRunBudget({ unit = "usd", env = process.env, log = (msg) => console.log(msg), telemetry = true } = {}) {
+  const config = readBudget(env);
+  const limit = config && config.unit === unit ? config.limit : null;
+  let spent = 0;
+  let announced = false;
+
+  function exceeded() {
+    return limit !== null && spent >= limit;
+  }
+
+  function metrics() {
+    return {
+      budgetSpent: unit === "usd" ? Math.round(spent * 10000) / 10000 : Math.round(spent),
+      budgetLimit: limit,
+      budgetUnit: unit,
+      budgetReached: exceeded(),
+    };
+  }
+
+  function changed() {
+    if (telemetry) events.metrics(metrics());
+    if (exceeded() && !announced) {
+      announced = true;
+      log(
+        `[BUDGET] Budget reached: ${formatAmount(spent, unit)} spent of ${formatAmount(limit, unit)}. ` +
+          "Not starting new work; in-flight requests will finish."
+      );
+    }
+  }
+
+  return {
+    unit,
+    limit,
+    enabled: limit !== null,
+    get spent() {
+      return spent;
+    },
+    /** Add spend (Apify: a finished run's usageTotalUsd). */
+    add(amount) {
+      const n = Number(amount);
+      if (Number.isFinite(n) && n > 0) {
+        spent += n;
+        changed();
+      }
+      return spent;
+    },
+    /** Set total spend so far (Blitz: the client's own credit count). Never goes down. */
+    setSpent(total) {
+      const n = Number(total);
+      if (Number.isFinite(n) && n > spent) {
+        spent = n;
+        changed();
+      }
+      return spent;
+    },
+    exceeded,
+    remaining: () => (limit === null ? Infinity : Math.max(0, limit - spent)),
+    metrics,
+    /** One line for the final summary. */
+    summary() {
+      if (limit === null) return `[BUDGET] Spent ${formatAmount(spent, unit)} (no budget set)`;
+      return (
+        `[BUDGET] Spent ${formatAmount(spent, unit)} of ${formatAmount(limit, unit)} budget` +
+        (exceeded() ? " — budget reached, run stopped early" : "")
+      );
+    },
+  };
+}
+
+module.exports = { createRunBudget, readBudget, formatAmount };
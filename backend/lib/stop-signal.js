@@ -0,0 +1,81 @@
+// backend/lib/stop-signal.js
+// The backend half of the stop protocol (main/stop-protocol.js).
+//
+// When the user presses Stop, the app creates the run's STOP_FLAG_FILE and sends
+// SIGTERM (Windows: flag file only). Ctrl+C in a terminal (SIGINT) counts too.
+// A script that calls watchStop() then:
+//   - emits a "draining" status event (backend/lib/events.js) so the app shows it,
+//   - starts no new work (check stopRequested() before each row / batch / call),
+//   - lets in-flight work finish, writes its output and exits.
+// If it takes longer than the app's grace timeout it is killed.
+//
+// Scripts that never call watchStop() keep Node's default: SIGTERM ends them at once.
+
+const fs = require("fs");
+const events = require("./events");
+
+const STOP_SIGNALS = ["SIGTERM", "SIGINT"];
+const FLAG_POLL_MS = 1000;
+
+const handlers = [];
+let requested = false;
+let reason = null;
+let watching = false;
+
+function flagFileExists() {
+  const flag = process.env.STOP_FLAG_FILE;
+  try {
+    return !!flag && fs.existsSync(flag);
+  } catch {
+    return false;
+  }
+}
+
+function requestStop(why) {
+  if (requested) return;
+  requested = true;
+  reason = why;
+  events.status("draining", { stopReason: why });
+  for (const fn of handlers) {
+    try {
+      fn(why);
+    } catch (err) {
+      console.error(`[STOP] Stop handler failed: ${err?.message || err}`);
+    }
+  }
+}
+
+/**
+ * Handle Stop gracefully from now on. onStop(reason) runs once, on the first
+ * signal or when the flag file shows up (reason: "SIGTERM" | "SIGINT" | "stop flag").
+ * Returns stopRequested for convenience.
+ */
+function watchStop(onStop) {
+  if (typeof onStop === "function") {
+    if (requested) onStop(reason);
+    else handlers.push(onStop);
+  }
+
+  if (!watching) {
+    watching = true;
+    STOP_SIGNALS.forEach((signal) => process.on(signal, () => requestStop(signal)));
+    if (process.env.STOP_FLAG_FILE) {
+      // Windows gets no signal: the flag file is the only way in
+      const timer = setInterval(() => {
+        if (requested) clearInterval(timer);
+        else if (flagFileExists()) requestStop("stop flag");
+      }, FLAG_POLL_MS);
+      timer.unref();
+    }
+  }
+
+  return stopRequested;
+}
+
+/** True once Stop was requested (signal or flag file). */
+function stopRequested() {
+  if (!requested && flagFileExists()) requestStop("stop flag");
+  return requested;
+}
+
+module.exports = { STOP_SIGNALS, watchStop, stopRequested };
@@ -0,0 +1,55 @@
+// backend/lib/vault-keys.js
+// Apify keys injected by the desktop app's key vault (main/key-vault.js).
+//
+// When keys are picked from the vault on a card, main passes them in
+// KOLDIFY_APIFY_KEYS instead of a keys.json path, and points
+// KOLDIFY_KEY_STATE_DIR at a folder under the app's userData so per-tool state
+// files (keywords.json, …) stay out of the user's input folders. Key usage and
+// bans live in the shared pool (apify-key-pool.js). Mock runs (KOLDIFY_MOCK=1)
+// always use the state folder, so fixture runs never mark real keywords as done.
+
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * Returns: [{ label, token }] (empty when no vault keys were injected)
+ */
+function getVaultApifyKeys() {
+  const raw = process.env.KOLDIFY_APIFY_KEYS;
+  if (!raw) return [];
+  try {
+    const list = JSON.parse(raw);
+    return (Array.isArray(list) ? list : [])
+      .map((k, i) =>
+        typeof k === "string"
+          ? { label: `vault${i + 1}`, token: k.trim() }
+          : { label: String(k?.label || `vault${i + 1}`), token: String(k?.token || "").trim() }
+      )
+      .filter((k) => k.token)
+      // Labels double as key names in some state files, so keep them unique
+      .map((k, i, all) =>
+        all.findIndex((o) => o.label === k.label) === i ? k : { ...k, label: `${k.label} #${i + 1}` }
+      );
+  } catch {
+    return [];
+  }
+}
+
+function getVaultApifyTokens() {
+  return getVaultApifyKeys().map((k) => k.token);
+}
+
+/**
+ * Where a key state file lives: the app's key-state folder when vault keys are
+ * in use (or in mock mode), otherwise fallbackDir (the folder of keys.json, as before).
+ */
+function keyStateFile(fileName, fallbackDir) {
+  const stateDir = process.env.KOLDIFY_KEY_STATE_DIR;
+  if (stateDir && (getVaultApifyKeys().length || process.env.KOLDIFY_MOCK === "1")) {
+    fs.mkdirSync(stateDir, { recursive: true });
+    return path.join(stateDir, fileName);
+  }
+  return path.join(fallbackDir || process.cwd(), fileName);
+}
+
+module.exports = { getVaultApifyKeys, getVaultApifyTokens, keyStateFile };
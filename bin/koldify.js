@@ -0,0 +1,436 @@
+#!/usr/bin/env node
+// bin/koldify.js
+// Headless runner for the Koldify tools (cron / servers, no Electron window).
+//
+//   koldify list [--json]
+//   koldify run <toolId> --config <file.json> [--preset <name>] [--json] [--mock] [--stop-grace <secs>]
+//   koldify validate <toolId> --config <file.json> [--preset <name>] [--input <file>] [--rejected <out.csv>] [--json]
+//   koldify samples [<sampleId> <dir>]
+//   koldify apify-runs [collect|discard <runId|all>]
+//
+// Uses the same tool registry, TOOL_CONFIG env and stdout protocol as the desktop app.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const { randomUUID } = require('crypto');
+const readline = require('readline');
+
+const {
+  createToolRegistry,
+  buildRunEnv,
+  mockStatePaths,
+  SAMPLE_DIRS,
+  copyDirectoryRecursive,
+} = require('../main/tool-registry');
+const { parseStdoutLine, EVENT_VERSION } = require('../main/stdout-protocol');
+const { createMockServer } = require('../mock/server');
+const { createApifyReattach } = require('../main/apify-reattach');
+const { runJournalFile } = require('../backend/lib/apify-runs');
+const { createRunStopper, stopFlagPath, DEFAULT_STOP_GRACE_SECS } = require('../main/stop-protocol');
+const { runPreflight, exportRejectedRows, inputPathsFromPayload } = require('../main/preflight');
+
+const APP_ROOT = path.resolve(__dirname, '..');
+const toolRegistry = createToolRegistry((...parts) => path.join(APP_ROOT, ...parts));
+
+const USAGE = `Usage:
+  koldify list [--json]                                   List tool ids
+  koldify run <toolId> --config <file> [--preset <name>]  Run a tool headless
+              [--json] [--mock] [--stop-grace <secs>]     (--json: newline-delimited JSON events,
+                                                          --mock: offline mock APIs, no credits used,
+                                                          --stop-grace: kill ${DEFAULT_STOP_GRACE_SECS}s after Ctrl+C by default)
+  koldify validate <toolId> --config <file>               Check the input without calling any API
+              [--preset <name>] [--input <file>]          (rows, duplicates, empty / invalid values, cost;
+              [--rejected <out.csv>] [--json]              --rejected: save the rejected rows; exit 1 = nothing to send)
+  koldify samples                                         List sample bundles
+  koldify samples <sampleId> <dir>                        Copy a sample bundle into <dir>/<sampleId>
+  koldify apify-runs [--json]                             List Apify runs a stopped/crashed run never saved
+  koldify apify-runs collect <runId|all>                  Wait for them, save their items as CSV
+  koldify apify-runs discard <runId|all>                  Forget them (aborting runs still in progress)
+
+--config accepts a raw TOOL_CONFIG payload, a single preset, or a presets export file
+(pick one with --preset when it holds several presets for the tool).
+API keys: BLITZ_API_KEY env var, or apiKey / keysFilePath in the config.
+API hosts: KOLDIFY_BLITZ_BASE_URL / KOLDIFY_APIFY_BASE_URL (default: production).
+Apify run journal: KOLDIFY_APIFY_RUNS_FILE (default: ./apify-runs.json).
+Blitz enrichment cache: KOLDIFY_ENRICH_CACHE_FILE (default: ./enrichment-cache.jsonl),
+TTLs: KOLDIFY_CACHE_TTL='{"/v2/enrichment/phone": 7}' (days), "cacheOnlyMisses": false in the config to refresh every input.`;
+
+class CliError extends Error {}
+
+// ================================
+// 🧾 ARGS
+// ================================
+function parseArgs(argv) {
+  const positional = [];
+  const flags = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      positional.push(arg);
+      continue;
+    }
+    const [key, inline] = arg.slice(2).split(/=(.*)/s);
+    if (inline !== undefined) flags[key] = inline;
+    else if (argv[i + 1] && !argv[i + 1].startsWith('--')) flags[key] = argv[++i];
+    else flags[key] = true;
+  }
+  return { positional, flags };
+}
+
+// ================================
+// 📄 CONFIG FILE -> PAYLOAD
+// ================================
+function loadPayload(configPath, toolId, presetName) {
+  const resolved = path.resolve(configPath);
+  if (!fs.existsSync(resolved)) throw new CliError(`Config file not found: ${resolved}`);
+
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(resolved, 'utf8'));
+  } catch (err) {
+    throw new CliError(`Invalid JSON in ${resolved}: ${err.message}`);
+  }
+
+  // Presets export file: { version, presets: [...] }
+  if (Array.isArray(data?.presets)) {
+    const forTool = data.presets.filter((p) => p && p.toolId === toolId);
+    const preset = presetName
+      ? forTool.find((p) => p.name === presetName)
+      : forTool.length === 1
+        ? forTool[0]
+        : null;
+
+    if (!preset) {
+      const names = forTool.map((p) => `"${p.name}"`).join(', ') || 'none';
+      throw new CliError(
+        presetName
+          ? `No preset "${presetName}" for ${toolId} (available: ${names})`
+          : `Pick a preset with --preset (presets for ${toolId}: ${names})`
+      );
+    }
+    return preset.payload || {};
+  }
+
+  // Single preset: { toolId, name, payload }
+  if (data && typeof data === 'object' && data.toolId && data.payload) {
+    if (data.toolId !== toolId) {
+      throw new CliError(`Preset is for "${data.toolId}", not "${toolId}"`);
+    }
+    return data.payload;
+  }
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new CliError('Config must be a JSON object');
+  }
+  return data;
+}
+
+// ================================
+// 🖨️ OUTPUT
+// ================================
+function formatMetrics(metrics) {
+  if (!metrics || typeof metrics !== 'object') return '';
+  return Object.entries(metrics)
+    .filter(([, v]) => v === null || typeof v !== 'object')
+    .map(([k, v]) => `${k}=${v}`)
+    .join(' ');
+}
+
+function formatDuration(ms) {
+  const secs = Math.round(ms / 1000);
+  if (secs < 60) return `${secs}s`;
+  const mins = Math.floor(secs / 60);
+  return mins < 60 ? `${mins}m ${secs % 60}s` : `${Math.floor(mins / 60)}h ${mins % 60}m`;
+}
+
+function createPrinter({ json, runId, toolId }) {
+  if (json) {
+    return (event) => {
+      process.stdout.write(
+        JSON.stringify({ v: EVENT_VERSION, ts: new Date().toISOString(), runId, toolId, ...event }) + '\n'
+      );
+    };
+  }
+
+  return (event) => {
+    const time = new Date().toLocaleTimeString();
+    if (event.type === 'log') {
+      const out = event.level === 'error' || event.level === 'warn' ? process.stderr : process.stdout;
+      out.write(`[${time}] ${event.message}\n`);
+    } else if (event.type === 'status') {
+      const parts = [event.status, formatMetrics(event.metrics)].filter(Boolean).join(' | ');
+      if (parts) process.stdout.write(`[${time}] » ${parts}\n`);
+    } else if (event.type === 'progress') {
+      const pct = event.total ? ` (${Math.round((event.done / event.total) * 100)}%)` : '';
+      const eta = event.eta_ms ? ` • ETA ${formatDuration(event.eta_ms)}` : '';
+      process.stdout.write(`[${time}] » ${event.done}${event.total !== null ? `/${event.total}` : ''}${event.unit ? ` ${event.unit}` : ''}${pct}${eta}\n`);
+    } else if (event.type === 'artifact') {
+      process.stdout.write(`[${time}] 📄 ${event.label || event.kind}: ${event.path}\n`);
+    } else if (event.type === 'warning-row') {
+      const where = [event.file, event.row !== undefined ? `row ${event.row}` : null].filter(Boolean).join(' ');
+      process.stderr.write(`[${time}] [ROW] ${where ? `${where}: ` : ''}${event.reason}\n`);
+    } else if (event.type === 'summary') {
+      const parts = [event.status, formatMetrics(event.counts), event.message].filter(Boolean).join(' | ');
+      process.stdout.write(`[${time}] Summary: ${parts}\n`);
+    } else if (event.type === 'exit') {
+      const how = event.signal ? `signal ${event.signal}` : `code ${event.code}`;
+      process.stdout.write(`[${time}] ${event.code === 0 ? '✓' : '✗'} ${toolId} finished (${how})\n`);
+    }
+  };
+}
+
+// ================================
+// ▶️ COMMANDS
+// ================================
+function cmdList({ flags }) {
+  const ids = Object.keys(toolRegistry);
+  if (flags.json) {
+    const tools = ids.map((id) => ({
+      toolId: id,
+      script: path.relative(APP_ROOT, toolRegistry[id].script),
+    }));
+    process.stdout.write(JSON.stringify(tools) + '\n');
+  } else {
+    ids.forEach((id) => process.stdout.write(`${id}\n`));
+  }
+  return 0;
+}
+
+async function cmdRun({ positional, flags }) {
+  const toolId = positional[1];
+  if (!toolId) throw new CliError('Missing <toolId>. Run "koldify list" to see them.');
+
+  const config = toolRegistry[toolId];
+  if (!config) throw new CliError(`Unknown toolId: ${toolId}`);
+  if (!fs.existsSync(config.script)) throw new CliError(`Script not found: ${config.script}`);
+  if (!flags.config || flags.config === true) throw new CliError('Missing --config <file>');
+
+  const payload = loadPayload(flags.config, toolId, typeof flags.preset === 'string' ? flags.preset : null);
+  const runId = randomUUID();
+  const print = createPrinter({ json: !!flags.json, runId, toolId });
+  const stopFlagFile = stopFlagPath(path.join(os.tmpdir(), 'koldify-stop-flags'), runId);
+
+  // --mock: serve both APIs from mock/fixtures for the length of this run
+  const mock = flags.mock ? createMockServer({ port: 0 }) : null;
+  const mockUrl = mock ? await mock.start() : null;
+  if (mockUrl) print({ type: 'log', level: 'info', message: `[MOCK] Offline mock API on ${mockUrl}` });
+
+  const env = buildRunEnv(config, {
+    runId,
+    toolId,
+    payload,
+    appRoot: APP_ROOT,
+    stopFlagFile,
+    blitzBaseUrl: mockUrl,
+    apifyBaseUrl: mockUrl,
+    // fixture runs must not touch the real key pool, run journal, keywords.json or enrichment cache
+    ...(mockUrl ? mockStatePaths(path.join(os.tmpdir(), 'koldify-mock-state'), toolId) : {}),
+  });
+  const child = spawn(process.execPath, [config.script], {
+    env,
+    stdio: ['ignore', 'pipe', 'pipe'],
+    windowsHide: true,
+    cwd: process.cwd(),
+  });
+
+  print({ type: 'status', status: 'started' });
+
+  const forward = (stream, defaultLevel) => {
+    readline.createInterface({ input: stream }).on('line', (line) => {
+      const event = parseStdoutLine(line, defaultLevel);
+      if (!event) return;
+      if (event.kind === 'status') print({ type: 'status', status: event.status, metrics: event.metrics });
+      else if (event.kind === 'request') print({ ...event.request, type: 'request' });
+      else if (event.kind === 'progress') print({ type: 'progress', ...event.progress });
+      else if (event.kind === 'artifact') print({ type: 'artifact', ...event.artifact });
+      else if (event.kind === 'warning-row') print({ type: 'warning-row', ...event.warning });
+      else if (event.kind === 'summary') print({ type: 'summary', ...event.summary });
+      else if (event.kind === 'invalid') {
+        print({ type: 'log', level: 'warn', message: `[PROTOCOL] Invalid event (${event.errors.join('; ')}): ${event.line}` });
+      } else print({ type: 'log', level: event.level, message: event.message });
+    });
+  };
+  forward(child.stdout, 'info');
+  forward(child.stderr, 'error');
+
+  // First Ctrl+C / SIGTERM = graceful stop (like the Stop button), second = kill
+  const stopper = createRunStopper({
+    child,
+    flagFile: stopFlagFile,
+    graceSecs: () => (flags['stop-grace'] === true ? undefined : flags['stop-grace']),
+    onState: (status, detail) => {
+      if (status === 'killing') print({ type: 'log', level: 'warn', message: `[STOP] Killing the process (${detail.reason}).` });
+      print({ type: 'status', status, ...(detail.graceSecs ? { metrics: { stopGraceSecs: detail.graceSecs } } : {}) });
+    },
+  });
+  const onSignal = () => stopper.request();
+  process.on('SIGINT', onSignal);
+  process.on('SIGTERM', onSignal);
+
+  return new Promise((resolve) => {
+    child.on('error', (err) => {
+      print({ type: 'log', level: 'error', message: `[SPAWN ERROR] ${err.message}` });
+    });
+    child.on('close', async (code, signal) => {
+      stopper.dispose();
+      if (mock) await mock.stop();
+      print({ type: 'exit', code, signal, stopped: stopper.state !== 'running' });
+      resolve(code ?? 1);
+    });
+  });
+}
+
+async function cmdValidate({ positional, flags }) {
+  const toolId = positional[1];
+  if (!toolId) throw new CliError('Missing <toolId>. Run "koldify list" to see them.');
+  if (!toolRegistry[toolId]) throw new CliError(`Unknown toolId: ${toolId}`);
+
+  const payload =
+    flags.config && flags.config !== true
+      ? loadPayload(flags.config, toolId, typeof flags.preset === 'string' ? flags.preset : null)
+      : {};
+  const files = typeof flags.input === 'string' ? [flags.input] : inputPathsFromPayload(toolId, payload);
+  if (!files.length) throw new CliError('No input file: pass --input <file> or a --config with the tool\'s input path');
+
+  const options = { toolId, files, columnMap: payload.columnMap || {} };
+  let report;
+  try {
+    report = await runPreflight(options);
+  } catch (err) {
+    throw new CliError(err.message);
+  }
+  const exported =
+    typeof flags.rejected === 'string' && report.rejected
+      ? await exportRejectedRows({ ...options, outputPath: path.resolve(flags.rejected) })
+      : null;
+
+  if (flags.json) {
+    process.stdout.write(JSON.stringify({ ...report, rejectedFile: exported?.outputPath || null }) + '\n');
+  } else {
+    const { estimate } = report;
+    const cost =
+      estimate.basis === 'free'
+        ? 'free'
+        : estimate.amount === null
+        ? 'unknown (no past runs)'
+        : `≈ ${estimate.unit === 'usd' ? `$${estimate.amount.toFixed(2)}` : `${Math.round(estimate.amount)} credits`}`;
+    const lines = [
+      `Rows:        ${report.rows} (${report.files.length} file${report.files.length === 1 ? '' : 's'})`,
+      `Duplicates:  ${report.duplicates}`,
+      `Empty:       ${report.emptyRows}`,
+      `Invalid:     ${report.invalidRows}`,
+      `Rejected:    ${report.rejected}${exported ? ` -> ${exported.outputPath}` : ''}`,
+      `To send:     ${report.toSend}`,
+      `Est. cost:   ${cost}`,
+      ...report.columns.map((c) =>
+        c.error
+          ? `  ${c.label}: ${c.error}`
+          : `  ${c.label} <- ${c.header || '-'}: ${c.filled} filled, ${c.empty} empty, ${c.invalid} invalid, ${c.fixed} cleaned up`
+      ),
+    ];
+    process.stdout.write(`${lines.join('\n')}\n`);
+  }
+  return report.toSend > 0 ? 0 : 1;
+}
+
+async function cmdSamples({ positional }) {
+  const [, sampleId, dir] = positional;
+
+  if (!sampleId) {
+    Object.keys(SAMPLE_DIRS).forEach((id) => process.stdout.write(`${id}\n`));
+    return 0;
+  }
+
+  const relativeSampleDir = SAMPLE_DIRS[sampleId];
+  if (!relativeSampleDir) throw new CliError(`Unknown sampleId: ${sampleId}`);
+  if (!dir) throw new CliError('Missing <dir>');
+
+  const sourceDir = path.join(APP_ROOT, relativeSampleDir);
+  if (!fs.existsSync(sourceDir)) throw new CliError(`Sample directory not found: ${sourceDir}`);
+
+  const targetDir = path.join(path.resolve(dir), sampleId);
+  await copyDirectoryRecursive(sourceDir, targetDir);
+  process.stdout.write(`${targetDir}\n`);
+  return 0;
+}
+
+async function cmdApifyRuns({ positional, flags }) {
+  const [, action, target] = positional;
+  const reattach = createApifyReattach({ journalFile: runJournalFile(), fallbackDir: process.cwd() });
+  const pending = reattach.pending();
+
+  if (!action) {
+    if (flags.json) process.stdout.write(JSON.stringify(pending) + '\n');
+    else if (!pending.length) process.stdout.write(`No unfinished Apify runs in ${reattach.file}\n`);
+    else {
+      pending.forEach((r) => {
+        process.stdout.write(`${r.runId}  ${r.toolId || r.actorId}  key=${r.keyLabel || '?'}  ${r.status}  ${r.startedAt}\n`);
+      });
+    }
+    return 0;
+  }
+
+  if (action !== 'collect' && action !== 'discard') throw new CliError(`Unknown apify-runs action: ${action}`);
+  if (!target) throw new CliError(`Missing <runId|all>`);
+  const ids = target === 'all' ? pending.map((r) => r.runId) : [target];
+
+  let failed = 0;
+  for (const runId of ids) {
+    try {
+      if (action === 'discard') {
+        await reattach.discard(runId);
+        process.stdout.write(`${runId}  discarded\n`);
+      } else {
+        const result = await reattach.collect(runId, {
+          onProgress: ({ status }) => process.stderr.write(`${runId}  ${status}, waiting…\n`),
+        });
+        process.stdout.write(`${runId}  ${result.status}  ${result.items} item(s) → ${result.file}\n`);
+      }
+    } catch (err) {
+      failed++;
+      process.stderr.write(`${runId}  ${err.message}\n`);
+    }
+  }
+  return failed ? 1 : 0;
+}
+
+async function main(argv) {
+  const args = parseArgs(argv);
+  const command = args.positional[0];
+
+  switch (command) {
+    case 'list':
+      return cmdList(args);
+    case 'run':
+      return cmdRun(args);
+    case 'validate':
+      return cmdValidate(args);
+    case 'samples':
+      return cmdSamples(args);
+    case 'apify-runs':
+      return cmdApifyRuns(args);
+    case undefined:
+    case 'help':
+      process.stdout.write(`${USAGE}\n`);
+      return command ? 0 : 1;
+    default:
+      throw new CliError(`Unknown command: ${command}\n\n${USAGE}`);
+  }
+}
+
+// `koldify list | head` closes the pipe early
+process.stdout.on('error', (err) => {
+  if (err.code === 'EPIPE') process.exit(0);
+  throw err;
+});
+
+main(process.argv.slice(2))
+  .then((code) => {
+    process.exitCode = code;
+  })
+  .catch((err) => {
+    process.stderr.write(`koldify: ${err instanceof CliError ? err.message : err.stack}\n`);
+    process.exitCode = 2;
+  });
@@ -1,19 +1,60 @@
 // main.js (Electron main process)
-const { app, BrowserWindow, ipcMain, dialog, Menu } = require('electron');
+const { app, BrowserWindow, ipcMain, dialog, Menu, Tray, Notification, nativeImage, safeStorage, shell } = require('electron');
 const path = require('path');
 const fs = require('fs'); // ✅ for sample copying
 const csv = require('csv-parser');
 const { spawn } = require('child_process');
 const { randomUUID } = require('crypto');
+const { createRunHistory } = require('./main/run-history');
+const { createPresetStore } = require('./main/presets');
+const { createPipelineStore, createPipelineRunner } = require('./main/pipelines');
+const { createScheduleStore, createScheduler, upcomingCronTimes } = require('./main/scheduler');
+const { createWatchRuleStore, createFolderWatcher } = require('./main/watch-folders');
+const {
+  createToolRegistry,
+  buildRunEnv,
+  mockStatePaths,
+  SAMPLE_DIRS,
+  copyDirectoryRecursive,
+} = require('./main/tool-registry');
+const { parseStdoutLine, createRequestStats } = require('./main/stdout-protocol');
+const { createKeyVault } = require('./main/key-vault');
+const { createMockServer } = require('./mock/server');
+const { createApifyReattach } = require('./main/apify-reattach');
+const { createCsvViewer } = require('./main/csv-viewer');
+const { TOOL_COLUMNS, suggestColumnMap, SAMPLE_ROWS } = require('./backend/lib/column-map');
+const { runPreflight, exportRejectedRows } = require('./main/preflight');
+const { createRunStopper, stopFlagPath, clampStopGrace } = require('./main/stop-protocol');
+const { fingerprint } = require('./backend/lib/apify-key-pool');
+const { ENDPOINTS: CACHE_ENDPOINTS, describeEnrichmentCache, clearEnrichmentCache } = require('./backend/lib/enrichment-cache');
 
 let mainWindow;
+let tray = null;
+// Set on a real quit so closing the window to the tray doesn't block it
+let isQuitting = false;
 
 /**
  * Map of active runs:
- * runId -> { child, toolId, stopping: boolean }
+ * runId -> { child, toolId, stopping: boolean, stopper, requestStats, warningRows }
  */
 const runs = new Map();
 
+/**
+ * Runs waiting for a free slot (FIFO):
+ * [{ runId, toolId, payload, origin }]
+ */
+const pendingRuns = [];
+
+/**
+ * Exit callbacks for runs started from inside main (pipelines, …):
+ * runId -> ({ code, stopped, cancelled, error }) => void
+ */
+const runExitListeners = new Map();
+
+// Global cap on how many child processes may run side by side
+const DEFAULT_MAX_CONCURRENT_RUNS = 3;
+let maxConcurrentRuns = DEFAULT_MAX_CONCURRENT_RUNS;
+
 // ================================
 // ✅ FIX CACHE ERRORS - Must be before app.whenReady()
 // ================================
@@ -21,6 +62,298 @@ const runs = new Map();
 const userDataPath = path.join(app.getPath('appData'), 'koldify-toolkit');
 app.setPath('userData', userDataPath);
 
+// ================================
+// ⚙️ APP SETTINGS (userData/settings.json)
+// ================================
+const settingsPath = path.join(userDataPath, 'settings.json');
+
+function loadSettings() {
+  try {
+    if (!fs.existsSync(settingsPath)) return {};
+    const parsed = JSON.parse(fs.readFileSync(settingsPath, 'utf8'));
+    return parsed && typeof parsed === 'object' ? parsed : {};
+  } catch (err) {
+    console.error('[MAIN] Failed to read settings:', err.message);
+    return {};
+  }
+}
+
+function saveSettings(patch = {}) {
+  const next = { ...loadSettings(), ...patch };
+  fs.mkdirSync(path.dirname(settingsPath), { recursive: true });
+  fs.writeFileSync(settingsPath, JSON.stringify(next, null, 2), 'utf8');
+  return next;
+}
+
+function clampConcurrency(value) {
+  const n = Math.floor(Number(value));
+  if (!Number.isFinite(n) || n < 1) return DEFAULT_MAX_CONCURRENT_RUNS;
+  return Math.min(n, 16);
+}
+
+maxConcurrentRuns = clampConcurrency(loadSettings().maxConcurrentRuns);
+
+// Seconds a stopped run may drain before it is killed (main/stop-protocol.js)
+let stopGraceSecs = clampStopGrace(loadSettings().stopGraceSecs);
+
+// Per-run STOP_FLAG_FILEs; leftovers of a crashed session are stale
+const stopFlagsDir = path.join(userDataPath, 'stop-flags');
+fs.rmSync(stopFlagsDir, { recursive: true, force: true });
+
+// ================================
+// 🕘 RUN HISTORY (userData/run-history)
+// ================================
+const runHistory = createRunHistory({ dir: path.join(userDataPath, 'run-history') });
+
+// ================================
+// 💾 TOOL PRESETS (userData/presets.json)
+// ================================
+const presetStore = createPresetStore({ file: path.join(userDataPath, 'presets.json') });
+
+// ================================
+// 🔑 KEY VAULT (userData/key-vault.json)
+// ================================
+const keyVault = createKeyVault({
+  file: path.join(userDataPath, 'key-vault.json'),
+  // OS keychain / DPAPI wraps the vault's master key when available
+  getProtector: () =>
+    safeStorage.isEncryptionAvailable()
+      ? {
+          scheme: 'safeStorage',
+          protect: (buf) => safeStorage.encryptString(buf.toString('base64')),
+          unprotect: (buf) => Buffer.from(safeStorage.decryptString(buf), 'base64'),
+        }
+      : null,
+});
+
+// ================================
+// 🌐 API ENDPOINTS + OFFLINE MOCK (settings.apiEndpoints)
+// ================================
+// Custom Blitz/Apify hosts are passed to every run; mock mode swaps both for the
+// in-process mock server (mock/server.js) on a random local port.
+let mockServer = null;
+
+function getApiEndpointSettings() {
+  const saved = loadSettings().apiEndpoints || {};
+  return {
+    blitzBaseUrl: String(saved.blitzBaseUrl || '').trim(),
+    apifyBaseUrl: String(saved.apifyBaseUrl || '').trim(),
+    mockMode: !!saved.mockMode,
+  };
+}
+
+async function applyMockMode(enabled) {
+  if (enabled && !mockServer) {
+    const server = createMockServer({ port: 0, log: (msg) => console.error(`[MOCK] ${msg}`) });
+    await server.start();
+    mockServer = server;
+    console.error('[MAIN] Offline mock API listening on', mockServer.url);
+  } else if (!enabled && mockServer) {
+    const server = mockServer;
+    mockServer = null;
+    await server.stop();
+  }
+}
+
+/** Base URLs for a new run (null = backend default). */
+function runEndpoints() {
+  if (mockServer) return { blitzBaseUrl: mockServer.url, apifyBaseUrl: mockServer.url };
+  const { blitzBaseUrl, apifyBaseUrl } = getApiEndpointSettings();
+  return { blitzBaseUrl: blitzBaseUrl || null, apifyBaseUrl: apifyBaseUrl || null };
+}
+
+function describeEndpoints() {
+  return { ...getApiEndpointSettings(), mockUrl: mockServer ? mockServer.url : null };
+}
+
+// Mock runs get their own key pool, run journal, keywords.json and enrichment cache
+const mockStateDir = path.join(userDataPath, 'mock-state');
+
+/** State files for a new run: the real ones, or mock-only ones while mock mode is on. */
+function runStatePaths(toolId = null) {
+  if (mockServer) return mockStatePaths(mockStateDir, toolId);
+  return {
+    keyStateDir: toolId ? path.join(userDataPath, 'key-state', toolId) : null,
+    keyPoolFile: path.join(userDataPath, 'key-state', 'apify-key-pool.json'),
+    apifyRunsFile,
+    enrichCacheFile,
+  };
+}
+
+// ================================
+// 🗃️ ENRICHMENT CACHE (userData/enrichment-cache.jsonl, settings.enrichmentCache)
+// ================================
+// Blitz lookup answers kept across runs (backend/lib/enrichment-cache.js). Mock
+// mode gets its own file (see runStatePaths) so fixture answers never answer a real run.
+const enrichCacheFile = path.join(userDataPath, 'enrichment-cache.jsonl');
+
+/** Saved TTL overrides: { endpoint: days }. */
+function getCacheTtlSettings() {
+  const saved = loadSettings().enrichmentCache?.ttlDays;
+  return saved && typeof saved === 'object' ? saved : {};
+}
+
+/** Cache file + TTLs for a new run (see buildRunEnv). */
+function runEnrichCache() {
+  const ttl = getCacheTtlSettings();
+  return {
+    enrichCacheFile: runStatePaths().enrichCacheFile,
+    cacheTtlDays: Object.keys(ttl).length ? ttl : null,
+  };
+}
+
+function describeCache() {
+  const { enrichCacheFile: file } = runEnrichCache();
+  return {
+    ...describeEnrichmentCache({ file, env: { KOLDIFY_CACHE_TTL: JSON.stringify(getCacheTtlSettings()) } }),
+    mock: !!mockServer,
+  };
+}
+
+// ================================
+// 🧷 APIFY RUN REATTACH (userData/key-state/apify-runs.json)
+// ================================
+// Apify tools journal every actor run they start; runs whose tool died before
+// saving them are offered on launch and can be collected from the Key Vault panel.
+const apifyRunsFile = path.join(userDataPath, 'key-state', 'apify-runs.json');
+const apifyReattach = createApifyReattach({
+  journalFile: apifyRunsFile,
+  fallbackDir: path.join(userDataPath, 'recovered-runs'),
+  isActive: (entry) => runs.has(entry.appRunId),
+  // Vault keys are journaled by fingerprint only
+  resolveToken: (entry) => {
+    const ids = keyVault.list({ provider: 'apify' }).map((k) => k.id);
+    return keyVault.resolve(ids).apify.find((k) => fingerprint(k.token) === entry.keyId)?.token || null;
+  },
+});
+// runIds being collected right now (launch prompt and panel may both ask)
+const collectingApifyRuns = new Set();
+
+function sendApifyRunsChanged() {
+  if (mainWindow) mainWindow.webContents.send('apify-runs:changed', { collecting: [...collectingApifyRuns] });
+}
+
+async function collectApifyRun(runId) {
+  if (collectingApifyRuns.has(runId)) throw new Error('This run is already being collected');
+  collectingApifyRuns.add(runId);
+  sendApifyRunsChanged();
+  try {
+    return await apifyReattach.collect(runId);
+  } finally {
+    collectingApifyRuns.delete(runId);
+    sendApifyRunsChanged();
+  }
+}
+
+/**
+ * On launch: offer to reattach to runs a crashed / closed session left behind.
+ */
+async function offerApifyReattach() {
+  const pending = apifyReattach.pending();
+  if (!pending.length || !mainWindow) return;
+
+  const lines = pending
+    .slice(0, 8)
+    .map((r) => `• ${r.toolId || r.actorId} · key ${r.keyLabel || '?'} · ${r.status} · started ${r.startedAt}`);
+  if (pending.length > 8) lines.push(`…and ${pending.length - 8} more`);
+
+  const { response } = await dialog.showMessageBox(mainWindow, {
+    type: 'question',
+    buttons: ['Reattach & collect', 'Later', 'Discard'],
+    defaultId: 0,
+    cancelId: 1,
+    title: 'Unfinished Apify runs',
+    message: `${pending.length} Apify run(s) from a previous session were never downloaded.`,
+    detail: `${lines.join('\n')}\n\nReattach waits for runs still in progress and saves their results next to the tool output. ` +
+      'Discard aborts runs still in progress. "Later" keeps them under Key Vault → Unfinished Apify runs.',
+  });
+
+  if (response === 2) {
+    for (const r of pending) await apifyReattach.discard(r.runId);
+    sendApifyRunsChanged();
+    return;
+  }
+  if (response !== 0) return;
+
+  const done = [];
+  const failed = [];
+  for (const r of pending) {
+    try {
+      const result = await collectApifyRun(r.runId);
+      done.push(`• ${result.items} item(s) → ${result.file}`);
+    } catch (err) {
+      failed.push(`• ${r.runId}: ${err.message}`);
+    }
+  }
+
+  if (!mainWindow) return;
+  dialog.showMessageBox(mainWindow, {
+    type: failed.length ? 'warning' : 'info',
+    title: 'Unfinished Apify runs',
+    message: `Collected ${done.length} of ${pending.length} run(s).`,
+    detail: [...done, ...failed].join('\n'),
+  });
+}
+
+// ================================
+// 🔗 PIPELINES (userData/pipelines.json)
+// ================================
+const pipelineStore = createPipelineStore({ file: path.join(userDataPath, 'pipelines.json') });
+const pipelineRunner = createPipelineRunner({
+  store: pipelineStore,
+  getPresetPayload: (presetId) => presetStore.get(presetId)?.payload || null,
+  startRun: (toolId, payload, opts) => startRun(toolId, payload, opts),
+  stopRun: (runId) => stopRun(runId),
+  onUpdate: (pipelineId, lastRun) => {
+    if (mainWindow) mainWindow.webContents.send('pipeline:update', { pipelineId, lastRun });
+  },
+});
+
+// ================================
+// ⏰ SCHEDULED RUNS (userData/schedules.json)
+// ================================
+const scheduleStore = createScheduleStore({ file: path.join(userDataPath, 'schedules.json') });
+const scheduler = createScheduler({
+  store: scheduleStore,
+  getPresetPayload: (presetId) => presetStore.get(presetId)?.payload || null,
+  startRun: (toolId, payload, opts) => startRun(toolId, payload, opts),
+  onUpdate: (schedule) => {
+    refreshTrayMenu();
+    if (mainWindow) mainWindow.webContents.send('schedule:update', { schedule, running: scheduler.isRunning(schedule.id) });
+  },
+  onMissed: (schedule, { missed, policy }) => {
+    if (!Notification.isSupported()) return;
+    new Notification({
+      title: `Missed schedule: ${schedule.name}`,
+      body: policy === 'skip'
+        ? `${missed} run(s) were due while the app was closed and were skipped.`
+        : `${missed} run(s) were due while the app was closed. Running it once now.`,
+    }).show();
+  },
+});
+
+// ================================
+// 👀 WATCH FOLDERS (userData/watch-rules.json)
+// ================================
+const watchRuleStore = createWatchRuleStore({ file: path.join(userDataPath, 'watch-rules.json') });
+const folderWatcher = createFolderWatcher({
+  store: watchRuleStore,
+  getPresetPayload: (presetId) => presetStore.get(presetId)?.payload || null,
+  getPipeline: (pipelineId) => pipelineStore.get(pipelineId),
+  startRun: (toolId, payload, opts) => startRun(toolId, payload, opts),
+  runPipeline: (pipelineId, opts) => pipelineRunner.run(pipelineId, opts),
+  isPipelineRunning: (pipelineId) => pipelineRunner.isRunning(pipelineId),
+  onUpdate: (rule) => {
+    if (mainWindow) mainWindow.webContents.send('watch:update', { rule });
+  },
+});
+
+// Closing the window keeps the app in the tray while schedules / watch rules are enabled
+function shouldCloseToTray() {
+  if (loadSettings().closeToTray === false) return false;
+  return scheduleStore.list().some((s) => s.enabled) || watchRuleStore.list().some((r) => r.enabled);
+}
+
 // Disable GPU cache to prevent cache errors
 app.commandLine.appendSwitch('disable-gpu-shader-disk-cache');
 app.commandLine.appendSwitch('disable-gpu-program-cache');
@@ -38,6 +371,7 @@ if (!gotTheLock) {
 } else {
   app.on('second-instance', () => {
     if (mainWindow) {
+      if (!mainWindow.isVisible()) mainWindow.show();
       if (mainWindow.isMinimized()) mainWindow.restore();
       mainWindow.focus();
     }
@@ -64,211 +398,7 @@ function appAsarPath(...parts) {
 // ================================
 // ✅ TOOL REGISTRY (REAL PATHS)
 // ================================
-const toolRegistry = {
-  // ---------- APIFY TOOLS ----------
-  'post-finder': {
-    script: unpackedPath('backend', 'apify', 'post-finder.mjs'),
-    buildEnv: (payload) => ({
-      TOOL_CONFIG: JSON.stringify(payload || {}),
-    }),
-  },
-
-  'reaction-scraper': {
-    script: unpackedPath('backend', 'apify', 'post-reaction.mjs'),
-    buildEnv: (payload) => ({
-      TOOL_CONFIG: JSON.stringify(payload || {}),
-    }),
-  },
-
-  'comment-scraper': {
-    script: unpackedPath('backend', 'apify', 'comment-orchestrator.js'),
-    buildEnv: (payload) => ({
-      TOOL_CONFIG: JSON.stringify(payload || {}),
-    }),
-  },
-
-  'apify-email-enricher': {
-    script: unpackedPath('backend', 'apify', 'email-extractor-main.js'),
-    buildEnv: (payload) => ({
-      TOOL_CONFIG: JSON.stringify(payload || {}),
-    }),
-  },
-
-  'linkedin-profile-enhancer': {
-    script: unpackedPath('backend', 'apify', 'linkedin-profile-enhancer.js'),
-    buildEnv: (payload) => ({
-      TOOL_CONFIG: JSON.stringify(payload || {}),
-    }),
-  },
-
-  // New: Contact Details Scraper (Apify actor 9Sk4JJhEma9vBKqrg)
-  'contact-details-scraper': {
-    script: unpackedPath('backend', 'apify', 'contact-details-scraper.js'),
-    buildEnv: (payload) => ({
-      TOOL_CONFIG: JSON.stringify(payload || {}),
-    }),
-  },
-
-  // New: InMail Checker (Apify actor BlJ6u6jb5UzYsyiKT)
-  'inmail-checker': {
-    script: unpackedPath('backend', 'apify', 'inmail-checker.js'),
-    buildEnv: (payload) => ({
-      TOOL_CONFIG: JSON.stringify(payload || {}),
-    }),
-  },
-
-  // ---------- BLITZ TOOLS ----------
-  'email-enricher': {
-    script: unpackedPath('backend', 'blitz', 'blitz-email-enricher.js'),
-    buildEnv: (payload) => ({
-      TOOL_CONFIG: JSON.stringify(payload || {}),
-      BLITZ_API_KEY: payload.apiKey || process.env.BLITZ_API_KEY,
-      LINKEDIN_URL_COLUMN: payload.linkedinUrlColumn || undefined,
-    }),
-  },
-
-  // NOTE: If your backend uses TOOL_CONFIG, include it.
-  'waterfall-icp': {
-    script: unpackedPath('backend', 'blitz', 'blitz-waterfall-icp.js'),
-    buildEnv: (payload) => ({
-      BLITZ_API_KEY: payload.apiKey || process.env.BLITZ_API_KEY,
-      TOOL_CONFIG: JSON.stringify(payload || {}),
-    }),
-  },
-
-  'reverse-phone': {
-    script: unpackedPath('backend', 'blitz', 'blitz-reverse-phone.js'),
-    buildEnv: (payload) => ({
-      BLITZ_API_KEY: payload.apiKey || process.env.BLITZ_API_KEY,
-      TOOL_CONFIG: JSON.stringify(payload || {}),
-    }),
-  },
-
-  'reverse-email': {
-    script: unpackedPath('backend', 'blitz', 'blitz-reverse-email.js'),
-    buildEnv: (payload) => ({
-      BLITZ_API_KEY: payload.apiKey || process.env.BLITZ_API_KEY,
-      TOOL_CONFIG: JSON.stringify(payload || {}),
-    }),
-  },
-
-  'find-mobile-direct-phone': {
-    script: unpackedPath('backend', 'blitz', 'blitz-find-mobile-direct-phone.js'),
-    buildEnv: (payload) => ({
-      BLITZ_API_KEY: payload.apiKey || process.env.BLITZ_API_KEY,
-      TOOL_CONFIG: JSON.stringify(payload || {}),
-    }),
-  },
-
-  'linkedin-url-to-domain': {
-    script: unpackedPath('backend', 'blitz', 'blitz-linkedin-url-to-domain.js'),
-    buildEnv: (payload) => ({
-      BLITZ_API_KEY: payload.apiKey || process.env.BLITZ_API_KEY,
-      TOOL_CONFIG: JSON.stringify(payload || {}),
-    }),
-  },
-
-  'domain-to-linkedin': {
-    script: unpackedPath('backend', 'blitz', 'blitz-domain-to-linkedin.js'),
-    buildEnv: (payload) => ({
-      BLITZ_API_KEY: payload.apiKey || process.env.BLITZ_API_KEY,
-      TOOL_CONFIG: JSON.stringify(payload || {}),
-    }),
-  },
-
-  'blitz-key-info': {
-    script: unpackedPath('backend', 'blitz', 'blitz-key-info.js'),
-    buildEnv: (payload) => ({
-      BLITZ_API_KEY: payload.apiKey || process.env.BLITZ_API_KEY,
-    }),
-  },
-
-  'blitz-employee-finder': {
-    script: unpackedPath('backend', 'blitz', 'blitz-employee-finder.js'),
-    buildEnv: (payload) => ({
-      BLITZ_API_KEY: payload.apiKey || process.env.BLITZ_API_KEY,
-      TOOL_CONFIG: JSON.stringify(payload || {}),
-    }),
-  },
-
-  'blitz-current-date': {
-    script: unpackedPath('backend', 'blitz', 'blitz-current-date.js'),
-    buildEnv: (payload) => ({
-      BLITZ_API_KEY: payload.apiKey || process.env.BLITZ_API_KEY,
-      TOOL_CONFIG: JSON.stringify(payload || {}),
-    }),
-  },
-
-  // ---------- INHOUSE TOOLS ----------
-  'csv-merger': {
-    script: unpackedPath('backend', 'inhouse', 'csv-merger.js'),
-    buildEnv: (payload) => ({
-      TOOL_CONFIG: JSON.stringify(payload || {}),
-    }),
-  },
-
-  'csv-splitter': {
-    script: unpackedPath('backend', 'inhouse', 'csv-splitter.js'),
-    buildEnv: (payload) => ({
-      TOOL_CONFIG: JSON.stringify(payload || {}),
-    }),
-  },
-
-  'csv-deduplicator': {
-    script: unpackedPath('backend', 'inhouse', 'csv-deduplicator.js'),
-    buildEnv: (payload) => ({
-      TOOL_CONFIG: JSON.stringify(payload || {}),
-    }),
-  },
-};
-
-// ================================
-// 📁 SAMPLE DIRECTORY SUPPORT
-// ================================
-
-// Map each sampleId (used in renderer) to its sample folder inside the app
-const SAMPLE_DIRS = {
-  // APIFY
-  'apify-comment-orchestrator': path.join('samples', 'apify', 'comment-orchestrator'),
-  'apify-post-finder': path.join('samples', 'apify', 'post-finder'),
-  'apify-post-reaction': path.join('samples', 'apify', 'post-reaction'),
-  'apify-email-extractor': path.join('samples', 'apify', 'email-extractor'),
-  'linkedin-profile-enhancer': path.join('samples', 'apify', 'linkedin-profile-enhancer'),
-  'apify-contact-details-scraper': path.join('samples', 'apify', 'contact-details-scraper'),
-  'apify-inmail-checker': path.join('samples', 'apify', 'inmail-checker'),
-
-  // BLITZ
-  'blitz-email-enricher': path.join('samples', 'blitz', 'blitz-email-enricher'),
-  'blitz-waterfall-icp': path.join('samples', 'blitz', 'blitz-waterfall-icp'),
-  'blitz-reverse-phone': path.join('samples', 'blitz', 'blitz-reverse-phone'),
-  'blitz-reverse-email': path.join('samples', 'blitz', 'blitz-reverse-email'),
-  'blitz-find-mobile-direct-phone': path.join('samples', 'blitz', 'blitz-find-mobile-direct-phone'),
-  'blitz-linkedin-url-to-domain': path.join('samples', 'blitz', 'blitz-linkedin-url-to-domain'),
-  'blitz-domain-to-linkedin': path.join('samples', 'blitz', 'blitz-domain-to-linkedin'),
-  'blitz-employee-finder': path.join('samples', 'blitz', 'blitz-employee-finder'),
-
-  // INHOUSE
-  'inhouse-csv-merger': path.join('samples', 'inhouse', 'csv-merger'),
-  'inhouse-csv-splitter': path.join('samples', 'inhouse', 'csv-splitter'),
-  'inhouse-csv-deduplicator': path.join('samples', 'inhouse', 'csv-deduplicator'),
-};
-
-// Recursively copy a directory (used for exporting samples)
-async function copyDirectoryRecursive(srcDir, destDir) {
-  await fs.promises.mkdir(destDir, { recursive: true });
-
-  const entries = await fs.promises.readdir(srcDir, { withFileTypes: true });
-  for (const entry of entries) {
-    const srcPath = path.join(srcDir, entry.name);
-    const destPath = path.join(destDir, entry.name);
-
-    if (entry.isDirectory()) {
-      await copyDirectoryRecursive(srcPath, destPath);
-    } else if (entry.isFile()) {
-      await fs.promises.copyFile(srcPath, destPath);
-    }
-  }
-}
+const toolRegistry = createToolRegistry(unpackedPath);
 
 // ================================
 // ✅ CREATE WINDOW
@@ -287,6 +417,12 @@ function createWindow() {
 
   mainWindow.loadFile(appAsarPath('renderer', 'index.html'));
 
+  mainWindow.on('close', (event) => {
+    if (isQuitting || !shouldCloseToTray()) return;
+    event.preventDefault();
+    mainWindow.hide();
+  });
+
   // ✅ Prevent new windows from opening
   mainWindow.webContents.setWindowOpenHandler(() => ({ action: 'deny' }));
 
@@ -305,14 +441,75 @@ function createWindow() {
   });
 }
 
+// ================================
+// 🛎️ TRAY (show / next scheduled run / quit)
+// ================================
+function showMainWindow() {
+  if (!mainWindow) return;
+  mainWindow.show();
+  if (mainWindow.isMinimized()) mainWindow.restore();
+  mainWindow.focus();
+}
+
+function refreshTrayMenu() {
+  if (!tray) return;
+  const next = scheduler.upcoming()[0];
+  const nextLabel = next
+    ? `Next: ${next.name} · ${new Date(next.nextRunAt).toLocaleString()}`
+    : 'No scheduled runs';
+
+  tray.setToolTip(`Koldify Toolkit — ${runs.size} running${next ? ` · ${nextLabel}` : ''}`);
+  tray.setContextMenu(
+    Menu.buildFromTemplate([
+      { label: 'Show Koldify Toolkit', click: showMainWindow },
+      { label: nextLabel, enabled: false },
+      { label: `${runs.size} run(s) active, ${pendingRuns.length} queued`, enabled: false },
+      { type: 'separator' },
+      {
+        label: 'Quit',
+        click: () => {
+          isQuitting = true;
+          app.quit();
+        },
+      },
+    ])
+  );
+}
+
+function createTray() {
+  const icon = nativeImage.createFromPath(appAsarPath('renderer', 'assets', 'koldify-logo.ico'));
+  tray = new Tray(icon.isEmpty() ? nativeImage.createEmpty() : icon.resize({ width: 16, height: 16 }));
+  if (icon.isEmpty() && process.platform === 'darwin') tray.setTitle('Koldify');
+  tray.on('click', showMainWindow);
+  refreshTrayMenu();
+}
+
 app.whenReady().then(() => {
   // Remove global application menu (File / Edit / View / Window / Help)
   Menu.setApplicationMenu(null);
 
+  // Runs that were live when the app last quit can never finish now
+  runHistory.markInterrupted();
+  pipelineStore.markInterrupted();
+  scheduleStore.markInterrupted();
+  watchRuleStore.markInterrupted();
+
+  if (getApiEndpointSettings().mockMode) {
+    applyMockMode(true).catch((err) => console.error('[MAIN] Mock server failed to start:', err.message));
+  }
+
   createWindow();
+  createTray();
+  mainWindow.webContents.once('did-finish-load', () => {
+    offerApifyReattach().catch((err) => console.error('[MAIN] Apify reattach failed:', err));
+    // After the UI is up so catch-up runs show on their cards
+    scheduler.start();
+    folderWatcher.start();
+  });
 
   app.on('activate', () => {
     if (BrowserWindow.getAllWindows().length === 0) createWindow();
+    else showMainWindow();
   });
 });
 
@@ -320,86 +517,116 @@ app.on('window-all-closed', () => {
   if (process.platform !== 'darwin') app.quit();
 });
 
+app.on('before-quit', () => {
+  isQuitting = true;
+});
+
+app.on('will-quit', () => {
+  scheduler.stop();
+  folderWatcher.stop();
+  if (mockServer) mockServer.stop();
+});
+
 // ================================
 // 🔁 HELPERS TO SEND EVENTS
 // ================================
 function sendToolLog(runId, toolId, level, message) {
+  runHistory.appendLog(runId, level, message);
   if (!mainWindow) return;
   mainWindow.webContents.send('tool:log', { runId, toolId, level, message });
 }
 
 function sendToolStatus(runId, toolId, statusPayload) {
+  if (statusPayload.status) runHistory.appendLog(runId, 'status', statusPayload.status);
+  if (statusPayload.metrics) runHistory.updateMetrics(runId, statusPayload.metrics);
   if (!mainWindow) return;
   mainWindow.webContents.send('tool:status', { runId, toolId, ...statusPayload });
 }
 
 /**
- * Try to parse a stdout line in a few formats:
- * 1) "::STATE:: { ... }"  -> status + metrics (generic state line)
- * 2) "{ ... }" with a "type" field (log/status/metrics)
- * 3) Plain text -> normal log
+ * Route one stdout/stderr line (see main/stdout-protocol.js) to the UI + history.
  */
 function handleStdoutLine(runId, toolId, rawLine, defaultLevel = 'info') {
-  const line = rawLine.trim();
-  if (!line) return;
-
-  // 1) ::STATE:: { ... }
-  if (line.startsWith('::STATE::')) {
-    const jsonPart = line.slice('::STATE::'.length).trim();
-    try {
-      const stateObj = JSON.parse(jsonPart);
-      if (stateObj && typeof stateObj === 'object') {
-        const { phase, ...rest } = stateObj;
-        const status = phase || stateObj.status || undefined;
-        const metrics = Object.keys(rest).length ? rest : undefined;
-        sendToolStatus(runId, toolId, { status, metrics });
-        return;
-      }
-    } catch {
-      // fall through
+  const event = parseStdoutLine(rawLine, defaultLevel);
+  if (!event) return;
+
+  const run = runs.get(runId);
+
+  switch (event.kind) {
+    case 'status':
+      sendToolStatus(runId, toolId, { status: event.status, metrics: event.metrics });
+      break;
+    case 'request':
+      if (run) sendToolStatus(runId, toolId, { metrics: run.requestStats.record(event.request) });
+      break;
+    case 'progress':
+      runHistory.updateProgress(runId, event.progress);
+      sendToolStatus(runId, toolId, { progress: event.progress });
+      break;
+    case 'artifact': {
+      const { artifact } = event;
+      sendToolLog(runId, toolId, 'info', `📄 ${artifact.label || artifact.kind}: ${artifact.path}`);
+      runHistory.addArtifact(runId, artifact);
+      sendToolStatus(runId, toolId, { artifact });
+      break;
     }
+    case 'warning-row': {
+      const { warning } = event;
+      const where = [warning.file, warning.row !== undefined ? `row ${warning.row}` : null].filter(Boolean).join(' ');
+      sendToolLog(runId, toolId, 'warn', `[ROW] ${where ? `${where}: ` : ''}${warning.reason}`);
+      if (run) sendToolStatus(runId, toolId, { metrics: { warningRows: ++run.warningRows } });
+      break;
+    }
+    case 'summary': {
+      const { summary } = event;
+      const counts = Object.entries(summary.counts).map(([k, v]) => `${k}=${v}`).join(', ');
+      sendToolLog(runId, toolId, summary.status === 'error' ? 'error' : 'info', `Summary (${summary.status})${counts ? `: ${counts}` : ''}${summary.message ? ` — ${summary.message}` : ''}`);
+      sendToolStatus(runId, toolId, { summary, metrics: summary.counts });
+      break;
+    }
+    case 'invalid':
+      console.error('[MAIN] Invalid stdout event:', event.errors.join('; '));
+      sendToolLog(runId, toolId, 'warn', `[PROTOCOL] Invalid event (${event.errors.join('; ')}): ${event.line}`);
+      break;
+    default:
+      sendToolLog(runId, toolId, event.level, event.message);
   }
+}
 
-  // 2) Typed JSON
-  let parsed = null;
-  try {
-    if (line.startsWith('{') && line.endsWith('}')) parsed = JSON.parse(line);
-  } catch {
-    parsed = null;
+// ================================
+// 📂 OUTPUT FILES (open / reveal)
+// ================================
+// Only files a run reported (run history artifacts) are opened: openPath would
+// launch anything, so a path straight from the renderer is not enough.
+function runArtifactFile(runId, filePath) {
+  if (!runId || !filePath) throw new Error('runId and filePath are required');
+  const resolvedPath = path.resolve(filePath);
+  const artifacts = runHistory.get(runId)?.meta.artifacts || [];
+  if (!artifacts.some((a) => a.path && path.resolve(a.path) === resolvedPath)) {
+    throw new Error(`Not an output of this run: ${resolvedPath}`);
   }
-
-  if (parsed && typeof parsed === 'object' && parsed.type) {
-    switch (parsed.type) {
-      case 'log': {
-        const level = parsed.level || defaultLevel;
-        const msg = parsed.message ?? line;
-        sendToolLog(runId, toolId, level, msg);
-        return;
-      }
-      case 'status': {
-        const { status, metrics } = parsed;
-        sendToolStatus(runId, toolId, { status, metrics });
-        return;
-      }
-      case 'metrics': {
-        const { metrics, status } = parsed;
-        sendToolStatus(runId, toolId, { status, metrics });
-        return;
-      }
-      default:
-        sendToolLog(runId, toolId, defaultLevel, line);
-        return;
-    }
+  if (!fs.existsSync(resolvedPath)) {
+    throw new Error(`File not found: ${resolvedPath}`);
   }
-
-  // 3) Plain text
-  sendToolLog(runId, toolId, defaultLevel, line);
+  return resolvedPath;
 }
 
+ipcMain.handle('artifacts:open', async (_event, { runId, filePath }) => {
+  // openPath resolves to an error string ('' on success)
+  const error = await shell.openPath(runArtifactFile(runId, filePath));
+  if (error) throw new Error(error);
+  return { ok: true };
+});
+
+ipcMain.handle('artifacts:reveal', async (_event, { runId, filePath }) => {
+  shell.showItemInFolder(runArtifactFile(runId, filePath));
+  return { ok: true };
+});
+
 // ================================
 // 📄 CSV PREVIEW (first N rows)
 // ================================
-ipcMain.handle('csv:preview', async (_event, { filePath, limit = 3 }) => {
+function previewCsv(filePath, limit = 3) {
   if (!filePath) throw new Error('filePath is required');
 
   const resolvedPath = path.resolve(filePath);
@@ -433,45 +660,146 @@ ipcMain.handle('csv:preview', async (_event, { filePath, limit = 3 }) => {
       .on('end', () => resolve({ headers, rows: previewRows }))
       .on('error', reject);
   });
+}
+
+ipcMain.handle('csv:preview', async (_event, { filePath, limit = 3 }) => previewCsv(filePath, limit));
+
+// ================================
+// 🧭 COLUMN MAPPER (suggested columnMap per tool)
+// ================================
+// filePath may be a folder (tools that read every CSV in it): its first CSV is sampled.
+// TXT inputs (one value per line) have no columns to map.
+ipcMain.handle('columns:suggest', async (_event, { toolId, filePath }) => {
+  const fields = TOOL_COLUMNS[toolId] || [];
+  const none = { fields, headers: [], suggested: {}, sampledFile: null };
+  if (!fields.length || !filePath) return none;
+
+  const isCsv = (name) => name.toLowerCase().endsWith('.csv');
+  let sampledFile = path.resolve(filePath);
+  if (fs.existsSync(sampledFile) && fs.statSync(sampledFile).isDirectory()) {
+    const first = fs.readdirSync(sampledFile).filter(isCsv).sort()[0];
+    if (!first) return none;
+    sampledFile = path.join(sampledFile, first);
+  } else if (!isCsv(sampledFile)) {
+    return none;
+  }
+
+  const { headers, rows } = await previewCsv(sampledFile, SAMPLE_ROWS);
+  return { fields, headers, suggested: suggestColumnMap(toolId, headers, rows), sampledFile };
 });
 
+// ================================
+// 🩺 PRE-FLIGHT VALIDATION (no API calls)
+// ================================
+ipcMain.handle('preflight:run', async (_event, { toolId, files, columnMap }) =>
+  runPreflight({ toolId, files, columnMap, history: runHistory.list({ toolId, limit: 20 }) })
+);
+
+ipcMain.handle('preflight:export-rejected', async (_event, { toolId, files, columnMap }) => {
+  const first = [].concat(files || []).find(Boolean);
+  if (!first) throw new Error('Pick an input file first.');
+
+  const base = path.basename(first).replace(/\.[^.]+$/, '');
+  const { canceled, filePath } = await dialog.showSaveDialog({
+    title: 'Export rejected rows',
+    defaultPath: path.join(path.dirname(path.resolve(first)), `${base}_rejected.csv`),
+    filters: [{ name: 'CSV', extensions: ['csv'] }],
+  });
+  if (canceled || !filePath) return { canceled: true };
+
+  return { canceled: false, ...(await exportRejectedRows({ toolId, files, columnMap, outputPath: filePath })) };
+});
+
+// ================================
+// 🧮 CSV VIEWER (indexed, paged from disk)
+// ================================
+const csvViewer = createCsvViewer({
+  onProgress: (progress) => {
+    if (mainWindow) mainWindow.webContents.send('csv-viewer:progress', progress);
+  },
+});
+
+ipcMain.handle('csv-viewer:open', async (_event, { filePath }) => csvViewer.open(filePath));
+
+ipcMain.handle('csv-viewer:query', async (_event, { viewId, sort, filters }) =>
+  csvViewer.query(viewId, { sort, filters })
+);
+
+ipcMain.handle('csv-viewer:rows', async (_event, { viewId, offset, limit }) =>
+  csvViewer.rows(viewId, { offset, limit })
+);
+
+ipcMain.handle('csv-viewer:close', async (_event, { viewId }) => ({ ok: csvViewer.close(viewId) }));
+
 // ================================
 // ✅ RUN TOOL (tool:run)
 // ================================
-ipcMain.handle('tool:run', async (_event, { toolId, payload = {} }) => {
-  console.error('[MAIN] tool:run called with toolId:', toolId);
-  console.error('[MAIN] payload:', JSON.stringify(payload, null, 2));
+function sendRunsSummary() {
+  refreshTrayMenu();
+  if (!mainWindow) return;
+  mainWindow.webContents.send('runs:changed', {
+    active: runs.size,
+    queued: pendingRuns.length,
+    maxConcurrent: maxConcurrentRuns,
+  });
+}
 
-  const config = toolRegistry[toolId];
-  if (!config) throw new Error(`Unknown toolId: ${toolId}`);
+/**
+ * Tell the renderer a run is over and notify whoever started it.
+ */
+function emitToolExit(runId, toolId, { code = null, stopped = false, cancelled = false, error = null, artifacts = [] }) {
+  if (mainWindow) {
+    mainWindow.webContents.send('tool:exit', {
+      runId,
+      toolId,
+      error,
+      artifacts,
+      ...(stopped ? { stopped: true } : {}),
+      ...(cancelled ? { cancelled: true } : {}),
+    });
+  }
 
-  const runId = randomUUID();
+  const listener = runExitListeners.get(runId);
+  if (listener) {
+    runExitListeners.delete(runId);
+    try {
+      listener({ code, stopped, cancelled, error, artifacts });
+    } catch (err) {
+      console.error('[MAIN] Run exit listener failed:', err);
+    }
+  }
+}
+
+/**
+ * Spawn the child process for a run that has a free slot.
+ */
+function spawnRun(runId, toolId, payload, origin = 'ui') {
+  const config = toolRegistry[toolId];
   const scriptPath = config.script;
   console.error('[MAIN] scriptPath:', scriptPath);
 
-  const envFromConfig = config.buildEnv ? config.buildEnv(payload) : {};
-  console.error('[MAIN] TOOL_CONFIG env:', envFromConfig.TOOL_CONFIG);
+  // Vault keys are decrypted only here, straight into the child's env
+  const keys = keyVault.resolve(payload.vaultKeyIds);
+  const stopFlagFile = stopFlagPath(stopFlagsDir, runId);
 
   const env = {
-    ...process.env,
-    ...envFromConfig,
-    TOOL_CONFIG:
-      envFromConfig.TOOL_CONFIG !== undefined ? envFromConfig.TOOL_CONFIG : process.env.TOOL_CONFIG,
-    RUN_ID: runId,
-    TOOL_ID: toolId,
-
-    // NOTE: __dirname is inside app.asar when packaged
-    APP_ROOT: __dirname,
+    ...buildRunEnv(config, {
+      runId,
+      toolId,
+      payload,
+      keys,
+      stopFlagFile,
+      ...runEndpoints(),
+      ...runEnrichCache(),
+      ...runStatePaths(toolId),
+      // NOTE: __dirname is inside app.asar when packaged
+      appRoot: __dirname,
+    }),
 
     // ✅ IMPORTANT: run Electron binary as "node" for child scripts
     ELECTRON_RUN_AS_NODE: '1',
   };
-
-  // Check that script file exists
-  if (!fs.existsSync(scriptPath)) {
-    console.error('[MAIN] Script not found:', scriptPath);
-    throw new Error(`Script not found: ${scriptPath}`);
-  }
+  console.error('[MAIN] TOOL_CONFIG env:', env.TOOL_CONFIG);
 
   console.error('[MAIN] Script file exists, spawning child process...');
 
@@ -485,7 +813,19 @@ ipcMain.handle('tool:run', async (_event, { toolId, payload = {} }) => {
     cwd: process.resourcesPath, // ✅ safe real folder in packaged apps
   });
 
-  runs.set(runId, { child, toolId, stopping: false });
+  const stopper = createRunStopper({
+    child,
+    flagFile: stopFlagFile,
+    graceSecs: () => stopGraceSecs,
+    onState: (status, detail) => {
+      if (status === 'killing') sendToolLog(runId, toolId, 'warn', `[STOP] Killing the process (${detail.reason}).`);
+      sendToolStatus(runId, toolId, { status, metrics: detail.graceSecs ? { stopGraceSecs: detail.graceSecs } : undefined });
+    },
+  });
+  runs.set(runId, { child, toolId, stopping: false, stopper, requestStats: createRequestStats(), warningRows: 0 });
+  runHistory.start({ runId, toolId, payload, origin });
+  sendToolStatus(runId, toolId, { status: 'started', origin });
+  sendRunsSummary();
 
   child.on('error', (err) => {
     console.error('[MAIN] Spawn error:', err);
@@ -517,42 +857,392 @@ ipcMain.handle('tool:run', async (_event, { toolId, payload = {} }) => {
   });
 
   // EXIT
-  child.on('close', (code) => {
-    console.log('[MAIN] Child process closed with code:', code);
+  child.on('close', (code, signal) => {
+    console.log('[MAIN] Child process closed with code:', code, signal || '');
+    const stopped = !!runs.get(runId)?.stopping;
+    const killed = stopped && stopper.state === 'killing';
+    stopper.dispose();
     runs.delete(runId);
-    if (mainWindow) {
-      mainWindow.webContents.send('tool:exit', {
-        runId,
-        toolId,
-        error: code === 0 ? null : `Exited with code ${code}`,
-      });
-    }
+    const meta = runHistory.finish(runId, { exitCode: code, stopped });
+    emitToolExit(runId, toolId, {
+      code,
+      stopped,
+      artifacts: meta?.artifacts || [],
+      // Killed after Stop is what the user asked for, not a crash
+      error: code === 0 || killed ? null : `Exited with code ${code ?? signal}`,
+    });
+    drainPendingRuns();
   });
+}
+
+/**
+ * Start queued runs while there are free slots.
+ */
+function drainPendingRuns() {
+  while (pendingRuns.length && runs.size < maxConcurrentRuns) {
+    const next = pendingRuns.shift();
+    try {
+      spawnRun(next.runId, next.toolId, next.payload, next.origin);
+    } catch (err) {
+      console.error('[MAIN] Failed to start queued run:', err);
+      sendToolLog(next.runId, next.toolId, 'error', `[SPAWN ERROR] ${err.message}`);
+      emitToolExit(next.runId, next.toolId, { error: err.message });
+    }
+  }
+  sendRunsSummary();
+}
+
+/**
+ * Start (or queue) a tool run. Shared by tool:run and main-side callers.
+ * origin: 'ui' | 'pipeline' | 'schedule' | 'watch' (the renderer adopts non-UI runs on its cards)
+ * onExit: optional callback with { code, stopped, cancelled, error }
+ * Returns: { runId, queued }
+ */
+function startRun(toolId, payload = {}, { origin = 'ui', onExit } = {}) {
+  const config = toolRegistry[toolId];
+  if (!config) throw new Error(`Unknown toolId: ${toolId}`);
+
+  // Check that script file exists
+  if (!fs.existsSync(config.script)) {
+    console.error('[MAIN] Script not found:', config.script);
+    throw new Error(`Script not found: ${config.script}`);
+  }
+
+  const runId = randomUUID();
+  if (onExit) runExitListeners.set(runId, onExit);
+
+  if (runs.size >= maxConcurrentRuns) {
+    pendingRuns.push({ runId, toolId, payload, origin });
+    // Let the renderer register the runId before the status arrives
+    setImmediate(() => {
+      sendToolStatus(runId, toolId, {
+        status: 'queued',
+        origin,
+        metrics: { queuePosition: pendingRuns.findIndex((r) => r.runId === runId) + 1 },
+      });
+      sendRunsSummary();
+    });
+    return { runId, queued: true };
+  }
+
+  try {
+    spawnRun(runId, toolId, payload, origin);
+  } catch (err) {
+    runExitListeners.delete(runId);
+    throw err;
+  }
+  return { runId, queued: false };
+}
+
+/**
+ * Ask a run to stop (queued runs are simply dropped).
+ * Returns: { ok, reason? }
+ */
+function stopRun(runId) {
+  // Queued runs never spawned: just drop them
+  const queuedIdx = pendingRuns.findIndex((r) => r.runId === runId);
+  if (queuedIdx !== -1) {
+    const [removed] = pendingRuns.splice(queuedIdx, 1);
+    emitToolExit(runId, removed.toolId, { cancelled: true });
+    sendRunsSummary();
+    return { ok: true, reason: 'Removed from queue' };
+  }
+
+  const info = runs.get(runId);
+  if (!info) return { ok: false, reason: 'Run not found' };
+
+  // First Stop: flag file + SIGTERM, killed after the grace timeout.
+  // Second Stop: the user gave up waiting → hard kill.
+  info.stopping = true;
+  const result = info.stopper.request();
+  if (!result.ok) console.error('Failed to stop tool:', result.reason);
+  return result;
+}
+
+ipcMain.handle('tool:run', async (_event, { toolId, payload = {} }) => {
+  console.error('[MAIN] tool:run called with toolId:', toolId);
+  console.error('[MAIN] payload:', JSON.stringify(payload, null, 2));
 
-  return { runId };
+  return startRun(toolId, payload, { origin: 'ui' });
 });
 
 // ================================
 // ✅ STOP TOOL (GRACEFUL) (tool:stop)
 // ================================
-ipcMain.handle('tool:stop', async (_event, { runId }) => {
-  const info = runs.get(runId);
-  if (!info) return { ok: false, reason: 'Run not found' };
+ipcMain.handle('tool:stop', async (_event, { runId }) => stopRun(runId));
+
+// ================================
+// 🔢 CONCURRENCY CAP (runs:*)
+// ================================
+ipcMain.handle('runs:get-limits', async () => ({
+  active: runs.size,
+  queued: pendingRuns.length,
+  maxConcurrent: maxConcurrentRuns,
+  stopGraceSecs,
+}));
+
+ipcMain.handle('runs:set-max-concurrent', async (_event, { maxConcurrent }) => {
+  maxConcurrentRuns = clampConcurrency(maxConcurrent);
+  saveSettings({ maxConcurrentRuns });
+  // A raised cap may free slots for queued runs
+  drainPendingRuns();
+  return { maxConcurrent: maxConcurrentRuns };
+});
+
+ipcMain.handle('runs:set-stop-grace', async (_event, { stopGraceSecs: secs }) => {
+  stopGraceSecs = clampStopGrace(secs);
+  saveSettings({ stopGraceSecs });
+  return { stopGraceSecs };
+});
+
+// ================================
+// 🕘 RUN HISTORY (history:*)
+// ================================
+ipcMain.handle('history:list', async (_event, { toolId, limit } = {}) => {
+  return runHistory.list({ toolId, limit });
+});
+
+ipcMain.handle('history:get', async (_event, { runId }) => {
+  const entry = runHistory.get(runId);
+  if (!entry) throw new Error(`Run not found in history: ${runId}`);
+  return entry;
+});
+
+ipcMain.handle('history:delete', async (_event, { runId }) => {
+  return { ok: runHistory.remove(runId) };
+});
+
+// ================================
+// 💾 TOOL PRESETS (presets:*)
+// ================================
+ipcMain.handle('presets:list', async (_event, { toolId } = {}) => {
+  return presetStore.list(toolId);
+});
+
+ipcMain.handle('presets:save', async (_event, { toolId, name, form, payload }) => {
+  if (!toolRegistry[toolId]) throw new Error(`Unknown toolId: ${toolId}`);
+  return presetStore.save({ toolId, name, form, payload });
+});
+
+ipcMain.handle('presets:delete', async (_event, { id }) => {
+  return { ok: presetStore.remove(id) };
+});
+
+ipcMain.handle('presets:set-default', async (_event, { id, isDefault = true }) => {
+  return presetStore.setDefault(id, isDefault);
+});
+
+ipcMain.handle('presets:export', async (_event, { toolId } = {}) => {
+  const data = presetStore.exportPresets(toolId);
+  if (!data.presets.length) return { canceled: true, reason: 'No presets to export' };
+
+  const { canceled, filePath } = await dialog.showSaveDialog({
+    title: 'Export presets',
+    defaultPath: `koldify-presets${toolId ? `-${toolId}` : ''}.json`,
+    filters: [{ name: 'JSON', extensions: ['json'] }],
+  });
+  if (canceled || !filePath) return { canceled: true };
+
+  await fs.promises.writeFile(filePath, JSON.stringify(data, null, 2), 'utf8');
+  return { canceled: false, filePath, count: data.presets.length };
+});
+
+ipcMain.handle('presets:import', async () => {
+  const { canceled, filePaths } = await dialog.showOpenDialog({
+    title: 'Import presets',
+    properties: ['openFile'],
+    filters: [{ name: 'JSON', extensions: ['json'] }],
+  });
+  if (canceled || !filePaths || !filePaths[0]) return { canceled: true };
+
+  const raw = await fs.promises.readFile(filePaths[0], 'utf8');
+  let data;
+  try {
+    data = JSON.parse(raw);
+  } catch (err) {
+    throw new Error(`Invalid presets file: ${err.message}`);
+  }
+
+  // Presets for tools this build doesn't know are ignored
+  const known = (Array.isArray(data?.presets) ? data.presets : []).filter(
+    (p) => p && toolRegistry[p.toolId]
+  );
+  return { canceled: false, ...presetStore.importPresets({ presets: known }) };
+});
+
+// ================================
+// 🔑 KEY VAULT (vault:*)
+// ================================
+// The renderer can add / relabel / delete keys but never read a secret back.
+ipcMain.handle('vault:list', async (_event, { provider } = {}) => ({
+  protection: keyVault.getProtection(),
+  keys: keyVault.list({ provider }),
+}));
+
+ipcMain.handle('vault:save', async (_event, entry) => keyVault.save(entry || {}));
+
+ipcMain.handle('vault:delete', async (_event, { id }) => ({ ok: keyVault.remove(id) }));
+
+// ================================
+// 🌐 API ENDPOINTS (endpoints:*)
+// ================================
+ipcMain.handle('endpoints:get', async () => describeEndpoints());
+
+ipcMain.handle('endpoints:set', async (_event, patch = {}) => {
+  const next = { ...getApiEndpointSettings() };
+  for (const field of ['blitzBaseUrl', 'apifyBaseUrl']) {
+    if (patch[field] === undefined) continue;
+    const value = String(patch[field] || '').trim().replace(/\/+$/, '');
+    if (value && !/^https?:\/\/[^\s]+$/i.test(value)) {
+      throw new Error(`${field === 'blitzBaseUrl' ? 'Blitz' : 'Apify'} base URL must start with http:// or https://`);
+    }
+    next[field] = value;
+  }
+  if (patch.mockMode !== undefined) next.mockMode = !!patch.mockMode;
 
-  const { child, toolId, stopping } = info;
-  if (stopping) return { ok: true, reason: 'Already stopping' };
+  await applyMockMode(next.mockMode);
+  saveSettings({ apiEndpoints: next });
+  // Already-running tools keep the hosts they were started with
+  return describeEndpoints();
+});
+
+// ================================
+// 🗃️ ENRICHMENT CACHE (enrich-cache:*)
+// ================================
+ipcMain.handle('enrich-cache:get', async () => describeCache());
+
+// patch.ttlDays: { endpoint: days }; '' / null = back to the default
+ipcMain.handle('enrich-cache:set', async (_event, patch = {}) => {
+  const next = { ...getCacheTtlSettings() };
+  for (const [endpoint, value] of Object.entries(patch.ttlDays || {})) {
+    if (!CACHE_ENDPOINTS[endpoint]) continue;
+    if (value === '' || value === null || value === undefined) {
+      delete next[endpoint];
+      continue;
+    }
+    const days = Number(value);
+    if (!Number.isFinite(days) || days < 0) {
+      throw new Error(`TTL for ${CACHE_ENDPOINTS[endpoint].label} must be 0 or more days`);
+    }
+    next[endpoint] = days;
+  }
+  saveSettings({ enrichmentCache: { ...(loadSettings().enrichmentCache || {}), ttlDays: next } });
+  return describeCache();
+});
+
+ipcMain.handle('enrich-cache:clear', async (_event, { endpoint = null } = {}) => {
+  clearEnrichmentCache({ file: runEnrichCache().enrichCacheFile, endpoint });
+  return describeCache();
+});
+
+// ================================
+// 🧷 APIFY RUN REATTACH (apify-runs:*)
+// ================================
+ipcMain.handle('apify-runs:list', async () => {
+  return apifyReattach
+    .pending()
+    .map((r) => ({ ...r, collecting: collectingApifyRuns.has(r.runId) }));
+});
+
+ipcMain.handle('apify-runs:collect', async (_event, { runId }) => {
+  return collectApifyRun(runId);
+});
+
+ipcMain.handle('apify-runs:discard', async (_event, { runId }) => {
+  if (collectingApifyRuns.has(runId)) throw new Error('This run is being collected');
+  const ok = await apifyReattach.discard(runId);
+  sendApifyRunsChanged();
+  return { ok };
+});
+
+// ================================
+// 🔗 PIPELINES (pipelines:*)
+// ================================
+ipcMain.handle('pipelines:list', async () => {
+  return pipelineStore.list().map((p) => ({ ...p, running: pipelineRunner.isRunning(p.id) }));
+});
+
+ipcMain.handle('pipelines:save', async (_event, pipeline) => {
+  const unknown = (pipeline?.steps || []).find((s) => !toolRegistry[s?.toolId]);
+  if (unknown) throw new Error(`Unknown toolId: ${unknown.toolId}`);
+  if (pipeline?.id && pipelineRunner.isRunning(pipeline.id)) {
+    throw new Error('Stop the pipeline before editing it');
+  }
+  return pipelineStore.save(pipeline);
+});
 
+ipcMain.handle('pipelines:delete', async (_event, { id }) => {
+  if (pipelineRunner.isRunning(id)) throw new Error('Stop the pipeline before deleting it');
+  return { ok: pipelineStore.remove(id) };
+});
+
+ipcMain.handle('pipelines:run', async (_event, { id, resume = false }) => {
+  return pipelineRunner.run(id, { resume });
+});
+
+ipcMain.handle('pipelines:stop', async (_event, { id }) => pipelineRunner.stop(id));
+
+// ================================
+// ⏰ SCHEDULED RUNS (schedules:*)
+// ================================
+function listSchedules() {
+  return {
+    closeToTray: loadSettings().closeToTray !== false,
+    upcoming: scheduler.upcoming(),
+    schedules: scheduleStore.list().map((s) => ({ ...s, running: scheduler.isRunning(s.id) })),
+  };
+}
+
+ipcMain.handle('schedules:list', async () => listSchedules());
+
+ipcMain.handle('schedules:save', async (_event, schedule) => {
+  if (!toolRegistry[schedule?.toolId]) throw new Error(`Unknown toolId: ${schedule?.toolId}`);
+  if (schedule.presetId && !presetStore.get(schedule.presetId)) throw new Error('Preset not found');
+  const saved = scheduleStore.save(schedule);
+  refreshTrayMenu();
+  return saved;
+});
+
+ipcMain.handle('schedules:delete', async (_event, { id }) => {
+  const ok = scheduleStore.remove(id);
+  refreshTrayMenu();
+  return { ok };
+});
+
+ipcMain.handle('schedules:run-now', async (_event, { id }) => scheduler.runNow(id));
+
+// Next due times of an expression, for the editor; bad expressions come back as error
+ipcMain.handle('schedules:preview', async (_event, { cron }) => {
   try {
-    info.stopping = true;
-    child.kill('SIGINT');
-    sendToolStatus(runId, toolId, { status: 'stop-requested' });
-    return { ok: true };
+    return { next: upcomingCronTimes(cron, { count: 5 }) };
   } catch (err) {
-    console.error('Failed to stop tool:', err);
-    return { ok: false, reason: err.message };
+    return { next: [], error: err.message };
+  }
+});
+
+ipcMain.handle('schedules:set-close-to-tray', async (_event, { closeToTray }) => {
+  saveSettings({ closeToTray: !!closeToTray });
+  return { closeToTray: !!closeToTray };
+});
+
+// ================================
+// 👀 WATCH FOLDERS (watch:*)
+// ================================
+ipcMain.handle('watch:list', async () => watchRuleStore.list());
+
+ipcMain.handle('watch:save', async (_event, rule) => {
+  const target = rule?.target || {};
+  if (target.type === 'pipeline') {
+    if (!pipelineStore.get(target.pipelineId)) throw new Error('Pipeline not found');
+  } else {
+    if (!toolRegistry[target.toolId]) throw new Error(`Unknown toolId: ${target.toolId}`);
+    if (target.presetId && !presetStore.get(target.presetId)) throw new Error('Preset not found');
   }
+  return watchRuleStore.save(rule);
 });
 
+ipcMain.handle('watch:delete', async (_event, { id }) => ({ ok: watchRuleStore.remove(id) }));
+
 // ================================
 // ✅ DIRECTORY & FILE PICKERS
 // ================================
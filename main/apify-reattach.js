@@ -0,0 +1,146 @@
+// main/apify-reattach.js
+// Collect Apify runs left behind in the run journal (backend/lib/apify-runs.js)
+// by a tool process that died before saving them (app crash / quit mid-run).
+// Shared by main.js (prompt on launch + Key Vault panel) and the headless CLI.
+//
+// A recovered run is written as one flat CSV of its dataset items next to the
+// tool's output (`<output>.recovered-<runId>.csv`, or inside the output folder),
+// then removed from the journal.
+
+const fs = require('fs');
+const path = require('path');
+const { ApifyClient } = require('apify-client');
+const { stringify } = require('csv-stringify/sync');
+const { openRunJournal, isTerminal } = require('../backend/lib/apify-runs');
+
+const PAGE_SIZE = 1000;
+const POLL_SECS = 30;
+
+function isProcessAlive(pid) {
+  if (!pid) return false;
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (err) {
+    return err.code === 'EPERM';
+  }
+}
+
+// Same "a/b/0" column names as Apify's own CSV export
+function flattenItem(value, prefix = '', out = {}) {
+  if (value === null || value === undefined) {
+    if (prefix) out[prefix] = '';
+  } else if (Array.isArray(value) || typeof value === 'object') {
+    const keys = Object.keys(value);
+    if (!keys.length && prefix) out[prefix] = '';
+    keys.forEach((k) => flattenItem(value[k], prefix ? `${prefix}/${k}` : k, out));
+  } else {
+    out[prefix || 'value'] = value;
+  }
+  return out;
+}
+
+function recoveredPath(entry, fallbackDir) {
+  const name = `apify-run-${entry.runId}.csv`;
+  const target = entry.output;
+  if (!target) return path.join(fallbackDir, name);
+  if (fs.existsSync(target) && fs.statSync(target).isDirectory()) return path.join(target, name);
+  const ext = path.extname(target);
+  return path.join(path.dirname(target), `${path.basename(target, ext)}.recovered-${entry.runId}.csv`);
+}
+
+/** What the UI / CLI may see of a journal entry (no token, no input chunk). */
+function toPublic(entry) {
+  const { token, input, ...rest } = entry;
+  return { ...rest, inputSize: Array.isArray(input) ? input.length : Object.keys(input || {}).length };
+}
+
+/**
+ * journalFile:  the apify-runs.json the tools wrote
+ * resolveToken: (entry) => token | null, for entries that only kept a key fingerprint (vault keys)
+ * fallbackDir:  where recovered CSVs go when the entry has no output path
+ * isActive:     (entry) => true while the run's tool is still running in this app
+ */
+function createApifyReattach({ journalFile, resolveToken = () => null, fallbackDir, isActive = () => false }) {
+  const journal = openRunJournal(journalFile);
+
+  function clientFor(entry) {
+    const token = entry.token || resolveToken(entry);
+    if (!token) {
+      throw new Error(`Key "${entry.keyLabel || entry.keyId}" for run ${entry.runId} is no longer available`);
+    }
+    return new ApifyClient({ token, baseUrl: entry.baseUrl, publicBaseUrl: entry.baseUrl });
+  }
+
+  /**
+   * Runs whose tool process is gone. Returns public entries, oldest first.
+   */
+  function pending() {
+    return journal
+      .list()
+      .filter((entry) => !isActive(entry) && !isProcessAlive(entry.pid))
+      .map(toPublic);
+  }
+
+  /**
+   * Wait for the run to end (if still in progress), download its dataset and
+   * write the recovered CSV. Resolves to { runId, status, items, file, usageTotalUsd }.
+   */
+  async function collect(runId, { onProgress } = {}) {
+    const entry = journal.get(runId);
+    if (!entry) throw new Error(`Unknown Apify run: ${runId}`);
+
+    const client = clientFor(entry);
+    let run = await client.run(runId).get();
+    if (!run) {
+      journal.remove(runId);
+      throw new Error(`Run ${runId} no longer exists on Apify`);
+    }
+
+    while (!isTerminal(run.status)) {
+      if (typeof onProgress === 'function') onProgress({ runId, status: run.status });
+      run = (await client.run(runId).waitForFinish({ waitSecs: POLL_SECS })) || run;
+    }
+
+    const items = [];
+    for (let offset = 0; ; offset += PAGE_SIZE) {
+      const page = await client.dataset(run.defaultDatasetId || entry.datasetId).listItems({ offset, limit: PAGE_SIZE });
+      items.push(...(page.items || []));
+      if (!page.items || page.items.length < PAGE_SIZE) break;
+    }
+
+    const rows = items.map((item) => flattenItem(item));
+    const columns = [...new Set(rows.flatMap((row) => Object.keys(row)))];
+    const file = recoveredPath(entry, fallbackDir);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, stringify(rows, { header: true, columns: columns.length ? columns : ['value'] }), 'utf8');
+
+    journal.remove(runId);
+    return { runId, status: run.status, items: items.length, file, usageTotalUsd: run.usageTotalUsd ?? null };
+  }
+
+  /**
+   * Forget a run. Runs still in progress are aborted first so they stop costing money.
+   */
+  async function discard(runId, { abort = true } = {}) {
+    const entry = journal.get(runId);
+    if (!entry) return false;
+
+    if (abort && !isTerminal(entry.status)) {
+      try {
+        const client = clientFor(entry);
+        const run = await client.run(runId).get();
+        if (run && !isTerminal(run.status)) await client.run(runId).abort();
+      } catch (err) {
+        console.error(`[REATTACH] Could not abort ${runId}:`, err.message);
+      }
+    }
+
+    journal.remove(runId);
+    return true;
+  }
+
+  return { file: journal.file, pending, collect, discard };
+}
+
+module.exports = { createApifyReattach, flattenItem, recoveredPath };
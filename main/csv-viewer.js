@@ -0,0 +1,329 @@
+// main/csv-viewer.js
+// Data behind the in-app CSV viewer (renderer "CSV Viewer" section).
+//
+// Files can be hundreds of MB, so nothing is kept in memory but offsets:
+//   open   one streaming pass records where every row starts/ends (bytes) and
+//          counts filled / empty values per column
+//   query  sort + per-column filters: one more pass collects the matching row
+//          numbers (and the sort column), then sorts those numbers
+//   rows   a page of the current view is read back from disk by offset
+//
+// Rows are split on newlines outside double quotes (RFC 4180), so quoted
+// multi-line values work. Blank lines are skipped.
+
+const fs = require('fs');
+const path = require('path');
+const { randomUUID } = require('crypto');
+
+const CHUNK_BYTES = 1024 * 1024;
+const PROGRESS_EVERY_MS = 250;
+const MAX_PAGE_ROWS = 1000;
+
+const QUOTE = 0x22;
+const NEWLINE = 0x0a;
+
+/**
+ * Split one raw CSV row (no trailing newline) into fields.
+ */
+function parseCsvRecord(text) {
+  const fields = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inQuotes) {
+      if (ch === '"') {
+        if (text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ',') {
+      fields.push(field);
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  fields.push(field);
+  return fields;
+}
+
+function isBlank(buffer) {
+  for (const byte of buffer) {
+    if (byte !== 0x0d && byte !== NEWLINE && byte !== 0x20 && byte !== 0x09) return false;
+  }
+  return true;
+}
+
+function decodeRecord(buffer, isFirst) {
+  let text = buffer.toString('utf8').replace(/\r?\n$/, '');
+  if (isFirst) text = text.replace(/^\uFEFF/, '');
+  return text;
+}
+
+/**
+ * Stream a CSV and call onRecord(buffer, start, end) for every non-blank row
+ * (byte offsets, end exclusive). onRecord may return false to stop early.
+ */
+function scanRecords(filePath, onRecord, { onBytes = () => {} } = {}) {
+  return new Promise((resolve, reject) => {
+    const stream = fs.createReadStream(filePath, { highWaterMark: CHUNK_BYTES });
+    let carry = null; // bytes of a row that started in an earlier chunk
+    let carryStart = 0;
+    let position = 0; // file offset of the current chunk
+    let inQuotes = false;
+    let stopped = false;
+
+    function emit(buffer, start, end) {
+      if (isBlank(buffer)) return;
+      if (onRecord(buffer, start, end) === false) {
+        stopped = true;
+        stream.destroy();
+        resolve();
+      }
+    }
+
+    stream.on('data', (chunk) => {
+      let rowStart = 0;
+      for (let i = 0; i < chunk.length && !stopped; i++) {
+        const byte = chunk[i];
+        if (byte === QUOTE) {
+          inQuotes = !inQuotes;
+        } else if (byte === NEWLINE && !inQuotes) {
+          const piece = chunk.subarray(rowStart, i + 1);
+          if (carry) {
+            emit(Buffer.concat([carry, piece]), carryStart, position + i + 1);
+            carry = null;
+          } else {
+            emit(piece, position + rowStart, position + i + 1);
+          }
+          rowStart = i + 1;
+        }
+      }
+      if (stopped) return;
+
+      if (rowStart < chunk.length) {
+        const rest = chunk.subarray(rowStart);
+        if (carry) {
+          carry = Buffer.concat([carry, rest]);
+        } else {
+          carry = Buffer.from(rest);
+          carryStart = position + rowStart;
+        }
+      }
+      position += chunk.length;
+      onBytes(position);
+    });
+
+    stream.on('end', () => {
+      if (!stopped && carry) emit(carry, carryStart, position);
+      resolve();
+    });
+    stream.on('error', reject);
+  });
+}
+
+function emptyStats(headers) {
+  return headers.map(() => ({ filled: 0, empty: 0 }));
+}
+
+function countValues(stats, fields) {
+  stats.forEach((stat, i) => {
+    if (String(fields[i] ?? '').trim()) stat.filled++;
+    else stat.empty++;
+  });
+}
+
+/** Numbers sort as numbers when every non-empty value in the column is one. */
+function buildComparator(keys) {
+  const numeric = keys.every((k) => k === '' || Number.isFinite(Number(k)));
+  const values = numeric ? keys.map((k) => (k === '' ? null : Number(k))) : keys.map((k) => k.toLowerCase());
+  return { values, compare: (a, b) => (a < b ? -1 : a > b ? 1 : 0) };
+}
+
+/**
+ * onProgress({ viewId, phase: 'index' | 'query', bytes, totalBytes })
+ */
+function createCsvViewer({ onProgress = () => {} } = {}) {
+  // viewId -> { filePath, totalBytes, headers, starts, ends, stats, order, viewStats, generation }
+  const views = new Map();
+
+  function progressReporter(viewId, phase, totalBytes) {
+    let last = 0;
+    return (bytes) => {
+      const now = Date.now();
+      if (now - last < PROGRESS_EVERY_MS) return;
+      last = now;
+      onProgress({ viewId, phase, bytes, totalBytes });
+    };
+  }
+
+  function getView(viewId) {
+    const view = views.get(viewId);
+    if (!view) throw new Error('This CSV view is closed. Open the file again.');
+    return view;
+  }
+
+  function summary(view) {
+    const stats = view.order ? view.viewStats : view.stats;
+    return {
+      totalRows: view.starts.length,
+      rows: view.order ? view.order.length : view.starts.length,
+      stats,
+    };
+  }
+
+  /**
+   * Index a file. Returns { viewId, filePath, headers, totalRows, rows, stats }.
+   */
+  async function open(filePath) {
+    if (!filePath) throw new Error('filePath is required');
+    const resolvedPath = path.resolve(filePath);
+    if (!fs.existsSync(resolvedPath)) throw new Error(`File not found: ${resolvedPath}`);
+
+    const viewId = randomUUID();
+    const totalBytes = fs.statSync(resolvedPath).size;
+    let headers = null;
+    let stats = [];
+    const starts = [];
+    const ends = [];
+
+    await scanRecords(
+      resolvedPath,
+      (buffer, start, end) => {
+        const fields = parseCsvRecord(decodeRecord(buffer, headers === null));
+        if (headers === null) {
+          headers = fields.map((h, i) => h.trim() || `Column ${i + 1}`);
+          stats = emptyStats(headers);
+          return;
+        }
+        starts.push(start);
+        ends.push(end);
+        countValues(stats, fields);
+      },
+      { onBytes: progressReporter(viewId, 'index', totalBytes) }
+    );
+
+    if (!headers) throw new Error('The file is empty.');
+
+    const view = { filePath: resolvedPath, totalBytes, headers, starts, ends, stats, order: null, viewStats: null, generation: 0 };
+    views.set(viewId, view);
+    return { viewId, filePath: resolvedPath, headers, ...summary(view) };
+  }
+
+  /**
+   * Apply sort / filters to a view.
+   * sort:    { column: index, dir: 'asc' | 'desc' } | null
+   * filters: { [column index]: text }  (case-insensitive "contains")
+   * Returns { totalRows, rows, stats } or { superseded: true } when a newer query started.
+   */
+  async function query(viewId, { sort = null, filters = {} } = {}) {
+    const view = getView(viewId);
+    const generation = ++view.generation;
+
+    const activeFilters = Object.entries(filters || {})
+      .map(([column, text]) => [Number(column), String(text || '').trim().toLowerCase()])
+      .filter(([column, text]) => text && column >= 0 && column < view.headers.length);
+    const sortColumn = sort && sort.column >= 0 && sort.column < view.headers.length ? Number(sort.column) : null;
+
+    if (!activeFilters.length && sortColumn === null) {
+      view.order = null;
+      view.viewStats = null;
+      return summary(view);
+    }
+
+    const matched = [];
+    const keys = [];
+    const viewStats = emptyStats(view.headers);
+    let rowIndex = -1;
+    let isHeader = true;
+
+    await scanRecords(
+      view.filePath,
+      (buffer) => {
+        if (view.generation !== generation) return false;
+        if (isHeader) {
+          isHeader = false;
+          return true;
+        }
+        rowIndex++;
+        const fields = parseCsvRecord(decodeRecord(buffer, false));
+        const keep = activeFilters.every(([column, text]) => String(fields[column] ?? '').toLowerCase().includes(text));
+        if (!keep) return true;
+        matched.push(rowIndex);
+        if (sortColumn !== null) keys.push(String(fields[sortColumn] ?? '').trim());
+        countValues(viewStats, fields);
+        return true;
+      },
+      { onBytes: progressReporter(viewId, 'query', view.totalBytes) }
+    );
+
+    if (view.generation !== generation || !views.has(viewId)) return { superseded: true };
+
+    let order = matched;
+    if (sortColumn !== null) {
+      const { values, compare } = buildComparator(keys);
+      const direction = sort.dir === 'desc' ? -1 : 1;
+      const positions = matched.map((_, i) => i);
+      positions.sort((a, b) => {
+        const va = values[a];
+        const vb = values[b];
+        // Empty values stay at the bottom either way
+        const aEmpty = va === null || va === '';
+        const bEmpty = vb === null || vb === '';
+        if (aEmpty || bEmpty) return aEmpty === bEmpty ? a - b : aEmpty ? 1 : -1;
+        return compare(va, vb) * direction || a - b;
+      });
+      order = positions.map((i) => matched[i]);
+    }
+
+    view.order = order;
+    view.viewStats = viewStats;
+    return summary(view);
+  }
+
+  /**
+   * Read rows [offset, offset + limit) of the current view.
+   * Returns { offset, rows: Array<{ row: number, values: string[] }> } (row = 1-based data row in the file).
+   */
+  async function rows(viewId, { offset = 0, limit = 200 } = {}) {
+    const view = getView(viewId);
+    const count = view.order ? view.order.length : view.starts.length;
+    const from = Math.max(0, Math.floor(Number(offset) || 0));
+    const to = Math.min(count, from + Math.min(MAX_PAGE_ROWS, Math.max(1, Number(limit) || 200)));
+
+    const out = [];
+    const handle = await fs.promises.open(view.filePath, 'r');
+    try {
+      for (let i = from; i < to; i++) {
+        const rowIndex = view.order ? view.order[i] : i;
+        const start = view.starts[rowIndex];
+        const length = view.ends[rowIndex] - start;
+        const buffer = Buffer.alloc(length);
+        await handle.read(buffer, 0, length, start);
+        out.push({ row: rowIndex + 1, values: parseCsvRecord(decodeRecord(buffer, false)) });
+      }
+    } finally {
+      await handle.close();
+    }
+    return { offset: from, rows: out };
+  }
+
+  function close(viewId) {
+    const view = views.get(viewId);
+    if (view) view.generation++; // ends a running query
+    return views.delete(viewId);
+  }
+
+  return { open, query, rows, close };
+}
+
+module.exports = { createCsvViewer, parseCsvRecord, scanRecords };
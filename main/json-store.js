@@ -0,0 +1,87 @@
+// main/json-store.js
+// The userData JSON files behind pipelines, schedules and watch rules:
+//   { version, <key>: [ { id, name, … } ] }
+// Every call re-reads the file (they are small and only the main process writes
+// them). Writes go to a temp file that is then renamed over the old one, so a
+// crash mid-write never leaves a half-written file behind.
+
+const fs = require('fs');
+const path = require('path');
+
+// Run statuses that can't still be true after the app quit
+const LIVE_STATUSES = ['running', 'queued'];
+
+/**
+ * createJsonStore({ file, key, version, tag })
+ *   key  array property in the file ('pipelines', 'schedules', 'rules')
+ *   tag  log prefix ('PIPELINES', …)
+ */
+function createJsonStore({ file, key, version, tag }) {
+  function read() {
+    try {
+      if (!fs.existsSync(file)) return [];
+      const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+      return Array.isArray(parsed?.[key]) ? parsed[key] : [];
+    } catch (err) {
+      console.error(`[${tag}] Failed to read ${path.basename(file)}:`, err.message);
+      return [];
+    }
+  }
+
+  function write(items) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ version, [key]: items }, null, 2), 'utf8');
+    fs.renameSync(tmp, file);
+  }
+
+  function list() {
+    return read().sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  function get(id) {
+    return read().find((item) => item.id === id) || null;
+  }
+
+  function remove(id) {
+    const all = read();
+    const next = all.filter((item) => item.id !== id);
+    write(next);
+    return next.length !== all.length;
+  }
+
+  /**
+   * Apply fn(item) to one stored item and save; returns the updated copy.
+   */
+  function update(id, fn) {
+    const all = read();
+    const target = all.find((item) => item.id === id);
+    if (!target) return null;
+    fn(target);
+    write(all);
+    return target;
+  }
+
+  /**
+   * Runs that were live when the app last quit never report back: mark them
+   * 'interrupted'. runsOf(item) lists an item's run records; onInterrupted(run)
+   * may tidy each one it marked.
+   */
+  function markInterrupted(runsOf, onInterrupted = () => {}) {
+    const all = read();
+    let changed = false;
+    for (const item of all) {
+      for (const run of runsOf(item) || []) {
+        if (!LIVE_STATUSES.includes(run?.status)) continue;
+        run.status = 'interrupted';
+        onInterrupted(run);
+        changed = true;
+      }
+    }
+    if (changed) write(all);
+  }
+
+  return { read, write, list, get, remove, update, markInterrupted };
+}
+
+module.exports = { createJsonStore };
@@ -0,0 +1,221 @@
+// main/key-vault.js
+// Encrypted store for Apify / Blitz API keys (userData/key-vault.json)
+//
+// Every secret is encrypted with AES-256-GCM under one random master key.
+// The master key itself is wrapped by a "protector" (Electron safeStorage → OS
+// keychain / DPAPI) when one is available; otherwise it is stored as-is and the
+// file relies on userData permissions (scheme "none").
+//
+// Secrets only leave this module through resolve(), which main calls at spawn
+// time. list() returns labels/tags and a short hint, never the key.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const VAULT_VERSION = 1;
+const PROVIDERS = ['apify', 'blitz'];
+const CIPHER = 'aes-256-gcm';
+
+function hintFor(secret) {
+  const s = String(secret);
+  return s.length > 8 ? `…${s.slice(-4)}` : '…';
+}
+
+function normalizeTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+  return [...new Set(list.map((t) => String(t).trim()).filter(Boolean))];
+}
+
+function toPublic(entry) {
+  const { iv, tag, data, ...rest } = entry;
+  return rest;
+}
+
+/**
+ * file:         vault JSON path
+ * getProtector: () => { scheme, protect(Buffer) => Buffer, unprotect(Buffer) => Buffer } | null
+ *               (called lazily: Electron's safeStorage is only usable after app ready)
+ */
+function createKeyVault({ file, getProtector = () => null }) {
+  let masterKey = null;
+
+  /**
+   * The stored vault, or null when there is none yet. A file that can't be read
+   * or parsed throws instead: treating it as missing would replace it (and every
+   * key in it) with a new empty vault.
+   */
+  function read() {
+    let text;
+    try {
+      text = fs.readFileSync(file, 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw new Error(`Key vault ${file} can't be read: ${err.message}`);
+    }
+    try {
+      return JSON.parse(text);
+    } catch (err) {
+      throw new Error(`Key vault ${file} is damaged (${err.message}); it was left as is`);
+    }
+  }
+
+  // Write-then-rename, so a crash mid-write never leaves a half-written vault
+  function write(vault) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(vault, null, 2), { encoding: 'utf8', mode: 0o600 });
+    fs.renameSync(tmp, file);
+  }
+
+  /**
+   * Load the vault, creating an empty one (with a fresh master key) on first use.
+   */
+  function load() {
+    const existing = read();
+    if (existing) return existing;
+
+    const protector = getProtector();
+    const key = crypto.randomBytes(32);
+    const vault = {
+      version: VAULT_VERSION,
+      keyProtection: protector ? protector.scheme : 'none',
+      masterKey: (protector ? protector.protect(key) : key).toString('base64'),
+      entries: [],
+    };
+    write(vault);
+    masterKey = key;
+    return vault;
+  }
+
+  function getMasterKey(vault) {
+    if (masterKey) return masterKey;
+
+    const stored = Buffer.from(vault.masterKey, 'base64');
+    if (vault.keyProtection === 'none') {
+      masterKey = stored;
+      return masterKey;
+    }
+
+    const protector = getProtector();
+    if (!protector || protector.scheme !== vault.keyProtection) {
+      throw new Error(
+        `Key vault is protected with "${vault.keyProtection}", which is not available on this machine`
+      );
+    }
+    masterKey = protector.unprotect(stored);
+    return masterKey;
+  }
+
+  function encrypt(vault, secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(CIPHER, getMasterKey(vault), iv);
+    const data = Buffer.concat([cipher.update(String(secret), 'utf8'), cipher.final()]);
+    return {
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64'),
+    };
+  }
+
+  function decrypt(vault, entry) {
+    const decipher = crypto.createDecipheriv(
+      CIPHER,
+      getMasterKey(vault),
+      Buffer.from(entry.iv, 'base64')
+    );
+    decipher.setAuthTag(Buffer.from(entry.tag, 'base64'));
+    return Buffer.concat([
+      decipher.update(Buffer.from(entry.data, 'base64')),
+      decipher.final(),
+    ]).toString('utf8');
+  }
+
+  function list({ provider } = {}) {
+    const entries = read()?.entries || [];
+    return entries
+      .filter((e) => !provider || e.provider === provider)
+      .map(toPublic)
+      .sort((a, b) => a.provider.localeCompare(b.provider) || a.label.localeCompare(b.label));
+  }
+
+  /**
+   * Add a key, or update label/tags (and optionally the secret) of an existing one.
+   */
+  function save({ id, provider, label, tags, secret }) {
+    const vault = load();
+    const existing = id ? vault.entries.find((e) => e.id === id) : null;
+    if (id && !existing) throw new Error(`Vault key not found: ${id}`);
+
+    const cleanLabel = String(label || '').trim();
+    if (!cleanLabel) throw new Error('Vault key needs a label');
+
+    const cleanSecret = String(secret || '').trim();
+    const now = new Date().toISOString();
+
+    if (existing) {
+      existing.label = cleanLabel;
+      existing.tags = normalizeTags(tags);
+      if (cleanSecret) {
+        Object.assign(existing, encrypt(vault, cleanSecret), { hint: hintFor(cleanSecret) });
+      }
+      existing.updatedAt = now;
+      write(vault);
+      return toPublic(existing);
+    }
+
+    if (!PROVIDERS.includes(provider)) throw new Error(`Unknown key provider: ${provider}`);
+    if (!cleanSecret) throw new Error('Vault key needs a secret');
+
+    const entry = {
+      id: crypto.randomUUID(),
+      provider,
+      label: cleanLabel,
+      tags: normalizeTags(tags),
+      hint: hintFor(cleanSecret),
+      ...encrypt(vault, cleanSecret),
+      createdAt: now,
+      updatedAt: now,
+    };
+    vault.entries.push(entry);
+    write(vault);
+    return toPublic(entry);
+  }
+
+  function remove(id) {
+    const vault = read();
+    if (!vault) return false;
+    const before = vault.entries.length;
+    vault.entries = vault.entries.filter((e) => e.id !== id);
+    write(vault);
+    return vault.entries.length !== before;
+  }
+
+  /**
+   * Decrypt the chosen keys for a run, grouped by provider (unknown ids are skipped).
+   * Returns: { apify: [{ id, label, token }], blitz: [{ id, label, token }] }
+   */
+  function resolve(ids = []) {
+    const out = { apify: [], blitz: [] };
+    const wanted = Array.isArray(ids) ? ids : [];
+    if (!wanted.length) return out;
+
+    const vault = read();
+    if (!vault) return out;
+
+    for (const id of wanted) {
+      const entry = vault.entries.find((e) => e.id === id);
+      if (!entry) continue;
+      out[entry.provider].push({ id: entry.id, label: entry.label, token: decrypt(vault, entry) });
+    }
+    return out;
+  }
+
+  function getProtection() {
+    return read()?.keyProtection || (getProtector()?.scheme ?? 'none');
+  }
+
+  return { list, save, remove, resolve, getProtection };
+}
+
+module.exports = { createKeyVault, PROVIDERS };
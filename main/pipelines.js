@@ -0,0 +1,451 @@
+// main/pipelines.js
+// Multi-step pipelines: run registered tools one after another, feeding each
+// step's output file/folder into the next step's payload.
+//
+// Pipeline definition (userData/pipelines.json):
+//   {
+//     id, name,
+//     steps: [
+//       {
+//         toolId: 'reaction-scraper',
+//         presetId?: '…',           // base payload comes from a saved preset…
+//         payload?: { … },          // …and/or inline overrides
+//         input?: {                 // where the previous output goes
+//           field: 'postsCsvPaths',
+//           kind: 'file' | 'files' | 'dir',
+//           fromStep?: 0,           // default: previous step
+//         },
+//       },
+//     ],
+//     lastRun: { status, startedAt, endedAt, input?, outputDir?, outputPrefix?, steps: [{ toolId, status, runId, outputs, error }] }
+//   }
+//
+// A run may bring its own first-step input and output folder (watch folders):
+// lastRun.input goes into step 1's input field and lastRun.outputDir (+ file name
+// prefix) into every step.
+
+const fs = require('fs');
+const path = require('path');
+const { randomUUID } = require('crypto');
+const { stripSecrets } = require('./redact');
+const { createJsonStore } = require('./json-store');
+
+const PIPELINES_VERSION = 1;
+
+/**
+ * Which payload field each tool reads its main input from.
+ * Used as the default mapping when a step doesn't set `input`.
+ */
+const DEFAULT_INPUT_FIELDS = {
+  'post-finder': null,
+  'reaction-scraper': { field: 'postsCsvPaths', kind: 'files' },
+  'comment-scraper': { field: 'postsCsvPaths', kind: 'files' },
+  'apify-email-enricher': { field: 'inputDir', kind: 'dir' },
+  'linkedin-profile-enhancer': { field: 'inputCsv', kind: 'file' },
+  'contact-details-scraper': { field: 'inputCsvPath', kind: 'file' },
+  'inmail-checker': { field: 'inputCsv', kind: 'file' },
+  'email-enricher': { field: 'inputFile', kind: 'file' },
+  'waterfall-icp': { field: 'companiesCsvPath', kind: 'file' },
+  'reverse-phone': { field: 'inputPath', kind: 'file' },
+  'reverse-email': { field: 'inputPath', kind: 'file' },
+  'find-mobile-direct-phone': { field: 'inputPath', kind: 'file' },
+  'linkedin-url-to-domain': { field: 'inputPath', kind: 'file' },
+  'domain-to-linkedin': { field: 'inputPath', kind: 'file' },
+  'blitz-employee-finder': { field: 'inputPath', kind: 'file' },
+  'blitz-key-info': null,
+  'blitz-current-date': null,
+  'csv-merger': { field: 'inputDir', kind: 'dir' },
+  'csv-splitter': { field: 'inputPath', kind: 'file' },
+  'csv-deduplicator': { field: 'inputPath', kind: 'file' },
+};
+
+// Files a tool writes next to its outputs that are never "the output"
+const IGNORED_OUTPUT_RE = /(^|[\\/])(used_keys|banned_keys|keys|apify-key-pool|keywords)\.json$|\.jsonl$|\.log$/i;
+const OUTPUT_EXT_RE = /\.(csv|txt)$/i;
+
+// ================================
+// 📁 OUTPUT DETECTION
+// ================================
+
+/**
+ * Folder a step writes into, derived from its payload.
+ */
+function resolveOutputDir(payload = {}) {
+  if (payload.outputDir) return path.resolve(String(payload.outputDir));
+  if (payload.outputFile) return path.dirname(path.resolve(String(payload.outputFile)));
+  if (payload.outputCsv) return path.dirname(path.resolve(String(payload.outputCsv)));
+  const input = payload.inputPath || payload.inputFile || payload.inputCsv;
+  if (input) return path.dirname(path.resolve(String(input)));
+  return null;
+}
+
+/**
+ * path -> mtimeMs for every file under dir (2 levels deep: tools like the
+ * splitter write into a fresh sub-folder).
+ */
+function snapshotDir(dir, depth = 2) {
+  const out = new Map();
+  if (!dir || !fs.existsSync(dir)) return out;
+
+  const walk = (current, level) => {
+    let entries = [];
+    try {
+      entries = fs.readdirSync(current, { withFileTypes: true });
+    } catch {
+      return;
+    }
+    for (const entry of entries) {
+      const full = path.join(current, entry.name);
+      if (entry.isDirectory()) {
+        if (level < depth) walk(full, level + 1);
+      } else if (entry.isFile()) {
+        try {
+          out.set(full, fs.statSync(full).mtimeMs);
+        } catch {
+          // vanished between readdir and stat
+        }
+      }
+    }
+  };
+
+  walk(dir, 1);
+  return out;
+}
+
+/**
+ * Files created or modified since `before` (newest first).
+ */
+function diffOutputs(dir, before) {
+  const after = snapshotDir(dir);
+  return [...after.entries()]
+    .filter(([file, mtime]) => !before.has(file) || before.get(file) !== mtime)
+    .filter(([file]) => !IGNORED_OUTPUT_RE.test(file))
+    .sort((a, b) => b[1] - a[1])
+    .map(([file]) => file);
+}
+
+/**
+ * Point a payload's outputs at `outputDir`. Output file names get `prefix_` so
+ * repeated runs into one folder don't overwrite each other.
+ */
+function withOutputDir(payload, outputDir, prefix = '') {
+  const out = { ...payload, outputDir };
+  const named = (name) => (prefix ? `${prefix}_${name}` : name);
+  if (out.outputFileName) out.outputFileName = named(out.outputFileName);
+  if (out.outputFile) {
+    const raw = String(out.outputFile);
+    const name = named(path.basename(raw.replace(/\\/g, '/')));
+    // A bare name stays relative to outputDir; a full path moves into it
+    out.outputFile = /[\\/]/.test(raw) ? path.join(outputDir, name) : name;
+  }
+  return out;
+}
+
+/**
+ * Turn a step's outputs into the value for the next step's input field.
+ */
+function valueForInput(kind, outputs, outputDir) {
+  const dataFiles = outputs.filter((f) => OUTPUT_EXT_RE.test(f));
+
+  if (kind === 'dir') {
+    if (!dataFiles.length) return outputDir;
+    // All new files in one fresh sub-folder (e.g. splits_<name>_<stamp>/) -> that folder
+    const dirs = new Set(dataFiles.map((f) => path.dirname(f)));
+    return dirs.size === 1 ? [...dirs][0] : outputDir;
+  }
+
+  if (kind === 'files') return dataFiles;
+  return dataFiles[0] || null;
+}
+
+// ================================
+// 💾 STORE
+// ================================
+function normalizeStep(raw) {
+  const toolId = String(raw?.toolId || '').trim();
+  if (!toolId) return null;
+
+  const step = { toolId };
+  if (raw.presetId) step.presetId = String(raw.presetId);
+  if (raw.payload && typeof raw.payload === 'object') step.payload = stripSecrets(raw.payload);
+  if (raw.input && raw.input.field) {
+    step.input = {
+      field: String(raw.input.field),
+      kind: ['file', 'files', 'dir'].includes(raw.input.kind) ? raw.input.kind : 'file',
+    };
+    if (Number.isInteger(raw.input.fromStep)) step.input.fromStep = raw.input.fromStep;
+  }
+  return step;
+}
+
+function createPipelineStore({ file }) {
+  const store = createJsonStore({ file, key: 'pipelines', version: PIPELINES_VERSION, tag: 'PIPELINES' });
+
+  function save(raw) {
+    const name = String(raw?.name || '').trim();
+    if (!name) throw new Error('Pipeline needs a name');
+
+    const steps = (Array.isArray(raw.steps) ? raw.steps : []).map(normalizeStep).filter(Boolean);
+    if (!steps.length) throw new Error('Pipeline needs at least one step');
+
+    const all = store.read();
+    const idx = all.findIndex((p) => (raw.id && p.id === raw.id) || p.name === name);
+    const existing = idx !== -1 ? all[idx] : null;
+
+    const pipeline = {
+      id: existing?.id || randomUUID(),
+      name,
+      steps,
+      // A changed step list makes the old resume point meaningless
+      lastRun:
+        existing && JSON.stringify(existing.steps) === JSON.stringify(steps)
+          ? existing.lastRun || null
+          : null,
+      updatedAt: new Date().toISOString(),
+    };
+
+    if (idx !== -1) all[idx] = pipeline;
+    else all.push(pipeline);
+    store.write(all);
+    return pipeline;
+  }
+
+  function saveLastRun(id, lastRun) {
+    store.update(id, (p) => {
+      p.lastRun = lastRun;
+    });
+  }
+
+  // Pipelines left "running" by a crash/forced quit can be resumed
+  function markInterrupted() {
+    store.markInterrupted(
+      (p) => [p.lastRun],
+      (lastRun) => (lastRun.steps || []).forEach((step) => {
+        if (step.status === 'running') step.status = 'stopped';
+      })
+    );
+  }
+
+  return { list: store.list, get: store.get, save, remove: store.remove, saveLastRun, markInterrupted };
+}
+
+// ================================
+// ▶️ RUNNER
+// ================================
+
+/**
+ * deps:
+ *   store            pipeline store
+ *   getPresetPayload (presetId) => payload | null
+ *   startRun         (toolId, payload, { origin, onExit }) => { runId }
+ *   stopRun          (runId) => { ok }
+ *   onUpdate         (pipelineId, lastRun) => void   (UI push)
+ */
+function createPipelineRunner({ store, getPresetPayload, startRun, stopRun, onUpdate }) {
+  // pipelineId -> { lastRun, stopping, currentRunId }
+  const active = new Map();
+
+  function publish(pipelineId, lastRun) {
+    store.saveLastRun(pipelineId, lastRun);
+    try {
+      onUpdate(pipelineId, lastRun);
+    } catch (err) {
+      console.error('[PIPELINES] onUpdate failed:', err);
+    }
+  }
+
+  function buildStepPayload(pipeline, index, lastRun) {
+    const step = pipeline.steps[index];
+    const base = step.presetId ? getPresetPayload(step.presetId) : null;
+    if (step.presetId && !base) throw new Error(`Preset not found for step ${index + 1}`);
+
+    let payload = { ...(base || {}), ...(step.payload || {}) };
+    const input = step.input || DEFAULT_INPUT_FIELDS[step.toolId] || null;
+    if (lastRun.outputDir) payload = withOutputDir(payload, lastRun.outputDir, lastRun.outputPrefix);
+
+    if (index === 0 && input && lastRun.input) {
+      payload[input.field] = lastRun.input;
+    } else if (index > 0 && input) {
+      const fromIdx = Number.isInteger(input.fromStep) ? input.fromStep : index - 1;
+      const source = lastRun.steps[fromIdx];
+      if (!source || source.status !== 'success') {
+        throw new Error(`Step ${index + 1} needs the output of step ${fromIdx + 1}, which has not succeeded`);
+      }
+
+      const value = valueForInput(input.kind, source.outputs || [], source.outputDir);
+      if (!value || (Array.isArray(value) && !value.length)) {
+        throw new Error(`Step ${fromIdx + 1} (${source.toolId}) produced no output to feed into "${input.field}"`);
+      }
+      payload[input.field] = value;
+    }
+
+    return payload;
+  }
+
+  function runStep(pipelineId, toolId, payload, outputDir) {
+    return new Promise((resolve, reject) => {
+      const before = snapshotDir(outputDir);
+      let started;
+      try {
+        started = startRun(toolId, payload, {
+          origin: 'pipeline',
+          onExit: (result) => {
+            // Files the run reported (artifact events); older scripts: whatever changed on disk
+            const reported = (result.artifacts || []).filter((a) => a.kind === 'output').map((a) => a.path);
+            const outputs = reported.length ? reported : outputDir ? diffOutputs(outputDir, before) : [];
+            resolve({ ...result, runId: started?.runId, outputs });
+          },
+        });
+      } catch (err) {
+        reject(err);
+        return;
+      }
+      const state = active.get(pipelineId);
+      if (state) state.currentRunId = started.runId;
+    });
+  }
+
+  async function execute(pipeline, lastRun, fromIndex) {
+    const state = active.get(pipeline.id);
+
+    for (let i = fromIndex; i < pipeline.steps.length; i++) {
+      const stepState = lastRun.steps[i];
+
+      if (state.stopping) {
+        stepState.status = 'pending';
+        continue;
+      }
+
+      let payload;
+      try {
+        payload = buildStepPayload(pipeline, i, lastRun);
+      } catch (err) {
+        stepState.status = 'failed';
+        stepState.error = err.message;
+        lastRun.status = 'failed';
+        break;
+      }
+
+      const outputDir = resolveOutputDir(payload);
+      Object.assign(stepState, {
+        status: 'running',
+        startedAt: new Date().toISOString(),
+        endedAt: null,
+        error: null,
+        outputs: [],
+        outputDir,
+      });
+      publish(pipeline.id, lastRun);
+
+      let result;
+      try {
+        result = await runStep(pipeline.id, pipeline.steps[i].toolId, payload, outputDir);
+      } catch (err) {
+        result = { code: null, error: err.message, outputs: [] };
+      }
+
+      stepState.runId = result.runId || null;
+      stepState.outputs = result.outputs;
+      stepState.endedAt = new Date().toISOString();
+
+      if (result.stopped || result.cancelled || state.stopping) {
+        stepState.status = 'stopped';
+        lastRun.status = 'stopped';
+        break;
+      }
+      if (result.code !== 0) {
+        stepState.status = 'failed';
+        stepState.error = result.error || `Exited with code ${result.code}`;
+        lastRun.status = 'failed';
+        break;
+      }
+
+      stepState.status = 'success';
+      publish(pipeline.id, lastRun);
+    }
+
+    if (lastRun.status === 'running') lastRun.status = state.stopping ? 'stopped' : 'success';
+    lastRun.endedAt = new Date().toISOString();
+    active.delete(pipeline.id);
+    publish(pipeline.id, lastRun);
+    return lastRun;
+  }
+
+  /**
+   * Run a saved pipeline. resume=true starts at the first step that did not succeed.
+   * input / outputDir / outputPrefix: see the header; onDone(lastRun) fires when the run ends.
+   */
+  function run(pipelineId, { resume = false, input = null, outputDir = null, outputPrefix = '', onDone } = {}) {
+    if (active.has(pipelineId)) throw new Error('Pipeline is already running');
+
+    const pipeline = store.get(pipelineId);
+    if (!pipeline) throw new Error(`Pipeline not found: ${pipelineId}`);
+
+    let fromIndex = 0;
+    let lastRun;
+
+    if (resume && pipeline.lastRun && pipeline.lastRun.steps?.length === pipeline.steps.length) {
+      fromIndex = pipeline.lastRun.steps.findIndex((s) => s.status !== 'success');
+      if (fromIndex === -1) throw new Error('Nothing to resume: every step already succeeded');
+      lastRun = {
+        ...pipeline.lastRun,
+        status: 'running',
+        endedAt: null,
+        resumedAt: new Date().toISOString(),
+      };
+    } else {
+      lastRun = {
+        status: 'running',
+        startedAt: new Date().toISOString(),
+        endedAt: null,
+        ...(input ? { input } : {}),
+        ...(outputDir ? { outputDir, outputPrefix } : {}),
+        steps: pipeline.steps.map((s) => ({ toolId: s.toolId, status: 'pending', outputs: [] })),
+      };
+    }
+
+    active.set(pipelineId, { stopping: false, currentRunId: null });
+    publish(pipelineId, lastRun);
+
+    // Fire and forget; progress is pushed through onUpdate
+    execute(pipeline, lastRun, fromIndex)
+      .catch((err) => {
+        console.error('[PIPELINES] Pipeline crashed:', err);
+        active.delete(pipelineId);
+        const failed = { ...lastRun, status: 'failed', endedAt: new Date().toISOString() };
+        publish(pipelineId, failed);
+        return failed;
+      })
+      .then((finished) => {
+        if (onDone) onDone(finished);
+      })
+      .catch((err) => console.error('[PIPELINES] onDone failed:', err));
+
+    return { fromStep: fromIndex };
+  }
+
+  function stop(pipelineId) {
+    const state = active.get(pipelineId);
+    if (!state) return { ok: false, reason: 'Pipeline is not running' };
+    state.stopping = true;
+    if (state.currentRunId) stopRun(state.currentRunId);
+    return { ok: true };
+  }
+
+  function isRunning(pipelineId) {
+    return active.has(pipelineId);
+  }
+
+  return { run, stop, isRunning };
+}
+
+module.exports = {
+  DEFAULT_INPUT_FIELDS,
+  createPipelineStore,
+  createPipelineRunner,
+  resolveOutputDir,
+  snapshotDir,
+  diffOutputs,
+  valueForInput,
+  withOutputDir,
+};
@@ -0,0 +1,355 @@
+// main/preflight.js
+// "Validate" before a run: reads a tool's input the way the tool will and
+// reports what would go wrong, without calling any API.
+//
+//   rows       total input rows (all files; TXT = one value per line)
+//   columns    per column the tool reads (backend/lib/column-map.js TOOL_COLUMNS):
+//              which header, empty / invalid values, values the tool would clean up
+//              (backend/lib/input-checks.js, the rules the list tools apply)
+//   duplicates rows whose first required value repeats an earlier row
+//   rejected   rows with an empty / invalid required value or a duplicate;
+//              exportable as CSV with a "Rejected reason" column
+//   estimate   cost of the rows the tool would send: average spend per processed
+//              row of recent runs (run history), else DEFAULT_COST_PER_ROW
+//
+// Used by main.js (preflight:* IPC) and the headless CLI (koldify validate).
+
+const fs = require('fs');
+const path = require('path');
+const csv = require('csv-parser');
+const { TOOL_COLUMNS, SAMPLE_ROWS, suggestColumnMap, resolveColumn } = require('../backend/lib/column-map');
+const { checkValue } = require('../backend/lib/input-checks');
+const { DEFAULT_INPUT_FIELDS } = require('./pipelines');
+
+const MAX_SAMPLES = 5;
+const HISTORY_RUNS = 5;
+const REJECTED_REASON = 'Rejected reason';
+
+/**
+ * unit:         what the tool spends ('credits' = Blitz, 'usd' = Apify usage, null = free)
+ * skipsInvalid: the tool drops invalid values itself (they cost nothing)
+ * dedupes:      the tool sends each distinct value once
+ * kinds:        check a field as another kind than its column-map kind
+ */
+const TOOL_RULES = {
+  'reaction-scraper': { unit: 'usd' },
+  'comment-scraper': { unit: 'usd' },
+  'contact-details-scraper': { unit: 'usd' },
+  'apify-email-enricher': { unit: 'usd' },
+  'linkedin-profile-enhancer': { unit: 'usd' },
+  'inmail-checker': { unit: null },
+  'email-enricher': { unit: 'credits' },
+  'waterfall-icp': { unit: 'credits' },
+  'reverse-phone': { unit: 'credits', skipsInvalid: true, dedupes: true },
+  'reverse-email': { unit: 'credits', skipsInvalid: true, dedupes: true },
+  'find-mobile-direct-phone': { unit: 'credits', skipsInvalid: true, dedupes: true },
+  'linkedin-url-to-domain': { unit: 'credits', skipsInvalid: true, dedupes: true },
+  'domain-to-linkedin': { unit: 'credits', skipsInvalid: true, dedupes: true },
+  'blitz-employee-finder': { unit: 'credits' },
+  // Any column can be the dedupe key, so only emptiness is checked
+  'csv-deduplicator': { unit: null, kinds: { dedupeBy: 'text' } },
+};
+
+// Used until the tool has finished runs with spend: one Blitz lookup ≈ 1 credit.
+// Apify cost depends on the actor and its output, so it has no default.
+const DEFAULT_COST_PER_ROW = { credits: 1, usd: null };
+
+function listCsvFiles(dir) {
+  return fs
+    .readdirSync(dir)
+    .filter((name) => name.toLowerCase().endsWith('.csv'))
+    .sort()
+    .map((name) => path.join(dir, name));
+}
+
+/** Input files of a tool: folders expand to their CSVs. */
+function expandInputFiles(paths = []) {
+  const files = [];
+  for (const p of [].concat(paths).filter(Boolean)) {
+    const resolved = path.resolve(String(p));
+    if (!fs.existsSync(resolved)) throw new Error(`File not found: ${resolved}`);
+    if (fs.statSync(resolved).isDirectory()) files.push(...listCsvFiles(resolved));
+    else files.push(resolved);
+  }
+  return files;
+}
+
+/** The input path(s) in a run payload (pipelines' DEFAULT_INPUT_FIELDS). */
+function inputPathsFromPayload(toolId, payload = {}) {
+  const input = DEFAULT_INPUT_FIELDS[toolId];
+  if (!input) return [];
+  return [].concat(payload[input.field] || []).filter(Boolean);
+}
+
+/**
+ * Stream a CSV; onRow(row, rowNumber) runs after onColumns(headers, sampleRows)
+ * has seen the first SAMPLE_ROWS rows (column suggestions need values).
+ * TXT files become one "value" column.
+ */
+function readRows(filePath, { onColumns, onRow }) {
+  if (!filePath.toLowerCase().endsWith('.csv')) {
+    const lines = fs
+      .readFileSync(filePath, 'utf8')
+      .split(/\r?\n/)
+      .map((l) => l.trim())
+      .filter(Boolean);
+    onColumns(null, []);
+    lines.forEach((value, i) => onRow({ value }, i + 1));
+    return Promise.resolve();
+  }
+
+  return new Promise((resolve, reject) => {
+    let headers = [];
+    let pending = [];
+    let rowNumber = 0;
+
+    const flush = () => {
+      if (!pending) return;
+      onColumns(headers, pending);
+      pending.forEach((row, i) => onRow(row, i + 1));
+      pending = null;
+    };
+
+    const stream = fs
+      .createReadStream(filePath)
+      .pipe(csv({ mapHeaders: ({ header }) => header.replace(/^\uFEFF/, '') }));
+
+    stream
+      .on('headers', (h) => {
+        headers = h;
+      })
+      .on('data', (row) => {
+        rowNumber++;
+        try {
+          if (pending) {
+            pending.push(row);
+            if (pending.length >= SAMPLE_ROWS) flush();
+          } else {
+            onRow(row, rowNumber);
+          }
+        } catch (err) {
+          stream.destroy();
+          reject(err);
+        }
+      })
+      .on('end', () => {
+        try {
+          flush();
+          resolve();
+        } catch (err) {
+          reject(err);
+        }
+      })
+      .on('error', reject);
+  });
+}
+
+function newColumnStats(spec, kind) {
+  return {
+    field: spec.field,
+    label: spec.label,
+    kind,
+    required: !!spec.required,
+    header: null,
+    error: null,
+    filled: 0,
+    empty: 0,
+    invalid: 0,
+    fixed: 0,
+    invalidSamples: [],
+    fixSamples: [],
+  };
+}
+
+/**
+ * Average spend per processed row over the tool's recent finished runs
+ * (history metas with metrics.budgetSpent and progress.done).
+ */
+function costPerRowFromHistory(unit, metas = []) {
+  const runs = metas
+    .filter((m) => m.status !== 'running' && m.metrics?.budgetUnit === unit)
+    .filter((m) => Number(m.metrics.budgetSpent) > 0 && Number(m.progress?.done) > 0)
+    .slice(0, HISTORY_RUNS);
+  if (!runs.length) return null;
+
+  const spent = runs.reduce((sum, m) => sum + Number(m.metrics.budgetSpent), 0);
+  const rows = runs.reduce((sum, m) => sum + Number(m.progress.done), 0);
+  return { perRow: spent / rows, runs: runs.length };
+}
+
+function estimateCost(toolId, rows, history = []) {
+  const unit = TOOL_RULES[toolId]?.unit || null;
+  if (!unit) return { unit: null, rows, amount: 0, perRow: 0, basis: 'free' };
+
+  const fromHistory = costPerRowFromHistory(unit, history);
+  if (fromHistory) {
+    return { unit, rows, perRow: fromHistory.perRow, amount: fromHistory.perRow * rows, basis: 'history', runs: fromHistory.runs };
+  }
+  const perRow = DEFAULT_COST_PER_ROW[unit];
+  if (perRow === null) return { unit, rows, amount: null, perRow: null, basis: 'unknown' };
+  return { unit, rows, perRow, amount: perRow * rows, basis: 'default' };
+}
+
+/**
+ * files:      input paths (folders expand to their CSVs)
+ * columnMap:  { field: header } picks (payload.columnMap); unmapped fields use the suggested column
+ * history:    the tool's run history metas (cost estimate)
+ * onRejected(row, { file, row, reasons })  for exporting rejected rows
+ */
+async function runPreflight({ toolId, files = [], columnMap = {}, history = [], onRejected = null }) {
+  const specs = TOOL_COLUMNS[toolId] || [];
+  if (!specs.length) throw new Error(`${toolId} has no input columns to validate`);
+  const rules = TOOL_RULES[toolId] || {};
+  const inputFiles = expandInputFiles(files);
+  if (!inputFiles.length) throw new Error('Pick an input file first.');
+
+  const columns = specs.map((spec) => newColumnStats(spec, rules.kinds?.[spec.field] || spec.kind));
+  const keyColumn = columns.find((c) => c.required) || columns[0];
+  const seen = new Map(); // key value -> "file row N" of its first row
+  const report = {
+    toolId,
+    files: inputFiles,
+    rows: 0,
+    emptyRows: 0,
+    invalidRows: 0,
+    duplicates: 0,
+    rejected: 0,
+    columns,
+  };
+
+  for (const file of inputFiles) {
+    let headerFor = {}; // field -> header in this file
+
+    await readRows(file, {
+      onColumns: (headers, sample) => {
+        // TXT input: the one value is the key column
+        if (!headers) {
+          headerFor = { [keyColumn.field]: 'value' };
+          keyColumn.header = keyColumn.header || '(one value per line)';
+          return;
+        }
+        const suggested = suggestColumnMap(toolId, headers, sample);
+        for (const column of columns) {
+          try {
+            headerFor[column.field] = resolveColumn(headers, columnMap, column.field, [suggested[column.field]]);
+          } catch (err) {
+            column.error = err.message;
+          }
+          if (headerFor[column.field]) column.header = column.header || headerFor[column.field];
+          else if (column.required && !column.error) column.error = `No column found for ${column.label}`;
+        }
+      },
+      onRow: (row, rowNumber) => {
+        report.rows++;
+        const reasons = [];
+        let key = null;
+        let empty = false;
+        let invalid = false;
+
+        for (const column of columns) {
+          const header = headerFor[column.field];
+          if (!header) {
+            if (column.required) {
+              column.empty++;
+              empty = true;
+              reasons.push(`No ${column.label} column`);
+            }
+            continue;
+          }
+
+          const check = checkValue(column.kind, row[header]);
+          if (check.empty) {
+            column.empty++;
+            if (column.required) {
+              empty = true;
+              reasons.push(`Empty ${column.label}`);
+            }
+            continue;
+          }
+
+          column.filled++;
+          if (check.fixed && check.valid) {
+            column.fixed++;
+            if (column.fixSamples.length < MAX_SAMPLES) column.fixSamples.push({ from: String(row[header]).trim(), to: check.value });
+          }
+          if (!check.valid) {
+            const raw = String(row[header]).trim();
+            column.invalid++;
+            if (column.invalidSamples.length < MAX_SAMPLES) column.invalidSamples.push(raw);
+            if (column.required) {
+              invalid = true;
+              reasons.push(`Invalid ${column.label}: ${raw}`);
+            }
+          }
+          if (column === keyColumn && check.valid) key = check.value.toLowerCase();
+        }
+
+        const where = `${path.basename(file)} row ${rowNumber}`;
+        if (key !== null) {
+          if (seen.has(key)) {
+            report.duplicates++;
+            reasons.push(`Duplicate of ${seen.get(key)}`);
+          } else {
+            seen.set(key, where);
+          }
+        }
+
+        if (empty) report.emptyRows++;
+        else if (invalid) report.invalidRows++;
+        if (reasons.length) {
+          report.rejected++;
+          if (onRejected) onRejected(row, { file, row: rowNumber, reasons });
+        }
+      },
+    });
+  }
+
+  // What the tool would actually send (and pay for)
+  let toSend = report.rows - report.emptyRows;
+  if (rules.skipsInvalid) toSend -= report.invalidRows;
+  if (rules.dedupes) toSend -= report.duplicates;
+  report.toSend = Math.max(0, toSend);
+  report.estimate = estimateCost(toolId, report.toSend, history);
+  return report;
+}
+
+function csvCell(value) {
+  const s = String(value ?? '');
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * Validate again and write the rejected rows (all input columns + "Rejected reason").
+ * Returns { outputPath, rows }.
+ */
+async function exportRejectedRows({ outputPath, ...options }) {
+  const rejected = [];
+  const headers = [];
+  await runPreflight({
+    ...options,
+    onRejected: (row, { file, row: rowNumber, reasons }) => {
+      Object.keys(row).forEach((h) => headers.includes(h) || headers.push(h));
+      rejected.push({ row, where: `${path.basename(file)} row ${rowNumber}`, reasons });
+    },
+  });
+
+  const columns = [...headers, REJECTED_REASON, 'Source'];
+  const lines = [columns.map(csvCell).join(',')];
+  for (const { row, where, reasons } of rejected) {
+    lines.push([...headers.map((h) => row[h]), reasons.join('; '), where].map(csvCell).join(','));
+  }
+
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+  fs.writeFileSync(outputPath, `${lines.join('\n')}\n`, 'utf8');
+  return { outputPath, rows: rejected.length };
+}
+
+module.exports = {
+  TOOL_RULES,
+  DEFAULT_COST_PER_ROW,
+  expandInputFiles,
+  inputPathsFromPayload,
+  estimateCost,
+  runPreflight,
+  exportRejectedRows,
+};
@@ -0,0 +1,166 @@
+// main/presets.js
+// Named tool presets (userData/presets.json)
+//
+// A preset keeps two views of the same config:
+//   - form:    snapshot of the card's controls, used to refill the UI
+//   - payload: what collectToolConfig() produced, usable without the UI (CLI, pipelines)
+// Secrets are stripped from both before anything is written.
+
+const fs = require('fs');
+const path = require('path');
+const { randomUUID } = require('crypto');
+const { stripSecrets, isSecretKey } = require('./redact');
+
+const PRESETS_VERSION = 1;
+
+function sanitizeForm(form) {
+  if (!form || typeof form !== 'object') return {};
+  const out = {};
+  for (const [key, field] of Object.entries(form)) {
+    if (!field || typeof field !== 'object') continue;
+    if (field.secret || isSecretKey(key)) continue;
+    out[key] = field;
+  }
+  return out;
+}
+
+function normalizePreset(raw, toolIdFallback) {
+  const toolId = String(raw?.toolId || toolIdFallback || '').trim();
+  const name = String(raw?.name || '').trim();
+  if (!toolId || !name) return null;
+
+  return {
+    id: raw.id || randomUUID(),
+    toolId,
+    name,
+    form: sanitizeForm(raw.form),
+    payload: stripSecrets(raw.payload || {}),
+    isDefault: !!raw.isDefault,
+    updatedAt: raw.updatedAt || new Date().toISOString(),
+  };
+}
+
+function createPresetStore({ file }) {
+  function read() {
+    try {
+      if (!fs.existsSync(file)) return [];
+      const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+      return Array.isArray(parsed?.presets) ? parsed.presets : [];
+    } catch (err) {
+      console.error('[PRESETS] Failed to read presets:', err.message);
+      return [];
+    }
+  }
+
+  function write(presets) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(
+      file,
+      JSON.stringify({ version: PRESETS_VERSION, presets }, null, 2),
+      'utf8'
+    );
+  }
+
+  function list(toolId) {
+    const all = read();
+    const filtered = toolId ? all.filter((p) => p.toolId === toolId) : all;
+    return filtered.sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  function get(id) {
+    return read().find((p) => p.id === id) || null;
+  }
+
+  function findByName(toolId, name) {
+    return read().find((p) => p.toolId === toolId && p.name === name) || null;
+  }
+
+  /**
+   * Create or overwrite (same tool + same name) a preset.
+   */
+  function save(raw) {
+    const preset = normalizePreset(raw);
+    if (!preset) throw new Error('Preset needs a toolId and a name');
+
+    const all = read();
+    const idx = all.findIndex((p) => p.toolId === preset.toolId && p.name === preset.name);
+    if (idx !== -1) {
+      preset.id = all[idx].id;
+      preset.isDefault = all[idx].isDefault || preset.isDefault;
+      all[idx] = { ...preset, updatedAt: new Date().toISOString() };
+    } else {
+      all.push(preset);
+    }
+
+    write(all);
+    return idx !== -1 ? all[idx] : preset;
+  }
+
+  function remove(id) {
+    const all = read();
+    const next = all.filter((p) => p.id !== id);
+    write(next);
+    return next.length !== all.length;
+  }
+
+  // Only one default per tool
+  function setDefault(id, isDefault = true) {
+    const all = read();
+    const target = all.find((p) => p.id === id);
+    if (!target) throw new Error(`Preset not found: ${id}`);
+
+    all.forEach((p) => {
+      if (p.toolId === target.toolId) p.isDefault = isDefault && p.id === id;
+    });
+    write(all);
+    return target;
+  }
+
+  function getDefault(toolId) {
+    return read().find((p) => p.toolId === toolId && p.isDefault) || null;
+  }
+
+  function exportPresets(toolId) {
+    return {
+      version: PRESETS_VERSION,
+      exportedAt: new Date().toISOString(),
+      presets: list(toolId).map(({ id, isDefault, ...rest }) => rest),
+    };
+  }
+
+  /**
+   * Merge presets from an export file. Same tool + name overwrites.
+   * Returns: { imported, skipped }
+   */
+  function importPresets(data) {
+    const incoming = Array.isArray(data?.presets) ? data.presets : Array.isArray(data) ? data : [];
+    let imported = 0;
+    let skipped = 0;
+
+    for (const raw of incoming) {
+      const preset = normalizePreset({ ...raw, id: undefined, isDefault: false });
+      if (!preset) {
+        skipped++;
+        continue;
+      }
+      save(preset);
+      imported++;
+    }
+
+    return { imported, skipped };
+  }
+
+  return {
+    list,
+    get,
+    findByName,
+    save,
+    remove,
+    setDefault,
+    getDefault,
+    exportPresets,
+    importPresets,
+  };
+}
+
+module.exports = { createPresetStore, PRESETS_VERSION };
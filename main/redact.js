@@ -0,0 +1,47 @@
+// main/redact.js
+// Secret handling for anything we persist or share (history, presets)
+
+const REDACTED = '[redacted]';
+
+// Payload keys that hold secrets (paths like keysFilePath are kept on purpose)
+const SECRET_KEY_RE = /(api[-_]?key|token|secret|password)/i;
+const SECRET_KEY_ALLOW_RE = /(path|file|dir|column|col)$/i;
+
+function isSecretKey(key) {
+  return SECRET_KEY_RE.test(key) && !SECRET_KEY_ALLOW_RE.test(key);
+}
+
+function isEmpty(v) {
+  return v === undefined || v === null || v === '';
+}
+
+/**
+ * Deep-copy a payload and replace secret values with a marker.
+ */
+function redactPayload(value) {
+  if (Array.isArray(value)) return value.map(redactPayload);
+  if (!value || typeof value !== 'object') return value;
+
+  const out = {};
+  for (const [key, v] of Object.entries(value)) {
+    out[key] = isSecretKey(key) && !isEmpty(v) ? REDACTED : redactPayload(v);
+  }
+  return out;
+}
+
+/**
+ * Deep-copy a payload and drop secret values entirely.
+ */
+function stripSecrets(value) {
+  if (Array.isArray(value)) return value.map(stripSecrets);
+  if (!value || typeof value !== 'object') return value;
+
+  const out = {};
+  for (const [key, v] of Object.entries(value)) {
+    if (isSecretKey(key)) continue;
+    out[key] = stripSecrets(v);
+  }
+  return out;
+}
+
+module.exports = { REDACTED, isSecretKey, redactPayload, stripSecrets };
@@ -0,0 +1,204 @@
+// main/run-history.js
+// Persistent run history (one JSON meta + one JSONL log stream per run)
+//
+// Layout under <dir>:
+//   <runId>.json        -> { runId, toolId, origin, payload, startedAt, endedAt, exitCode, status, metrics, progress, artifacts }
+//   <runId>.log.jsonl   -> one { ts, level, message } object per line
+
+const fs = require('fs');
+const path = require('path');
+const { redactPayload, REDACTED } = require('./redact');
+
+function createRunHistory({ dir, maxEntries = 200 }) {
+  // runId -> { meta, logStream }
+  const open = new Map();
+
+  function metaPath(runId) {
+    return path.join(dir, `${runId}.json`);
+  }
+
+  function logPath(runId) {
+    return path.join(dir, `${runId}.log.jsonl`);
+  }
+
+  function ensureDir() {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  function writeMeta(meta) {
+    ensureDir();
+    fs.writeFileSync(metaPath(meta.runId), JSON.stringify(meta, null, 2), 'utf8');
+  }
+
+  function readMeta(runId) {
+    try {
+      return JSON.parse(fs.readFileSync(metaPath(runId), 'utf8'));
+    } catch {
+      return null;
+    }
+  }
+
+  function listMetas() {
+    if (!fs.existsSync(dir)) return [];
+    return fs
+      .readdirSync(dir)
+      .filter((f) => f.endsWith('.json'))
+      .map((f) => readMeta(f.slice(0, -'.json'.length)))
+      .filter(Boolean)
+      .sort((a, b) => String(b.startedAt).localeCompare(String(a.startedAt)));
+  }
+
+  function removeFiles(runId) {
+    for (const p of [metaPath(runId), logPath(runId)]) {
+      try {
+        fs.unlinkSync(p);
+      } catch {
+        // already gone
+      }
+    }
+  }
+
+  // Keep the store bounded (oldest finished runs go first)
+  function prune() {
+    const metas = listMetas().filter((m) => !open.has(m.runId));
+    metas.slice(maxEntries).forEach((m) => removeFiles(m.runId));
+  }
+
+  /**
+   * Record a run that just spawned.
+   */
+  function start({ runId, toolId, payload, origin = 'ui' }) {
+    const meta = {
+      runId,
+      toolId,
+      origin,
+      payload: redactPayload(payload || {}),
+      startedAt: new Date().toISOString(),
+      endedAt: null,
+      exitCode: null,
+      status: 'running',
+      metrics: null,
+      artifacts: [],
+    };
+
+    writeMeta(meta);
+    const logStream = fs.createWriteStream(logPath(runId), { flags: 'a', encoding: 'utf8' });
+    logStream.on('error', (err) => console.error('[HISTORY] log stream error:', err.message));
+    open.set(runId, { meta, logStream });
+    return meta;
+  }
+
+  function appendLog(runId, level, message) {
+    const entry = open.get(runId);
+    if (!entry) return;
+    entry.logStream.write(
+      JSON.stringify({ ts: new Date().toISOString(), level, message: String(message ?? '') }) + '\n'
+    );
+  }
+
+  /**
+   * Keep the latest metrics snapshot (merged, like the UI does).
+   */
+  function updateMetrics(runId, metrics) {
+    const entry = open.get(runId);
+    if (!entry || !metrics || typeof metrics !== 'object') return;
+    entry.meta.metrics = { ...(entry.meta.metrics || {}), ...metrics };
+  }
+
+  /**
+   * Keep the latest progress ({ done, total, unit }); the pre-flight cost
+   * estimate divides a run's spend by progress.done.
+   */
+  function updateProgress(runId, progress) {
+    const entry = open.get(runId);
+    if (!entry || !progress || typeof progress !== 'object') return;
+    entry.meta.progress = { done: progress.done, total: progress.total, unit: progress.unit };
+  }
+
+  /**
+   * Record a file the run wrote ({ path, kind, label, rows }); a repeat for the
+   * same path updates the entry instead of adding another one.
+   */
+  function addArtifact(runId, artifact) {
+    const entry = open.get(runId);
+    if (!entry || !artifact?.path) return;
+    const artifacts = entry.meta.artifacts || (entry.meta.artifacts = []);
+    const existing = artifacts.find((a) => a.path === artifact.path);
+    if (existing) Object.assign(existing, artifact);
+    else artifacts.push({ ...artifact });
+  }
+
+  function finish(runId, { exitCode, stopped = false }) {
+    const entry = open.get(runId);
+    if (!entry) return null;
+
+    const { meta, logStream } = entry;
+    meta.endedAt = new Date().toISOString();
+    meta.exitCode = exitCode;
+    if (stopped) meta.status = 'stopped';
+    else meta.status = exitCode === 0 ? 'success' : 'failed';
+
+    writeMeta(meta);
+    logStream.end();
+    open.delete(runId);
+
+    try {
+      prune();
+    } catch (err) {
+      console.error('[HISTORY] prune failed:', err.message);
+    }
+    return meta;
+  }
+
+  function list({ toolId, limit = 20 } = {}) {
+    const metas = listMetas().map((m) => {
+      // Live runs: serve the in-memory snapshot
+      const live = open.get(m.runId);
+      return live ? { ...live.meta } : m;
+    });
+    const filtered = toolId ? metas.filter((m) => m.toolId === toolId) : metas;
+    return filtered.slice(0, Math.max(1, Number(limit) || 20));
+  }
+
+  function get(runId) {
+    const live = open.get(runId);
+    const meta = live ? { ...live.meta } : readMeta(runId);
+    if (!meta) return null;
+
+    let lines = [];
+    try {
+      lines = fs
+        .readFileSync(logPath(runId), 'utf8')
+        .split(/\r?\n/)
+        .filter(Boolean)
+        .map((l) => {
+          try {
+            return JSON.parse(l);
+          } catch {
+            return { level: 'info', message: l };
+          }
+        });
+    } catch {
+      lines = [];
+    }
+
+    return { meta, lines };
+  }
+
+  function remove(runId) {
+    if (open.has(runId)) return false;
+    removeFiles(runId);
+    return true;
+  }
+
+  // Runs left "running" by a crash/forced quit are marked as interrupted
+  function markInterrupted() {
+    listMetas()
+      .filter((m) => m.status === 'running' && !open.has(m.runId))
+      .forEach((m) => writeMeta({ ...m, status: 'interrupted' }));
+  }
+
+  return { start, appendLog, updateMetrics, updateProgress, addArtifact, finish, list, get, remove, markInterrupted };
+}
+
+module.exports = { createRunHistory, REDACTED };
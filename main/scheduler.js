@@ -0,0 +1,444 @@
+// main/scheduler.js
+// Scheduled / recurring runs: a tool (saved preset and/or inline payload) plus
+// a cron-style schedule, started through the same startRun() as tool:run.
+//
+// Schedule (userData/schedules.json):
+//   {
+//     id, name, toolId,
+//     presetId?: '…',              // base payload comes from a saved preset…
+//     payload?: { … },             // …and/or inline overrides (secrets stripped)
+//     cron: '0 9 * * 1',           // minute hour day-of-month month day-of-week
+//     missedPolicy: 'run-once' | 'skip',
+//     enabled: true,
+//     nextRunAt,                   // next due time (ISO), survives restarts
+//     history: [{ scheduledFor, firedAt, runId, status, error, missed, manual }]   (newest first)
+//   }
+//
+// Missed runs: when a due time passed while the app was closed (or the machine
+// slept), 'run-once' starts one catch-up run however many were missed and
+// 'skip' only records them and waits for the next due time.
+
+const { randomUUID } = require('crypto');
+const { stripSecrets } = require('./redact');
+const { createJsonStore } = require('./json-store');
+
+const SCHEDULES_VERSION = 1;
+const MISSED_POLICIES = ['run-once', 'skip'];
+const HISTORY_LIMIT = 20;
+
+// A due time this late is still "on time" (timer drift, busy event loop)
+const LATE_GRACE_MS = 2 * 60 * 1000;
+
+// ================================
+// ⏰ CRON EXPRESSIONS
+// ================================
+const CRON_MACROS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+  '@yearly': '0 0 1 1 *',
+};
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'], offset: 1 },
+  // 0 and 7 are both Sunday
+  { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'], offset: 0 },
+];
+
+function parseCronValue(token, spec) {
+  const lower = token.toLowerCase();
+  const named = spec.names ? spec.names.indexOf(lower) : -1;
+  if (named !== -1) return named + spec.offset;
+
+  const n = /^\d+$/.test(token) ? Number(token) : NaN;
+  if (!Number.isInteger(n) || n < spec.min || n > spec.max) {
+    throw new Error(`Invalid ${spec.name} "${token}" (allowed ${spec.min}-${spec.max})`);
+  }
+  return n;
+}
+
+// "*", "5", "1-5", "*/15", "9-17/2", "mon,wed,fri"
+function parseCronField(text, spec) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) throw new Error(`Invalid step "${part}" in ${spec.name}`);
+
+    let lo;
+    let hi;
+    if (range === '*') {
+      lo = spec.min;
+      hi = spec.max;
+    } else if (range.includes('-')) {
+      const [a, b] = range.split('-');
+      lo = parseCronValue(a, spec);
+      hi = parseCronValue(b, spec);
+    } else {
+      lo = parseCronValue(range, spec);
+      hi = stepText === undefined ? lo : spec.max;
+    }
+    if (lo > hi) throw new Error(`Invalid range "${range}" in ${spec.name}`);
+
+    for (let v = lo; v <= hi; v += step) values.add(v);
+  }
+  return values;
+}
+
+/**
+ * Parse a 5-field cron expression (or @daily, @weekly, …). Throws on bad input.
+ */
+function parseCron(expr) {
+  const raw = String(expr ?? '').trim();
+  const text = CRON_MACROS[raw.toLowerCase()] || raw;
+  const parts = text.split(/\s+/).filter(Boolean);
+  if (parts.length !== 5) {
+    throw new Error('Schedule needs 5 fields: minute hour day-of-month month day-of-week (e.g. "0 9 * * 1")');
+  }
+
+  const [minutes, hours, days, months, weekdays] = parts.map((p, i) => parseCronField(p, CRON_FIELDS[i]));
+  if (weekdays.has(7)) weekdays.add(0);
+
+  return {
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    // Classic cron: with both day fields restricted, either one may match
+    domStar: parts[2] === '*',
+    dowStar: parts[4] === '*',
+  };
+}
+
+function cronDayMatches(cron, d) {
+  const dom = cron.days.has(d.getDate());
+  const dow = cron.weekdays.has(d.getDay());
+  if (cron.domStar && cron.dowStar) return true;
+  if (cron.domStar) return dow;
+  if (cron.dowStar) return dom;
+  return dom || dow;
+}
+
+/**
+ * First time strictly after `after` (local time, whole minutes) that matches
+ * the parsed cron; null if it never matches (e.g. "0 0 31 2 *").
+ */
+function nextCronTime(cron, after) {
+  const d = new Date(after);
+  d.setSeconds(0, 0);
+  d.setMinutes(d.getMinutes() + 1);
+
+  // Each miss jumps a month / day / hour / minute, so this covers years
+  for (let i = 0; i < 100000; i++) {
+    if (!cron.months.has(d.getMonth() + 1)) {
+      d.setMonth(d.getMonth() + 1, 1);
+      d.setHours(0, 0, 0, 0);
+    } else if (!cronDayMatches(cron, d)) {
+      d.setDate(d.getDate() + 1);
+      d.setHours(0, 0, 0, 0);
+    } else if (!cron.hours.has(d.getHours())) {
+      d.setHours(d.getHours() + 1, 0, 0, 0);
+    } else if (!cron.minutes.has(d.getMinutes())) {
+      d.setMinutes(d.getMinutes() + 1, 0, 0);
+    } else {
+      return d;
+    }
+  }
+  return null;
+}
+
+/**
+ * The next `count` due times of an expression (for the UI preview).
+ */
+function upcomingCronTimes(expr, { from = new Date(), count = 5 } = {}) {
+  const cron = parseCron(expr);
+  const out = [];
+  let cursor = from;
+  while (out.length < count) {
+    const next = nextCronTime(cron, cursor);
+    if (!next) break;
+    out.push(next.toISOString());
+    cursor = next;
+  }
+  return out;
+}
+
+// ================================
+// 💾 STORE
+// ================================
+function createScheduleStore({ file }) {
+  const store = createJsonStore({ file, key: 'schedules', version: SCHEDULES_VERSION, tag: 'SCHEDULER' });
+
+  /**
+   * Create or update (same id or same name) a schedule.
+   */
+  function save(raw) {
+    const name = String(raw?.name || '').trim();
+    if (!name) throw new Error('Schedule needs a name');
+
+    const toolId = String(raw.toolId || '').trim();
+    if (!toolId) throw new Error('Schedule needs a tool');
+
+    const presetId = raw.presetId ? String(raw.presetId) : null;
+    const payload = raw.payload && typeof raw.payload === 'object' ? stripSecrets(raw.payload) : null;
+    if (!presetId && !payload) throw new Error('Schedule needs a preset or the card settings to run with');
+
+    const cronText = String(raw.cron || '').trim();
+    const cron = parseCron(cronText);
+    if (!nextCronTime(cron, new Date())) throw new Error(`"${cronText}" never comes round`);
+
+    const all = store.read();
+    const idx = all.findIndex((s) => (raw.id && s.id === raw.id) || s.name === name);
+    const existing = idx !== -1 ? all[idx] : null;
+    const enabled = raw.enabled === undefined ? true : !!raw.enabled;
+
+    const schedule = {
+      id: existing?.id || randomUUID(),
+      name,
+      toolId,
+      ...(presetId ? { presetId } : {}),
+      ...(payload ? { payload } : {}),
+      cron: cronText,
+      missedPolicy: MISSED_POLICIES.includes(raw.missedPolicy) ? raw.missedPolicy : 'run-once',
+      enabled,
+      // A new or re-timed schedule counts from now, not from its old due time
+      nextRunAt:
+        enabled && existing?.enabled && existing.cron === cronText && existing.nextRunAt
+          ? existing.nextRunAt
+          : enabled
+            ? nextCronTime(cron, new Date()).toISOString()
+            : null,
+      history: existing?.history || [],
+      updatedAt: new Date().toISOString(),
+    };
+
+    if (idx !== -1) all[idx] = schedule;
+    else all.push(schedule);
+    store.write(all);
+    return schedule;
+  }
+
+  function markInterrupted() {
+    store.markInterrupted((s) => s.history);
+  }
+
+  return { list: store.list, get: store.get, save, remove: store.remove, update: store.update, markInterrupted };
+}
+
+// ================================
+// ▶️ SCHEDULER
+// ================================
+
+/**
+ * deps:
+ *   store            schedule store
+ *   getPresetPayload (presetId) => payload | null
+ *   startRun         (toolId, payload, { origin, onExit }) => { runId, queued }
+ *   onUpdate         (schedule) => void   (UI / tray push)
+ *   onMissed         (schedule, { missed, policy }) => void   (optional notice)
+ */
+function createScheduler({ store, getPresetPayload, startRun, onUpdate, onMissed = () => {} }) {
+  // scheduleId -> runId of its run still in flight
+  const active = new Map();
+  let timer = null;
+
+  function publish(schedule) {
+    if (!schedule) return;
+    try {
+      onUpdate(schedule);
+    } catch (err) {
+      console.error('[SCHEDULER] onUpdate failed:', err);
+    }
+  }
+
+  function addHistory(id, entry) {
+    return store.update(id, (s) => {
+      s.history = [entry, ...(s.history || [])].slice(0, HISTORY_LIMIT);
+    });
+  }
+
+  function updateHistory(id, runId, patch) {
+    return store.update(id, (s) => {
+      const entry = (s.history || []).find((h) => h.runId === runId);
+      if (entry) Object.assign(entry, patch);
+    });
+  }
+
+  function buildPayload(schedule) {
+    const base = schedule.presetId ? getPresetPayload(schedule.presetId) : null;
+    if (schedule.presetId && !base) throw new Error('The schedule\'s preset no longer exists');
+    return { ...(base || {}), ...(schedule.payload || {}) };
+  }
+
+  /**
+   * Start one run of a schedule. Never throws: failures land in its history.
+   */
+  function fire(schedule, { scheduledFor = null, missed = 0, manual = false } = {}) {
+    const entry = {
+      scheduledFor,
+      firedAt: new Date().toISOString(),
+      runId: null,
+      status: 'running',
+      error: null,
+      ...(missed ? { missed } : {}),
+      ...(manual ? { manual: true } : {}),
+    };
+
+    if (active.has(schedule.id)) {
+      publish(addHistory(schedule.id, { ...entry, status: 'skipped', error: 'Previous run still in progress' }));
+      return entry;
+    }
+
+    let started;
+    try {
+      started = startRun(schedule.toolId, buildPayload(schedule), {
+        origin: 'schedule',
+        onExit: (result) => {
+          active.delete(schedule.id);
+          let status = 'success';
+          if (result.cancelled) status = 'cancelled';
+          else if (result.stopped) status = 'stopped';
+          else if (result.code !== 0) status = 'failed';
+          publish(updateHistory(schedule.id, started.runId, {
+            status,
+            endedAt: new Date().toISOString(),
+            error: status === 'failed' ? result.error || `Exited with code ${result.code}` : null,
+          }));
+        },
+      });
+    } catch (err) {
+      publish(addHistory(schedule.id, { ...entry, status: 'failed', error: err.message }));
+      return entry;
+    }
+
+    active.set(schedule.id, started.runId);
+    entry.runId = started.runId;
+    entry.status = started.queued ? 'queued' : 'running';
+    publish(addHistory(schedule.id, entry));
+    return entry;
+  }
+
+  function countMissed(cron, from, now) {
+    let missed = 1;
+    let cursor = from;
+    while (missed < 1000) {
+      cursor = nextCronTime(cron, cursor);
+      if (!cursor || cursor > now) break;
+      missed += 1;
+    }
+    return missed;
+  }
+
+  /**
+   * Start every schedule that is due. Catches up on due times missed while
+   * the app was closed, according to each schedule's missedPolicy.
+   */
+  function tick(now = new Date()) {
+    for (const schedule of store.list()) {
+      if (!schedule.enabled) continue;
+
+      let cron;
+      try {
+        cron = parseCron(schedule.cron);
+      } catch (err) {
+        console.error(`[SCHEDULER] ${schedule.name}: ${err.message}`);
+        continue;
+      }
+
+      const due = schedule.nextRunAt ? new Date(schedule.nextRunAt) : null;
+      if (due && due <= now) {
+        const scheduledFor = due.toISOString();
+        if (now - due <= LATE_GRACE_MS) {
+          fire(schedule, { scheduledFor });
+        } else {
+          const missed = countMissed(cron, due, now);
+          if (schedule.missedPolicy === 'skip') {
+            publish(addHistory(schedule.id, {
+              scheduledFor,
+              firedAt: null,
+              runId: null,
+              status: 'missed',
+              error: `App was not running; ${missed} due time(s) skipped`,
+              missed,
+            }));
+          } else {
+            fire(schedule, { scheduledFor, missed });
+          }
+          try {
+            onMissed(schedule, { missed, policy: schedule.missedPolicy });
+          } catch (err) {
+            console.error('[SCHEDULER] onMissed failed:', err);
+          }
+        }
+      }
+
+      if (!due || due <= now) {
+        const next = nextCronTime(cron, now);
+        publish(store.update(schedule.id, (s) => {
+          s.nextRunAt = next ? next.toISOString() : null;
+        }));
+      }
+    }
+  }
+
+  // Wake up just after every minute boundary
+  function arm() {
+    const now = Date.now();
+    timer = setTimeout(() => {
+      try {
+        tick();
+      } catch (err) {
+        console.error('[SCHEDULER] tick failed:', err);
+      }
+      arm();
+    }, 60000 - (now % 60000) + 500);
+  }
+
+  function start() {
+    if (timer) return;
+    tick();
+    arm();
+  }
+
+  function stop() {
+    clearTimeout(timer);
+    timer = null;
+  }
+
+  function runNow(id) {
+    const schedule = store.get(id);
+    if (!schedule) throw new Error(`Schedule not found: ${id}`);
+    return fire(schedule, { manual: true });
+  }
+
+  function isRunning(id) {
+    return active.has(id);
+  }
+
+  /**
+   * Enabled schedules by due time: [{ id, name, toolId, nextRunAt }]
+   */
+  function upcoming() {
+    return store
+      .list()
+      .filter((s) => s.enabled && s.nextRunAt)
+      .sort((a, b) => String(a.nextRunAt).localeCompare(String(b.nextRunAt)))
+      .map(({ id, name, toolId, nextRunAt }) => ({ id, name, toolId, nextRunAt }));
+  }
+
+  return { start, stop, tick, runNow, isRunning, upcoming };
+}
+
+module.exports = {
+  MISSED_POLICIES,
+  parseCron,
+  nextCronTime,
+  upcomingCronTimes,
+  createScheduleStore,
+  createScheduler,
+};
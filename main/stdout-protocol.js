@@ -0,0 +1,154 @@
+// main/stdout-protocol.js
+// Parser for what backend scripts print on stdout/stderr.
+// Shared by main.js (handleStdoutLine) and the headless CLI.
+//
+// Scripts emit versioned events through backend/lib/events.js (schema there).
+// Every JSON line with a "v" or "type" is validated; a line that claims to be
+// an event but breaks the schema comes back as { kind: 'invalid' } so main can
+// log the violation instead of showing it as plain text.
+
+const { EVENT_VERSION, LOG_LEVELS, ARTIFACT_KINDS, SUMMARY_STATUSES } = require('../backend/lib/events');
+
+const isObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+const isCount = (value) => Number.isFinite(value) && value >= 0;
+const isScalar = (value) => value === null || ['number', 'string', 'boolean'].includes(typeof value);
+
+function checkMetrics(metrics) {
+  if (!isObject(metrics)) return ['metrics must be an object'];
+  return Object.entries(metrics)
+    .filter(([key, value]) => !/^[a-z][a-zA-Z0-9]*$/.test(key) || !isScalar(value))
+    .map(([key]) => `metric "${key}" must be camelCase with a number/string/boolean/null value`);
+}
+
+/** Per-type checks: each returns a list of problems (empty = valid). */
+const EVENT_SCHEMA = {
+  log: (e) => [
+    ...(LOG_LEVELS.includes(e.level) ? [] : [`level must be one of ${LOG_LEVELS.join('/')}`]),
+    ...(typeof e.message === 'string' ? [] : ['message must be a string']),
+  ],
+  status: (e) => [
+    ...(typeof e.status === 'string' && e.status ? [] : ['status must be a non-empty string']),
+    ...(e.metrics === undefined ? [] : checkMetrics(e.metrics)),
+  ],
+  progress: (e) => [
+    ...(isCount(e.done) ? [] : ['done must be a number >= 0']),
+    ...(e.total === null || isCount(e.total) ? [] : ['total must be a number >= 0 or null']),
+    ...(e.eta_ms === null || e.eta_ms === undefined || isCount(e.eta_ms) ? [] : ['eta_ms must be a number >= 0 or null']),
+  ],
+  metrics: (e) => checkMetrics(e.metrics),
+  artifact: (e) => [
+    ...(typeof e.path === 'string' && e.path ? [] : ['path must be a non-empty string']),
+    ...(ARTIFACT_KINDS.includes(e.kind) ? [] : [`kind must be one of ${ARTIFACT_KINDS.join('/')}`]),
+  ],
+  'warning-row': (e) => (typeof e.reason === 'string' && e.reason ? [] : ['reason must be a non-empty string']),
+  summary: (e) => [
+    ...(SUMMARY_STATUSES.includes(e.status) ? [] : [`status must be one of ${SUMMARY_STATUSES.join('/')}`]),
+    ...(e.counts === undefined ? [] : checkMetrics(e.counts)),
+  ],
+  request: (e) => (typeof e.endpoint === 'string' ? [] : ['endpoint must be a string']),
+};
+
+/**
+ * Check one parsed event. Returns a list of problems (empty = valid).
+ */
+function validateEvent(event) {
+  if (!isObject(event)) return ['event must be a JSON object'];
+  if (event.v !== EVENT_VERSION) return [`unsupported event version ${JSON.stringify(event.v)} (expected ${EVENT_VERSION})`];
+  const check = EVENT_SCHEMA[event.type];
+  if (!check) return [`unknown event type ${JSON.stringify(event.type)}`];
+  return check(event);
+}
+
+function toParsed(event) {
+  switch (event.type) {
+    case 'log':
+      return { kind: 'log', level: event.level, message: event.message };
+    case 'status':
+      return { kind: 'status', status: event.status, metrics: event.metrics };
+    case 'metrics':
+      return { kind: 'status', status: undefined, metrics: event.metrics };
+    case 'progress':
+      return { kind: 'progress', progress: { done: event.done, total: event.total, unit: event.unit, eta_ms: event.eta_ms ?? null } };
+    case 'artifact':
+      return { kind: 'artifact', artifact: { path: event.path, kind: event.kind, label: event.label, rows: event.rows } };
+    case 'warning-row':
+      return { kind: 'warning-row', warning: { reason: event.reason, row: event.row, file: event.file, data: event.data } };
+    case 'summary':
+      return { kind: 'summary', summary: { status: event.status, counts: event.counts || {}, message: event.message } };
+    default:
+      return { kind: 'request', request: event };
+  }
+}
+
+/**
+ * Parse one stdout line:
+ * 1) '{"v":1,"type":…}'  -> validated event (see backend/lib/events.js)
+ * 2) Plain text          -> normal log
+ *
+ * Returns one of:
+ *   { kind: 'log', level, message }
+ *   { kind: 'status', status, metrics }
+ *   { kind: 'progress', progress: { done, total, unit, eta_ms } }
+ *   { kind: 'artifact', artifact: { path, kind, label, rows } }
+ *   { kind: 'warning-row', warning: { reason, row, file, data } }
+ *   { kind: 'summary', summary: { status, counts, message } }
+ *   { kind: 'request', request }   (per-request telemetry, see backend/lib/blitz-client.js)
+ *   { kind: 'invalid', errors, line } (looked like an event but broke the schema)
+ *   null (blank line)
+ */
+function parseStdoutLine(rawLine, defaultLevel = 'info') {
+  const line = String(rawLine ?? '').trim();
+  if (!line) return null;
+
+  if (line.startsWith('::STATE::')) {
+    return { kind: 'invalid', errors: ['legacy ::STATE:: line (emit a status event via backend/lib/events.js)'], line };
+  }
+
+  let parsed = null;
+  try {
+    if (line.startsWith('{') && line.endsWith('}')) parsed = JSON.parse(line);
+  } catch {
+    parsed = null;
+  }
+
+  // JSON that is not trying to be an event (a dumped object, …) stays a log line
+  if (!isObject(parsed) || (parsed.v === undefined && parsed.type === undefined)) {
+    return { kind: 'log', level: defaultLevel, message: line };
+  }
+
+  const errors = validateEvent(parsed);
+  if (errors.length) return { kind: 'invalid', errors, line };
+  return toParsed(parsed);
+}
+
+/**
+ * Roll request telemetry events up into run metrics.
+ * record(request) returns the updated metrics object (api* keys).
+ */
+function createRequestStats() {
+  let calls = 0;
+  let retries = 0;
+  let throttled = 0;
+  let failed = 0;
+  let totalMs = 0;
+
+  return {
+    record(request) {
+      calls++;
+      totalMs += Number(request.duration_ms) || 0;
+      if (request.status === 429) throttled++;
+      if (request.retry_in_ms !== null && request.retry_in_ms !== undefined) retries++;
+      else if (!request.ok) failed++;
+
+      return {
+        apiCalls: calls,
+        apiRetries: retries,
+        apiThrottled: throttled,
+        apiFailed: failed,
+        apiAvgMs: Math.round(totalMs / calls),
+      };
+    },
+  };
+}
+
+module.exports = { EVENT_VERSION, EVENT_SCHEMA, validateEvent, parseStdoutLine, createRequestStats };
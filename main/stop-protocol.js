@@ -0,0 +1,100 @@
+// main/stop-protocol.js
+// How a running tool is stopped. Shared by main.js (Stop button, pipelines)
+// and the headless CLI; the backend side is backend/lib/stop-signal.js.
+//
+//   1. stop-requested: the run's STOP_FLAG_FILE is created and the child gets
+//      SIGTERM (flag file only on Windows, where every signal is a hard kill).
+//   2. draining: the script acknowledges (a "draining" status event),
+//      starts nothing new, finishes in-flight work and writes its output.
+//   3. stopped: the child exits. If it is still alive after the grace timeout,
+//      or Stop is pressed again, it is killed (status "killing").
+
+const fs = require('fs');
+const path = require('path');
+
+const STOP_SIGNAL = 'SIGTERM';
+const DEFAULT_STOP_GRACE_SECS = 60;
+const MIN_STOP_GRACE_SECS = 5;
+const MAX_STOP_GRACE_SECS = 3600;
+
+function clampStopGrace(value) {
+  const n = Math.floor(Number(value));
+  if (!Number.isFinite(n) || n <= 0) return DEFAULT_STOP_GRACE_SECS;
+  return Math.min(MAX_STOP_GRACE_SECS, Math.max(MIN_STOP_GRACE_SECS, n));
+}
+
+/** Per-run flag file path (created only when Stop is pressed). */
+function stopFlagPath(dir, runId) {
+  return path.join(dir, `${runId}.stop`);
+}
+
+/**
+ * child:      the spawned tool process
+ * flagFile:   its STOP_FLAG_FILE
+ * graceSecs:  () => seconds to wait for a graceful exit before SIGKILL (read on each Stop)
+ * onState(status, detail)   'stop-requested' | 'killing'
+ *
+ * Returns { request(), dispose(), state }. request() is what Stop does:
+ * the first call starts a graceful stop, the next one kills.
+ */
+function createRunStopper({ child, flagFile, graceSecs = () => DEFAULT_STOP_GRACE_SECS, onState = () => {} }) {
+  let state = 'running';
+  let graceTimer = null;
+
+  function kill(reason) {
+    if (state === 'killing') return { ok: true, reason: 'Already killing' };
+    state = 'killing';
+    clearTimeout(graceTimer);
+    try {
+      child.kill('SIGKILL');
+    } catch (err) {
+      return { ok: false, reason: err.message };
+    }
+    onState('killing', { reason });
+    return { ok: true, reason: 'Killed' };
+  }
+
+  function request() {
+    if (state !== 'running') return kill('second stop');
+
+    state = 'stop-requested';
+    try {
+      if (flagFile) {
+        fs.mkdirSync(path.dirname(flagFile), { recursive: true });
+        fs.writeFileSync(flagFile, new Date().toISOString(), 'utf8');
+      }
+      if (process.platform !== 'win32') child.kill(STOP_SIGNAL);
+    } catch (err) {
+      state = 'running';
+      return { ok: false, reason: err.message };
+    }
+
+    const secs = clampStopGrace(graceSecs());
+    graceTimer = setTimeout(() => kill(`still running ${secs}s after Stop`), secs * 1000);
+    graceTimer.unref?.();
+    onState('stop-requested', { graceSecs: secs });
+    return { ok: true };
+  }
+
+  /** Call on child exit: cancels the grace timer and removes the flag file. */
+  function dispose() {
+    clearTimeout(graceTimer);
+    if (flagFile) fs.rmSync(flagFile, { force: true });
+  }
+
+  return {
+    request,
+    dispose,
+    get state() {
+      return state;
+    },
+  };
+}
+
+module.exports = {
+  STOP_SIGNAL,
+  DEFAULT_STOP_GRACE_SECS,
+  clampStopGrace,
+  stopFlagPath,
+  createRunStopper,
+};
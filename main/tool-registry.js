@@ -0,0 +1,323 @@
+// main/tool-registry.js
+// toolId -> backend script + env builder, and the sample bundles.
+// Electron-free so the desktop app (main.js) and the headless CLI (bin/koldify.js) share it.
+
+const fs = require('fs');
+const path = require('path');
+
+// ================================
+// 🔑 VAULT KEYS → ENV
+// ================================
+// keys = main/key-vault.js resolve() result: { apify: [{ id, label, token }], blitz: [...] }
+// Keys picked from the vault win over a key typed on the card and over the env var.
+function blitzKey(payload, keys) {
+  return keys?.blitz?.[0]?.token || payload.apiKey || process.env.BLITZ_API_KEY;
+}
+
+// Apify backends read these through backend/lib/vault-keys.js instead of keys.json
+function apifyKeysEnv(keys) {
+  if (!keys?.apify?.length) return {};
+  return {
+    KOLDIFY_APIFY_KEYS: JSON.stringify(keys.apify.map(({ label, token }) => ({ label, token }))),
+  };
+}
+
+// ================================
+// ✅ TOOL REGISTRY (REAL PATHS)
+// ================================
+// resolvePath(...parts) maps a path relative to the app root to a real file
+// (dev: repo checkout, packaged: app.asar.unpacked)
+function createToolRegistry(resolvePath) {
+  return {
+    // ---------- APIFY TOOLS ----------
+    'post-finder': {
+      script: resolvePath('backend', 'apify', 'post-finder.mjs'),
+      buildEnv: (payload, keys) => ({
+        TOOL_CONFIG: JSON.stringify(payload || {}),
+        ...apifyKeysEnv(keys),
+      }),
+    },
+
+    'reaction-scraper': {
+      script: resolvePath('backend', 'apify', 'post-reaction.mjs'),
+      buildEnv: (payload, keys) => ({
+        TOOL_CONFIG: JSON.stringify(payload || {}),
+        ...apifyKeysEnv(keys),
+      }),
+    },
+
+    'comment-scraper': {
+      script: resolvePath('backend', 'apify', 'comment-orchestrator.js'),
+      buildEnv: (payload, keys) => ({
+        TOOL_CONFIG: JSON.stringify(payload || {}),
+        ...apifyKeysEnv(keys),
+      }),
+    },
+
+    'apify-email-enricher': {
+      script: resolvePath('backend', 'apify', 'email-extractor-main.js'),
+      buildEnv: (payload, keys) => ({
+        TOOL_CONFIG: JSON.stringify(payload || {}),
+        ...apifyKeysEnv(keys),
+      }),
+    },
+
+    'linkedin-profile-enhancer': {
+      script: resolvePath('backend', 'apify', 'linkedin-profile-enhancer.js'),
+      buildEnv: (payload, keys) => ({
+        TOOL_CONFIG: JSON.stringify(payload || {}),
+        ...apifyKeysEnv(keys),
+      }),
+    },
+
+    // New: Contact Details Scraper (Apify actor 9Sk4JJhEma9vBKqrg)
+    'contact-details-scraper': {
+      script: resolvePath('backend', 'apify', 'contact-details-scraper.js'),
+      buildEnv: (payload, keys) => ({
+        TOOL_CONFIG: JSON.stringify(payload || {}),
+        ...apifyKeysEnv(keys),
+      }),
+    },
+
+    // New: InMail Checker (Apify actor BlJ6u6jb5UzYsyiKT)
+    'inmail-checker': {
+      script: resolvePath('backend', 'apify', 'inmail-checker.js'),
+      buildEnv: (payload, keys) => ({
+        TOOL_CONFIG: JSON.stringify(payload || {}),
+        ...apifyKeysEnv(keys),
+      }),
+    },
+
+    // ---------- BLITZ TOOLS ----------
+    'email-enricher': {
+      script: resolvePath('backend', 'blitz', 'blitz-email-enricher.js'),
+      buildEnv: (payload, keys) => ({
+        TOOL_CONFIG: JSON.stringify(payload || {}),
+        BLITZ_API_KEY: blitzKey(payload, keys),
+        LINKEDIN_URL_COLUMN: payload.linkedinUrlColumn || undefined,
+      }),
+    },
+
+    // NOTE: If your backend uses TOOL_CONFIG, include it.
+    'waterfall-icp': {
+      script: resolvePath('backend', 'blitz', 'blitz-waterfall-icp.js'),
+      buildEnv: (payload, keys) => ({
+        BLITZ_API_KEY: blitzKey(payload, keys),
+        TOOL_CONFIG: JSON.stringify(payload || {}),
+      }),
+    },
+
+    'reverse-phone': {
+      script: resolvePath('backend', 'blitz', 'blitz-reverse-phone.js'),
+      buildEnv: (payload, keys) => ({
+        BLITZ_API_KEY: blitzKey(payload, keys),
+        TOOL_CONFIG: JSON.stringify(payload || {}),
+      }),
+    },
+
+    'reverse-email': {
+      script: resolvePath('backend', 'blitz', 'blitz-reverse-email.js'),
+      buildEnv: (payload, keys) => ({
+        BLITZ_API_KEY: blitzKey(payload, keys),
+        TOOL_CONFIG: JSON.stringify(payload || {}),
+      }),
+    },
+
+    'find-mobile-direct-phone': {
+      script: resolvePath('backend', 'blitz', 'blitz-find-mobile-direct-phone.js'),
+      buildEnv: (payload, keys) => ({
+        BLITZ_API_KEY: blitzKey(payload, keys),
+        TOOL_CONFIG: JSON.stringify(payload || {}),
+      }),
+    },
+
+    'linkedin-url-to-domain': {
+      script: resolvePath('backend', 'blitz', 'blitz-linkedin-url-to-domain.js'),
+      buildEnv: (payload, keys) => ({
+        BLITZ_API_KEY: blitzKey(payload, keys),
+        TOOL_CONFIG: JSON.stringify(payload || {}),
+      }),
+    },
+
+    'domain-to-linkedin': {
+      script: resolvePath('backend', 'blitz', 'blitz-domain-to-linkedin.js'),
+      buildEnv: (payload, keys) => ({
+        BLITZ_API_KEY: blitzKey(payload, keys),
+        TOOL_CONFIG: JSON.stringify(payload || {}),
+      }),
+    },
+
+    'blitz-key-info': {
+      script: resolvePath('backend', 'blitz', 'blitz-key-info.js'),
+      buildEnv: (payload, keys) => ({
+        BLITZ_API_KEY: blitzKey(payload, keys),
+      }),
+    },
+
+    'blitz-employee-finder': {
+      script: resolvePath('backend', 'blitz', 'blitz-employee-finder.js'),
+      buildEnv: (payload, keys) => ({
+        BLITZ_API_KEY: blitzKey(payload, keys),
+        TOOL_CONFIG: JSON.stringify(payload || {}),
+      }),
+    },
+
+    'blitz-current-date': {
+      script: resolvePath('backend', 'blitz', 'blitz-current-date.js'),
+      buildEnv: (payload, keys) => ({
+        BLITZ_API_KEY: blitzKey(payload, keys),
+        TOOL_CONFIG: JSON.stringify(payload || {}),
+      }),
+    },
+
+    // ---------- INHOUSE TOOLS ----------
+    'csv-merger': {
+      script: resolvePath('backend', 'inhouse', 'csv-merger.js'),
+      buildEnv: (payload, keys) => ({
+        TOOL_CONFIG: JSON.stringify(payload || {}),
+      }),
+    },
+
+    'csv-splitter': {
+      script: resolvePath('backend', 'inhouse', 'csv-splitter.js'),
+      buildEnv: (payload, keys) => ({
+        TOOL_CONFIG: JSON.stringify(payload || {}),
+      }),
+    },
+
+    'csv-deduplicator': {
+      script: resolvePath('backend', 'inhouse', 'csv-deduplicator.js'),
+      buildEnv: (payload, keys) => ({
+        TOOL_CONFIG: JSON.stringify(payload || {}),
+      }),
+    },
+  };
+}
+
+/**
+ * Full child-process env for one run (same for UI, pipelines and CLI).
+ * keyStateDir: where backends keep per-tool key files (keywords.json, …) when vault keys are used
+ *              (always in mock mode).
+ * keyPoolFile: the shared Apify key pool state (backend/lib/apify-key-pool.js); without it
+ *              backends keep apify-key-pool.json next to keys.json.
+ * apifyRunsFile: journal of started Apify runs (backend/lib/apify-runs.js); default: cwd.
+ * enrichCacheFile / cacheTtlDays: the Blitz enrichment cache and its { endpoint: days } TTL
+ *              overrides (backend/lib/enrichment-cache.js); default: cwd, built-in TTLs.
+ * blitzBaseUrl / apifyBaseUrl: API hosts for this run (defaults: production, see backend/lib/api-endpoints.js).
+ * payload.budget ({ limit, unit: 'usd' | 'credits' }) becomes KOLDIFY_BUDGET (backend/lib/run-budget.js).
+ * payload.abortOnStop: Stop aborts in-flight Apify actor runs (KOLDIFY_ABORT_ON_STOP, backend/lib/apify-runs.js).
+ * payload.cacheOnlyMisses: false = send every input to the API, refreshing the enrichment cache
+ *              (KOLDIFY_CACHE_ONLY_MISSES=0; by default fresh cached answers are reused).
+ * stopFlagFile: the run's STOP_FLAG_FILE (created on Stop, see main/stop-protocol.js).
+ * mock: offline mock run (KOLDIFY_MOCK). Callers pass mock-only state paths (mockStatePaths) so
+ *       fixture runs never touch the real key pool, run journal or keywords.json.
+ */
+function buildRunEnv(
+  config,
+  {
+    runId,
+    toolId,
+    payload,
+    appRoot,
+    keys = null,
+    keyStateDir = null,
+    keyPoolFile = null,
+    apifyRunsFile = null,
+    enrichCacheFile = null,
+    cacheTtlDays = null,
+    stopFlagFile = null,
+    blitzBaseUrl = null,
+    apifyBaseUrl = null,
+    mock = false,
+    baseEnv = process.env,
+  }
+) {
+  const envFromConfig = config.buildEnv ? config.buildEnv(payload || {}, keys) : {};
+
+  return {
+    ...baseEnv,
+    ...envFromConfig,
+    TOOL_CONFIG:
+      envFromConfig.TOOL_CONFIG !== undefined ? envFromConfig.TOOL_CONFIG : baseEnv.TOOL_CONFIG,
+    RUN_ID: runId,
+    TOOL_ID: toolId,
+    APP_ROOT: appRoot,
+    KOLDIFY_KEY_STATE_DIR: (mock || keys?.apify?.length) && keyStateDir ? keyStateDir : undefined,
+    KOLDIFY_MOCK: mock ? '1' : undefined,
+    KOLDIFY_KEY_POOL_FILE: keyPoolFile || baseEnv.KOLDIFY_KEY_POOL_FILE,
+    KOLDIFY_APIFY_RUNS_FILE: apifyRunsFile || baseEnv.KOLDIFY_APIFY_RUNS_FILE,
+    KOLDIFY_ENRICH_CACHE_FILE: enrichCacheFile || baseEnv.KOLDIFY_ENRICH_CACHE_FILE,
+    KOLDIFY_CACHE_TTL: cacheTtlDays ? JSON.stringify(cacheTtlDays) : baseEnv.KOLDIFY_CACHE_TTL,
+    // Read by backend/lib/api-endpoints.js (custom hosts / offline mock)
+    KOLDIFY_BLITZ_BASE_URL: blitzBaseUrl || baseEnv.KOLDIFY_BLITZ_BASE_URL,
+    KOLDIFY_APIFY_BASE_URL: apifyBaseUrl || baseEnv.KOLDIFY_APIFY_BASE_URL,
+    KOLDIFY_BUDGET: payload?.budget ? JSON.stringify(payload.budget) : baseEnv.KOLDIFY_BUDGET,
+    KOLDIFY_ABORT_ON_STOP: payload?.abortOnStop ? '1' : baseEnv.KOLDIFY_ABORT_ON_STOP,
+    KOLDIFY_CACHE_ONLY_MISSES: payload?.cacheOnlyMisses === false ? '0' : baseEnv.KOLDIFY_CACHE_ONLY_MISSES,
+    STOP_FLAG_FILE: stopFlagFile || baseEnv.STOP_FLAG_FILE,
+  };
+}
+
+/**
+ * Key state, key pool, run journal and enrichment cache for mock runs, all under stateDir
+ * (the app: userData/mock-state, the CLI: the temp folder).
+ */
+function mockStatePaths(stateDir, toolId = null) {
+  return {
+    keyStateDir: toolId ? path.join(stateDir, toolId) : null,
+    keyPoolFile: path.join(stateDir, 'apify-key-pool.json'),
+    apifyRunsFile: path.join(stateDir, 'apify-runs.json'),
+    enrichCacheFile: path.join(stateDir, 'enrichment-cache.jsonl'),
+    mock: true,
+  };
+}
+
+// ================================
+// 📁 SAMPLE DIRECTORY SUPPORT
+// ================================
+
+// Map each sampleId (used in renderer / CLI) to its sample folder inside the app
+const SAMPLE_DIRS = {
+  // APIFY
+  'apify-comment-orchestrator': path.join('samples', 'apify', 'comment-orchestrator'),
+  'apify-post-finder': path.join('samples', 'apify', 'post-finder'),
+  'apify-post-reaction': path.join('samples', 'apify', 'post-reaction'),
+  'apify-email-extractor': path.join('samples', 'apify', 'email-extractor'),
+  'linkedin-profile-enhancer': path.join('samples', 'apify', 'linkedin-profile-enhancer'),
+  'apify-contact-details-scraper': path.join('samples', 'apify', 'contact-details-scraper'),
+  'apify-inmail-checker': path.join('samples', 'apify', 'inmail-checker'),
+
+  // BLITZ
+  'blitz-email-enricher': path.join('samples', 'blitz', 'blitz-email-enricher'),
+  'blitz-waterfall-icp': path.join('samples', 'blitz', 'blitz-waterfall-icp'),
+  'blitz-reverse-phone': path.join('samples', 'blitz', 'blitz-reverse-phone'),
+  'blitz-reverse-email': path.join('samples', 'blitz', 'blitz-reverse-email'),
+  'blitz-find-mobile-direct-phone': path.join('samples', 'blitz', 'blitz-find-mobile-direct-phone'),
+  'blitz-linkedin-url-to-domain': path.join('samples', 'blitz', 'blitz-linkedin-url-to-domain'),
+  'blitz-domain-to-linkedin': path.join('samples', 'blitz', 'blitz-domain-to-linkedin'),
+  'blitz-employee-finder': path.join('samples', 'blitz', 'blitz-employee-finder'),
+
+  // INHOUSE
+  'inhouse-csv-merger': path.join('samples', 'inhouse', 'csv-merger'),
+  'inhouse-csv-splitter': path.join('samples', 'inhouse', 'csv-splitter'),
+  'inhouse-csv-deduplicator': path.join('samples', 'inhouse', 'csv-deduplicator'),
+};
+
+// Recursively copy a directory (used for exporting samples)
+async function copyDirectoryRecursive(srcDir, destDir) {
+  await fs.promises.mkdir(destDir, { recursive: true });
+
+  const entries = await fs.promises.readdir(srcDir, { withFileTypes: true });
+  for (const entry of entries) {
+    const srcPath = path.join(srcDir, entry.name);
+    const destPath = path.join(destDir, entry.name);
+
+    if (entry.isDirectory()) {
+      await copyDirectoryRecursive(srcPath, destPath);
+    } else if (entry.isFile()) {
+      await fs.promises.copyFile(srcPath, destPath);
+    }
+  }
+}
+
+module.exports = { createToolRegistry, buildRunEnv, mockStatePaths, SAMPLE_DIRS, copyDirectoryRecursive };
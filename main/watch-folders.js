@@ -0,0 +1,386 @@
+// main/watch-folders.js
+// Watch-folder rules: when a file matching the rule's pattern lands in a folder
+// and stops changing, move it to the archive folder and run a tool (preset and/or
+// inline payload) or a pipeline on it, with outputs written to the rule's folder.
+//
+// Rule (userData/watch-rules.json):
+//   {
+//     id, name, enabled,
+//     folder: 'D:\\Exports',             // watched folder (not recursive)
+//     pattern: '*.csv',                  // comma separated globs, case-insensitive
+//     debounceSecs: 10,                  // unchanged size + mtime this long = done writing
+//     target: { type: 'tool', toolId, presetId?, payload? } | { type: 'pipeline', pipelineId },
+//     outputDir?: '…',                   // empty = wherever the preset writes
+//     archiveDir?: '…',                  // default <folder>/processed
+//     lastError,                         // why the folder can't be read (null when fine)
+//     events: [{ files, detectedAt, input, runId, status, error, endedAt }]   (newest first)
+//   }
+//
+// Files are archived before the run starts, so a file is never picked up twice,
+// even when the app quits mid-run. Tools that take a file get one run per file;
+// tools / pipelines that take files or a folder get everything that was stable
+// at that moment as one batch (a folder under the archive for 'dir').
+
+const fs = require('fs');
+const path = require('path');
+const { randomUUID } = require('crypto');
+const { stripSecrets } = require('./redact');
+const { createJsonStore } = require('./json-store');
+const { DEFAULT_INPUT_FIELDS, withOutputDir } = require('./pipelines');
+
+const WATCH_RULES_VERSION = 1;
+const EVENTS_LIMIT = 30;
+const POLL_MS = 3000;
+const DEFAULT_DEBOUNCE_SECS = 10;
+
+// Editor swap / lock files never count as a drop
+const IGNORED_FILE_RE = /^(\.|~\$)|\.(tmp|part|crdownload)$/i;
+
+// ================================
+// 🔎 PATTERNS
+// ================================
+function patternToRegExp(pattern) {
+  const globs = String(pattern || '*.csv')
+    .split(',')
+    .map((g) => g.trim())
+    .filter(Boolean)
+    .map((g) => g.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.'));
+  return new RegExp(`^(${globs.join('|') || '.*'})$`, 'i');
+}
+
+function samePath(a, b) {
+  if (!a || !b) return false;
+  const norm = (p) => path.resolve(p).replace(/[\\/]+$/, '');
+  return process.platform === 'win32' ? norm(a).toLowerCase() === norm(b).toLowerCase() : norm(a) === norm(b);
+}
+
+function stamp(date = new Date()) {
+  return date.toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+}
+
+// rename, or copy + delete when the archive is on another drive
+function moveFile(from, to) {
+  fs.mkdirSync(path.dirname(to), { recursive: true });
+  try {
+    fs.renameSync(from, to);
+  } catch (err) {
+    if (err.code !== 'EXDEV') throw err;
+    fs.copyFileSync(from, to);
+    fs.unlinkSync(from);
+  }
+  return to;
+}
+
+function archiveDirOf(rule) {
+  return rule.archiveDir || path.join(rule.folder, 'processed');
+}
+
+// ================================
+// 💾 STORE
+// ================================
+function normalizeTarget(raw) {
+  if (raw?.type === 'pipeline') {
+    if (!raw.pipelineId) throw new Error('Pick the pipeline to run');
+    return { type: 'pipeline', pipelineId: String(raw.pipelineId) };
+  }
+
+  const toolId = String(raw?.toolId || '').trim();
+  if (!toolId) throw new Error('Pick the tool to run');
+  if (!DEFAULT_INPUT_FIELDS[toolId]) throw new Error(`${toolId} does not take an input file`);
+
+  const target = { type: 'tool', toolId };
+  if (raw.presetId) target.presetId = String(raw.presetId);
+  if (raw.payload && typeof raw.payload === 'object') target.payload = stripSecrets(raw.payload);
+  if (!target.presetId && !target.payload) throw new Error('Rule needs a preset or the card settings to run with');
+  return target;
+}
+
+function createWatchRuleStore({ file }) {
+  const store = createJsonStore({ file, key: 'rules', version: WATCH_RULES_VERSION, tag: 'WATCH' });
+
+  /**
+   * Create or update (same id or same name) a rule.
+   */
+  function save(raw) {
+    const name = String(raw?.name || '').trim();
+    if (!name) throw new Error('Rule needs a name');
+
+    const folder = String(raw.folder || '').trim();
+    if (!folder) throw new Error('Pick the folder to watch');
+    const outputDir = String(raw.outputDir || '').trim();
+    const archiveDir = String(raw.archiveDir || '').trim();
+    // Outputs / archived files landing in the watched folder would trigger the rule again
+    if (samePath(outputDir, folder)) throw new Error('The output folder must not be the watched folder');
+    if (samePath(archiveDir, folder)) throw new Error('The archive folder must not be the watched folder');
+
+    const debounce = Math.floor(Number(raw.debounceSecs));
+
+    const all = store.read();
+    const idx = all.findIndex((r) => (raw.id && r.id === raw.id) || r.name === name);
+    const existing = idx !== -1 ? all[idx] : null;
+
+    const rule = {
+      id: existing?.id || randomUUID(),
+      name,
+      enabled: raw.enabled === undefined ? true : !!raw.enabled,
+      folder,
+      pattern: String(raw.pattern || '').trim() || '*.csv',
+      debounceSecs: Number.isFinite(debounce) ? Math.min(Math.max(debounce, 2), 3600) : DEFAULT_DEBOUNCE_SECS,
+      target: normalizeTarget(raw.target),
+      outputDir: outputDir || null,
+      archiveDir: archiveDir || null,
+      lastError: null,
+      events: existing?.events || [],
+      updatedAt: new Date().toISOString(),
+    };
+
+    if (idx !== -1) all[idx] = rule;
+    else all.push(rule);
+    store.write(all);
+    return rule;
+  }
+
+  function markInterrupted() {
+    store.markInterrupted((rule) => rule.events);
+  }
+
+  return { list: store.list, get: store.get, save, remove: store.remove, update: store.update, markInterrupted };
+}
+
+// ================================
+// 👀 WATCHER
+// ================================
+
+/**
+ * deps:
+ *   store             watch rule store
+ *   getPresetPayload  (presetId) => payload | null
+ *   getPipeline       (pipelineId) => pipeline | null
+ *   startRun          (toolId, payload, { origin, onExit }) => { runId, queued }
+ *   runPipeline       (pipelineId, { input, outputDir, outputPrefix, onDone }) => void
+ *   isPipelineRunning (pipelineId) => boolean
+ *   onUpdate          (rule) => void   (UI push)
+ */
+function createFolderWatcher({ store, getPresetPayload, getPipeline, startRun, runPipeline, isPipelineRunning, onUpdate }) {
+  // ruleId -> Map(file -> { size, mtimeMs, since })
+  const seen = new Map();
+  let timer = null;
+
+  function publish(rule) {
+    if (!rule) return;
+    try {
+      onUpdate(rule);
+    } catch (err) {
+      console.error('[WATCH] onUpdate failed:', err);
+    }
+  }
+
+  function addEvent(id, event) {
+    return store.update(id, (r) => {
+      r.events = [event, ...(r.events || [])].slice(0, EVENTS_LIMIT);
+    });
+  }
+
+  function updateEvent(id, eventId, patch) {
+    return store.update(id, (r) => {
+      const event = (r.events || []).find((e) => e.id === eventId);
+      if (event) Object.assign(event, patch, { endedAt: new Date().toISOString() });
+    });
+  }
+
+  function setError(rule, message) {
+    if ((rule.lastError || null) === (message || null)) return;
+    if (message) console.error(`[WATCH] ${rule.name}: ${message}`);
+    publish(store.update(rule.id, (r) => {
+      r.lastError = message || null;
+    }));
+  }
+
+  /**
+   * How the rule's target takes its input: { field, kind } or null.
+   */
+  function inputOf(rule) {
+    if (rule.target.type === 'tool') return DEFAULT_INPUT_FIELDS[rule.target.toolId] || null;
+    const first = getPipeline(rule.target.pipelineId)?.steps?.[0];
+    if (!first) return null;
+    return first.input || DEFAULT_INPUT_FIELDS[first.toolId] || null;
+  }
+
+  /**
+   * Files of the rule's folder that match and have not changed for debounceSecs.
+   */
+  function stableFiles(rule, now) {
+    const re = patternToRegExp(rule.pattern);
+    const tracked = seen.get(rule.id) || new Map();
+    seen.set(rule.id, tracked);
+
+    const present = new Set();
+    const stable = [];
+    for (const entry of fs.readdirSync(rule.folder, { withFileTypes: true })) {
+      if (!entry.isFile() || IGNORED_FILE_RE.test(entry.name) || !re.test(entry.name)) continue;
+      const full = path.join(rule.folder, entry.name);
+      let stat;
+      try {
+        stat = fs.statSync(full);
+      } catch {
+        continue; // vanished between readdir and stat
+      }
+      present.add(full);
+
+      const prev = tracked.get(full);
+      if (!prev || prev.size !== stat.size || prev.mtimeMs !== stat.mtimeMs) {
+        tracked.set(full, { size: stat.size, mtimeMs: stat.mtimeMs, since: now });
+      } else if (now - prev.since >= rule.debounceSecs * 1000) {
+        stable.push(full);
+      }
+    }
+    for (const file of tracked.keys()) {
+      if (!present.has(file)) tracked.delete(file);
+    }
+    return stable.sort();
+  }
+
+  function buildToolPayload(rule) {
+    const { presetId, payload } = rule.target;
+    const base = presetId ? getPresetPayload(presetId) : null;
+    if (presetId && !base) throw new Error('The rule\'s preset no longer exists');
+    return { ...(base || {}), ...(payload || {}) };
+  }
+
+  /**
+   * Start the target on one input (a file, a file list or a batch folder).
+   */
+  function launch(rule, { files, input, prefix }) {
+    const event = {
+      id: randomUUID(),
+      files,
+      detectedAt: new Date().toISOString(),
+      input,
+      runId: null,
+      status: 'running',
+      error: null,
+    };
+
+    try {
+      if (rule.target.type === 'pipeline') {
+        runPipeline(rule.target.pipelineId, {
+          input,
+          outputDir: rule.outputDir || null,
+          outputPrefix: prefix,
+          onDone: (lastRun) => {
+            const failedStep = (lastRun.steps || []).find((s) => s.error);
+            publish(updateEvent(rule.id, event.id, { status: lastRun.status, error: failedStep?.error || null }));
+          },
+        });
+      } else {
+        const { field } = inputOf(rule);
+        let payload = { ...buildToolPayload(rule), [field]: input };
+        if (rule.outputDir) payload = withOutputDir(payload, rule.outputDir, prefix);
+
+        const started = startRun(rule.target.toolId, payload, {
+          origin: 'watch',
+          onExit: (result) => {
+            let status = 'success';
+            if (result.cancelled) status = 'cancelled';
+            else if (result.stopped) status = 'stopped';
+            else if (result.code !== 0) status = 'failed';
+            publish(updateEvent(rule.id, event.id, {
+              status,
+              error: status === 'failed' ? result.error || `Exited with code ${result.code}` : null,
+            }));
+          },
+        });
+        event.runId = started.runId;
+        event.status = started.queued ? 'queued' : 'running';
+      }
+    } catch (err) {
+      event.status = 'failed';
+      event.error = err.message;
+    }
+
+    publish(addEvent(rule.id, event));
+  }
+
+  /**
+   * Archive the stable files and start the target on them.
+   */
+  function trigger(rule, files) {
+    const input = inputOf(rule);
+    if (!input) throw new Error('The target has no input file field');
+
+    const archiveDir = archiveDirOf(rule);
+    const batch = stamp();
+    // One pipeline run at a time: the next file waits for the next scan
+    const take = input.kind === 'file' && rule.target.type === 'pipeline' ? files.slice(0, 1) : files;
+
+    // [{ name, file }]: dropped name -> archived path
+    const archived = [];
+    for (const file of take) {
+      const name = path.basename(file);
+      const dest = input.kind === 'dir'
+        ? path.join(archiveDir, `batch_${batch}`, name)
+        : path.join(archiveDir, `${batch}_${name}`);
+      try {
+        archived.push({ name, file: moveFile(file, dest) });
+      } catch (err) {
+        // Still locked by whoever is writing it: try again next scan
+        console.error(`[WATCH] ${rule.name}: cannot move ${name} yet: ${err.message}`);
+      }
+      seen.get(rule.id)?.delete(file);
+    }
+    if (!archived.length) return;
+
+    const names = archived.map((a) => a.name);
+    if (input.kind === 'file') {
+      for (const { name, file } of archived) {
+        launch(rule, { files: [name], input: file, prefix: `${path.parse(name).name}_${batch}` });
+      }
+    } else if (input.kind === 'files') {
+      launch(rule, { files: names, input: archived.map((a) => a.file), prefix: `batch_${batch}` });
+    } else {
+      launch(rule, { files: names, input: path.dirname(archived[0].file), prefix: `batch_${batch}` });
+    }
+  }
+
+  function scan(now = Date.now()) {
+    for (const rule of store.list()) {
+      if (!rule.enabled) {
+        seen.delete(rule.id);
+        continue;
+      }
+      try {
+        const files = stableFiles(rule, now);
+        setError(rule, null);
+        if (!files.length) continue;
+        if (rule.target.type === 'pipeline' && isPipelineRunning(rule.target.pipelineId)) continue;
+        trigger(rule, files);
+      } catch (err) {
+        setError(rule, err.code === 'ENOENT' ? `Folder not found: ${rule.folder}` : err.message);
+      }
+    }
+  }
+
+  function start() {
+    if (timer) return;
+    timer = setInterval(() => {
+      try {
+        scan();
+      } catch (err) {
+        console.error('[WATCH] scan failed:', err);
+      }
+    }, POLL_MS);
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return { start, stop, scan };
+}
+
+module.exports = {
+  patternToRegExp,
+  createWatchRuleStore,
+  createFolderWatcher,
+};
@@ -0,0 +1,595 @@
+#!/usr/bin/env node
+// mock/server.js
+// Offline mock of the Blitz + Apify APIs the backends call. Every response comes
+// from a fixture in mock/fixtures/ and is deterministic for a given input, so
+// workflows can be rehearsed (and new teammates trained) without burning credits.
+//
+//   npm run mock                                  # http://127.0.0.1:4010
+//   node mock/server.js --port 4010 --run-ms 1500 --latency 50
+//
+// Point the tools at it with KOLDIFY_BLITZ_BASE_URL / KOLDIFY_APIFY_BASE_URL, or use
+// Key Vault → API endpoints → Offline mock mode (app) / `koldify run --mock` (CLI).
+//
+// Failure paths, triggered by a marker anywhere in the request body / actor input:
+//   mock-429  → 429 + Retry-After: 1 for the first 2 attempts, then OK
+//   mock-500  → 500 for the first 2 attempts, then OK
+//   mock-503  → 503 on every attempt
+//   mock-400  → 400 "Invalid input"
+//   mock-fail → Apify run finishes with status FAILED
+// and by the key itself:
+//   Blitz key / Apify token containing "mock-invalid" → 401
+//   Apify token containing "mock-limit"               → 402 monthly usage limit
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+
+const DEFAULT_PORT = 4010;
+const DEFAULT_RUN_MS = 1500;
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+// How many attempts a transient marker fails before the request goes through
+const TRANSIENT_FAILURES = 2;
+
+// ================================
+// 🧩 FIXTURE TEMPLATES
+// ================================
+function hashOf(value) {
+  const hex = crypto.createHash('sha1').update(String(value ?? '')).digest('hex');
+  return parseInt(hex.slice(0, 8), 16);
+}
+
+function urlOf(value) {
+  if (value && typeof value === 'object') return String(value.url || value.startUrl || '');
+  return String(value ?? '');
+}
+
+function slugOf(value) {
+  const raw = urlOf(value).trim();
+  let last = raw;
+  if (raw.includes('@') && !raw.includes('/')) {
+    last = raw.split('@')[0]; // email → local part
+  } else {
+    try {
+      const u = new URL(/^https?:\/\//i.test(raw) ? raw : `https://${raw}`);
+      const parts = u.pathname.split('/').filter(Boolean);
+      last = parts.length ? parts[parts.length - 1] : u.hostname.replace(/^www\./i, '').split('.')[0];
+    } catch {
+      // not a URL: use as-is
+    }
+  }
+  let decoded = last;
+  try {
+    decoded = decodeURIComponent(last);
+  } catch {
+    // keep raw
+  }
+  return (
+    decoded
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '') || 'mock'
+  );
+}
+
+function hostOf(value) {
+  const raw = urlOf(value).trim();
+  if (raw.includes('@') && !raw.includes('/')) return raw.split('@')[1].toLowerCase();
+  try {
+    return new URL(/^https?:\/\//i.test(raw) ? raw : `https://${raw}`).hostname.replace(/^www\./i, '');
+  } catch {
+    return 'example.com';
+  }
+}
+
+function nameParts(value) {
+  const words = slugOf(value)
+    .split('-')
+    .filter((w) => w && !/\d/.test(w))
+    .map((w) => w[0].toUpperCase() + w.slice(1));
+  const first = words[0] || 'Alex';
+  const last = words.slice(1).join(' ') || 'Mock';
+  return { first, last, name: `${first} ${last}` };
+}
+
+function contextFor(value, extra = {}) {
+  const hash = hashOf(urlOf(value));
+  return {
+    value,
+    url: urlOf(value),
+    hash,
+    hash4: String(hash % 10000).padStart(4, '0'),
+    even: hash % 2 === 0,
+    slug: slugOf(value),
+    host: hostOf(value),
+    ...nameParts(value),
+    ...extra,
+  };
+}
+
+function lookup(ctx, dottedPath) {
+  return dottedPath.split('.').reduce((acc, k) => (acc == null ? undefined : acc[k]), ctx);
+}
+
+/**
+ * Render a fixture template:
+ *   "{{path}}"                  → raw value from the context (keeps numbers/arrays)
+ *   "text {{path}}"             → string interpolation
+ *   [{ "$repeat": N, "$max": M, "$item": {…} }] → N copies of $item with {{n}} = 1..N
+ */
+function render(template, ctx) {
+  if (typeof template === 'string') {
+    const whole = template.match(/^\{\{([\w.]+)\}\}$/);
+    if (whole) {
+      const v = lookup(ctx, whole[1]);
+      return v === undefined ? '' : v;
+    }
+    return template.replace(/\{\{([\w.]+)\}\}/g, (_m, p) => {
+      const v = lookup(ctx, p);
+      return v === undefined || v === null ? '' : String(v);
+    });
+  }
+
+  if (Array.isArray(template)) {
+    const out = [];
+    for (const entry of template) {
+      if (entry && typeof entry === 'object' && '$repeat' in entry) {
+        const max = entry.$max !== undefined ? Number(render(entry.$max, ctx)) : Infinity;
+        const count = Math.max(0, Math.min(Number(render(entry.$repeat, ctx)) || 0, max));
+        for (let n = 1; n <= count; n++) out.push(render(entry.$item, { ...ctx, n }));
+      } else {
+        out.push(render(entry, ctx));
+      }
+    }
+    return out;
+  }
+
+  if (template && typeof template === 'object') {
+    const out = {};
+    for (const [k, v] of Object.entries(template)) out[k] = render(v, ctx);
+    return out;
+  }
+
+  return template;
+}
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function loadFixtures(fixturesDir) {
+  const blitz = [];
+  const apify = new Map();
+  let keyInfo = null;
+  let account = null;
+
+  const blitzDir = path.join(fixturesDir, 'blitz');
+  for (const file of fs.existsSync(blitzDir) ? fs.readdirSync(blitzDir) : []) {
+    if (!file.endsWith('.json')) continue;
+    const fx = { name: file.replace(/\.json$/, ''), ...readJson(path.join(blitzDir, file)) };
+    if (fx.name === 'key-info') keyInfo = fx;
+    else blitz.push(fx);
+  }
+
+  const apifyDir = path.join(fixturesDir, 'apify');
+  for (const file of fs.existsSync(apifyDir) ? fs.readdirSync(apifyDir) : []) {
+    if (!file.endsWith('.json')) continue;
+    const fx = readJson(path.join(apifyDir, file));
+    if (file === '_account.json') account = fx;
+    else apify.set(file === '_default.json' ? '*' : String(fx.actorId || file.replace(/\.json$/, '')), fx);
+  }
+
+  return { blitz, apify, keyInfo, account };
+}
+
+// ================================
+// 🖥️ SERVER
+// ================================
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+function apifyError(res, status, type, message) {
+  sendJson(res, status, { error: { type, message } });
+}
+
+function readBody(req) {
+  return new Promise((resolve) => {
+    const chunks = [];
+    req.on('data', (c) => chunks.push(c));
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', () => resolve(''));
+  });
+}
+
+function parseJson(text) {
+  try {
+    return text ? JSON.parse(text) : {};
+  } catch {
+    return {};
+  }
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, Math.max(0, ms)));
+}
+
+/**
+ * createMockServer({ port, host, fixturesDir, runMs, latencyMs, log })
+ * Returns { start() → Promise<url>, stop(), url }.
+ */
+function createMockServer({
+  port = DEFAULT_PORT,
+  host = '127.0.0.1',
+  fixturesDir = FIXTURES_DIR,
+  runMs = DEFAULT_RUN_MS,
+  latencyMs = 0,
+  log = () => {},
+} = {}) {
+  const fixtures = loadFixtures(fixturesDir);
+  const blitzPaths = new Set(['/v2/account/key-info', ...fixtures.blitz.map((f) => f.path)]);
+  const attempts = new Map(); // request fingerprint -> attempts seen
+  const credits = new Map(); // blitz key -> remaining credits
+  const usageUsd = new Map(); // apify token -> monthly usage
+  const runs = new Map(); // runId -> run
+  const datasets = new Map(); // datasetId -> runId
+  let seq = 0;
+  let server = null;
+  let baseUrl = '';
+
+  /** Shared failure markers. Returns true when a response was sent. */
+  function failureFor(res, fingerprint, text, { apify = false } = {}) {
+    const send = (status, message, headers = {}) => {
+      if (apify) {
+        for (const [k, v] of Object.entries(headers)) res.setHeader(k, v);
+        apifyError(res, status, status === 429 ? 'rate-limit-exceeded' : 'mock-error', message);
+      } else {
+        sendJson(res, status, { message }, headers);
+      }
+      return true;
+    };
+
+    if (text.includes('mock-503')) return send(503, 'Service unavailable (mock-503)');
+    if (text.includes('mock-400')) return send(400, 'Invalid input (mock-400)');
+
+    const transient = text.includes('mock-429') ? 429 : text.includes('mock-500') ? 500 : null;
+    if (!transient) return false;
+
+    const seen = (attempts.get(fingerprint) || 0) + 1;
+    attempts.set(fingerprint, seen);
+    if (seen > TRANSIENT_FAILURES) return false;
+
+    return transient === 429
+      ? send(429, 'Too many requests (mock-429)', { 'Retry-After': '1' })
+      : send(500, 'Internal server error (mock-500)');
+  }
+
+  // ---------- Blitz ----------
+  function blitzCredits(key) {
+    if (!credits.has(key)) credits.set(key, Number(fixtures.keyInfo?.response?.remaining_credits ?? 10000));
+    return credits.get(key);
+  }
+
+  async function handleBlitz(req, res, pathname, text) {
+    const key = String(req.headers['x-api-key'] || '');
+    if (!key || key.includes('mock-invalid')) {
+      sendJson(res, 401, { message: 'Invalid API key' });
+      return true;
+    }
+
+    if (pathname === '/v2/account/key-info' && req.method === 'GET') {
+      const info = render(fixtures.keyInfo?.response || {}, contextFor(key));
+      sendJson(res, 200, { ...info, remaining_credits: blitzCredits(key) });
+      return true;
+    }
+
+    const fx = fixtures.blitz.find((f) => f.path === pathname && (f.method || 'POST') === req.method);
+    if (!fx) return false;
+
+    if (failureFor(res, `${key}|${pathname}|${text}`, text)) return true;
+
+    const body = parseJson(text);
+    const value = fx.input ? lookup(body, fx.input) : text;
+    const ctx = contextFor(value, { body, page: Number(body.page) || 1 });
+
+    let template = fx.hit;
+    if (fx.responses && Object.prototype.hasOwnProperty.call(fx.responses, String(value))) {
+      template = fx.responses[String(value)];
+    } else if (fx.missEvery && ctx.hash % fx.missEvery === 0) {
+      template = fx.miss;
+    } else if (fx.pages && ctx.page > fx.pages) {
+      template = fx.miss;
+    }
+
+    const cost = Number(fx.credits ?? 1);
+    if (cost > 0) credits.set(key, Math.max(0, blitzCredits(key) - cost));
+
+    sendJson(res, 200, render(template || {}, ctx));
+    return true;
+  }
+
+  // ---------- Apify ----------
+  function apifyToken(req, query) {
+    const auth = String(req.headers.authorization || '');
+    if (auth.toLowerCase().startsWith('bearer ')) return auth.slice(7).trim();
+    return query.get('token') || '';
+  }
+
+  function runView(run) {
+    const now = Date.now();
+    if (run.status === 'RUNNING' && now >= run.finishAt) {
+      run.status = run.failed ? 'FAILED' : 'SUCCEEDED';
+      run.finishedAt = new Date(run.finishAt).toISOString();
+      usageUsd.set(run.token, (usageUsd.get(run.token) || 0) + run.usageTotalUsd);
+    }
+    const { items, token, failed, finishAt, ...publicRun } = run;
+    return publicRun;
+  }
+
+  // Share of the run's work done so far (0..1)
+  function progressOf(run) {
+    if (run.status !== 'RUNNING') return 1;
+    return Math.min(1, (Date.now() - Date.parse(run.startedAt)) / runMs);
+  }
+
+  function buildItems(fx, input) {
+    const values = fx.forEach ? [].concat(lookup(input, fx.forEach) ?? []) : [input];
+    const perInput = Number(fx.perInput ?? 1);
+    const cap = fx.maxItems ? Number(lookup(input, fx.maxItems)) || Infinity : Infinity;
+    const items = [];
+
+    for (const value of values) {
+      const ctx = contextFor(value, { input });
+      if (fx.missEvery && ctx.hash % fx.missEvery === 0) continue;
+      for (let n = 1; n <= perInput && items.length < cap; n++) {
+        items.push(render(fx.item, { ...ctx, n, i: items.length + 1 }));
+      }
+    }
+    return items;
+  }
+
+  async function handleApify(req, res, pathname, query, text) {
+    const token = apifyToken(req, query);
+    if (!token || token.includes('mock-invalid')) {
+      apifyError(res, 401, 'token-not-valid', 'Authentication token is not valid.');
+      return true;
+    }
+
+    const account = fixtures.account || {};
+    const maxUsd = Number(account.maxMonthlyUsageUsd ?? 5);
+    const parts = pathname.split('/').filter(Boolean).slice(1); // drop "v2"
+
+    // Users
+    if (parts[0] === 'users' && parts[1] === 'me') {
+      if (parts[2] === 'limits') {
+        const now = new Date();
+        sendJson(res, 200, {
+          data: {
+            monthlyUsageCycle: {
+              startAt: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)).toISOString(),
+              endAt: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1)).toISOString(),
+            },
+            limits: { maxMonthlyUsageUsd: maxUsd },
+            current: { monthlyUsageUsd: token.includes('mock-limit') ? maxUsd : usageUsd.get(token) || 0 },
+          },
+        });
+      } else {
+        sendJson(res, 200, { data: render(account.user || { id: 'mockUser', username: 'mock-user' }, contextFor(token)) });
+      }
+      return true;
+    }
+
+    // Actors
+    if (parts[0] === 'acts' && parts[1]) {
+      const actorId = decodeURIComponent(parts[1]);
+      const fx = fixtures.apify.get(actorId) || fixtures.apify.get('*');
+
+      if (parts.length === 2 && req.method === 'GET') {
+        sendJson(res, 200, { data: { id: actorId, name: fx?.title || actorId } });
+        return true;
+      }
+
+      if (parts[2] === 'runs' && req.method === 'POST') {
+        if (token.includes('mock-limit')) {
+          apifyError(res, 402, 'not-enough-usage-to-run-paid-actor', 'Monthly usage hard limit exceeded');
+          return true;
+        }
+        if (failureFor(res, `${token}|${actorId}|${text}`, text, { apify: true })) return true;
+
+        const input = parseJson(text);
+        const items = fx ? buildItems(fx, input) : [];
+        seq++;
+        const id = `mockRun${String(seq).padStart(5, '0')}`;
+        const startedAt = Date.now();
+        const run = {
+          id,
+          actId: actorId,
+          status: 'RUNNING',
+          startedAt: new Date(startedAt).toISOString(),
+          finishedAt: null,
+          defaultDatasetId: `mockDataset${String(seq).padStart(5, '0')}`,
+          defaultKeyValueStoreId: `mockStore${String(seq).padStart(5, '0')}`,
+          usageTotalUsd: Math.round(items.length * Number(fx?.usdPerItem ?? 0.001) * 10000) / 10000,
+          stats: { inputBodyLen: text.length },
+          meta: { origin: 'API' },
+          items,
+          token,
+          failed: text.includes('mock-fail'),
+          finishAt: startedAt + runMs,
+        };
+        runs.set(id, run);
+        datasets.set(run.defaultDatasetId, id);
+        log(`run ${id} started • actor ${actorId} • ${items.length} item(s)`);
+
+        const waitSecs = Number(query.get('waitForFinish') || 0);
+        if (waitSecs > 0) await sleep(Math.min(waitSecs * 1000, run.finishAt - Date.now()));
+        sendJson(res, 201, { data: runView(run) });
+        return true;
+      }
+    }
+
+    // Runs
+    if (parts[0] === 'actor-runs' && parts[1]) {
+      const run = runs.get(parts[1]);
+      if (!run) {
+        apifyError(res, 404, 'record-not-found', 'Actor run was not found');
+        return true;
+      }
+
+      if (parts[2] === 'abort' && req.method === 'POST') {
+        if (run.status === 'RUNNING') {
+          // Aborted runs keep whatever they scraped so far
+          const done = progressOf(run);
+          run.status = 'ABORTED';
+          run.finishedAt = new Date().toISOString();
+          run.items = run.items.slice(0, Math.floor(run.items.length * done));
+          run.usageTotalUsd = Math.round(run.usageTotalUsd * done * 10000) / 10000;
+          usageUsd.set(run.token, (usageUsd.get(run.token) || 0) + run.usageTotalUsd);
+          log(`run ${run.id} aborted • kept ${run.items.length} item(s)`);
+        }
+        sendJson(res, 200, { data: runView(run) });
+        return true;
+      }
+
+      if (parts[2] === 'log') {
+        res.writeHead(200, { 'Content-Type': 'text/plain' });
+        res.end(`[mock] ${run.actId} run ${run.id}: ${run.items.length} item(s)\n`);
+        return true;
+      }
+
+      if (parts.length === 2 && req.method === 'GET') {
+        const waitSecs = Number(query.get('waitForFinish') || 0);
+        if (waitSecs > 0 && run.status === 'RUNNING') {
+          await sleep(Math.min(waitSecs * 1000, run.finishAt - Date.now()));
+        }
+        sendJson(res, 200, { data: runView(run) });
+        return true;
+      }
+    }
+
+    // Datasets
+    if (parts[0] === 'datasets' && parts[1] && parts[2] === 'items') {
+      const run = runs.get(datasets.get(parts[1]));
+      if (!run) {
+        apifyError(res, 404, 'record-not-found', 'Dataset was not found');
+        return true;
+      }
+      // A running actor's dataset fills up over time
+      runView(run);
+      const items = run.items.slice(0, Math.floor(run.items.length * progressOf(run)));
+      const offset = Math.max(0, Number(query.get('offset')) || 0);
+      const limit = Number(query.get('limit')) || items.length;
+      const desc = query.get('desc') === '1' || query.get('desc') === 'true';
+      const ordered = desc ? [...items].reverse() : items;
+      const page = ordered.slice(offset, offset + limit);
+      sendJson(res, 200, page, {
+        'x-apify-pagination-total': String(items.length),
+        'x-apify-pagination-offset': String(offset),
+        'x-apify-pagination-limit': String(limit),
+        'x-apify-pagination-count': String(page.length),
+        'x-apify-pagination-desc': String(desc),
+      });
+      return true;
+    }
+
+    apifyError(res, 404, 'record-not-found', `No mock for ${req.method} ${pathname}`);
+  }
+
+  function describe() {
+    return {
+      mock: true,
+      blitz: [
+        'GET /v2/account/key-info',
+        ...fixtures.blitz.map((f) => `${f.method || 'POST'} ${f.path}`),
+      ],
+      apifyActors: [...fixtures.apify.entries()].map(([id, fx]) => `${id}${fx.title ? ` (${fx.title})` : ''}`),
+      markers: ['mock-429', 'mock-500', 'mock-503', 'mock-400', 'mock-fail', 'mock-invalid', 'mock-limit'],
+    };
+  }
+
+  async function handle(req, res) {
+    const url = new URL(req.url, 'http://mock');
+    const text = await readBody(req);
+    if (latencyMs) await sleep(latencyMs);
+
+    // Blitz sends its key in x-api-key; everything else is Apify (Bearer token)
+    const isBlitz = req.headers['x-api-key'] !== undefined || blitzPaths.has(url.pathname);
+
+    try {
+      if (url.pathname === '/' && req.method === 'GET') {
+        sendJson(res, 200, describe());
+      } else if (isBlitz) {
+        if (!(await handleBlitz(req, res, url.pathname, text))) {
+          sendJson(res, 404, { message: `No mock for ${req.method} ${url.pathname}` });
+        }
+      } else {
+        await handleApify(req, res, url.pathname, url.searchParams, text);
+      }
+    } catch (err) {
+      sendJson(res, 500, { message: `Mock server error: ${err.message}` });
+    }
+    log(`${req.method} ${url.pathname} → ${res.statusCode}`);
+  }
+
+  return {
+    get url() {
+      return baseUrl;
+    },
+    start() {
+      return new Promise((resolve, reject) => {
+        server = http.createServer(handle);
+        server.once('error', reject);
+        server.listen(port, host, () => {
+          baseUrl = `http://${host}:${server.address().port}`;
+          resolve(baseUrl);
+        });
+      });
+    },
+    stop() {
+      return new Promise((resolve) => {
+        if (!server) return resolve();
+        server.close(() => resolve());
+        server.closeAllConnections?.();
+        server = null;
+      });
+    },
+  };
+}
+
+module.exports = { createMockServer, loadFixtures, render, DEFAULT_PORT };
+
+// ================================
+// ▶️ STANDALONE
+// ================================
+if (require.main === module) {
+  const argv = process.argv.slice(2);
+  const arg = (flag, fallback) => {
+    const i = argv.indexOf(flag);
+    return i === -1 ? fallback : argv[i + 1];
+  };
+
+  const mock = createMockServer({
+    port: Number(arg('--port', process.env.KOLDIFY_MOCK_PORT || DEFAULT_PORT)),
+    runMs: Number(arg('--run-ms', DEFAULT_RUN_MS)),
+    latencyMs: Number(arg('--latency', 0)),
+    log: argv.includes('--quiet') ? () => {} : (msg) => console.log(`[mock] ${msg}`),
+  });
+
+  mock
+    .start()
+    .then((url) => {
+      console.log(`Koldify mock API listening on ${url}`);
+      console.log(`  KOLDIFY_BLITZ_BASE_URL=${url}`);
+      console.log(`  KOLDIFY_APIFY_BASE_URL=${url}`);
+    })
+    .catch((err) => {
+      console.error(`Mock server failed to start: ${err.message}`);
+      process.exit(1);
+    });
+
+  const shutdown = () => mock.stop().then(() => process.exit(0));
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
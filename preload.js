@@ -8,14 +8,14 @@ contextBridge.exposeInMainWorld('electronAPI', {
    * Run a backend tool (Apify / Blitz / etc.)
    * toolId: string (e.g. "comment-scraper", "email-enricher")
    * payload: any config object (file paths, options, etc.)
-   * Returns: Promise<{ runId }>
+   * Returns: Promise<{ runId, queued }> (queued = waiting for a free slot)
    */
   runTool: (toolId, payload = {}) => {
     return ipcRenderer.invoke('tool:run', { toolId, payload });
   },
 
   /**
-   * Ask main process to stop a running tool gracefully.
+   * Ask main process to stop a running tool gracefully (a second call kills it).
    * runId: the id returned from runTool()
    * Returns: Promise<{ ok: boolean }>
    */
@@ -23,6 +23,297 @@ contextBridge.exposeInMainWorld('electronAPI', {
     return ipcRenderer.invoke('tool:stop', { runId });
   },
 
+  /**
+   * Read the global run cap, current slot usage and the stop grace period.
+   * Returns: Promise<{ active, queued, maxConcurrent, stopGraceSecs }>
+   */
+  getRunLimits: () => {
+    return ipcRenderer.invoke('runs:get-limits');
+  },
+
+  /**
+   * Change how many tools may run in parallel (persisted in userData).
+   * Returns: Promise<{ maxConcurrent }>
+   */
+  setMaxConcurrentRuns: (maxConcurrent) => {
+    return ipcRenderer.invoke('runs:set-max-concurrent', { maxConcurrent });
+  },
+
+  /**
+   * Change how long a stopped run may drain before it is killed (seconds, persisted).
+   * Returns: Promise<{ stopGraceSecs }>
+   */
+  setStopGrace: (stopGraceSecs) => {
+    return ipcRenderer.invoke('runs:set-stop-grace', { stopGraceSecs });
+  },
+
+  /**
+   * List past runs (newest first), optionally for one tool.
+   * Returns: Promise<Array<{ runId, toolId, payload, startedAt, endedAt, exitCode, status, metrics, artifacts }>>
+   */
+  listRunHistory: (toolId = null, limit = 20) => {
+    return ipcRenderer.invoke('history:list', { toolId, limit });
+  },
+
+  /**
+   * Load one past run with its full log stream.
+   * Returns: Promise<{ meta, lines: Array<{ ts, level, message }> }>
+   */
+  getRunHistory: (runId) => {
+    return ipcRenderer.invoke('history:get', { runId });
+  },
+
+  /**
+   * Delete a finished run from history.
+   * Returns: Promise<{ ok: boolean }>
+   */
+  deleteRunHistory: (runId) => {
+    return ipcRenderer.invoke('history:delete', { runId });
+  },
+
+  /**
+   * List saved presets (optionally for one tool).
+   * Returns: Promise<Array<{ id, toolId, name, form, payload, isDefault, updatedAt }>>
+   */
+  listPresets: (toolId = null) => {
+    return ipcRenderer.invoke('presets:list', { toolId });
+  },
+
+  /**
+   * Save (or overwrite by name) a preset for a tool. Secrets are stripped in main.
+   */
+  savePreset: (toolId, name, { form, payload } = {}) => {
+    return ipcRenderer.invoke('presets:save', { toolId, name, form, payload });
+  },
+
+  deletePreset: (id) => {
+    return ipcRenderer.invoke('presets:delete', { id });
+  },
+
+  /**
+   * Mark a preset as the tool's default (loaded on startup).
+   */
+  setDefaultPreset: (id, isDefault = true) => {
+    return ipcRenderer.invoke('presets:set-default', { id, isDefault });
+  },
+
+  /**
+   * Export / import presets as a shareable JSON file (save/open dialogs in main).
+   */
+  exportPresets: (toolId = null) => {
+    return ipcRenderer.invoke('presets:export', { toolId });
+  },
+
+  importPresets: () => {
+    return ipcRenderer.invoke('presets:import');
+  },
+
+  /**
+   * List vault keys (labels, tags, hint — never the secret).
+   * provider: 'apify' | 'blitz' | null
+   * Returns: Promise<{ protection, keys: Array<{ id, provider, label, tags, hint, updatedAt }> }>
+   */
+  listVaultKeys: (provider = null) => {
+    return ipcRenderer.invoke('vault:list', { provider });
+  },
+
+  /**
+   * Add a key ({ provider, label, tags, secret }) or update one ({ id, label, tags, secret? }).
+   */
+  saveVaultKey: (entry) => {
+    return ipcRenderer.invoke('vault:save', entry);
+  },
+
+  deleteVaultKey: (id) => {
+    return ipcRenderer.invoke('vault:delete', { id });
+  },
+
+  /**
+   * Blitz / Apify base URLs and offline mock mode.
+   * Returns: Promise<{ blitzBaseUrl, apifyBaseUrl, mockMode, mockUrl }>
+   */
+  getApiEndpoints: () => {
+    return ipcRenderer.invoke('endpoints:get');
+  },
+
+  /**
+   * Save any of { blitzBaseUrl, apifyBaseUrl, mockMode } ('' = production default).
+   */
+  setApiEndpoints: (patch) => {
+    return ipcRenderer.invoke('endpoints:set', patch);
+  },
+
+  /**
+   * Blitz enrichment cache: file, entry counts and TTL per endpoint.
+   * Returns: Promise<{ file, sizeBytes, entries, mock, endpoints: Array<{ endpoint, label, ttlDays, defaultTtlDays, entries, fresh }> }>
+   */
+  getEnrichmentCache: () => {
+    return ipcRenderer.invoke('enrich-cache:get');
+  },
+
+  /**
+   * Save TTL overrides: { ttlDays: { endpoint: days } } ('' = default).
+   */
+  setEnrichmentCache: (patch) => {
+    return ipcRenderer.invoke('enrich-cache:set', patch);
+  },
+
+  /**
+   * Forget cached answers (one endpoint, or all when endpoint is omitted).
+   */
+  clearEnrichmentCache: (endpoint = null) => {
+    return ipcRenderer.invoke('enrich-cache:clear', { endpoint });
+  },
+
+  /**
+   * Apify runs a crashed / closed session started but never downloaded.
+   * Returns: Promise<Array<{ runId, actorId, toolId, keyLabel, status, startedAt, output, collecting }>>
+   */
+  listApifyRuns: () => {
+    return ipcRenderer.invoke('apify-runs:list');
+  },
+
+  /**
+   * Wait for the run to end, download its dataset and save it as CSV.
+   * Returns: Promise<{ runId, status, items, file, usageTotalUsd }>
+   */
+  collectApifyRun: (runId) => {
+    return ipcRenderer.invoke('apify-runs:collect', { runId });
+  },
+
+  /**
+   * Forget a run (aborted first when still in progress).
+   */
+  discardApifyRun: (runId) => {
+    return ipcRenderer.invoke('apify-runs:discard', { runId });
+  },
+
+  onApifyRunsChanged: (callback) => {
+    const listener = (_event, data) => callback(data);
+    ipcRenderer.on('apify-runs:changed', listener);
+    return () => ipcRenderer.removeListener('apify-runs:changed', listener);
+  },
+
+  /**
+   * List saved pipelines (with lastRun state and a live `running` flag).
+   * Returns: Promise<Array<{ id, name, steps, lastRun, running }>>
+   */
+  listPipelines: () => {
+    return ipcRenderer.invoke('pipelines:list');
+  },
+
+  /**
+   * Create or update a pipeline (same id or same name overwrites).
+   * pipeline: { id?, name, steps: [{ toolId, presetId?, payload?, input? }] }
+   */
+  savePipeline: (pipeline) => {
+    return ipcRenderer.invoke('pipelines:save', pipeline);
+  },
+
+  deletePipeline: (id) => {
+    return ipcRenderer.invoke('pipelines:delete', { id });
+  },
+
+  /**
+   * Run a pipeline; resume=true restarts from the first step that did not succeed.
+   * Returns: Promise<{ fromStep }>
+   */
+  runPipeline: (id, resume = false) => {
+    return ipcRenderer.invoke('pipelines:run', { id, resume });
+  },
+
+  stopPipeline: (id) => {
+    return ipcRenderer.invoke('pipelines:stop', { id });
+  },
+
+  /**
+   * Subscribe to pipeline progress.
+   *
+   * data shape:
+   *   { pipelineId, lastRun: { status, steps: [{ toolId, status, runId, outputs, error }] } }
+   */
+  onPipelineUpdate: (callback) => {
+    const listener = (_event, data) => callback(data);
+    ipcRenderer.on('pipeline:update', listener);
+    return () => ipcRenderer.removeListener('pipeline:update', listener);
+  },
+
+  /**
+   * List scheduled runs with their history, the due-time order and the tray setting.
+   * Returns: Promise<{ closeToTray, upcoming: [{ id, name, toolId, nextRunAt }], schedules: [...] }>
+   */
+  listSchedules: () => {
+    return ipcRenderer.invoke('schedules:list');
+  },
+
+  /**
+   * Create or update a schedule (same id or same name overwrites).
+   * schedule: { id?, name, toolId, presetId?, payload?, cron, missedPolicy: 'run-once' | 'skip', enabled }
+   */
+  saveSchedule: (schedule) => {
+    return ipcRenderer.invoke('schedules:save', schedule);
+  },
+
+  deleteSchedule: (id) => {
+    return ipcRenderer.invoke('schedules:delete', { id });
+  },
+
+  runScheduleNow: (id) => {
+    return ipcRenderer.invoke('schedules:run-now', { id });
+  },
+
+  /**
+   * Next due times of a cron expression.
+   * Returns: Promise<{ next: string[], error? }>
+   */
+  previewSchedule: (cron) => {
+    return ipcRenderer.invoke('schedules:preview', { cron });
+  },
+
+  setCloseToTray: (closeToTray) => {
+    return ipcRenderer.invoke('schedules:set-close-to-tray', { closeToTray });
+  },
+
+  /**
+   * Subscribe to schedule changes (fired, finished, next due time moved).
+   * data shape: { schedule, running }
+   */
+  onScheduleUpdate: (callback) => {
+    const listener = (_event, data) => callback(data);
+    ipcRenderer.on('schedule:update', listener);
+    return () => ipcRenderer.removeListener('schedule:update', listener);
+  },
+
+  /**
+   * List watch-folder rules with their recent events.
+   * Returns: Promise<Array<{ id, name, enabled, folder, pattern, debounceSecs, target, outputDir, archiveDir, lastError, events }>>
+   */
+  listWatchRules: () => {
+    return ipcRenderer.invoke('watch:list');
+  },
+
+  /**
+   * Create or update a rule (same id or same name overwrites).
+   * rule.target: { type: 'tool', toolId, presetId?, payload? } | { type: 'pipeline', pipelineId }
+   */
+  saveWatchRule: (rule) => {
+    return ipcRenderer.invoke('watch:save', rule);
+  },
+
+  deleteWatchRule: (id) => {
+    return ipcRenderer.invoke('watch:delete', { id });
+  },
+
+  /**
+   * Subscribe to rule changes (file picked up, run finished, folder error).
+   * data shape: { rule }
+   */
+  onWatchUpdate: (callback) => {
+    const listener = (_event, data) => callback(data);
+    ipcRenderer.on('watch:update', listener);
+    return () => ipcRenderer.removeListener('watch:update', listener);
+  },
+
   /**
    * Open a directory picker (for choosing input/output folders).
    * Returns: Promise<string | null> (selected path or null if canceled)
@@ -64,10 +355,12 @@ contextBridge.exposeInMainWorld('electronAPI', {
   },
 
   /**
-   * Subscribe to status updates (started, finished, error, stopping, etc.)
+   * Subscribe to status updates (started, finished, error, stop-requested, draining, killing, etc.)
    *
    * data shape:
-   *   { runId, toolId, status, metrics? }
+   *   { runId, toolId, status?, metrics?, progress?, artifact?, summary? }
+   *   progress: { done, total, unit, eta_ms }   artifact: { path, kind, label, rows }
+   *   summary: { status, counts, message }      (see backend/lib/events.js)
    */
   onToolStatus: (callback) => {
     const listener = (_event, data) => callback(data);
@@ -79,7 +372,8 @@ contextBridge.exposeInMainWorld('electronAPI', {
    * Subscribe specifically to "run finished" events.
    *
    * data shape:
-   *   { runId, toolId, error? }
+   *   { runId, toolId, error?, stopped?, cancelled?, artifacts }
+   *   artifacts: every file the run reported ({ path, kind, label, rows })
    */
   onToolExit: (callback) => {
     const listener = (_event, data) => callback(data);
@@ -87,10 +381,98 @@ contextBridge.exposeInMainWorld('electronAPI', {
     return () => ipcRenderer.removeListener('tool:exit', listener);
   },
 
+  /**
+   * Subscribe to slot usage changes (run started / finished / queued).
+   *
+   * data shape:
+   *   { active, queued, maxConcurrent }
+   */
+  onRunsChanged: (callback) => {
+    const listener = (_event, data) => callback(data);
+    ipcRenderer.on('runs:changed', listener);
+    return () => ipcRenderer.removeListener('runs:changed', listener);
+  },
+
   /**
    * Preview a CSV file: returns headers and the first N rows (default 3)
    */
   previewCsv: (filePath, limit = 3) => {
     return ipcRenderer.invoke('csv:preview', { filePath, limit });
+  },
+
+  /**
+   * Column mapper: the input columns a tool reads and a suggested header for each.
+   * filePath: the tool's input CSV (or folder: its first CSV is sampled)
+   * Returns: Promise<{ fields: Array<{ field, label, kind, required }>, headers, suggested: { [field]: header }, sampledFile }>
+   */
+  suggestColumns: (toolId, filePath) => {
+    return ipcRenderer.invoke('columns:suggest', { toolId, filePath });
+  },
+
+  /**
+   * Pre-flight check of a tool's input (no API calls, no credits).
+   * files: input paths (folders = their CSVs), columnMap: the card's column picks
+   * Returns: Promise<{ rows, emptyRows, invalidRows, duplicates, rejected, toSend,
+   *   columns: Array<{ field, label, header, error, filled, empty, invalid, fixed, invalidSamples, fixSamples }>,
+   *   estimate: { unit: 'credits' | 'usd' | null, rows, perRow, amount, basis: 'history' | 'default' | 'unknown' | 'free' } }>
+   */
+  validateInput: (toolId, files, columnMap = {}) => {
+    return ipcRenderer.invoke('preflight:run', { toolId, files, columnMap });
+  },
+
+  /**
+   * Save the rows validation rejects (+ "Rejected reason") as CSV (save dialog in main).
+   * Returns: Promise<{ canceled, outputPath?, rows? }>
+   */
+  exportRejectedRows: (toolId, files, columnMap = {}) => {
+    return ipcRenderer.invoke('preflight:export-rejected', { toolId, files, columnMap });
+  },
+
+  /**
+   * CSV viewer: index a file in main (any size) and page through it.
+   * Returns: Promise<{ viewId, filePath, headers, totalRows, rows, stats: Array<{ filled, empty }> }>
+   */
+  openCsvView: (filePath) => {
+    return ipcRenderer.invoke('csv-viewer:open', { filePath });
+  },
+
+  /**
+   * Sort / filter a view. sort: { column, dir: 'asc' | 'desc' } | null, filters: { [column]: text }
+   * Returns: Promise<{ totalRows, rows, stats } | { superseded: true }>
+   */
+  queryCsvView: (viewId, { sort = null, filters = {} } = {}) => {
+    return ipcRenderer.invoke('csv-viewer:query', { viewId, sort, filters });
+  },
+
+  /**
+   * Returns: Promise<{ offset, rows: Array<{ row, values }> }>
+   */
+  getCsvViewRows: (viewId, offset, limit) => {
+    return ipcRenderer.invoke('csv-viewer:rows', { viewId, offset, limit });
+  },
+
+  closeCsvView: (viewId) => {
+    return ipcRenderer.invoke('csv-viewer:close', { viewId });
+  },
+
+  /**
+   * data shape: { viewId, phase: 'index' | 'query', bytes, totalBytes }
+   */
+  onCsvViewProgress: (callback) => {
+    const listener = (_event, data) => callback(data);
+    ipcRenderer.on('csv-viewer:progress', listener);
+    return () => ipcRenderer.removeListener('csv-viewer:progress', listener);
+  },
+
+  /**
+   * Open an output file with its default app / show it in Explorer (Finder).
+   * Only files the run (runId) reported as artifacts are accepted.
+   */
+  openArtifact: (runId, filePath) => {
+    return ipcRenderer.invoke('artifacts:open', { runId, filePath });
+  },
+
+  revealArtifact: (runId, filePath) => {
+    return ipcRenderer.invoke('artifacts:reveal', { runId, filePath });
   }
 });
@@ -10,23 +10,51 @@
   const blitzSidebar = document.getElementById('blitz-sidebar');
   const inhouseSidebar = document.getElementById('inhouse-sidebar');
 
-  const blitzUrlSelect = document.getElementById('blitz-email-url-column');
-  const blitzInputFile = document.getElementById('blitz-email-input-file');
-
   const navTabs = document.querySelectorAll('.nav-tab');
   const toolCards = document.querySelectorAll('.tool-card');
 
   const runButtons = document.querySelectorAll('[data-role="run-tool"]');
+  const stopButtons = document.querySelectorAll('[data-role="stop-tool"]');
   const resetBtn = document.getElementById('reset-app');
 
+  const pipelinePanel = document.getElementById('pipeline-panel');
+  const schedulePanel = document.getElementById('schedule-panel');
+  const watchPanel = document.getElementById('watch-panel');
+  const vaultPanel = document.getElementById('vault-panel');
+  const csvViewerPanel = document.getElementById('csv-viewer-panel');
+
+  const maxRunsInput = document.getElementById('max-concurrent-runs');
+  const runsUsageEl = document.getElementById('runs-usage');
+  const stopGraceInput = document.getElementById('stop-grace-secs');
+
+  // Set by initContactDepartmentSelector(); lets presets read/write the chips widget
+  let contactDepartments = null;
+
   // ---------- STATE ----------
+  // Each tool card has its own run; several tools may run at once.
   const state = {
-    currentRunId: null,
-    currentToolId: null,
-    running: false,
-    stopping: false,
+    // toolId -> { runId, queued: boolean, stopping: boolean, stopState?: 'stop-requested' | 'draining' | 'killing' }
+    runsByTool: new Map(),
+    // runId -> toolId (routes tool:log / tool:status / tool:exit)
+    toolByRunId: new Map(),
+    // toolId -> [{ path, kind, label, rows }] files of the latest run
+    artifactsByTool: new Map(),
+    // toolId -> { field: header } column mapper picks (payload.columnMap)
+    columnMapByTool: new Map(),
   };
 
+  function getToolRun(toolId) {
+    return state.runsByTool.get(toolId) || null;
+  }
+
+  function isToolRunning(toolId) {
+    return state.runsByTool.has(toolId);
+  }
+
+  function hasActiveRuns() {
+    return state.runsByTool.size > 0;
+  }
+
   // ---------- LOG HELPERS ----------
   function appendToolLog(toolId, message, level = 'info') {
     if (!toolId) return;
@@ -55,94 +83,136 @@
     }
   });
 
-  function setRunningUI(isRunning, toolId = null) {
-    state.running = isRunning;
+  // Only touches the buttons of one card; other tools keep running untouched.
+  function setRunningUI(toolId) {
+    const run = getToolRun(toolId);
 
     runButtons.forEach((btn) => {
-      const thisToolId = btn.getAttribute('data-tool-id');
-
-      if (isRunning) {
-        if (thisToolId === toolId) {
-          btn.disabled = false;
-          btn.classList.remove('btn-primary');
-          btn.classList.add('btn-danger');
-          btn.innerHTML = 'Stop';
-        } else {
-          btn.disabled = true;
-        }
+      if (btn.getAttribute('data-tool-id') !== toolId) return;
+
+      if (run) {
+        btn.disabled = true;
+        btn.innerHTML = run.queued
+          ? 'Queued…'
+          : run.stopState === 'draining'
+            ? 'Draining…'
+            : run.stopping
+              ? 'Stopping…'
+              : `Running…${formatProgress(run.progress)}`;
       } else {
         btn.disabled = false;
-        btn.classList.remove('btn-danger');
-        btn.classList.add('btn-primary');
         if (btn.dataset.defaultHtml) {
           btn.innerHTML = btn.dataset.defaultHtml;
         }
       }
     });
-  }
 
-  function setStoppingUI(isStopping) {
-    state.stopping = isStopping;
+    stopButtons.forEach((btn) => {
+      if (btn.getAttribute('data-tool-id') !== toolId) return;
+
+      // While stopping, a second press kills the process
+      btn.disabled = !run || run.killing;
+      btn.classList.toggle('btn-danger', !!run && !run.killing);
+      btn.classList.toggle('btn-ghost', !run || !!run.killing);
+      btn.textContent = run?.killing
+        ? 'Killing…'
+        : run?.stopping
+          ? 'Force kill'
+          : run?.queued
+            ? 'Cancel'
+            : 'Stop';
+    });
   }
 
-  function resetState() {
-    state.currentRunId = null;
-    state.currentToolId = null;
-    setRunningUI(false, null);
-    setStoppingUI(false);
+  // Progress events (backend/lib/events.js): " 45/200 (23%) • ETA 1m 5s"
+  function formatProgress(progress) {
+    if (!progress) return '';
+    const { done, total, eta_ms: etaMs } = progress;
+    let text = total ? ` ${done}/${total} (${Math.round((done / total) * 100)}%)` : ` ${done}`;
+    if (etaMs) {
+      const secs = Math.round(etaMs / 1000);
+      text += ` • ETA ${secs < 60 ? `${secs}s` : `${Math.floor(secs / 60)}m ${secs % 60}s`}`;
+    }
+    return text;
   }
 
-  // ---------- BLITZ EMAIL PREVIEW ----------
-  function detectLinkedinColumn(headers = []) {
-    const lowered = headers.map((h) => h.toLowerCase());
-    const candidates = lowered.filter((h) => h.includes('linkedin') || h.includes('profile'));
-    if (!candidates.length) return '';
+  // Statuses main sends while a stopped run winds down (main/stop-protocol.js)
+  const STOP_STATES = ['stop-requested', 'draining', 'killing'];
 
-    // Prefer headers that also mention url/id
-    const urlish = candidates.find((h) => h.includes('url') || h.includes('link'));
-    const chosen = urlish || candidates[0];
-    const originalIdx = lowered.indexOf(chosen);
-    return headers[originalIdx] || '';
+  function trackRun(toolId, runId, queued = false) {
+    // Called again once runTool() replies with the runId: keep files that already came in
+    if (!getToolRun(toolId)) resetToolArtifacts(toolId);
+    state.runsByTool.set(toolId, { runId, queued, stopping: false });
+    if (runId) state.toolByRunId.set(runId, toolId);
+    setRunningUI(toolId);
   }
 
-  function populateBlitzUrlSelect(headers = []) {
-    if (!blitzUrlSelect) return;
-    const previous = blitzUrlSelect.value;
-
-    blitzUrlSelect.innerHTML = '';
-    const placeholder = document.createElement('option');
-    placeholder.value = '';
-    placeholder.textContent = headers.length ? 'Pick LinkedIn URL column' : 'Select a column';
-    blitzUrlSelect.appendChild(placeholder);
+  function clearRun(toolId) {
+    const run = getToolRun(toolId);
+    if (run?.runId) state.toolByRunId.delete(run.runId);
+    state.runsByTool.delete(toolId);
+    setRunningUI(toolId);
+  }
 
-    headers.forEach((h) => {
-      const opt = document.createElement('option');
-      opt.value = h;
-      opt.textContent = h;
-      blitzUrlSelect.appendChild(opt);
-    });
+  /**
+   * Resolve which card an IPC event belongs to.
+   * Returns null for events of a run the card no longer tracks.
+   */
+  function resolveToolForEvent(data = {}) {
+    const toolId = state.toolByRunId.get(data.runId) || data.toolId || null;
+    if (!toolId) return null;
+
+    const run = getToolRun(toolId);
+    // runId not known yet (event raced the runTool() reply) -> accept
+    if (run && run.runId && data.runId && run.runId !== data.runId) return null;
+    return toolId;
+  }
 
-    if (previous && headers.includes(previous)) {
-      blitzUrlSelect.value = previous;
+  // ---------- GLOBAL RUN CAP ----------
+  function renderRunsUsage({ active = 0, queued = 0, maxConcurrent, stopGraceSecs } = {}) {
+    if (runsUsageEl) {
+      runsUsageEl.textContent = queued
+        ? `${active} running • ${queued} queued`
+        : `${active} running`;
+    }
+    if (maxRunsInput && maxConcurrent && document.activeElement !== maxRunsInput) {
+      maxRunsInput.value = String(maxConcurrent);
+    }
+    if (stopGraceInput && stopGraceSecs && document.activeElement !== stopGraceInput) {
+      stopGraceInput.value = String(stopGraceSecs);
     }
   }
 
-  async function loadBlitzHeaders() {
-    if (!electronAPI || !blitzInputFile) return;
-    const filePath = blitzInputFile.value?.trim();
-    if (!filePath) return;
+  async function initRunCap() {
+    if (!electronAPI || !electronAPI.getRunLimits) return;
 
     try {
-      const { headers = [] } = await electronAPI.previewCsv(filePath, 1);
-      populateBlitzUrlSelect(headers);
-
-      const detected = detectLinkedinColumn(headers);
-      if (detected && blitzUrlSelect && !blitzUrlSelect.value) {
-        blitzUrlSelect.value = detected;
-      }
+      renderRunsUsage(await electronAPI.getRunLimits());
     } catch (err) {
-      console.error('Failed to read CSV headers:', err);
+      console.error('Failed to read run limits:', err);
     }
+
+    maxRunsInput?.addEventListener('change', async () => {
+      try {
+        const { maxConcurrent } = await electronAPI.setMaxConcurrentRuns(
+          Number(maxRunsInput.value || 0)
+        );
+        maxRunsInput.value = String(maxConcurrent);
+      } catch (err) {
+        console.error('Failed to update run cap:', err);
+      }
+    });
+
+    stopGraceInput?.addEventListener('change', async () => {
+      try {
+        const { stopGraceSecs } = await electronAPI.setStopGrace(Number(stopGraceInput.value || 0));
+        stopGraceInput.value = String(stopGraceSecs);
+      } catch (err) {
+        console.error('Failed to update stop grace period:', err);
+      }
+    });
+
+    electronAPI.onRunsChanged?.(renderRunsUsage);
   }
 
   // ---------- METRICS ----------
@@ -151,8 +221,10 @@
 
     console.log('[DEBUG] updateMetrics called:', { toolId, metrics });
 
+    const card = document.getElementById(toolId) || document;
+
     const set = (dataMetricName, value) => {
-      const el = document.querySelector(`[data-metric="${dataMetricName}"]`);
+      const el = card.querySelector(`[data-metric="${dataMetricName}"]`);
       if (el && typeof value !== 'undefined') {
         console.log('[DEBUG] Setting metric:', dataMetricName, '=', value);
         el.textContent = String(value);
@@ -227,6 +299,7 @@
         set('waterfall-companies-processed', metrics.companiesProcessed);
         set('waterfall-contacts-found', metrics.contactsFound);
         set('waterfall-no-matches', metrics.noMatches);
+        set('waterfall-tier-hits', metrics.tierHits);
         break;
 
       case 'reverse-phone':
@@ -269,31 +342,37 @@
         set('employee-output-rows', metrics.outputRows);
         set('employee-clean-rows', metrics.cleanRows);
         set('employee-issue-rows', metrics.issueRows);
+        set('employee-pages-fetched', metrics.pagesFetched);
         break;
 
       // INHOUSE
       case 'csv-splitter': {
-        set('csv-splitter-total-rows', metrics['csv-splitter-total-rows']);
-        set('csv-splitter-parts', metrics['csv-splitter-parts']);
-        set('csv-splitter-output', metrics['csv-splitter-output']);
+        set('csv-splitter-total-rows', metrics.totalRows);
+        set('csv-splitter-parts', metrics.parts);
+        set('csv-splitter-output', metrics.outputDir);
         break;
       }
 
       case 'csv-merger':
-        set('csv-merger-files', metrics['csv-merger-files']);
-        set('csv-merger-rows', metrics['csv-merger-rows']);
-        set('csv-merger-columns', metrics['csv-merger-columns']);
+        set('csv-merger-files', metrics.files);
+        set('csv-merger-rows', metrics.rows);
+        set('csv-merger-columns', metrics.columns);
         break;
 
       case 'csv-deduplicator':
-        set('dedupe-processed', metrics['dedupe-processed']);
-        set('dedupe-output-rows', metrics['dedupe-output-rows']);
-        set('dedupe-removed', metrics['dedupe-removed']);
+        set('dedupe-processed', metrics.processed);
+        set('dedupe-output-rows', metrics.outputRows);
+        set('dedupe-removed', metrics.removed);
         break;
 
       default:
         break;
     }
+
+    // Every Apify / Blitz tool reports run spend the same way (backend/lib/run-budget.js)
+    if (typeof metrics.budgetSpent !== 'undefined') renderBudgetSpent(toolId, metrics);
+    // Blitz lookup tools with the enrichment cache (backend/lib/enrichment-cache.js)
+    if (typeof metrics.cacheHits !== 'undefined') renderCacheHits(toolId, metrics);
   }
 
   // ---------- SECTION TOGGLE (Apify / Inhouse / Blitz) ----------
@@ -316,6 +395,21 @@
     if (blitzSidebar) {
       blitzSidebar.classList.toggle('hidden', section !== 'blitz');
     }
+    if (pipelinePanel) {
+      pipelinePanel.classList.toggle('hidden', section !== 'pipelines');
+    }
+    if (schedulePanel) {
+      schedulePanel.classList.toggle('hidden', section !== 'schedules');
+    }
+    if (watchPanel) {
+      watchPanel.classList.toggle('hidden', section !== 'watch');
+    }
+    if (vaultPanel) {
+      vaultPanel.classList.toggle('hidden', section !== 'vault');
+    }
+    if (csvViewerPanel) {
+      csvViewerPanel.classList.toggle('hidden', section !== 'viewer');
+    }
 
     let activeToolId = null;
     if (section === 'apify' && apifySidebar) {
@@ -444,97 +538,6 @@
     });
   }
 
-  function initBlitzPreview() {
-    if (!electronAPI) return;
-
-    if (blitzInputFile) {
-      blitzInputFile.addEventListener('change', () => {
-        if (blitzInputFile.value?.trim()) {
-          loadBlitzHeaders();
-        }
-      });
-    }
-
-    // Dedupe column picker
-    const dedupeInput = document.getElementById('dedupe-input-file');
-    const dedupeSelect = document.getElementById('dedupe-column-select');
-    if (dedupeInput && dedupeSelect) {
-      dedupeInput.addEventListener('change', async () => {
-        const filePath = dedupeInput.value?.trim();
-        if (!filePath) {
-          dedupeSelect.innerHTML = '<option value="">Select a CSV file first</option>';
-          return;
-        }
-
-        try {
-          const { headers = [] } = await electronAPI.previewCsv(filePath, 1);
-          dedupeSelect.innerHTML = '';
-          const placeholder = document.createElement('option');
-          placeholder.value = '';
-          placeholder.textContent = headers.length ? 'Pick dedupe column' : 'No columns found';
-          dedupeSelect.appendChild(placeholder);
-
-          headers.forEach((h) => {
-            const opt = document.createElement('option');
-            opt.value = h;
-            opt.textContent = h;
-            dedupeSelect.appendChild(opt);
-          });
-
-          // Auto-select Email if exists
-          const emailCol = headers.find((h) => h.toLowerCase().includes('email'));
-          if (emailCol) dedupeSelect.value = emailCol;
-        } catch (err) {
-          console.error('Failed to read CSV headers for dedupe:', err);
-          dedupeSelect.innerHTML = '<option value="">Error reading file</option>';
-        }
-      });
-    }
-  }
-
-  function initInmailChecker() {
-    if (!electronAPI) return;
-
-    const inmailInputFile = document.getElementById('inmail-input-file');
-    const inmailLinkedinCol = document.getElementById('inmail-linkedin-column');
-
-    if (inmailInputFile && inmailLinkedinCol) {
-      inmailInputFile.addEventListener('change', async () => {
-        const filePath = inmailInputFile.files?.[0]?.path;
-        if (!filePath) {
-          inmailLinkedinCol.innerHTML = '<option value="">Auto-detect</option>';
-          return;
-        }
-
-        try {
-          const { headers = [] } = await electronAPI.previewCsv(filePath, 1);
-          inmailLinkedinCol.innerHTML = '';
-          
-          const autoOption = document.createElement('option');
-          autoOption.value = '';
-          autoOption.textContent = 'Auto-detect';
-          inmailLinkedinCol.appendChild(autoOption);
-
-          headers.forEach((h) => {
-            const opt = document.createElement('option');
-            opt.value = h;
-            opt.textContent = h;
-            inmailLinkedinCol.appendChild(opt);
-          });
-
-          // Auto-select detected LinkedIn column
-          const detected = detectLinkedinColumn(headers);
-          if (detected) {
-            inmailLinkedinCol.value = detected;
-          }
-        } catch (err) {
-          console.error('Failed to read CSV headers for inmail:', err);
-          inmailLinkedinCol.innerHTML = '<option value="">Error reading file</option>';
-        }
-      });
-    }
-  }
-
   // ---------- SAMPLE INPUT BUTTONS ----------
   function initSampleButtons() {
     if (!electronAPI || !electronAPI.downloadSample) return;
@@ -559,8 +562,82 @@
     });
   }
 
+  // ---------- FILE INPUT PATHS ----------
+  // <input type="file"> can't be refilled programmatically, so presets keep the
+  // path in data-restored-paths until the user picks a new file.
+  function getPickedFilePaths(inputEl) {
+    if (!inputEl) return [];
+    const picked = Array.from(inputEl.files || [])
+      .map((f) => f?.path)
+      .filter(Boolean);
+    if (picked.length) return picked;
+
+    try {
+      const restored = JSON.parse(inputEl.dataset.restoredPaths || '[]');
+      return Array.isArray(restored) ? restored.filter(Boolean) : [];
+    } catch {
+      return [];
+    }
+  }
+
+  function getPickedFilePath(inputEl) {
+    return getPickedFilePaths(inputEl)[0] || '';
+  }
+
+  function setRestoredFilePaths(inputEl, paths = []) {
+    const field = inputEl.closest('.form-field') || inputEl.parentElement;
+    let hint = field?.querySelector('.restored-path');
+
+    if (!paths.length) {
+      delete inputEl.dataset.restoredPaths;
+      hint?.remove();
+      return;
+    }
+
+    inputEl.value = '';
+    inputEl.dataset.restoredPaths = JSON.stringify(paths);
+
+    if (!hint && field) {
+      hint = document.createElement('span');
+      hint.className = 'hint restored-path';
+      inputEl.insertAdjacentElement('afterend', hint);
+    }
+    if (hint) hint.textContent = `Using: ${paths.join(', ')}`;
+    inputEl.dispatchEvent(new Event('paths-restored'));
+  }
+
+  function initFileInputRestore() {
+    document.querySelectorAll('.tool-card input[type="file"]').forEach((inputEl) => {
+      inputEl.addEventListener('change', () => {
+        if (inputEl.files?.length) setRestoredFilePaths(inputEl, []);
+      });
+    });
+  }
+
   // ---------- COLLECT CONFIG PER TOOL ----------
+  /**
+   * Build the payload for a tool. Vault keys travel as ids only; main decrypts
+   * them at spawn time.
+   */
   function collectToolConfig(toolId) {
+    const payload = collectToolFields(toolId);
+    if (!payload) return payload;
+
+    const extra = {};
+    const vaultKeyIds = getVaultKeyIds(toolId);
+    if (vaultKeyIds.length) extra.vaultKeyIds = vaultKeyIds;
+    if (getReconcileToggle(toolId)?.checked) extra.reconcileKeyUsage = true;
+    const budget = getBudget(toolId);
+    if (budget) extra.budget = budget;
+    if (getAbortOnStopToggle(toolId)?.checked) extra.abortOnStop = true;
+    // Reusing cached answers is the default; unticked = refresh every input
+    if (getCacheOnlyMissesToggle(toolId) && !getCacheOnlyMissesToggle(toolId).checked) extra.cacheOnlyMisses = false;
+    const columnMap = getColumnMap(toolId);
+    if (Object.keys(columnMap).length) extra.columnMap = columnMap;
+    return Object.keys(extra).length ? { ...payload, ...extra } : payload;
+  }
+
+  function collectToolFields(toolId) {
     const card = document.getElementById(toolId);
     if (!card) return {};
 
@@ -585,8 +662,7 @@
         const keyword = keywordInput?.value?.trim() || '';
         const perKeyLimit = Number(perKeyInput?.value || 0) || 0;
 
-        let keysFilePath = '';
-        if (keysFileInput?.files?.[0]) keysFilePath = keysFileInput.files[0].path || '';
+        const keysFilePath = getPickedFilePath(keysFileInput);
 
         const outputDir = outputDirInput?.value?.trim() || '';
 
@@ -601,11 +677,9 @@
         const outputDirInput = inputs[4];
         const outputChoiceSelect = inputs[5];
 
-        let inputCsvPath = '';
-        if (inputCsvInput?.files?.[0]) inputCsvPath = inputCsvInput.files[0].path || '';
+        const inputCsvPath = getPickedFilePath(inputCsvInput);
 
-        let keysFilePath = '';
-        if (keysFileInput?.files?.[0]) keysFilePath = keysFileInput.files[0].path || '';
+        const keysFilePath = getPickedFilePath(keysFileInput);
 
         const urlCol = urlColInput?.value?.trim() || '';
         const batchSize = Number(batchSizeInput?.value || 100) || 100;
@@ -650,8 +724,8 @@
           alert('Please select an input CSV file');
           return null;
         }
-        if (!keysFilePath) {
-          alert('Please upload keys.json file');
+        if (!keysFilePath && !getVaultKeyIds(toolId).length) {
+          alert('Please upload keys.json file or pick keys from the vault');
           return null;
         }
         if (!outputDir) {
@@ -679,14 +753,9 @@
         const outputDirInput = inputs[3];
 
         const postsCsvPaths = [];
-        if (postsFileInput?.files) {
-          for (const f of postsFileInput.files) {
-            if (f?.path) postsCsvPaths.push(f.path);
-          }
-        }
+        postsCsvPaths.push(...getPickedFilePaths(postsFileInput));
 
-        let keysFilePath = '';
-        if (keysFileInput?.files?.[0]) keysFilePath = keysFileInput.files[0].path || '';
+        const keysFilePath = getPickedFilePath(keysFileInput);
 
         const perKeyLimit = Number(perKeyInput?.value || 0) || 0;
         const outputDir = outputDirInput?.value?.trim() || '';
@@ -701,10 +770,7 @@
         const concurrencyEl = document.getElementById('inmail-concurrency');
         const outputDirEl = document.getElementById('inmail-output-dir');
 
-        let inputCsvPath = '';
-        if (inputFileEl?.files?.[0]) {
-          inputCsvPath = inputFileEl.files[0].path || '';
-        }
+        const inputCsvPath = getPickedFilePath(inputFileEl);
 
         const tokensInput = (tokensEl?.value || '').trim();
         const tokens = tokensInput
@@ -745,14 +811,9 @@
         const outputDirInput = inputs[3];
 
         const postsCsvPaths = [];
-        if (postsFileInput?.files) {
-          for (const f of postsFileInput.files) {
-            if (f?.path) postsCsvPaths.push(f.path);
-          }
-        }
+        postsCsvPaths.push(...getPickedFilePaths(postsFileInput));
 
-        let keysFilePath = '';
-        if (keysFileInput?.files?.[0]) keysFilePath = keysFileInput.files[0].path || '';
+        const keysFilePath = getPickedFilePath(keysFileInput);
 
         const limitPerKey = Number(limitInput?.value || 0) || 0;
         const outputDir = outputDirInput?.value?.trim() || '';
@@ -776,8 +837,7 @@
         const inputDir = inputDirInput?.value?.trim() || '';
         const outputDir = outputDirInput?.value?.trim() || '';
 
-        let keysFilePath = '';
-        if (keysFileInput?.files?.[0]) keysFilePath = keysFileInput.files[0].path || '';
+        const keysFilePath = getPickedFilePath(keysFileInput);
 
         const actorOrFlowId = actorIdInput?.value?.trim() || '';
         const csvSize = Number(csvSizeInput?.value || 100) || 100;
@@ -805,8 +865,7 @@
         const maxCreditsInput = inputs[4];
         const actorIdInput = inputs[5];
 
-        let inputCsv = '';
-        if (inputCsvInput?.files?.[0]) inputCsv = inputCsvInput.files[0].path || '';
+        const inputCsv = getPickedFilePath(inputCsvInput);
 
         const outputDir = outputDirInput?.value?.trim() || '';
         if (!inputCsv) {
@@ -818,10 +877,9 @@
           return null;
         }
 
-        let keysFilePath = '';
-        if (keysFileInput?.files?.[0]) keysFilePath = keysFileInput.files[0].path || '';
-        if (!keysFilePath) {
-          alert('Please upload keys.json file');
+        const keysFilePath = getPickedFilePath(keysFileInput);
+        if (!keysFilePath && !getVaultKeyIds(toolId).length) {
+          alert('Please upload keys.json file or pick keys from the vault');
           return null;
         }
 
@@ -853,7 +911,7 @@
           return null;
         }
         if (!linkedinUrlColumn) {
-          alert('Please choose which column contains the LinkedIn profile URLs.');
+          alert('Please pick the LinkedIn profile URL column under "Input columns".');
           return null;
         }
         if (!outputDir) {
@@ -882,9 +940,20 @@
           document.getElementById('waterfall-exclude-titles-csv')?.value?.trim() || '';
         const locationsCsvPath =
           document.getElementById('waterfall-locations-csv')?.value?.trim() || '';
+        const tiersPath =
+          document.getElementById('waterfall-tiers-file')?.value?.trim() || '';
+
+        const cascadeTiers = readWaterfallTiers();
+        const badTier = cascadeTiers.findIndex((t) => t.includeTitles.length === 0);
+        if (badTier !== -1) {
+          alert(`Cascade tier ${badTier + 1} needs at least one include title`);
+          return null;
+        }
 
         const maxResultsPerCompany =
           Number(document.getElementById('waterfall-max-results')?.value || 10) || 10;
+        const concurrency =
+          Number(document.getElementById('waterfall-concurrency')?.value || 3) || 3;
 
         const outputDir =
           document.getElementById('waterfall-output-dir')?.value?.trim() || '';
@@ -895,8 +964,8 @@
           alert('Please choose Companies CSV');
           return null;
         }
-        if (!includeTitlesCsvPath) {
-          alert('Please choose Include titles CSV');
+        if (!includeTitlesCsvPath && !tiersPath && cascadeTiers.length === 0) {
+          alert('Please choose Include titles CSV, a tiers file or add a cascade tier');
           return null;
         }
         if (!outputDir) {
@@ -910,10 +979,14 @@
           includeTitlesCsvPath,
           excludeTitlesCsvPath,
           locationsCsvPath,
+          tiersPath,
+          cascadeTiers,
           maxResultsPerCompany,
+          concurrency,
           outputDir,
           outputFile,
           streamAppend: true,
+          retryFailuresOnly: !!document.getElementById('waterfall-retry-failures')?.checked,
         };
       }
 
@@ -1147,6 +1220,10 @@
           concurrency,
           outputDir,
           outputFileName,
+          retryFailuresOnly: !!document.getElementById('employee-finder-retry-failures')?.checked,
+          fetchAllPages: !!document.getElementById('employee-finder-all-pages')?.checked,
+          maxResultsPerCompany:
+            Number(document.getElementById('employee-finder-max-per-company')?.value || 100) || 100,
         };
       }
 
@@ -1232,7 +1309,7 @@
           return null;
         }
         if (!columnName) {
-          appendLog('csv-deduplicator', 'Please select a column to deduplicate by.', 'error');
+          appendLog('csv-deduplicator', 'Please pick the "Dedupe by" column under "Input columns".', 'error');
           return null;
         }
 
@@ -1261,27 +1338,18 @@
       return;
     }
 
-    if (state.running) {
-      appendLog(
-        toolId,
-        'Another tool is already running. Please stop it before starting a new one.',
-        'warn'
-      );
+    if (isToolRunning(toolId)) {
+      appendLog(toolId, 'This tool is already running. Stop it before starting it again.', 'warn');
       return;
     }
 
-    const consoleEl = document.getElementById(`console-${toolId}`);
-    if (consoleEl) consoleEl.textContent = 'Starting...\n';
-
-    appendLog(toolId, `▶ Starting tool: ${toolId}`);
-
-    setRunningUI(true, toolId);
-    setStoppingUI(false);
-
     try {
       const payload = collectToolConfig(toolId);
       console.log('[DEBUG] Collected payload:', payload);
 
+      // collectToolConfig already told the user what is missing
+      if (payload === null) return;
+
       if (toolId === 'apify-email-enricher') {
         console.log('[DEBUG] Validating Apify Email Enricher...');
         console.log('[DEBUG] inputDir:', payload?.inputDir);
@@ -1291,8 +1359,8 @@
 
         if (!payload?.inputDir) throw new Error('Input folder is required.');
         if (!payload?.outputDir) throw new Error('Output folder is required.');
-        if (!payload?.keysFilePath)
-          throw new Error('Keys file (keys.json) is required.');
+        if (!payload?.keysFilePath && !payload?.vaultKeyIds?.length)
+          throw new Error('Keys file (keys.json) or vault keys are required.');
         if (!payload?.actorOrFlowId)
           throw new Error('Actor ID / Flow ID is required.');
         console.log('[DEBUG] All validations passed!');
@@ -1306,8 +1374,8 @@
 
         if (!payload?.inputCsv) throw new Error('Input CSV file is required.');
         if (!payload?.outputDir) throw new Error('Output folder is required.');
-        if (!payload?.keysFilePath)
-          throw new Error('Keys file (keys.json) is required.');
+        if (!payload?.keysFilePath && !payload?.vaultKeyIds?.length)
+          throw new Error('Keys file (keys.json) or vault keys are required.');
         console.log('[DEBUG] All validations passed!');
       }
 
@@ -1318,11 +1386,32 @@
         console.log('[DEBUG] outputDir:', payload?.outputDir);
 
         if (!payload?.inputCsv) throw new Error('Input CSV file is required.');
-        if (!payload?.tokensStr) throw new Error('At least one Apify token is required.');
+        if (!payload?.tokensStr && !payload?.vaultKeyIds?.length)
+          throw new Error('At least one Apify token (typed or from the vault) is required.');
         if (!payload?.outputDir) throw new Error('Output folder is required.');
         console.log('[DEBUG] All validations passed!');
       }
 
+      await launchTool(toolId, payload);
+    } catch (err) {
+      console.error('[ERROR] startTool error:', err);
+      appendLog(toolId, `✗ Failed to start tool "${toolId}": ${err.message}`, 'error');
+    }
+  }
+
+  /**
+   * Send an already-built payload to the main process (Run button, re-run from history).
+   */
+  async function launchTool(toolId, payload) {
+    const consoleEl = document.getElementById(`console-${toolId}`);
+    if (consoleEl) consoleEl.textContent = 'Starting...\n';
+
+    appendLog(toolId, `▶ Starting tool: ${toolId}`);
+
+    // Reserve the card before the IPC round-trip so double clicks are ignored
+    trackRun(toolId, null);
+
+    try {
       console.log('[DEBUG] Calling electronAPI.runTool with:', toolId, payload);
       const result = await electronAPI.runTool(toolId, payload);
       console.log('[DEBUG] Got result:', result);
@@ -1330,47 +1419,69 @@
       const runId = result?.runId;
       if (!runId) throw new Error('No runId returned from main process.');
 
-      state.currentRunId = runId;
-      state.currentToolId = toolId;
-      appendLog(toolId, `✓ Tool "${toolId}" started (runId: ${runId})`);
+      // The run may already have exited (e.g. cancelled) before the reply arrived
+      if (isToolRunning(toolId)) {
+        trackRun(toolId, runId, !!result.queued);
+      }
+
+      appendLog(
+        toolId,
+        result.queued
+          ? `⏳ Tool "${toolId}" queued – waiting for a free slot (runId: ${runId})`
+          : `✓ Tool "${toolId}" started (runId: ${runId})`
+      );
     } catch (err) {
-      console.error('[ERROR] startTool error:', err);
+      console.error('[ERROR] launchTool error:', err);
       appendLog(toolId, `✗ Failed to start tool "${toolId}": ${err.message}`, 'error');
-      resetState();
+      clearRun(toolId);
     }
   }
 
   // ---------- STOP (GRACEFUL) ----------
-  async function requestStopForCurrent() {
+  async function requestStop(toolId) {
     if (!electronAPI) return;
 
-    if (!state.running || !state.currentRunId) {
-      if (state.currentToolId) {
-        appendLog(state.currentToolId, 'No tool is currently running.', 'warn');
-      }
+    const run = getToolRun(toolId);
+    if (!run || !run.runId) {
+      appendLog(toolId, 'This tool is not currently running.', 'warn');
       return;
     }
 
-    if (state.stopping) {
-      appendLog(state.currentToolId, 'Already stopping current run…', 'warn');
+    if (run.stopping) {
+      if (run.queued || run.killing) {
+        appendLog(toolId, 'Already stopping current run…', 'warn');
+        return;
+      }
+      run.killing = true;
+      setRunningUI(toolId);
+      appendLog(toolId, '⛔ Force kill requested. Results not saved yet are lost (unfinished Apify runs can be collected later).', 'warn');
+      try {
+        await electronAPI.stopTool(run.runId);
+      } catch (err) {
+        appendLog(toolId, `✗ Failed to kill the run: ${err.message}`, 'error');
+        run.killing = false;
+        setRunningUI(toolId);
+      }
       return;
     }
 
-    setStoppingUI(true);
+    run.stopping = true;
+    setRunningUI(toolId);
     appendLog(
-      state.currentToolId,
-      '⏹ Stop requested. No new requests will be scheduled; waiting for in-flight work to complete…'
+      toolId,
+      run.queued
+        ? '⏹ Removing queued run…'
+        : getAbortOnStopToggle(toolId)?.checked
+          ? '⏹ Stop requested. Aborting running Apify actors and saving their partial results… (press again to kill)'
+          : '⏹ Stop requested. No new requests will be scheduled; waiting for in-flight work to complete… (press again to kill)'
     );
 
     try {
-      await electronAPI.stopTool(state.currentRunId);
+      await electronAPI.stopTool(run.runId);
     } catch (err) {
-      appendLog(
-        state.currentToolId,
-        `✗ Failed to send stop signal: ${err.message}`,
-        'error'
-      );
-      setStoppingUI(false);
+      appendLog(toolId, `✗ Failed to send stop signal: ${err.message}`, 'error');
+      run.stopping = false;
+      setRunningUI(toolId);
     }
   }
 
@@ -1379,23 +1490,15 @@
       const toolId = btn.getAttribute('data-tool-id');
       if (!toolId) return;
 
-      btn.addEventListener('click', () => {
-        if (!state.running) {
-          startTool(toolId);
-          return;
-        }
+      btn.addEventListener('click', () => startTool(toolId));
+    });
 
-        if (state.running && state.currentToolId === toolId) {
-          requestStopForCurrent();
-          return;
-        }
+    stopButtons.forEach((btn) => {
+      const toolId = btn.getAttribute('data-tool-id');
+      if (!toolId) return;
 
-        appendLog(
-          toolId,
-          'Another tool is already in progress. Wait for it to finish or stop it first.',
-          'warn'
-        );
-      });
+      btn.disabled = true;
+      btn.addEventListener('click', () => requestStop(toolId));
     });
   }
 
@@ -1404,12 +1507,10 @@
     if (!resetBtn) return;
 
     resetBtn.addEventListener('click', () => {
-      if (state.running) {
-        appendLog(
-          state.currentToolId,
-          'Cannot reset while a tool is running. Please stop it first.',
-          'warn'
-        );
+      if (hasActiveRuns()) {
+        state.runsByTool.forEach((_run, toolId) => {
+          appendLog(toolId, 'Cannot reset while a tool is running. Please stop it first.', 'warn');
+        });
         return;
       }
 
@@ -1424,6 +1525,7 @@
         }
         if (inp.type === 'file') {
           inp.value = '';
+          setRestoredFilePaths(inp, []);
           return;
         }
 
@@ -1446,6 +1548,8 @@
       const toggleText = document.getElementById('toggleText-contact');
       if (toggleText) toggleText.textContent = 'Off';
 
+      setWaterfallTiers([]);
+
       const metricElements = document.querySelectorAll('[data-metric]');
       metricElements.forEach((el) => {
         el.textContent = '0';
@@ -1460,7 +1564,6 @@
         }
       });
 
-      resetState();
       handleSectionToggle('apify');
       appendLog('post-finder', 'App reset to initial state.');
     });
@@ -1497,105 +1600,2802 @@
     });
   }
 
-  // ---------- IPC LISTENERS ----------
-  function initIpcListeners() {
-    if (!electronAPI) {
-      console.warn('Electron API not present – running in plain browser mode.');
-      return;
+  // ---------- COLUMN MAPPER ----------
+  // Each card with an input CSV gets one picker per column its backend reads
+  // (backend/lib/column-map.js TOOL_COLUMNS). Picks travel as payload.columnMap
+  // and win over the backend's built-in header names. A card's older column
+  // control ([data-column-field]) is hidden and kept in sync.
+
+  function getColumnMapBar(toolId) {
+    return document.querySelector(`.column-map-bar[data-tool-id="${toolId}"]`);
+  }
+
+  function getToolInputPath(inputEl) {
+    if (!inputEl) return '';
+    return inputEl.type === 'file' ? getPickedFilePath(inputEl) : inputEl.value?.trim() || '';
+  }
+
+  /** { field: header } of the non-auto picks. */
+  function getColumnMap(toolId) {
+    return { ...(state.columnMapByTool.get(toolId) || {}) };
+  }
+
+  function syncLegacyColumnControl(toolId, fieldName, header) {
+    const el = document.getElementById(toolId)?.querySelector(`[data-column-field="${fieldName}"]`);
+    if (!el) return;
+    // Auto -> the control's own default (the backend's built-in header)
+    const value = header || (el.tagName === 'SELECT' ? '' : el.defaultValue);
+    if (value && el.tagName === 'SELECT' && !Array.from(el.options).some((o) => o.value === value)) {
+      const opt = document.createElement('option');
+      opt.value = value;
+      opt.textContent = value;
+      el.appendChild(opt);
     }
+    el.value = value;
+  }
 
-    electronAPI.onToolLog((data) => {
-      if (state.currentRunId && data.runId && data.runId !== state.currentRunId) return;
-      const toolId = data.toolId || state.currentToolId || 'tool';
-      appendLog(toolId, data.message, data.level || 'info');
+  function fillColumnSelect(select, headers, value) {
+    select.innerHTML = '<option value="">Auto</option>';
+    const options = value && !headers.includes(value) ? [...headers, value] : headers;
+    options.forEach((h) => {
+      const opt = document.createElement('option');
+      opt.value = h;
+      opt.textContent = h;
+      select.appendChild(opt);
     });
+    select.value = value || '';
+  }
 
-    electronAPI.onToolStatus((data) => {
-      if (state.currentRunId && data.runId && data.runId !== state.currentRunId) return;
+  function setColumnPick(toolId, fieldName, header) {
+    const map = getColumnMap(toolId);
+    if (header) map[fieldName] = header;
+    else delete map[fieldName];
+    state.columnMapByTool.set(toolId, map);
+    syncLegacyColumnControl(toolId, fieldName, header);
+  }
 
-      const toolId = data.toolId || state.currentToolId || 'tool';
-      if (data.status) appendLog(toolId, `ℹ Status: ${data.status}`, 'info');
-      if (data.metrics) updateMetrics(toolId, data.metrics);
-    });
+  /** Presets: picks are kept even before the card's fields / headers are loaded. */
+  function setColumnMap(toolId, map = {}) {
+    state.columnMapByTool.set(toolId, {});
+    Object.entries(map).forEach(([fieldName, header]) => setColumnPick(toolId, fieldName, header));
 
-    electronAPI.onToolExit((data) => {
-      const toolId = data.toolId || state.currentToolId || 'tool';
-      const msg = data.error
-        ? `✗ Tool "${toolId}" exited with error: ${data.error}`
-        : `✓ Tool "${toolId}" finished.`;
+    getColumnMapBar(toolId)
+      ?.querySelectorAll('select[data-column-map]')
+      .forEach((select) => {
+        const headers = Array.from(select.options)
+          .map((o) => o.value)
+          .filter(Boolean);
+        fillColumnSelect(select, headers, map[select.dataset.columnMap] || '');
+        setColumnPick(toolId, select.dataset.columnMap, select.value);
+      });
+  }
 
-      appendLog(toolId, msg, data.error ? 'error' : 'info');
-      resetState();
+  function renderColumnMap(toolId, { fields = [], headers = [], suggested = {}, sampledFile = null }) {
+    const bar = getColumnMapBar(toolId);
+    if (!bar) return;
+    const current = getColumnMap(toolId);
+    const list = bar.querySelector('.column-map-fields');
+    const source = bar.querySelector('.column-map-source');
+
+    source.textContent = sampledFile ? `from ${fileNameOf(sampledFile)}` : 'pick an input CSV to map its columns';
+    list.innerHTML = '';
+
+    fields.forEach((spec) => {
+      const label = document.createElement('label');
+      label.className = 'column-map-field';
+      label.innerHTML = '<span></span><select class="input-field"></select>';
+      label.querySelector('span').textContent = spec.required ? `${spec.label} *` : spec.label;
+
+      // An earlier pick (or a preset's) stays unless the new file lacks that header
+      const previous = current[spec.field] || '';
+      const pick = previous && (!headers.length || headers.includes(previous)) ? previous : suggested[spec.field] || '';
+
+      const select = label.querySelector('select');
+      select.dataset.columnMap = spec.field;
+      fillColumnSelect(select, headers, pick);
+      select.addEventListener('change', () => setColumnPick(toolId, spec.field, select.value));
+      setColumnPick(toolId, spec.field, pick);
+
+      list.appendChild(label);
     });
   }
 
-  // ---------- INIT ----------
-  document.addEventListener('DOMContentLoaded', () => {
-    initSectionToggle();
-    initNavTabs();
-    initRunButtons();
-    initDirPickers();
-    initFilePickers();
-    initBlitzPreview();
-    initInmailChecker();
-    initSampleButtons();
-    initPerToolConsoleToggles();
-    initIpcListeners();
-    initResetButton();
+  async function refreshColumnMap(toolId) {
+    const inputEl = document.getElementById(toolId)?.querySelector('[data-role="tool-input"]');
+    try {
+      renderColumnMap(toolId, await electronAPI.suggestColumns(toolId, getToolInputPath(inputEl)));
+    } catch (err) {
+      console.error('Failed to read CSV columns:', err);
+      appendLog(toolId, `⚠ Could not read the input columns: ${err.message || err}`, 'warn');
+    }
+  }
 
-    // Initialize embedded departments multi-select for Contact Details Scraper
-    (function initContactDepartmentSelector() {
-      // ✅ options (your 14) — no explicit "None"
-      const OPTIONS = [
-        'C-Suite',
-        'Product',
-        'Engineering & Technical',
-        'Design',
-        'Education',
-        'Finance',
-        'Human Resources',
-        'Information Technology',
-        'Legal',
-        'Marketing',
-        'Medical & Health',
-        'Operations',
-        'Sales',
-        'Consulting',
-      ];
+  function buildColumnMapBar(toolId) {
+    const bar = document.createElement('div');
+    bar.className = 'column-map-bar';
+    bar.dataset.toolId = toolId;
+    bar.innerHTML = `
+      <div class="console-header-row">
+        <h4>🧭 Input columns</h4>
+        <span class="hint column-map-source"></span>
+        <button type="button" class="btn-ghost small" data-role="preflight-run"
+          title="Check the input without calling any API: rows, duplicates, empty / invalid values, cost">Validate</button>
+      </div>
+      <div class="column-map-fields"></div>
+      <div class="preflight-report hidden"></div>
+    `;
+    bar.querySelector('[data-role="preflight-run"]').addEventListener('click', () => validateToolInput(toolId));
+    return bar;
+  }
 
-      const ms = document.getElementById('ms-contact');
-      if (!ms) return;
+  function initColumnMapper() {
+    if (!electronAPI?.suggestColumns) return;
 
-      const btn = ms.querySelector('.ms-btn');
-      const list = document.getElementById('list-contact');
-      const chips = document.getElementById('chips-contact');
-      const search = document.getElementById('search-contact');
-      const clearBtn = document.getElementById('clearBtn-contact');
-      const selectAllBtn = document.getElementById('selectAll-contact');
-      const countEl = document.getElementById('count-contact');
-      // Removed enable toggle elements
+    toolCards.forEach((card) => {
+      const inputEl = card.querySelector('[data-role="tool-input"]');
+      const grid = inputEl?.closest('.form-grid');
+      if (!grid) return;
+
+      const bar = buildColumnMapBar(card.id);
+      grid.insertAdjacentElement('afterend', bar);
+
+      electronAPI
+        .suggestColumns(card.id, '')
+        .then(({ fields = [] }) => {
+          // Tools that read no particular column (splitter, merger)
+          if (!fields.length) {
+            bar.remove();
+            return;
+          }
+          card.querySelectorAll('[data-column-field]').forEach((el) => el.closest('.form-field')?.classList.add('hidden'));
+          renderColumnMap(card.id, { fields });
+          if (getToolInputPath(inputEl)) refreshColumnMap(card.id);
+        })
+        .catch((err) => console.error('Failed to load column fields:', err));
+
+      const onInputChange = () => {
+        clearPreflightReport(card.id);
+        refreshColumnMap(card.id);
+      };
+      inputEl.addEventListener('change', onInputChange);
+      inputEl.addEventListener('paths-restored', onInputChange);
+    });
+  }
 
-      // outputChoice select (used to disable filter UI when not lead enrichment)
-      const contactCard = document.getElementById('contact-details-scraper');
-      const outputChoiceSelect = contactCard?.querySelectorAll('.form-field .input-field')?.[5] || null;
+  // ---------- PRE-FLIGHT VALIDATION ----------
+  // "Validate" in the Input columns box: main/preflight.js reads the input the
+  // way the tool will (no API calls) and reports what a run would skip / cost.
 
-      const local = { open: false, selected: new Set([]), focusIndex: -1 };
+  function getToolInputPaths(toolId) {
+    const inputEl = document.getElementById(toolId)?.querySelector('[data-role="tool-input"]');
+    if (!inputEl) return [];
+    return inputEl.type === 'file' ? getPickedFilePaths(inputEl) : [getToolInputPath(inputEl)].filter(Boolean);
+  }
 
-      function isLeadEnrichmentOutput(choice) {
-        return choice === '3' || choice === '4' || choice === '5';
-      }
+  function getPreflightReportEl(toolId) {
+    return getColumnMapBar(toolId)?.querySelector('.preflight-report') || null;
+  }
 
-      function setOpen(next) {
-        local.open = next;
-        ms.classList.toggle('open', next);
-        btn.setAttribute('aria-expanded', String(next));
-        if (next) {
-          if (search) search.value = '';
-          local.focusIndex = -1;
-          renderList();
-          setTimeout(() => search?.focus?.(), 50);
-        }
-      }
+  function clearPreflightReport(toolId) {
+    const el = getPreflightReportEl(toolId);
+    if (!el) return;
+    el.innerHTML = '';
+    el.classList.add('hidden');
+  }
+
+  function formatEstimate(estimate) {
+    if (!estimate || estimate.basis === 'free') return 'free (no credits)';
+    if (estimate.basis === 'unknown') return 'unknown until this tool has a finished run with spend';
+    const usd = estimate.unit === 'usd';
+    const total = `${formatBudgetAmount(estimate.amount, estimate.unit)}${usd ? '' : ' credits'}`;
+    const perRow = usd ? `$${Number(estimate.perRow).toFixed(4)}` : `${Number(estimate.perRow.toFixed(2))}`;
+    const basis =
+      estimate.basis === 'history'
+        ? `avg of the last ${estimate.runs} run${estimate.runs === 1 ? '' : 's'}`
+        : 'assuming 1 credit per lookup';
+    return `≈ ${total} (${perRow}/row, ${basis})`;
+  }
+
+  function describePreflightColumn(column) {
+    const parts = [`${column.filled} filled`, `${column.empty} empty`];
+    if (column.invalid) parts.push(`${column.invalid} invalid (e.g. ${column.invalidSamples.join(', ')})`);
+    if (column.fixed) {
+      const sample = column.fixSamples[0];
+      parts.push(`${column.fixed} would be cleaned up (e.g. ${sample.from} → ${sample.to})`);
+    }
+    return parts.join(' · ');
+  }
+
+  function renderPreflightReport(toolId, report) {
+    const el = getPreflightReportEl(toolId);
+    if (!el) return;
+
+    const files = report.files.length > 1 ? `${report.files.length} files` : fileNameOf(report.files[0] || '');
+    el.innerHTML = `
+      <div class="preflight-summary"></div>
+      <ul class="preflight-columns"></ul>
+      <div class="preflight-actions">
+        <span class="hint preflight-estimate"></span>
+        <button type="button" class="btn-ghost small" data-role="preflight-export">Export rejected rows</button>
+      </div>
+    `;
+    el.querySelector('.preflight-summary').textContent =
+      `${files}: ${report.rows} rows · ${report.duplicates} duplicates · ${report.emptyRows} with an empty required value · ` +
+      `${report.invalidRows} invalid · ${report.rejected} rejected → ${report.toSend} would be sent`;
+    el.querySelector('.preflight-estimate').textContent = `Estimated cost: ${formatEstimate(report.estimate)}`;
+
+    const list = el.querySelector('.preflight-columns');
+    report.columns.forEach((column) => {
+      const item = document.createElement('li');
+      const name = `${column.label}${column.header ? ` ← ${column.header}` : ''}`;
+      item.textContent = column.error ? `${name}: ${column.error}` : `${name}: ${describePreflightColumn(column)}`;
+      item.classList.toggle('preflight-error', !!column.error);
+      list.appendChild(item);
+    });
+
+    const exportBtn = el.querySelector('[data-role="preflight-export"]');
+    exportBtn.disabled = !report.rejected;
+    exportBtn.addEventListener('click', () => exportPreflightRejected(toolId));
+    el.classList.remove('hidden');
+  }
+
+  async function validateToolInput(toolId) {
+    const files = getToolInputPaths(toolId);
+    if (!files.length) {
+      alert('Please select an input file first.');
+      return;
+    }
+
+    const btn = getColumnMapBar(toolId)?.querySelector('[data-role="preflight-run"]');
+    if (btn) btn.disabled = true;
+    try {
+      const report = await electronAPI.validateInput(toolId, files, getColumnMap(toolId));
+      renderPreflightReport(toolId, report);
+      appendLog(toolId, `🩺 Validated input: ${report.rows} rows, ${report.rejected} rejected, ${report.toSend} would be sent`);
+    } catch (err) {
+      console.error('Validation failed:', err);
+      alert(`Validation failed: ${err.message || err}`);
+    } finally {
+      if (btn) btn.disabled = false;
+    }
+  }
+
+  async function exportPreflightRejected(toolId) {
+    try {
+      const result = await electronAPI.exportRejectedRows(toolId, getToolInputPaths(toolId), getColumnMap(toolId));
+      if (result.canceled) return;
+      appendLog(toolId, `📄 ${result.rows} rejected rows saved to ${result.outputPath}`);
+    } catch (err) {
+      console.error('Export of rejected rows failed:', err);
+      alert(`Export failed: ${err.message || err}`);
+    }
+  }
+
+  // ---------- WATERFALL CASCADE TIERS ----------
+  function splitTierList(value) {
+    return String(value || '')
+      .split(',')
+      .map((v) => v.trim())
+      .filter(Boolean);
+  }
+
+  function renumberWaterfallTiers() {
+    document.querySelectorAll('#waterfall-tiers .tier-row').forEach((row, idx) => {
+      row.querySelector('.tier-index').textContent = `${idx + 1}.`;
+    });
+  }
+
+  function addWaterfallTierRow(tier = {}) {
+    const list = document.getElementById('waterfall-tiers');
+    if (!list) return null;
+
+    const row = document.createElement('div');
+    row.className = 'tier-row';
+    row.innerHTML = `
+      <span class="tier-index"></span>
+      <input type="text" class="input-field" data-role="tier-name" placeholder="Name (e.g. VP Sales US)">
+      <input type="text" class="input-field" data-role="tier-include" placeholder="Include titles: vp sales, head of sales">
+      <input type="text" class="input-field" data-role="tier-exclude" placeholder="Exclude titles (optional)">
+      <input type="text" class="input-field" data-role="tier-location" placeholder="Locations: US, UK (optional = any)">
+      <button type="button" class="btn-ghost small" data-role="tier-remove" title="Remove tier">✕</button>
+    `;
+
+    row.querySelector('[data-role="tier-name"]').value = tier.name || '';
+    row.querySelector('[data-role="tier-include"]').value = (tier.includeTitles || []).join(', ');
+    row.querySelector('[data-role="tier-exclude"]').value = (tier.excludeTitles || []).join(', ');
+    row.querySelector('[data-role="tier-location"]').value = (tier.locations || []).join(', ');
+
+    row.querySelector('[data-role="tier-remove"]').addEventListener('click', () => {
+      row.remove();
+      renumberWaterfallTiers();
+    });
+
+    list.appendChild(row);
+    renumberWaterfallTiers();
+    return row;
+  }
+
+  /** Tiers from the card editor (blank rows ignored), in cascade order. */
+  function readWaterfallTiers() {
+    return Array.from(document.querySelectorAll('#waterfall-tiers .tier-row'))
+      .map((row) => ({
+        name: row.querySelector('[data-role="tier-name"]').value.trim(),
+        includeTitles: splitTierList(row.querySelector('[data-role="tier-include"]').value),
+        excludeTitles: splitTierList(row.querySelector('[data-role="tier-exclude"]').value),
+        locations: splitTierList(row.querySelector('[data-role="tier-location"]').value),
+      }))
+      .filter(
+        (t) => t.name || t.includeTitles.length || t.excludeTitles.length || t.locations.length
+      );
+  }
+
+  function setWaterfallTiers(tiers = []) {
+    const list = document.getElementById('waterfall-tiers');
+    if (!list) return;
+    list.innerHTML = '';
+    tiers.forEach((tier) => addWaterfallTierRow(tier));
+  }
+
+  function initWaterfallTiers() {
+    document.getElementById('waterfall-add-tier')?.addEventListener('click', () => {
+      addWaterfallTierRow();
+    });
+  }
+
+  // ---------- PRESETS (named configs per tool) ----------
+  // Controls that belong to the preset bar / history panel are not part of a tool's config
+  const FORM_SNAPSHOT_EXCLUDE =
+    '.preset-bar, .history-wrap, .artifacts-wrap, .vault-bar, .budget-bar, .column-map-bar, .tier-editor';
+
+  function getCardControls(card) {
+    return Array.from(card.querySelectorAll('input, select, textarea')).filter(
+      (el) => !el.closest(FORM_SNAPSHOT_EXCLUDE)
+    );
+  }
+
+  // Never written into a preset (presets are meant to be shared)
+  function isSecretControl(el) {
+    return el.type === 'password' || /token/i.test(el.id || '');
+  }
+
+  function snapshotCardForm(toolId) {
+    const card = document.getElementById(toolId);
+    if (!card) return {};
+
+    const form = {};
+    getCardControls(card).forEach((el, idx) => {
+      if (isSecretControl(el)) return;
+      const key = el.id || `#${idx}`;
+
+      if (el.type === 'checkbox' || el.type === 'radio') {
+        form[key] = { type: 'checked', checked: el.checked };
+      } else if (el.type === 'file') {
+        form[key] = { type: 'file', paths: getPickedFilePaths(el) };
+      } else {
+        form[key] = { type: 'value', value: el.value };
+      }
+    });
+
+    if (toolId === 'contact-details-scraper' && contactDepartments) {
+      form['@departments'] = { type: 'list', values: contactDepartments.get() };
+    }
+    if (toolId === 'waterfall-icp') {
+      form['@cascadeTiers'] = { type: 'list', values: readWaterfallTiers() };
+    }
+
+    // Vault key ids are not secrets; the keys themselves stay in the vault
+    if (getVaultSelect(toolId)) {
+      form['@vaultKeys'] = { type: 'list', values: getVaultKeyIds(toolId) };
+    }
+    if (getReconcileToggle(toolId)) {
+      form['@reconcileKeys'] = { type: 'checked', checked: getReconcileToggle(toolId).checked };
+    }
+    if (getBudgetInput(toolId)) {
+      form['@budget'] = { type: 'value', value: getBudgetInput(toolId).value };
+    }
+    if (getAbortOnStopToggle(toolId)) {
+      form['@abortOnStop'] = { type: 'checked', checked: getAbortOnStopToggle(toolId).checked };
+    }
+    if (getCacheOnlyMissesToggle(toolId)) {
+      form['@cacheOnlyMisses'] = { type: 'checked', checked: getCacheOnlyMissesToggle(toolId).checked };
+    }
+    if (getColumnMapBar(toolId)) {
+      form['@columnMap'] = { type: 'map', values: getColumnMap(toolId) };
+    }
+
+    return form;
+  }
+
+  function applyCardForm(toolId, form = {}) {
+    const card = document.getElementById(toolId);
+    if (!card) return;
+
+    getCardControls(card).forEach((el, idx) => {
+      const field = form[el.id || `#${idx}`];
+      if (!field || isSecretControl(el)) return;
+
+      if (field.type === 'checked') {
+        el.checked = !!field.checked;
+      } else if (field.type === 'file') {
+        setRestoredFilePaths(el, Array.isArray(field.paths) ? field.paths : []);
+      } else if (el.tagName === 'SELECT') {
+        // Column pickers are filled from CSV headers; keep the saved column selectable
+        const value = field.value ?? '';
+        if (value && !Array.from(el.options).some((o) => o.value === value)) {
+          const opt = document.createElement('option');
+          opt.value = value;
+          opt.textContent = value;
+          el.appendChild(opt);
+        }
+        el.value = value;
+      } else {
+        el.value = field.value ?? '';
+      }
+    });
+
+    if (form['@departments'] && contactDepartments) {
+      contactDepartments.set(form['@departments'].values || []);
+    }
+    if (form['@cascadeTiers']) {
+      setWaterfallTiers(form['@cascadeTiers'].values || []);
+    }
+
+    if (form['@vaultKeys']) {
+      setVaultKeyIds(toolId, form['@vaultKeys'].values || []);
+    }
+    if (form['@reconcileKeys'] && getReconcileToggle(toolId)) {
+      getReconcileToggle(toolId).checked = !!form['@reconcileKeys'].checked;
+    }
+    if (form['@budget'] && getBudgetInput(toolId)) {
+      getBudgetInput(toolId).value = form['@budget'].value ?? '';
+    }
+    if (form['@abortOnStop'] && getAbortOnStopToggle(toolId)) {
+      getAbortOnStopToggle(toolId).checked = !!form['@abortOnStop'].checked;
+    }
+    if (form['@cacheOnlyMisses'] && getCacheOnlyMissesToggle(toolId)) {
+      getCacheOnlyMissesToggle(toolId).checked = !!form['@cacheOnlyMisses'].checked;
+    }
+    if (form['@columnMap']) {
+      setColumnMap(toolId, form['@columnMap'].values || {});
+    }
+  }
+
+  function buildPresetBar() {
+    const bar = document.createElement('div');
+    bar.className = 'preset-bar';
+    bar.innerHTML = `
+      <select class="input-field preset-select" title="Saved presets for this tool">
+        <option value="">No presets</option>
+      </select>
+      <button type="button" class="btn-ghost small" data-role="preset-load">Load</button>
+      <button type="button" class="btn-ghost small" data-role="preset-default">Set default</button>
+      <button type="button" class="btn-ghost small" data-role="preset-delete">Delete</button>
+      <input type="text" class="input-field preset-name" placeholder="Preset name">
+      <button type="button" class="btn-ghost small" data-role="preset-save">Save preset</button>
+      <button type="button" class="btn-ghost small" data-role="preset-import">Import</button>
+      <button type="button" class="btn-ghost small" data-role="preset-export">Export</button>
+    `;
+    return bar;
+  }
+
+  // toolId -> presets[] (last fetched)
+  const presetCache = new Map();
+
+  async function refreshPresets(toolId, selectId = null) {
+    if (!electronAPI || !electronAPI.listPresets) return [];
+    const select = document.querySelector(`#${toolId} .preset-select`);
+
+    let presets = [];
+    try {
+      presets = await electronAPI.listPresets(toolId);
+    } catch (err) {
+      console.error('Failed to load presets:', err);
+    }
+    presetCache.set(toolId, presets);
+
+    if (select) {
+      const keep = selectId || select.value;
+      select.innerHTML = '';
+      const placeholder = document.createElement('option');
+      placeholder.value = '';
+      placeholder.textContent = presets.length ? 'Choose a preset' : 'No presets';
+      select.appendChild(placeholder);
+
+      presets.forEach((preset) => {
+        const opt = document.createElement('option');
+        opt.value = preset.id;
+        opt.textContent = preset.isDefault ? `${preset.name} (default)` : preset.name;
+        select.appendChild(opt);
+      });
+
+      if (keep && presets.some((p) => p.id === keep)) select.value = keep;
+    }
+
+    return presets;
+  }
+
+  function getSelectedPreset(toolId) {
+    const id = document.querySelector(`#${toolId} .preset-select`)?.value;
+    return (presetCache.get(toolId) || []).find((p) => p.id === id) || null;
+  }
+
+  function loadPresetIntoCard(toolId, preset) {
+    applyCardForm(toolId, preset.form || {});
+    appendLog(toolId, `💾 Loaded preset "${preset.name}".`);
+  }
+
+  async function savePresetFromCard(toolId) {
+    const nameInput = document.querySelector(`#${toolId} .preset-name`);
+    const name = nameInput?.value?.trim() || getSelectedPreset(toolId)?.name || '';
+    if (!name) {
+      appendLog(toolId, 'Enter a preset name first.', 'warn');
+      return;
+    }
+
+    const payload = collectToolConfig(toolId);
+    if (payload === null) return;
+
+    try {
+      const saved = await electronAPI.savePreset(toolId, name, {
+        form: snapshotCardForm(toolId),
+        payload,
+      });
+      if (nameInput) nameInput.value = '';
+      await refreshPresets(toolId, saved.id);
+      appendLog(toolId, `💾 Saved preset "${saved.name}" (API keys are not stored).`);
+    } catch (err) {
+      appendLog(toolId, `✗ Failed to save preset: ${err.message}`, 'error');
+    }
+  }
+
+  function initPresets() {
+    if (!electronAPI || !electronAPI.listPresets) return;
+
+    toolCards.forEach((card) => {
+      const toolId = card.id;
+      const body = card.querySelector('.card-body');
+      if (!toolId || !body) return;
+
+      const bar = buildPresetBar();
+      body.insertBefore(bar, body.firstChild);
+
+      bar.querySelector('[data-role="preset-load"]').addEventListener('click', () => {
+        const preset = getSelectedPreset(toolId);
+        if (!preset) {
+          appendLog(toolId, 'Choose a preset to load.', 'warn');
+          return;
+        }
+        loadPresetIntoCard(toolId, preset);
+      });
+
+      bar.querySelector('[data-role="preset-save"]').addEventListener('click', () =>
+        savePresetFromCard(toolId)
+      );
+
+      bar.querySelector('[data-role="preset-default"]').addEventListener('click', async () => {
+        const preset = getSelectedPreset(toolId);
+        if (!preset) return;
+        try {
+          await electronAPI.setDefaultPreset(preset.id, !preset.isDefault);
+          await refreshPresets(toolId, preset.id);
+          appendLog(
+            toolId,
+            preset.isDefault
+              ? `💾 "${preset.name}" is no longer the default.`
+              : `💾 "${preset.name}" will be loaded on startup.`
+          );
+        } catch (err) {
+          appendLog(toolId, `✗ Failed to update default preset: ${err.message}`, 'error');
+        }
+      });
+
+      bar.querySelector('[data-role="preset-delete"]').addEventListener('click', async () => {
+        const preset = getSelectedPreset(toolId);
+        if (!preset) return;
+        try {
+          await electronAPI.deletePreset(preset.id);
+          await refreshPresets(toolId);
+          appendLog(toolId, `💾 Deleted preset "${preset.name}".`);
+        } catch (err) {
+          appendLog(toolId, `✗ Failed to delete preset: ${err.message}`, 'error');
+        }
+      });
+
+      bar.querySelector('[data-role="preset-export"]').addEventListener('click', async () => {
+        try {
+          const result = await electronAPI.exportPresets(toolId);
+          if (result?.canceled) {
+            if (result.reason) appendLog(toolId, result.reason, 'warn');
+            return;
+          }
+          appendLog(toolId, `💾 Exported ${result.count} preset(s) to ${result.filePath}`);
+        } catch (err) {
+          appendLog(toolId, `✗ Failed to export presets: ${err.message}`, 'error');
+        }
+      });
+
+      bar.querySelector('[data-role="preset-import"]').addEventListener('click', async () => {
+        try {
+          const result = await electronAPI.importPresets();
+          if (result?.canceled) return;
+          appendLog(
+            toolId,
+            `💾 Imported ${result.imported} preset(s)` +
+              (result.skipped ? `, skipped ${result.skipped} invalid` : '') +
+              '.'
+          );
+          // An import file may carry presets for several tools
+          toolCards.forEach((c) => refreshPresets(c.id));
+        } catch (err) {
+          appendLog(toolId, `✗ Failed to import presets: ${err.message}`, 'error');
+        }
+      });
+
+      // Fill the card with its default preset (if any) on startup
+      refreshPresets(toolId).then((presets) => {
+        const preset = presets.find((p) => p.isDefault);
+        if (!preset) return;
+        const select = bar.querySelector('.preset-select');
+        if (select) select.value = preset.id;
+        loadPresetIntoCard(toolId, preset);
+      });
+    });
+  }
+
+  // ---------- RECENT RUNS (persisted history) ----------
+  const HISTORY_LIMIT = 10;
+  const REDACTED = '[redacted]';
+
+  // Secrets are never persisted; on re-run they come from the card (or env in main)
+  const SECRET_FIELD_SOURCES = {
+    apiKey: (card) => card.querySelector('input[type="password"]')?.value?.trim() || '',
+    tokensStr: () =>
+      (document.getElementById('inmail-tokens')?.value || '')
+        .split(/[\n,]/)
+        .map((t) => t.trim())
+        .filter(Boolean)
+        .join(','),
+  };
+
+  function formatRunTime(iso) {
+    if (!iso) return '—';
+    const d = new Date(iso);
+    return Number.isNaN(d.getTime()) ? iso : d.toLocaleString();
+  }
+
+  function formatRunDuration(meta) {
+    if (!meta.startedAt || !meta.endedAt) return '';
+    const ms = new Date(meta.endedAt) - new Date(meta.startedAt);
+    if (!Number.isFinite(ms) || ms < 0) return '';
+    if (ms < 60000) return `${(ms / 1000).toFixed(1)}s`;
+    return `${Math.floor(ms / 60000)}m ${Math.round((ms % 60000) / 1000)}s`;
+  }
+
+  function buildHistoryPanel(toolId) {
+    const wrap = document.createElement('div');
+    wrap.className = 'history-wrap';
+    wrap.dataset.toolId = toolId;
+    wrap.innerHTML = `
+      <div class="console-header-row">
+        <h4>Recent runs</h4>
+        <button type="button" class="btn-ghost small" data-role="history-refresh">Refresh</button>
+      </div>
+      <ul class="history-list"><li class="history-empty">No runs yet.</li></ul>
+      <div class="history-detail hidden">
+        <div class="history-meta"></div>
+        <div class="status-bar history-metrics"></div>
+        <ul class="artifact-list history-artifacts"></ul>
+        <div class="btn-row">
+          <button type="button" class="btn-secondary" data-role="history-rerun">Run again with same config</button>
+          <button type="button" class="btn-ghost small" data-role="history-delete">Delete</button>
+          <button type="button" class="btn-ghost small" data-role="history-close">Close</button>
+        </div>
+        <pre class="console history-log"></pre>
+      </div>
+    `;
+    return wrap;
+  }
+
+  async function refreshHistory(toolId) {
+    if (!electronAPI || !electronAPI.listRunHistory) return;
+    const wrap = document.querySelector(`.history-wrap[data-tool-id="${toolId}"]`);
+    const list = wrap?.querySelector('.history-list');
+    if (!list) return;
+
+    let entries = [];
+    try {
+      entries = await electronAPI.listRunHistory(toolId, HISTORY_LIMIT);
+    } catch (err) {
+      console.error('Failed to load run history:', err);
+      return;
+    }
+
+    list.innerHTML = '';
+    if (!entries.length) {
+      list.innerHTML = '<li class="history-empty">No runs yet.</li>';
+      return;
+    }
+
+    entries.forEach((meta) => {
+      const item = document.createElement('li');
+      item.className = `history-item history-${meta.status}`;
+      const duration = formatRunDuration(meta);
+      item.innerHTML = `
+        <span class="history-status"></span>
+        <span class="history-time"></span>
+        <span class="history-duration"></span>
+      `;
+      item.querySelector('.history-status').textContent = meta.status;
+      item.querySelector('.history-time').textContent =
+        formatRunTime(meta.startedAt) + (meta.origin && meta.origin !== 'ui' ? ` · ${meta.origin}` : '');
+      item.querySelector('.history-duration').textContent = duration;
+      item.addEventListener('click', () => openHistoryEntry(toolId, meta.runId));
+      list.appendChild(item);
+    });
+  }
+
+  async function openHistoryEntry(toolId, runId) {
+    const wrap = document.querySelector(`.history-wrap[data-tool-id="${toolId}"]`);
+    const detail = wrap?.querySelector('.history-detail');
+    if (!detail) return;
+
+    let entry;
+    try {
+      entry = await electronAPI.getRunHistory(runId);
+    } catch (err) {
+      console.error('Failed to open run:', err);
+      return;
+    }
+
+    const { meta, lines } = entry;
+    detail.dataset.runId = runId;
+
+    const exitText = meta.exitCode === null || meta.exitCode === undefined ? '—' : meta.exitCode;
+    detail.querySelector('.history-meta').textContent =
+      `${meta.status.toUpperCase()} • started ${formatRunTime(meta.startedAt)}` +
+      (meta.origin && meta.origin !== 'ui' ? ` by ${meta.origin}` : '') +
+      ` • ended ${formatRunTime(meta.endedAt)} • exit code ${exitText}`;
+
+    const metricsEl = detail.querySelector('.history-metrics');
+    metricsEl.innerHTML = '';
+    Object.entries(meta.metrics || {}).forEach(([key, value]) => {
+      if (value === null || value === undefined || typeof value === 'object') return;
+      const pill = document.createElement('div');
+      pill.className = 'status-pill';
+      pill.innerHTML = '<span></span><strong></strong>';
+      pill.querySelector('span').textContent = `${key}:`;
+      pill.querySelector('strong').textContent = String(value);
+      metricsEl.appendChild(pill);
+    });
+
+    const artifactsEl = detail.querySelector('.history-artifacts');
+    renderArtifactList(artifactsEl, toolId, withRunId(meta.runId, meta.artifacts));
+    artifactsEl.classList.toggle('hidden', !meta.artifacts?.length);
+
+    const logEl = detail.querySelector('.history-log');
+    logEl.innerHTML = '';
+    lines.forEach(({ level, message }) => {
+      const line = document.createElement('div');
+      line.textContent = level === 'status' ? `ℹ Status: ${message}` : message;
+      if (level === 'error') line.style.color = '#ff6b6b';
+      else if (level === 'warn') line.style.color = '#ffd166';
+      logEl.appendChild(line);
+    });
+
+    detail._meta = meta;
+    detail.classList.remove('hidden');
+  }
+
+  async function rerunFromHistory(toolId, meta) {
+    if (isToolRunning(toolId)) {
+      appendLog(toolId, 'This tool is already running. Stop it before starting it again.', 'warn');
+      return;
+    }
+
+    const card = document.getElementById(toolId);
+    const payload = JSON.parse(JSON.stringify(meta.payload || {}));
+
+    Object.keys(payload).forEach((key) => {
+      if (payload[key] !== REDACTED) return;
+      const fromCard = SECRET_FIELD_SOURCES[key] && card ? SECRET_FIELD_SOURCES[key](card) : '';
+      if (fromCard) {
+        payload[key] = fromCard;
+      } else {
+        delete payload[key];
+        appendLog(toolId, `ℹ "${key}" is not stored in history – using the default source.`, 'warn');
+      }
+    });
+
+    await launchTool(toolId, payload);
+  }
+
+  function initRecentRuns() {
+    toolCards.forEach((card) => {
+      const toolId = card.id;
+      const body = card.querySelector('.card-body');
+      if (!toolId || !body) return;
+
+      const wrap = buildHistoryPanel(toolId);
+      body.appendChild(wrap);
+
+      const detail = wrap.querySelector('.history-detail');
+
+      wrap.querySelector('[data-role="history-refresh"]').addEventListener('click', () =>
+        refreshHistory(toolId)
+      );
+      wrap.querySelector('[data-role="history-close"]').addEventListener('click', () => {
+        detail.classList.add('hidden');
+      });
+      wrap.querySelector('[data-role="history-rerun"]').addEventListener('click', () => {
+        if (detail._meta) rerunFromHistory(toolId, detail._meta);
+      });
+      wrap.querySelector('[data-role="history-delete"]').addEventListener('click', async () => {
+        const runId = detail.dataset.runId;
+        if (!runId) return;
+        try {
+          await electronAPI.deleteRunHistory(runId);
+        } catch (err) {
+          console.error('Failed to delete run:', err);
+        }
+        detail.classList.add('hidden');
+        refreshHistory(toolId);
+      });
+
+      refreshHistory(toolId);
+    });
+  }
+
+  // ---------- OUTPUT FILES ----------
+  // Files a run reported (artifact events, backend/lib/events.js). Each card lists
+  // the latest run's files; the same list stays on the run's history entry.
+  function fileNameOf(filePath) {
+    return String(filePath).split(/[\\/]/).pop();
+  }
+
+  function dirNameOf(filePath) {
+    const value = String(filePath);
+    const cut = Math.max(value.lastIndexOf('/'), value.lastIndexOf('\\'));
+    return cut > 0 ? value.slice(0, cut) : value;
+  }
+
+  function buildArtifactsPanel(toolId) {
+    const wrap = document.createElement('div');
+    wrap.className = 'artifacts-wrap';
+    wrap.dataset.toolId = toolId;
+    wrap.innerHTML = `
+      <div class="console-header-row">
+        <h4>Output files</h4>
+      </div>
+      <ul class="artifact-list"><li class="history-empty">No files yet.</li></ul>
+    `;
+    return wrap;
+  }
+
+  /**
+   * Put a produced file into another tool's primary input ([data-role="tool-input"])
+   * and switch to that card. Folder inputs get the file's folder.
+   */
+  function useArtifactAsInput(targetToolId, filePath) {
+    const card = document.getElementById(targetToolId);
+    const inputEl = card?.querySelector('[data-role="tool-input"]');
+    if (!inputEl) return;
+
+    const value = inputEl.dataset.inputKind === 'dir' ? dirNameOf(filePath) : filePath;
+    if (inputEl.type === 'file') {
+      setRestoredFilePaths(inputEl, [value]);
+    } else {
+      inputEl.value = value;
+      inputEl.dispatchEvent(new Event('change'));
+    }
+
+    const section = card.getAttribute('data-section');
+    if (section) handleSectionToggle(section);
+    document.querySelector(`.nav-tab[data-tool="${targetToolId}"]`)?.click();
+    appendLog(targetToolId, `ℹ Input set from a previous run: ${value}`);
+  }
+
+  function buildArtifactItem(toolId, artifact) {
+    const item = document.createElement('li');
+    item.className = `artifact-item artifact-${artifact.kind}`;
+    item.innerHTML = `
+      <div class="artifact-row">
+        <span class="artifact-name"></span>
+        <span class="artifact-kind"></span>
+        <span class="artifact-rows"></span>
+        <div class="artifact-actions">
+          <button type="button" class="btn-ghost small" data-role="artifact-open">Open</button>
+          <button type="button" class="btn-ghost small" data-role="artifact-reveal">Show in folder</button>
+          <button type="button" class="btn-ghost small" data-role="artifact-preview">Preview</button>
+          <select class="input-field small" data-role="artifact-use">
+            <option value="">Use as input…</option>
+          </select>
+        </div>
+      </div>
+    `;
+
+    item.querySelector('.artifact-name').textContent = fileNameOf(artifact.path);
+    item.querySelector('.artifact-name').title = artifact.path;
+    item.querySelector('.artifact-kind').textContent = artifact.label || artifact.kind;
+    item.querySelector('.artifact-rows').textContent = Number.isFinite(artifact.rows)
+      ? `${artifact.rows} rows`
+      : '';
+
+    const isCsv = /\.csv$/i.test(artifact.path);
+    const previewBtn = item.querySelector('[data-role="artifact-preview"]');
+    const useSelect = item.querySelector('[data-role="artifact-use"]');
+    previewBtn.classList.toggle('hidden', !isCsv);
+
+    // Logs are not anyone's input
+    const targets = artifact.kind === 'log'
+      ? []
+      : [...toolCards].filter((card) => card.querySelector('[data-role="tool-input"]'));
+    targets.forEach((card) => {
+      const opt = document.createElement('option');
+      opt.value = card.id;
+      opt.textContent = getToolTitle(card.id);
+      useSelect.appendChild(opt);
+    });
+    useSelect.classList.toggle('hidden', !targets.length);
+
+    item.querySelector('[data-role="artifact-open"]').addEventListener('click', async () => {
+      try {
+        await electronAPI.openArtifact(artifact.runId, artifact.path);
+      } catch (err) {
+        alert(`Could not open file: ${err.message}`);
+      }
+    });
+
+    item.querySelector('[data-role="artifact-reveal"]').addEventListener('click', async () => {
+      try {
+        await electronAPI.revealArtifact(artifact.runId, artifact.path);
+      } catch (err) {
+        alert(`Could not show file: ${err.message}`);
+      }
+    });
+
+    previewBtn.addEventListener('click', () => openCsvInViewer(artifact.path));
+
+    useSelect.addEventListener('change', () => {
+      const targetToolId = useSelect.value;
+      useSelect.value = '';
+      if (targetToolId) useArtifactAsInput(targetToolId, artifact.path);
+    });
+
+    return item;
+  }
+
+  function renderArtifactList(listEl, toolId, artifacts = []) {
+    listEl.innerHTML = '';
+    if (!artifacts.length) {
+      listEl.innerHTML = '<li class="history-empty">No files yet.</li>';
+      return;
+    }
+    artifacts.forEach((artifact) => listEl.appendChild(buildArtifactItem(toolId, artifact)));
+  }
+
+  function renderToolArtifacts(toolId) {
+    const listEl = document.querySelector(`.artifacts-wrap[data-tool-id="${toolId}"] .artifact-list`);
+    if (listEl) renderArtifactList(listEl, toolId, state.artifactsByTool.get(toolId) || []);
+  }
+
+  /** A new run starts with an empty list. */
+  function resetToolArtifacts(toolId) {
+    state.artifactsByTool.set(toolId, []);
+    renderToolArtifacts(toolId);
+  }
+
+  // Artifacts carry their runId: main only opens files that run reported
+  function withRunId(runId, artifacts = []) {
+    return (artifacts || []).map((artifact) => ({ ...artifact, runId }));
+  }
+
+  // Same path reported again (e.g. a partial save, then the final one) -> update in place
+  function addToolArtifact(toolId, artifact) {
+    const artifacts = state.artifactsByTool.get(toolId) || [];
+    const existing = artifacts.find((a) => a.path === artifact.path);
+    if (existing) Object.assign(existing, artifact);
+    else artifacts.push({ ...artifact });
+    state.artifactsByTool.set(toolId, artifacts);
+    renderToolArtifacts(toolId);
+  }
+
+  function initOutputFiles() {
+    toolCards.forEach((card) => {
+      const toolId = card.id;
+      const body = card.querySelector('.card-body');
+      if (!toolId || !body) return;
+
+      body.insertBefore(buildArtifactsPanel(toolId), body.querySelector('.history-wrap'));
+
+      // Show what the last run produced
+      if (!electronAPI?.listRunHistory) return;
+      electronAPI
+        .listRunHistory(toolId, 1)
+        .then(([latest]) => {
+          if (!latest?.artifacts?.length || state.artifactsByTool.has(toolId)) return;
+          state.artifactsByTool.set(toolId, withRunId(latest.runId, latest.artifacts));
+          renderToolArtifacts(toolId);
+        })
+        .catch((err) => console.error('Failed to load last run files:', err));
+    });
+  }
+
+  // ---------- CSV VIEWER ----------
+  // main/csv-viewer.js indexes the file; the grid only renders the rows in view
+  // and fetches them page by page.
+  const CSV_ROW_HEIGHT = 28;
+  const CSV_COL_WIDTH = 180;
+  const CSV_ROWNUM_WIDTH = 72;
+  const CSV_PAGE_ROWS = 200;
+  const CSV_MAX_CACHED_PAGES = 30;
+  const CSV_OVERSCAN_ROWS = 10;
+  const CSV_FILTER_DEBOUNCE_MS = 400;
+
+  const csvViewState = {
+    // { viewId, filePath, headers, totalRows } of the open file
+    view: null,
+    opening: false,
+    rowCount: 0,
+    stats: [],
+    // column indexes in display order, and the hidden ones
+    columns: [],
+    hidden: new Set(),
+    // { column, dir: 'asc' | 'desc' } | null
+    sort: null,
+    // column index -> filter text
+    filters: {},
+    // page number -> rows, for the current query only
+    pages: new Map(),
+    pending: new Set(),
+    // bumped on every query so pages of an older one are dropped
+    generation: 0,
+  };
+
+  function csvEl(id) {
+    return document.getElementById(id);
+  }
+
+  function setCsvStatus(text) {
+    const el = csvEl('csv-viewer-status');
+    if (el) el.textContent = text;
+  }
+
+  function visibleCsvColumns() {
+    return csvViewState.columns.filter((c) => !csvViewState.hidden.has(c));
+  }
+
+  function renderCsvColumnChips() {
+    const wrap = csvEl('csv-viewer-columns');
+    if (!wrap) return;
+    wrap.innerHTML = '';
+    const { columns, hidden, view } = csvViewState;
+
+    columns.forEach((column, position) => {
+      const chip = document.createElement('span');
+      chip.className = 'csv-col-chip';
+      chip.classList.toggle('csv-col-hidden', hidden.has(column));
+      chip.innerHTML = `
+        <button type="button" class="btn-ghost small" data-move="-1" title="Move left">◀</button>
+        <label class="checkbox-label"><input type="checkbox"><span></span></label>
+        <button type="button" class="btn-ghost small" data-move="1" title="Move right">▶</button>
+      `;
+      const checkbox = chip.querySelector('input');
+      checkbox.checked = !hidden.has(column);
+      chip.querySelector('span').textContent = view.headers[column];
+      chip.querySelector('[data-move="-1"]').disabled = position === 0;
+      chip.querySelector('[data-move="1"]').disabled = position === columns.length - 1;
+
+      checkbox.addEventListener('change', () => {
+        if (checkbox.checked) hidden.delete(column);
+        else hidden.add(column);
+        renderCsvGrid();
+      });
+      chip.querySelectorAll('[data-move]').forEach((btn) => {
+        btn.addEventListener('click', () => {
+          const target = position + Number(btn.dataset.move);
+          [columns[position], columns[target]] = [columns[target], columns[position]];
+          renderCsvGrid();
+        });
+      });
+      wrap.appendChild(chip);
+    });
+  }
+
+  function csvGridWidth() {
+    return CSV_ROWNUM_WIDTH + visibleCsvColumns().length * CSV_COL_WIDTH;
+  }
+
+  function renderCsvHead() {
+    const head = csvEl('csv-grid-head');
+    if (!head) return;
+    head.innerHTML = '';
+
+    const inner = document.createElement('div');
+    inner.className = 'csv-grid-head-inner';
+    inner.style.width = `${csvGridWidth()}px`;
+
+    const rowNum = document.createElement('div');
+    rowNum.className = 'csv-cell csv-rownum';
+    rowNum.style.width = `${CSV_ROWNUM_WIDTH}px`;
+    rowNum.textContent = '#';
+    inner.appendChild(rowNum);
+
+    visibleCsvColumns().forEach((column) => {
+      const cell = document.createElement('div');
+      cell.className = 'csv-head-cell';
+      cell.style.width = `${CSV_COL_WIDTH}px`;
+      cell.dataset.column = String(column);
+      cell.innerHTML = `
+        <button type="button" class="csv-sort-btn"></button>
+        <input type="text" class="input-field csv-filter" placeholder="Filter…">
+        <span class="csv-col-stats"></span>
+      `;
+
+      cell.querySelector('.csv-sort-btn').addEventListener('click', () => {
+        // asc -> desc -> unsorted
+        const { sort } = csvViewState;
+        if (!sort || sort.column !== column) csvViewState.sort = { column, dir: 'asc' };
+        else if (sort.dir === 'asc') csvViewState.sort = { column, dir: 'desc' };
+        else csvViewState.sort = null;
+        runCsvQuery();
+      });
+
+      const filterInput = cell.querySelector('.csv-filter');
+      filterInput.value = csvViewState.filters[column] || '';
+      let timer = null;
+      filterInput.addEventListener('input', () => {
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+          if (filterInput.value.trim()) csvViewState.filters[column] = filterInput.value;
+          else delete csvViewState.filters[column];
+          runCsvQuery();
+        }, CSV_FILTER_DEBOUNCE_MS);
+      });
+
+      inner.appendChild(cell);
+    });
+
+    head.appendChild(inner);
+    updateCsvHeadInfo();
+  }
+
+  // Sort arrows, per-column stats and the row count, without rebuilding the filter inputs
+  function updateCsvHeadInfo() {
+    const { view, sort, stats, rowCount } = csvViewState;
+    if (!view) return;
+
+    document.querySelectorAll('#csv-grid-head .csv-head-cell').forEach((cell) => {
+      const column = Number(cell.dataset.column);
+      const arrow = sort?.column === column ? (sort.dir === 'asc' ? ' ▲' : ' ▼') : '';
+      const btn = cell.querySelector('.csv-sort-btn');
+      btn.textContent = `${view.headers[column]}${arrow}`;
+      btn.title = view.headers[column];
+
+      const stat = stats[column] || { filled: 0, empty: 0 };
+      const total = stat.filled + stat.empty;
+      const emptyPct = total ? Math.round((stat.empty / total) * 100) : 0;
+      cell.querySelector('.csv-col-stats').textContent =
+        `${stat.filled.toLocaleString()} filled • ${stat.empty.toLocaleString()} empty (${emptyPct}%)`;
+    });
+
+    const rowsEl = csvEl('csv-viewer-rows');
+    if (rowsEl) {
+      rowsEl.textContent = rowCount === view.totalRows
+        ? rowCount.toLocaleString()
+        : `${rowCount.toLocaleString()} of ${view.totalRows.toLocaleString()}`;
+    }
+
+    const filtered = !!sort || Object.keys(csvViewState.filters).length > 0;
+    const clearBtn = csvEl('csv-viewer-clear');
+    if (clearBtn) clearBtn.disabled = !filtered;
+    const showAllBtn = csvEl('csv-viewer-show-all');
+    if (showAllBtn) showAllBtn.disabled = !csvViewState.hidden.size;
+  }
+
+  async function loadCsvPage(page) {
+    const { view, pages, pending, generation } = csvViewState;
+    if (!view || pages.has(page) || pending.has(page)) return;
+
+    pending.add(page);
+    try {
+      const { rows } = await electronAPI.getCsvViewRows(view.viewId, page * CSV_PAGE_ROWS, CSV_PAGE_ROWS);
+      if (generation !== csvViewState.generation) return;
+      // Keep memory flat while scrolling through big files
+      if (pages.size >= CSV_MAX_CACHED_PAGES) pages.delete(pages.keys().next().value);
+      pages.set(page, rows);
+      renderCsvRows();
+    } catch (err) {
+      console.error('Failed to load CSV rows:', err);
+      setCsvStatus(`error: ${err.message}`);
+    } finally {
+      pending.delete(page);
+    }
+  }
+
+  function renderCsvRows() {
+    const body = csvEl('csv-grid-body');
+    const spacer = csvEl('csv-grid-spacer');
+    if (!body || !spacer || !csvViewState.view) return;
+
+    const { rowCount, pages } = csvViewState;
+    const columns = visibleCsvColumns();
+    spacer.style.height = `${rowCount * CSV_ROW_HEIGHT}px`;
+    spacer.style.width = `${csvGridWidth()}px`;
+
+    const first = Math.max(0, Math.floor(body.scrollTop / CSV_ROW_HEIGHT) - CSV_OVERSCAN_ROWS);
+    const last = Math.min(rowCount, Math.ceil((body.scrollTop + body.clientHeight) / CSV_ROW_HEIGHT) + CSV_OVERSCAN_ROWS);
+
+    spacer.innerHTML = '';
+    for (let i = first; i < last; i++) {
+      const page = Math.floor(i / CSV_PAGE_ROWS);
+      const row = pages.get(page)?.[i - page * CSV_PAGE_ROWS];
+      if (!row) {
+        loadCsvPage(page);
+        continue;
+      }
+
+      const rowEl = document.createElement('div');
+      rowEl.className = 'csv-row';
+      rowEl.style.top = `${i * CSV_ROW_HEIGHT}px`;
+      rowEl.style.height = `${CSV_ROW_HEIGHT}px`;
+
+      const rowNum = document.createElement('div');
+      rowNum.className = 'csv-cell csv-rownum';
+      rowNum.style.width = `${CSV_ROWNUM_WIDTH}px`;
+      rowNum.textContent = String(row.row);
+      rowEl.appendChild(rowNum);
+
+      columns.forEach((column) => {
+        const cell = document.createElement('div');
+        cell.className = 'csv-cell';
+        cell.style.width = `${CSV_COL_WIDTH}px`;
+        const value = row.values[column] ?? '';
+        cell.textContent = value;
+        cell.title = value;
+        if (!value.trim()) cell.classList.add('csv-empty');
+        rowEl.appendChild(cell);
+      });
+
+      spacer.appendChild(rowEl);
+    }
+  }
+
+  function resetCsvPages() {
+    csvViewState.generation++;
+    csvViewState.pages.clear();
+    csvViewState.pending.clear();
+  }
+
+  function renderCsvGrid() {
+    renderCsvColumnChips();
+    renderCsvHead();
+    renderCsvRows();
+  }
+
+  async function runCsvQuery() {
+    const { view, sort, filters } = csvViewState;
+    if (!view) return;
+
+    resetCsvPages();
+    const generation = csvViewState.generation;
+    setCsvStatus('filtering…');
+    updateCsvHeadInfo();
+
+    let result;
+    try {
+      result = await electronAPI.queryCsvView(view.viewId, { sort, filters });
+    } catch (err) {
+      setCsvStatus(`error: ${err.message}`);
+      return;
+    }
+    // A newer query (or file) took over
+    if (result.superseded || generation !== csvViewState.generation) return;
+
+    csvViewState.rowCount = result.rows;
+    csvViewState.stats = result.stats;
+    setCsvStatus('ready');
+    updateCsvHeadInfo();
+    const body = csvEl('csv-grid-body');
+    if (body) body.scrollTop = 0;
+    renderCsvRows();
+  }
+
+  /**
+   * Show a CSV in the viewer section (Open CSV…, or "Preview" on an output file).
+   */
+  async function openCsvInViewer(filePath) {
+    if (!electronAPI?.openCsvView || !filePath) return;
+    handleSectionToggle('viewer');
+
+    const previous = csvViewState.view;
+    csvViewState.view = null;
+    resetCsvPages();
+    if (previous) electronAPI.closeCsvView(previous.viewId).catch(() => {});
+
+    const fileEl = csvEl('csv-viewer-file');
+    if (fileEl) {
+      fileEl.textContent = fileNameOf(filePath);
+      fileEl.title = filePath;
+    }
+    csvEl('csv-grid')?.classList.add('hidden');
+    setCsvStatus('indexing…');
+
+    let opened;
+    csvViewState.opening = true;
+    try {
+      opened = await electronAPI.openCsvView(filePath);
+    } catch (err) {
+      setCsvStatus('error');
+      alert(`Could not open CSV: ${err.message}`);
+      return;
+    } finally {
+      csvViewState.opening = false;
+    }
+
+    Object.assign(csvViewState, {
+      view: opened,
+      rowCount: opened.rows,
+      stats: opened.stats,
+      columns: opened.headers.map((_, i) => i),
+      hidden: new Set(),
+      sort: null,
+      filters: {},
+    });
+
+    csvEl('csv-grid')?.classList.remove('hidden');
+    const body = csvEl('csv-grid-body');
+    if (body) body.scrollTop = 0;
+    setCsvStatus('ready');
+    renderCsvGrid();
+  }
+
+  function initCsvViewer() {
+    if (!electronAPI?.openCsvView) return;
+
+    csvEl('csv-viewer-open')?.addEventListener('click', async () => {
+      try {
+        const filePath = await electronAPI.selectFile([
+          { name: 'CSV Files', extensions: ['csv'] },
+          { name: 'All Files', extensions: ['*'] },
+        ]);
+        if (filePath) openCsvInViewer(filePath);
+      } catch (err) {
+        console.error('Failed to open file picker:', err);
+      }
+    });
+
+    csvEl('csv-viewer-clear')?.addEventListener('click', () => {
+      csvViewState.sort = null;
+      csvViewState.filters = {};
+      renderCsvHead();
+      runCsvQuery();
+    });
+
+    csvEl('csv-viewer-show-all')?.addEventListener('click', () => {
+      csvViewState.hidden.clear();
+      renderCsvGrid();
+    });
+
+    const body = csvEl('csv-grid-body');
+    const head = csvEl('csv-grid-head');
+    body?.addEventListener('scroll', () => {
+      if (head) head.scrollLeft = body.scrollLeft;
+      renderCsvRows();
+    });
+    window.addEventListener('resize', () => renderCsvRows());
+
+    electronAPI.onCsvViewProgress(({ viewId, phase, bytes, totalBytes }) => {
+      // The viewId of a file being opened is not known until open returns
+      const current = csvViewState.view?.viewId === viewId || (phase === 'index' && csvViewState.opening);
+      if (!current || !totalBytes) return;
+      const pct = Math.min(100, Math.round((bytes / totalBytes) * 100));
+      setCsvStatus(`${phase === 'index' ? 'indexing' : 'filtering'}… ${pct}%`);
+    });
+  }
+
+  // ---------- KEY VAULT ----------
+  // Secrets go in through the vault form and never come back: cards only see ids, labels and hints.
+  const vaultState = {
+    keys: [],
+    // id of the key being edited in the vault panel
+    editingId: null,
+  };
+
+  function getCardVaultProvider(toolId) {
+    const section = document.getElementById(toolId)?.getAttribute('data-section');
+    return section === 'apify' || section === 'blitz' ? section : null;
+  }
+
+  function getVaultSelect(toolId) {
+    return document.getElementById(`vault-keys-${toolId}`);
+  }
+
+  // Apify cards: ask Apify for each key's real monthly usage before the run
+  function getReconcileToggle(toolId) {
+    return document.getElementById(`vault-reconcile-${toolId}`);
+  }
+
+  function getVaultKeyIds(toolId) {
+    const select = getVaultSelect(toolId);
+    if (!select) return [];
+    return Array.from(select.selectedOptions)
+      .map((o) => o.value)
+      .filter(Boolean);
+  }
+
+  function setVaultKeyIds(toolId, ids = []) {
+    const select = getVaultSelect(toolId);
+    if (!select) return;
+    // Presets may load before the vault list does; apply the choice once it arrives
+    if (select.dataset.loaded !== 'true') select.dataset.pending = JSON.stringify(ids);
+    Array.from(select.options).forEach((opt) => {
+      opt.selected = !!opt.value && ids.includes(opt.value);
+    });
+  }
+
+  function formatVaultKey(key) {
+    const tags = key.tags?.length ? ` [${key.tags.join(', ')}]` : '';
+    return `${key.label} (${key.hint})${tags}`;
+  }
+
+  function buildVaultBar(toolId, provider) {
+    const bar = document.createElement('div');
+    bar.className = 'vault-bar';
+    bar.innerHTML = `
+      <span>🔑 Keys from vault</span>
+      <select id="vault-keys-${toolId}" class="input-field"${provider === 'apify' ? ' multiple size="3"' : ''}
+        title="Keys are decrypted by the app when the tool starts"></select>
+      <span class="hint">${
+        provider === 'apify'
+          ? 'Ctrl/Cmd-click to pick several. Used instead of keys.json.'
+          : 'Used instead of the key typed below / BLITZ_API_KEY.'
+      }</span>
+      ${
+        provider === 'apify'
+          ? `<label class="vault-reconcile" title="Reads monthly usage and limits from the Apify API, so keys over their limit are skipped">
+              <input type="checkbox" id="vault-reconcile-${toolId}" /> Check real usage with Apify before run
+            </label>`
+          : ''
+      }
+    `;
+    return bar;
+  }
+
+  function renderVaultSelectors() {
+    toolCards.forEach((card) => {
+      const provider = getCardVaultProvider(card.id);
+      const select = getVaultSelect(card.id);
+      if (!provider || !select) return;
+
+      const selected = select.dataset.pending
+        ? JSON.parse(select.dataset.pending)
+        : getVaultKeyIds(card.id);
+      delete select.dataset.pending;
+      select.dataset.loaded = 'true';
+
+      const keys = vaultState.keys.filter((k) => k.provider === provider);
+      select.innerHTML = '';
+
+      if (!select.multiple) {
+        const none = document.createElement('option');
+        none.value = '';
+        none.textContent = keys.length ? 'Not used' : 'No Blitz keys in vault';
+        select.appendChild(none);
+      } else if (!keys.length) {
+        const none = document.createElement('option');
+        none.value = '';
+        none.disabled = true;
+        none.textContent = 'No Apify keys in vault';
+        select.appendChild(none);
+      }
+
+      keys.forEach((key) => {
+        const opt = document.createElement('option');
+        opt.value = key.id;
+        opt.textContent = formatVaultKey(key);
+        opt.selected = selected.includes(key.id);
+        select.appendChild(opt);
+      });
+    });
+  }
+
+  function resetVaultForm() {
+    vaultState.editingId = null;
+    ['vault-label', 'vault-tags', 'vault-secret'].forEach((id) => {
+      const el = document.getElementById(id);
+      if (el) el.value = '';
+    });
+    const providerSelect = document.getElementById('vault-provider');
+    if (providerSelect) providerSelect.disabled = false;
+    document.getElementById('vault-save').textContent = 'Add key';
+    document.getElementById('vault-cancel-edit').disabled = true;
+  }
+
+  function editVaultKey(key) {
+    vaultState.editingId = key.id;
+    document.getElementById('vault-provider').value = key.provider;
+    document.getElementById('vault-provider').disabled = true;
+    document.getElementById('vault-label').value = key.label;
+    document.getElementById('vault-tags').value = (key.tags || []).join(', ');
+    document.getElementById('vault-secret').value = '';
+    document.getElementById('vault-save').textContent = 'Update key';
+    document.getElementById('vault-cancel-edit').disabled = false;
+  }
+
+  function renderVaultList() {
+    const list = document.getElementById('vault-list');
+    if (!list) return;
+    list.innerHTML = '';
+
+    if (!vaultState.keys.length) {
+      const empty = document.createElement('li');
+      empty.className = 'history-empty';
+      empty.textContent = 'No keys yet.';
+      list.appendChild(empty);
+    }
+
+    vaultState.keys.forEach((key) => {
+      const li = document.createElement('li');
+      li.className = 'history-item vault-item';
+
+      const provider = document.createElement('span');
+      provider.className = 'history-status';
+      provider.textContent = key.provider;
+
+      const label = document.createElement('span');
+      label.textContent = `${key.label} (${key.hint})`;
+
+      const tags = document.createElement('span');
+      tags.className = 'vault-tags';
+      tags.textContent = (key.tags || []).join(', ');
+
+      const actions = document.createElement('span');
+      actions.className = 'history-duration';
+      const editBtn = document.createElement('button');
+      editBtn.type = 'button';
+      editBtn.className = 'btn-ghost small';
+      editBtn.textContent = 'Edit';
+      editBtn.addEventListener('click', () => editVaultKey(key));
+      const deleteBtn = document.createElement('button');
+      deleteBtn.type = 'button';
+      deleteBtn.className = 'btn-ghost small';
+      deleteBtn.textContent = 'Delete';
+      deleteBtn.addEventListener('click', async () => {
+        if (!confirm(`Delete key "${key.label}" from the vault?`)) return;
+        try {
+          await electronAPI.deleteVaultKey(key.id);
+          if (vaultState.editingId === key.id) resetVaultForm();
+          await refreshVault();
+        } catch (err) {
+          alert(`Failed to delete key: ${err.message}`);
+        }
+      });
+      actions.append(editBtn, deleteBtn);
+
+      li.append(provider, label, tags, actions);
+      list.appendChild(li);
+    });
+
+    const countEl = document.getElementById('vault-count');
+    if (countEl) countEl.textContent = String(vaultState.keys.length);
+  }
+
+  async function refreshVault() {
+    if (!electronAPI || !electronAPI.listVaultKeys) return;
+
+    try {
+      const { protection, keys } = await electronAPI.listVaultKeys();
+      vaultState.keys = keys || [];
+      const protectionEl = document.getElementById('vault-protection');
+      if (protectionEl) {
+        protectionEl.textContent =
+          protection === 'safeStorage' ? 'OS keychain' : 'local key file (no OS keychain)';
+      }
+    } catch (err) {
+      console.error('Failed to load vault keys:', err);
+      vaultState.keys = [];
+    }
+
+    renderVaultSelectors();
+    renderVaultList();
+  }
+
+  async function saveVaultKeyFromForm() {
+    const secretInput = document.getElementById('vault-secret');
+    const entry = {
+      id: vaultState.editingId || undefined,
+      provider: document.getElementById('vault-provider')?.value,
+      label: document.getElementById('vault-label')?.value?.trim() || '',
+      tags: document.getElementById('vault-tags')?.value || '',
+      secret: secretInput?.value?.trim() || '',
+    };
+    // Don't leave the key sitting in the DOM
+    if (secretInput) secretInput.value = '';
+
+    if (!entry.label) {
+      alert('Enter a label for the key.');
+      return;
+    }
+    if (!entry.id && !entry.secret) {
+      alert('Paste the API key to store.');
+      return;
+    }
+
+    try {
+      await electronAPI.saveVaultKey(entry);
+      resetVaultForm();
+      await refreshVault();
+    } catch (err) {
+      alert(`Failed to save key: ${err.message}`);
+    }
+  }
+
+  function initVault() {
+    if (!electronAPI || !electronAPI.listVaultKeys) return;
+
+    toolCards.forEach((card) => {
+      const provider = getCardVaultProvider(card.id);
+      const body = card.querySelector('.card-body');
+      if (!provider || !body) return;
+      body.insertBefore(buildVaultBar(card.id, provider), body.firstChild);
+      if (!FREE_TOOLS.has(card.id)) {
+        body.insertBefore(buildBudgetBar(card.id, provider), body.firstChild.nextSibling);
+      }
+    });
+
+    document.getElementById('vault-save')?.addEventListener('click', saveVaultKeyFromForm);
+    document.getElementById('vault-cancel-edit')?.addEventListener('click', resetVaultForm);
+
+    refreshVault();
+  }
+
+  // ---------- RUN BUDGETS ----------
+  // Apify cards budget in USD (actor run cost), Blitz cards in credits. Free calls get no bar.
+  const FREE_TOOLS = new Set(['blitz-key-info', 'blitz-current-date']);
+
+  function getBudgetInput(toolId) {
+    return document.getElementById(`budget-${toolId}`);
+  }
+
+  // Apify cards: Stop aborts the actor runs in flight (partial results are saved)
+  function getAbortOnStopToggle(toolId) {
+    return document.getElementById(`abort-on-stop-${toolId}`);
+  }
+
+  // Blitz lookup cards: answer from the enrichment cache, call the API only for misses
+  const CACHE_TOOLS = new Set([
+    'email-enricher',
+    'reverse-email',
+    'reverse-phone',
+    'find-mobile-direct-phone',
+    'linkedin-url-to-domain',
+    'domain-to-linkedin',
+  ]);
+
+  function getCacheOnlyMissesToggle(toolId) {
+    return document.getElementById(`cache-only-misses-${toolId}`);
+  }
+
+  function renderCacheHits(toolId, metrics) {
+    const el = document.getElementById(`cache-hits-${toolId}`);
+    if (!el) return;
+    el.textContent = `${metrics.cacheHits || 0} hits · ${metrics.cacheMisses || 0} sent`;
+  }
+
+  function getBudget(toolId) {
+    const limit = Number(getBudgetInput(toolId)?.value || 0);
+    if (!Number.isFinite(limit) || limit <= 0) return null;
+    return { limit, unit: getCardVaultProvider(toolId) === 'apify' ? 'usd' : 'credits' };
+  }
+
+  function formatBudgetAmount(amount, unit) {
+    const n = Number(amount) || 0;
+    return unit === 'usd' ? `$${n.toFixed(n > 0 && n < 1 ? 3 : 2)}` : `${Math.round(n)}`;
+  }
+
+  function renderBudgetSpent(toolId, metrics) {
+    const el = document.getElementById(`budget-spent-${toolId}`);
+    if (!el) return;
+    const unit = metrics.budgetUnit;
+    const spent = formatBudgetAmount(metrics.budgetSpent, unit);
+    const limit = metrics.budgetLimit ? ` / ${formatBudgetAmount(metrics.budgetLimit, unit)}` : '';
+    el.textContent = `${spent}${limit}${unit === 'credits' ? ' credits' : ''}${metrics.budgetReached ? ' — reached' : ''}`;
+    el.classList.toggle('budget-reached', !!metrics.budgetReached);
+  }
+
+  function buildBudgetBar(toolId, provider) {
+    const usd = provider === 'apify';
+    const bar = document.createElement('div');
+    bar.className = 'budget-bar';
+    bar.innerHTML = `
+      <span>💸 Run budget</span>
+      <input type="number" id="budget-${toolId}" class="input-field" min="0" step="${usd ? '0.5' : '1'}"
+        placeholder="${usd ? '$ e.g. 5' : 'credits e.g. 500'}"
+        title="${
+          usd
+            ? 'Stop starting new work once this run has spent this much. Empty = no limit.'
+            : 'Stop starting new work once this run has spent this many credits, counted as 1 per answered request. Empty = no limit.'
+        }" />
+      <span class="hint">${usd ? 'USD of Apify usage' : 'Blitz credits'} · spent: <strong id="budget-spent-${toolId}">—</strong></span>
+      ${
+        usd
+          ? `<label class="vault-reconcile" title="Otherwise actors already running on Apify finish (and keep billing) after Stop">
+              <input type="checkbox" id="abort-on-stop-${toolId}" /> Stop aborts running actors (keeps partial results)
+            </label>`
+          : ''
+      }
+      ${
+        CACHE_TOOLS.has(toolId)
+          ? `<label class="vault-reconcile" title="Inputs with a fresh answer in the enrichment cache (Key Vault → Enrichment cache) are not sent. Untick to send every input and refresh the cache.">
+              <input type="checkbox" id="cache-only-misses-${toolId}" checked /> Only call the API for cache misses
+            </label>
+            <span class="hint">cache: <strong id="cache-hits-${toolId}">—</strong></span>`
+          : ''
+      }
+    `;
+    return bar;
+  }
+
+  // ---------- API ENDPOINTS (custom hosts / offline mock) ----------
+  function renderEndpoints(endpoints) {
+    const blitzInput = document.getElementById('endpoint-blitz');
+    const apifyInput = document.getElementById('endpoint-apify');
+    const mockInput = document.getElementById('endpoint-mock');
+    const mockUrl = document.getElementById('endpoint-mock-url');
+
+    if (blitzInput) blitzInput.value = endpoints.blitzBaseUrl || '';
+    if (apifyInput) apifyInput.value = endpoints.apifyBaseUrl || '';
+    if (mockInput) mockInput.checked = !!endpoints.mockMode;
+    if (mockUrl) mockUrl.textContent = endpoints.mockUrl || 'off';
+  }
+
+  async function saveEndpoints() {
+    try {
+      const endpoints = await electronAPI.setApiEndpoints({
+        blitzBaseUrl: document.getElementById('endpoint-blitz')?.value || '',
+        apifyBaseUrl: document.getElementById('endpoint-apify')?.value || '',
+        mockMode: !!document.getElementById('endpoint-mock')?.checked,
+      });
+      renderEndpoints(endpoints);
+      // Mock mode has its own cache file
+      refreshEnrichmentCache();
+    } catch (err) {
+      alert(`Failed to save endpoints: ${err.message}`);
+    }
+  }
+
+  function initEndpoints() {
+    if (!electronAPI || !electronAPI.getApiEndpoints) return;
+
+    document.getElementById('endpoint-save')?.addEventListener('click', saveEndpoints);
+
+    electronAPI
+      .getApiEndpoints()
+      .then(renderEndpoints)
+      .catch((err) => console.error('Failed to load API endpoints:', err));
+  }
+
+  // ---------- ENRICHMENT CACHE (TTL per endpoint, clear) ----------
+  function renderEnrichmentCache(cache) {
+    const list = document.getElementById('enrich-cache-list');
+    const count = document.getElementById('enrich-cache-count');
+    if (count) count.textContent = `${cache.entries}${cache.mock ? ' (mock)' : ''}`;
+    if (!list) return;
+
+    list.innerHTML = '';
+    cache.endpoints.forEach((entry) => {
+      const li = document.createElement('li');
+      li.className = 'history-item vault-item';
+
+      const label = document.createElement('span');
+      label.textContent = `${entry.label} · ${entry.fresh}/${entry.entries} fresh`;
+      label.title = entry.endpoint;
+
+      const ttl = document.createElement('input');
+      ttl.type = 'number';
+      ttl.min = '0';
+      ttl.step = '1';
+      ttl.className = 'input-field enrich-cache-ttl';
+      ttl.dataset.endpoint = entry.endpoint;
+      ttl.placeholder = `${entry.defaultTtlDays} days`;
+      ttl.title = `TTL in days (default ${entry.defaultTtlDays}). Empty = default.`;
+      if (entry.ttlDays !== entry.defaultTtlDays) ttl.value = String(entry.ttlDays);
+
+      const actions = document.createElement('span');
+      actions.className = 'history-duration';
+      const clearBtn = document.createElement('button');
+      clearBtn.type = 'button';
+      clearBtn.className = 'btn-ghost small';
+      clearBtn.textContent = 'Clear';
+      clearBtn.disabled = !entry.entries;
+      clearBtn.addEventListener('click', () => clearEnrichmentCache(entry.endpoint, entry.label));
+      actions.append(clearBtn);
+
+      li.append(label, ttl, actions);
+      list.appendChild(li);
+    });
+  }
+
+  async function refreshEnrichmentCache() {
+    if (!electronAPI.getEnrichmentCache) return;
+    try {
+      renderEnrichmentCache(await electronAPI.getEnrichmentCache());
+    } catch (err) {
+      console.error('Failed to load the enrichment cache:', err);
+    }
+  }
+
+  async function saveEnrichmentCacheTtls() {
+    const ttlDays = {};
+    document.querySelectorAll('#enrich-cache-list .enrich-cache-ttl').forEach((input) => {
+      ttlDays[input.dataset.endpoint] = input.value.trim();
+    });
+    try {
+      renderEnrichmentCache(await electronAPI.setEnrichmentCache({ ttlDays }));
+    } catch (err) {
+      alert(`Failed to save cache TTLs: ${err.message}`);
+    }
+  }
+
+  async function clearEnrichmentCache(endpoint = null, label = '') {
+    if (!confirm(endpoint ? `Forget every cached "${label}" answer?` : 'Forget every cached answer?')) return;
+    try {
+      renderEnrichmentCache(await electronAPI.clearEnrichmentCache(endpoint));
+    } catch (err) {
+      alert(`Failed to clear the cache: ${err.message}`);
+    }
+  }
+
+  function initEnrichmentCache() {
+    if (!electronAPI || !electronAPI.getEnrichmentCache) return;
+
+    document.getElementById('enrich-cache-save')?.addEventListener('click', saveEnrichmentCacheTtls);
+    document.getElementById('enrich-cache-clear')?.addEventListener('click', () => clearEnrichmentCache());
+    refreshEnrichmentCache();
+  }
+
+  // ---------- UNFINISHED APIFY RUNS (reattach after a crash / restart) ----------
+  async function refreshApifyRuns() {
+    const list = document.getElementById('apify-runs-list');
+    if (!list || !electronAPI.listApifyRuns) return;
+
+    let pending = [];
+    try {
+      pending = await electronAPI.listApifyRuns();
+    } catch (err) {
+      console.error('Failed to load unfinished Apify runs:', err);
+    }
+
+    list.innerHTML = '';
+    if (!pending.length) {
+      const empty = document.createElement('li');
+      empty.className = 'history-empty';
+      empty.textContent = 'Nothing to collect.';
+      list.appendChild(empty);
+      return;
+    }
+
+    pending.forEach((run) => {
+      const li = document.createElement('li');
+      li.className = 'history-item vault-item';
+
+      const status = document.createElement('span');
+      status.className = 'history-status';
+      status.textContent = run.collecting ? 'collecting…' : run.status.toLowerCase();
+
+      const label = document.createElement('span');
+      label.textContent = `${run.toolId || run.actorId} · key ${run.keyLabel || '?'} · ${formatRunTime(run.startedAt)}`;
+      label.title = run.output || '';
+
+      const actions = document.createElement('span');
+      actions.className = 'history-duration';
+      const collectBtn = document.createElement('button');
+      collectBtn.type = 'button';
+      collectBtn.className = 'btn-ghost small';
+      collectBtn.textContent = 'Collect';
+      collectBtn.disabled = !!run.collecting;
+      collectBtn.addEventListener('click', async () => {
+        try {
+          const result = await electronAPI.collectApifyRun(run.runId);
+          alert(`Saved ${result.items} item(s) (${result.status}) to:\n${result.file}`);
+        } catch (err) {
+          alert(`Failed to collect run: ${err.message}`);
+        }
+        refreshApifyRuns();
+      });
+      const discardBtn = document.createElement('button');
+      discardBtn.type = 'button';
+      discardBtn.className = 'btn-ghost small';
+      discardBtn.textContent = 'Discard';
+      discardBtn.disabled = !!run.collecting;
+      discardBtn.addEventListener('click', async () => {
+        if (!confirm('Forget this run? It is aborted on Apify if still in progress.')) return;
+        try {
+          await electronAPI.discardApifyRun(run.runId);
+        } catch (err) {
+          alert(`Failed to discard run: ${err.message}`);
+        }
+        refreshApifyRuns();
+      });
+      actions.append(collectBtn, discardBtn);
+
+      li.append(status, label, actions);
+      list.appendChild(li);
+    });
+  }
+
+  function initApifyRuns() {
+    if (!electronAPI || !electronAPI.listApifyRuns) return;
+
+    document.getElementById('apify-runs-refresh')?.addEventListener('click', refreshApifyRuns);
+    electronAPI.onApifyRunsChanged?.(() => refreshApifyRuns());
+    refreshApifyRuns();
+  }
+
+  // ---------- PIPELINES (chain tools on their outputs) ----------
+  const PIPELINE_INPUT_KINDS = [
+    ['file', 'File'],
+    ['files', 'Files'],
+    ['dir', 'Folder'],
+  ];
+
+  const pipelineState = {
+    // saved pipelines (last fetched)
+    pipelines: [],
+    // id of the pipeline shown in the editor (null = unsaved)
+    selectedId: null,
+  };
+
+  function getToolTitle(toolId) {
+    const card = document.getElementById(toolId);
+    return card?.querySelector('.card-title-row h3')?.textContent?.trim() || toolId;
+  }
+
+  function getSelectedPipeline() {
+    return pipelineState.pipelines.find((p) => p.id === pipelineState.selectedId) || null;
+  }
+
+  async function fillStepPresets(row, toolId, presetId = '') {
+    const select = row.querySelector('[data-role="step-preset"]');
+    const presets = await refreshPresets(toolId);
+    select.innerHTML = '';
+
+    const placeholder = document.createElement('option');
+    placeholder.value = '';
+    placeholder.textContent = presets.length ? 'Choose a preset' : 'No presets for this tool';
+    select.appendChild(placeholder);
+
+    presets.forEach((preset) => {
+      const opt = document.createElement('option');
+      opt.value = preset.id;
+      opt.textContent = preset.name;
+      select.appendChild(opt);
+    });
+
+    const fallback = presets.find((p) => p.isDefault)?.id || '';
+    select.value = presets.some((p) => p.id === presetId) ? presetId : fallback;
+  }
+
+  function renumberPipelineSteps() {
+    document.querySelectorAll('#pipeline-steps .pipeline-step').forEach((row, idx) => {
+      row.querySelector('.pipeline-step-index').textContent = `${idx + 1}.`;
+    });
+  }
+
+  function addPipelineStepRow(step = {}) {
+    const list = document.getElementById('pipeline-steps');
+    if (!list) return null;
+
+    const row = document.createElement('div');
+    row.className = 'pipeline-step';
+    row.innerHTML = `
+      <span class="pipeline-step-index"></span>
+      <select class="input-field" data-role="step-tool" title="Tool"></select>
+      <select class="input-field" data-role="step-preset" title="Preset the step starts from"></select>
+      <input type="text" class="input-field" data-role="step-field" placeholder="Input field (auto)" title="Payload field that receives the previous step's output">
+      <select class="input-field" data-role="step-kind" title="What the previous output is passed as"></select>
+      <span class="pipeline-step-status">pending</span>
+      <button type="button" class="btn-ghost small" data-role="step-remove" title="Remove step">✕</button>
+      <span class="pipeline-step-error hidden"></span>
+    `;
+
+    const toolSelect = row.querySelector('[data-role="step-tool"]');
+    toolCards.forEach((card) => {
+      const opt = document.createElement('option');
+      opt.value = card.id;
+      opt.textContent = getToolTitle(card.id);
+      toolSelect.appendChild(opt);
+    });
+    if (step.toolId) toolSelect.value = step.toolId;
+
+    const kindSelect = row.querySelector('[data-role="step-kind"]');
+    PIPELINE_INPUT_KINDS.forEach(([value, label]) => {
+      const opt = document.createElement('option');
+      opt.value = value;
+      opt.textContent = label;
+      kindSelect.appendChild(opt);
+    });
+
+    row.querySelector('[data-role="step-field"]').value = step.input?.field || '';
+    kindSelect.value = step.input?.kind || 'file';
+
+    toolSelect.addEventListener('change', () => fillStepPresets(row, toolSelect.value));
+    row.querySelector('[data-role="step-remove"]').addEventListener('click', () => {
+      row.remove();
+      renumberPipelineSteps();
+    });
+
+    list.appendChild(row);
+    renumberPipelineSteps();
+    fillStepPresets(row, toolSelect.value, step.presetId);
+    return row;
+  }
+
+  function readPipelineSteps() {
+    return Array.from(document.querySelectorAll('#pipeline-steps .pipeline-step')).map((row) => {
+      const step = {
+        toolId: row.querySelector('[data-role="step-tool"]').value,
+        presetId: row.querySelector('[data-role="step-preset"]').value || undefined,
+      };
+      const field = row.querySelector('[data-role="step-field"]').value.trim();
+      if (field) {
+        step.input = { field, kind: row.querySelector('[data-role="step-kind"]').value };
+      }
+      return step;
+    });
+  }
+
+  function renderPipelineRun(lastRun) {
+    const statusEl = document.getElementById('pipeline-status');
+    const stepEl = document.getElementById('pipeline-step');
+    const rows = document.querySelectorAll('#pipeline-steps .pipeline-step');
+    const steps = lastRun?.steps || [];
+
+    rows.forEach((row, idx) => {
+      const stepRun = steps[idx];
+      const status = stepRun?.status || 'pending';
+      const statusSpan = row.querySelector('.pipeline-step-status');
+      statusSpan.textContent = status;
+      statusSpan.className = `pipeline-step-status step-${status}`;
+
+      const errorEl = row.querySelector('.pipeline-step-error');
+      const outputs = stepRun?.outputs || [];
+      let note = stepRun?.error || '';
+      if (!note && status === 'success' && outputs.length) {
+        note = `Output: ${outputs[0]}${outputs.length > 1 ? ` (+${outputs.length - 1} more)` : ''}`;
+      }
+      errorEl.textContent = note;
+      errorEl.style.color = stepRun?.error ? '' : 'var(--muted-foreground)';
+      errorEl.classList.toggle('hidden', !note);
+    });
+
+    const running = lastRun?.status === 'running';
+    const done = steps.filter((s) => s.status === 'success').length;
+    if (statusEl) statusEl.textContent = lastRun?.status || 'idle';
+    if (stepEl) stepEl.textContent = `${done} / ${rows.length}`;
+
+    const runBtn = document.getElementById('pipeline-run');
+    const resumeBtn = document.getElementById('pipeline-resume');
+    const stopBtn = document.getElementById('pipeline-stop');
+    if (runBtn) runBtn.disabled = running;
+    if (stopBtn) {
+      stopBtn.disabled = !running;
+      stopBtn.classList.toggle('btn-danger', running);
+      stopBtn.classList.toggle('btn-ghost', !running);
+    }
+    if (resumeBtn) {
+      resumeBtn.disabled =
+        running || !lastRun || !['failed', 'stopped', 'interrupted'].includes(lastRun.status);
+    }
+  }
+
+  function showPipeline(pipeline) {
+    pipelineState.selectedId = pipeline?.id || null;
+
+    const list = document.getElementById('pipeline-steps');
+    if (list) list.innerHTML = '';
+    const nameInput = document.getElementById('pipeline-name');
+    if (nameInput) nameInput.value = pipeline?.name || '';
+
+    const steps = pipeline?.steps?.length ? pipeline.steps : [{}];
+    steps.forEach((step) => addPipelineStepRow(step));
+    renderPipelineRun(pipeline?.running ? { ...pipeline.lastRun, status: 'running' } : pipeline?.lastRun);
+  }
+
+  async function refreshPipelines(selectId = pipelineState.selectedId) {
+    if (!electronAPI || !electronAPI.listPipelines) return;
+
+    try {
+      pipelineState.pipelines = await electronAPI.listPipelines();
+    } catch (err) {
+      console.error('Failed to load pipelines:', err);
+      pipelineState.pipelines = [];
+    }
+
+    const select = document.getElementById('pipeline-select');
+    if (!select) return;
+    select.innerHTML = '<option value="">New pipeline…</option>';
+    pipelineState.pipelines.forEach((p) => {
+      const opt = document.createElement('option');
+      opt.value = p.id;
+      opt.textContent = p.name;
+      select.appendChild(opt);
+    });
+
+    select.value = pipelineState.pipelines.some((p) => p.id === selectId) ? selectId : '';
+    showPipeline(getSelectedPipeline());
+  }
+
+  async function savePipelineFromEditor() {
+    const name = document.getElementById('pipeline-name')?.value?.trim() || '';
+    if (!name) {
+      alert('Enter a pipeline name first.');
+      return null;
+    }
+
+    const steps = readPipelineSteps();
+    if (steps.some((s) => !s.presetId)) {
+      alert('Every step needs a preset. Save one on the tool card first.');
+      return null;
+    }
+
+    try {
+      const saved = await electronAPI.savePipeline({ id: pipelineState.selectedId, name, steps });
+      await refreshPipelines(saved.id);
+      return saved;
+    } catch (err) {
+      alert(`Failed to save pipeline: ${err.message}`);
+      return null;
+    }
+  }
+
+  async function runSelectedPipeline(resume = false) {
+    // Run always uses what's in the editor
+    const pipeline = resume ? getSelectedPipeline() : await savePipelineFromEditor();
+    if (!pipeline) return;
+
+    try {
+      await electronAPI.runPipeline(pipeline.id, resume);
+    } catch (err) {
+      alert(`Failed to start pipeline: ${err.message}`);
+    }
+  }
+
+  function initPipelines() {
+    if (!electronAPI || !electronAPI.listPipelines || !pipelinePanel) return;
+
+    document.getElementById('pipeline-select')?.addEventListener('change', (e) => {
+      pipelineState.selectedId = e.target.value || null;
+      showPipeline(getSelectedPipeline());
+    });
+    document.getElementById('pipeline-add-step')?.addEventListener('click', () => {
+      addPipelineStepRow();
+    });
+    document.getElementById('pipeline-save')?.addEventListener('click', () => {
+      savePipelineFromEditor();
+    });
+    document.getElementById('pipeline-delete')?.addEventListener('click', async () => {
+      const pipeline = getSelectedPipeline();
+      if (!pipeline) return;
+      if (!confirm(`Delete pipeline "${pipeline.name}"?`)) return;
+      try {
+        await electronAPI.deletePipeline(pipeline.id);
+        await refreshPipelines(null);
+      } catch (err) {
+        alert(`Failed to delete pipeline: ${err.message}`);
+      }
+    });
+    document.getElementById('pipeline-run')?.addEventListener('click', () => runSelectedPipeline(false));
+    document.getElementById('pipeline-resume')?.addEventListener('click', () => runSelectedPipeline(true));
+    document.getElementById('pipeline-stop')?.addEventListener('click', async () => {
+      if (!pipelineState.selectedId) return;
+      document.getElementById('pipeline-stop').disabled = true;
+      await electronAPI.stopPipeline(pipelineState.selectedId);
+    });
+
+    electronAPI.onPipelineUpdate(({ pipelineId, lastRun }) => {
+      const pipeline = pipelineState.pipelines.find((p) => p.id === pipelineId);
+      if (pipeline) pipeline.lastRun = lastRun;
+      if (pipelineId === pipelineState.selectedId) renderPipelineRun(lastRun);
+    });
+
+    refreshPipelines(null);
+  }
+
+  // ---------- SCHEDULES (cron-style recurring runs) ----------
+  // "Run with": a saved preset, the card as it is now, or the settings captured
+  // when the schedule was saved
+  const SCHEDULE_SAVED_PAYLOAD = '@saved';
+
+  const scheduleState = {
+    // last schedules:list result
+    schedules: [],
+    upcoming: [],
+    // id of the schedule shown in the editor (null = unsaved)
+    selectedId: null,
+    editorReady: false,
+  };
+
+  function getSelectedSchedule() {
+    return scheduleState.schedules.find((s) => s.id === scheduleState.selectedId) || null;
+  }
+
+  /**
+   * Fill a "Run with" select. saved = { toolId, presetId?, payload?, updatedAt } of
+   * the schedule / watch rule being edited (offers its captured settings).
+   */
+  async function fillRunWithSelect(select, toolId, saved = null) {
+    if (!select) return;
+    const presets = await refreshPresets(toolId);
+    select.innerHTML = '';
+
+    const keepsPayload = saved && saved.toolId === toolId && saved.payload && !saved.presetId;
+    const options = [['', 'Current card settings']];
+    if (keepsPayload) {
+      options.push([SCHEDULE_SAVED_PAYLOAD, `Settings saved with it (${formatRunTime(saved.updatedAt)})`]);
+    }
+    presets.forEach((preset) => options.push([preset.id, `Preset: ${preset.name}`]));
+
+    options.forEach(([value, label]) => {
+      const opt = document.createElement('option');
+      opt.value = value;
+      opt.textContent = label;
+      select.appendChild(opt);
+    });
+
+    if (saved?.presetId && presets.some((p) => p.id === saved.presetId)) select.value = saved.presetId;
+    else if (keepsPayload) select.value = SCHEDULE_SAVED_PAYLOAD;
+    else select.value = presets.find((p) => p.isDefault)?.id || '';
+  }
+
+  /**
+   * { presetId } | { payload } for the "Run with" choice; null when the card
+   * settings are incomplete (collectToolConfig already told the user).
+   */
+  function readRunWith(select, toolId, savedPayload) {
+    const runWith = select.value;
+    if (runWith === SCHEDULE_SAVED_PAYLOAD) return { payload: savedPayload };
+    if (runWith) return { presetId: runWith };
+    const payload = collectToolConfig(toolId);
+    return payload === null ? null : { payload };
+  }
+
+  function fillSchedulePresets(toolId, schedule = null) {
+    return fillRunWithSelect(document.getElementById('schedule-preset'), toolId, schedule);
+  }
+
+  async function previewScheduleCron() {
+    const hint = document.getElementById('schedule-preview');
+    const cron = document.getElementById('schedule-cron')?.value?.trim() || '';
+    if (!hint || !electronAPI.previewSchedule) return;
+
+    const { next, error } = await electronAPI.previewSchedule(cron);
+    hint.classList.toggle('schedule-error', !!error);
+    hint.textContent = error || (next.length ? `Next: ${next.slice(0, 3).map(formatRunTime).join(' · ')}` : 'Never due');
+  }
+
+  function showSchedule(schedule) {
+    scheduleState.selectedId = schedule?.id || null;
+
+    document.getElementById('schedule-name').value = schedule?.name || '';
+    const toolSelect = document.getElementById('schedule-tool');
+    if (schedule?.toolId) toolSelect.value = schedule.toolId;
+    document.getElementById('schedule-cron').value = schedule?.cron || '0 9 * * 1';
+    document.getElementById('schedule-missed').value = schedule?.missedPolicy || 'run-once';
+    document.getElementById('schedule-enabled').checked = schedule ? !!schedule.enabled : true;
+    document.getElementById('schedule-run-now').disabled = !schedule || !!schedule.running;
+
+    fillSchedulePresets(toolSelect.value, schedule);
+    previewScheduleCron();
+  }
+
+  function renderScheduleLists() {
+    const upcomingEl = document.getElementById('schedule-upcoming');
+    const pastEl = document.getElementById('schedule-past');
+    const byId = new Map(scheduleState.schedules.map((s) => [s.id, s]));
+
+    if (upcomingEl) {
+      upcomingEl.innerHTML = '';
+      if (!scheduleState.upcoming.length) {
+        upcomingEl.innerHTML = '<li class="history-empty">No schedules enabled.</li>';
+      }
+      scheduleState.upcoming.forEach((item) => {
+        const li = document.createElement('li');
+        li.className = 'history-item';
+        li.innerHTML = '<span class="history-status"></span><span class="history-time"></span><span class="history-duration"></span>';
+        li.querySelector('.history-status').textContent = byId.get(item.id)?.running ? 'running' : 'next';
+        li.querySelector('.history-time').textContent = `${item.name} · ${getToolTitle(item.toolId)}`;
+        li.querySelector('.history-duration').textContent = formatRunTime(item.nextRunAt);
+        upcomingEl.appendChild(li);
+      });
+    }
+
+    if (pastEl) {
+      const past = scheduleState.schedules
+        .flatMap((s) => (s.history || []).map((entry) => ({ ...entry, schedule: s })))
+        .sort((a, b) => String(b.firedAt || b.scheduledFor).localeCompare(String(a.firedAt || a.scheduledFor)))
+        .slice(0, 30);
+
+      pastEl.innerHTML = '';
+      if (!past.length) pastEl.innerHTML = '<li class="history-empty">No scheduled runs yet.</li>';
+      past.forEach((entry) => {
+        const li = document.createElement('li');
+        li.className = `history-item history-${entry.status}`;
+        li.innerHTML = '<span class="history-status"></span><span class="history-time"></span><span class="history-duration"></span>';
+        li.querySelector('.history-status').textContent = entry.status;
+
+        const notes = [];
+        if (entry.manual) notes.push('run now');
+        if (entry.missed && entry.status !== 'missed') notes.push(`catch-up for ${entry.missed} missed`);
+        if (entry.error) notes.push(entry.error);
+        li.querySelector('.history-time').textContent =
+          `${entry.schedule.name} · ${getToolTitle(entry.schedule.toolId)}${notes.length ? ` · ${notes.join(' · ')}` : ''}`;
+        li.querySelector('.history-duration').textContent = formatRunTime(entry.firedAt || entry.scheduledFor);
+        if (entry.scheduledFor) li.title = `Due ${formatRunTime(entry.scheduledFor)}`;
+        pastEl.appendChild(li);
+      });
+    }
+  }
+
+  async function refreshSchedules(selectId = scheduleState.selectedId) {
+    let data;
+    try {
+      data = await electronAPI.listSchedules();
+    } catch (err) {
+      console.error('Failed to load schedules:', err);
+      return;
+    }
+    scheduleState.schedules = data.schedules || [];
+    scheduleState.upcoming = data.upcoming || [];
+
+    const trayToggle = document.getElementById('schedule-close-to-tray');
+    if (trayToggle) trayToggle.checked = data.closeToTray;
+
+    const select = document.getElementById('schedule-select');
+    select.innerHTML = '<option value="">New schedule…</option>';
+    scheduleState.schedules.forEach((s) => {
+      const opt = document.createElement('option');
+      opt.value = s.id;
+      opt.textContent = s.enabled ? s.name : `${s.name} (paused)`;
+      select.appendChild(opt);
+    });
+
+    const keep = scheduleState.schedules.some((s) => s.id === selectId) ? selectId : null;
+    select.value = keep || '';
+    // Background updates must not reset what the user is editing
+    if (keep !== scheduleState.selectedId || !scheduleState.editorReady) {
+      scheduleState.editorReady = true;
+      showSchedule(scheduleState.schedules.find((s) => s.id === keep) || null);
+    } else {
+      document.getElementById('schedule-run-now').disabled = !keep || !!getSelectedSchedule()?.running;
+    }
+    renderScheduleLists();
+  }
+
+  async function saveScheduleFromEditor() {
+    const name = document.getElementById('schedule-name').value.trim();
+    if (!name) {
+      alert('Enter a schedule name first.');
+      return;
+    }
+
+    const toolId = document.getElementById('schedule-tool').value;
+    const runWith = readRunWith(document.getElementById('schedule-preset'), toolId, getSelectedSchedule()?.payload);
+    if (!runWith) return;
+    const schedule = {
+      ...runWith,
+      id: scheduleState.selectedId,
+      name,
+      toolId,
+      cron: document.getElementById('schedule-cron').value.trim(),
+      missedPolicy: document.getElementById('schedule-missed').value,
+      enabled: document.getElementById('schedule-enabled').checked,
+    };
+
+    try {
+      const saved = await electronAPI.saveSchedule(schedule);
+      scheduleState.selectedId = null;
+      await refreshSchedules(saved.id);
+    } catch (err) {
+      alert(`Failed to save schedule: ${err.message}`);
+    }
+  }
+
+  function initSchedules() {
+    if (!electronAPI || !electronAPI.listSchedules || !schedulePanel) return;
+
+    const toolSelect = document.getElementById('schedule-tool');
+    toolCards.forEach((card) => {
+      const opt = document.createElement('option');
+      opt.value = card.id;
+      opt.textContent = getToolTitle(card.id);
+      toolSelect.appendChild(opt);
+    });
+    toolSelect.addEventListener('change', () => fillSchedulePresets(toolSelect.value, getSelectedSchedule()));
+
+    let previewTimer = null;
+    document.getElementById('schedule-cron').addEventListener('input', () => {
+      clearTimeout(previewTimer);
+      previewTimer = setTimeout(previewScheduleCron, 300);
+    });
+
+    document.getElementById('schedule-select').addEventListener('change', (e) => {
+      scheduleState.selectedId = e.target.value || null;
+      showSchedule(getSelectedSchedule());
+    });
+    document.getElementById('schedule-save').addEventListener('click', () => saveScheduleFromEditor());
+    document.getElementById('schedule-delete').addEventListener('click', async () => {
+      const schedule = getSelectedSchedule();
+      if (!schedule) return;
+      if (!confirm(`Delete schedule "${schedule.name}"?`)) return;
+      try {
+        await electronAPI.deleteSchedule(schedule.id);
+        await refreshSchedules(null);
+      } catch (err) {
+        alert(`Failed to delete schedule: ${err.message}`);
+      }
+    });
+    document.getElementById('schedule-run-now').addEventListener('click', async () => {
+      if (!scheduleState.selectedId) return;
+      try {
+        await electronAPI.runScheduleNow(scheduleState.selectedId);
+      } catch (err) {
+        alert(`Failed to start schedule: ${err.message}`);
+      }
+    });
+    document.getElementById('schedule-close-to-tray').addEventListener('change', (e) => {
+      electronAPI.setCloseToTray(e.target.checked);
+    });
+
+    // Fired / finished / next due time moved
+    electronAPI.onScheduleUpdate(() => refreshSchedules());
+
+    refreshSchedules(null);
+  }
+
+  // ---------- WATCH FOLDERS (run a tool / pipeline on dropped files) ----------
+  // Tools without an input file (DEFAULT_INPUT_FIELDS in main/pipelines.js)
+  const WATCH_NO_INPUT_TOOLS = ['post-finder', 'blitz-key-info', 'blitz-current-date'];
+
+  const watchState = {
+    rules: [],
+    // id of the rule shown in the editor (null = unsaved)
+    selectedId: null,
+    editorReady: false,
+  };
+
+  function getSelectedWatchRule() {
+    return watchState.rules.find((r) => r.id === watchState.selectedId) || null;
+  }
+
+  function savedWatchTarget(rule) {
+    return rule?.target?.type === 'tool' ? { ...rule.target, updatedAt: rule.updatedAt } : null;
+  }
+
+  function showWatchTargetType(type) {
+    document.querySelectorAll('#watch-panel [data-watch-target]').forEach((el) => {
+      el.classList.toggle('hidden', el.dataset.watchTarget !== type);
+    });
+  }
+
+  async function fillWatchPipelines(pipelineId = '') {
+    const select = document.getElementById('watch-pipeline');
+    let pipelines = [];
+    try {
+      pipelines = await electronAPI.listPipelines();
+    } catch (err) {
+      console.error('Failed to load pipelines:', err);
+    }
+    select.innerHTML = '';
+    if (!pipelines.length) select.innerHTML = '<option value="">No pipelines saved</option>';
+    pipelines.forEach((p) => {
+      const opt = document.createElement('option');
+      opt.value = p.id;
+      opt.textContent = p.name;
+      select.appendChild(opt);
+    });
+    if (pipelines.some((p) => p.id === pipelineId)) select.value = pipelineId;
+  }
+
+  function renderWatchStatus(rule) {
+    const statusEl = document.getElementById('watch-status');
+    if (!statusEl) return;
+    statusEl.classList.toggle('schedule-error', !!rule?.lastError);
+    if (!rule) statusEl.textContent = '—';
+    else if (rule.lastError) statusEl.textContent = rule.lastError;
+    else statusEl.textContent = rule.enabled ? `watching ${rule.folder}` : 'paused';
+
+    const list = document.getElementById('watch-events');
+    list.innerHTML = '';
+    const events = rule?.events || [];
+    if (!events.length) list.innerHTML = '<li class="history-empty">Nothing picked up yet.</li>';
+    events.forEach((event) => {
+      const li = document.createElement('li');
+      li.className = `history-item history-${event.status}`;
+      li.innerHTML = '<span class="history-status"></span><span class="history-time"></span><span class="history-duration"></span>';
+      li.querySelector('.history-status').textContent = event.status;
+      li.querySelector('.history-time').textContent =
+        `${event.files.join(', ')}${event.error ? ` · ${event.error}` : ''}`;
+      li.querySelector('.history-duration').textContent = formatRunTime(event.detectedAt);
+      li.title = `Input: ${Array.isArray(event.input) ? event.input.join(', ') : event.input}`;
+      list.appendChild(li);
+    });
+  }
+
+  function showWatchRule(rule) {
+    watchState.selectedId = rule?.id || null;
+    const target = rule?.target || { type: 'tool' };
+
+    document.getElementById('watch-name').value = rule?.name || '';
+    document.getElementById('watch-folder').value = rule?.folder || '';
+    document.getElementById('watch-pattern').value = rule?.pattern || '*.csv';
+    document.getElementById('watch-debounce').value = rule?.debounceSecs || 10;
+    document.getElementById('watch-output-dir').value = rule?.outputDir || '';
+    document.getElementById('watch-archive-dir').value = rule?.archiveDir || '';
+    document.getElementById('watch-enabled').checked = rule ? !!rule.enabled : true;
+    document.getElementById('watch-target-type').value = target.type;
+    showWatchTargetType(target.type);
+
+    const toolSelect = document.getElementById('watch-tool');
+    if (target.toolId) toolSelect.value = target.toolId;
+    fillRunWithSelect(document.getElementById('watch-preset'), toolSelect.value, savedWatchTarget(rule));
+    fillWatchPipelines(target.pipelineId);
+    renderWatchStatus(rule);
+  }
+
+  async function refreshWatchRules(selectId = watchState.selectedId) {
+    try {
+      watchState.rules = await electronAPI.listWatchRules();
+    } catch (err) {
+      console.error('Failed to load watch rules:', err);
+      return;
+    }
+
+    const select = document.getElementById('watch-select');
+    select.innerHTML = '<option value="">New rule…</option>';
+    watchState.rules.forEach((r) => {
+      const opt = document.createElement('option');
+      opt.value = r.id;
+      opt.textContent = r.enabled ? r.name : `${r.name} (paused)`;
+      select.appendChild(opt);
+    });
+
+    const keep = watchState.rules.some((r) => r.id === selectId) ? selectId : null;
+    select.value = keep || '';
+    // Background updates must not reset what the user is editing
+    if (keep !== watchState.selectedId || !watchState.editorReady) {
+      watchState.editorReady = true;
+      showWatchRule(watchState.rules.find((r) => r.id === keep) || null);
+    } else {
+      renderWatchStatus(getSelectedWatchRule());
+    }
+  }
+
+  async function saveWatchRuleFromEditor() {
+    const name = document.getElementById('watch-name').value.trim();
+    if (!name) {
+      alert('Enter a rule name first.');
+      return;
+    }
+
+    let target;
+    if (document.getElementById('watch-target-type').value === 'pipeline') {
+      target = { type: 'pipeline', pipelineId: document.getElementById('watch-pipeline').value };
+    } else {
+      const toolId = document.getElementById('watch-tool').value;
+      const runWith = readRunWith(document.getElementById('watch-preset'), toolId, getSelectedWatchRule()?.target?.payload);
+      if (!runWith) return;
+      target = { type: 'tool', toolId, ...runWith };
+    }
+
+    try {
+      const saved = await electronAPI.saveWatchRule({
+        id: watchState.selectedId,
+        name,
+        folder: document.getElementById('watch-folder').value.trim(),
+        pattern: document.getElementById('watch-pattern').value.trim(),
+        debounceSecs: Number(document.getElementById('watch-debounce').value),
+        outputDir: document.getElementById('watch-output-dir').value.trim(),
+        archiveDir: document.getElementById('watch-archive-dir').value.trim(),
+        enabled: document.getElementById('watch-enabled').checked,
+        target,
+      });
+      watchState.selectedId = null;
+      await refreshWatchRules(saved.id);
+    } catch (err) {
+      alert(`Failed to save watch rule: ${err.message}`);
+    }
+  }
+
+  function initWatchFolders() {
+    if (!electronAPI || !electronAPI.listWatchRules || !watchPanel) return;
+
+    const toolSelect = document.getElementById('watch-tool');
+    toolCards.forEach((card) => {
+      if (WATCH_NO_INPUT_TOOLS.includes(card.id)) return;
+      const opt = document.createElement('option');
+      opt.value = card.id;
+      opt.textContent = getToolTitle(card.id);
+      toolSelect.appendChild(opt);
+    });
+    toolSelect.addEventListener('change', () =>
+      fillRunWithSelect(document.getElementById('watch-preset'), toolSelect.value, savedWatchTarget(getSelectedWatchRule()))
+    );
+    document.getElementById('watch-target-type').addEventListener('change', (e) => showWatchTargetType(e.target.value));
+
+    document.getElementById('watch-select').addEventListener('change', (e) => {
+      watchState.selectedId = e.target.value || null;
+      showWatchRule(getSelectedWatchRule());
+    });
+    document.getElementById('watch-save').addEventListener('click', () => saveWatchRuleFromEditor());
+    document.getElementById('watch-delete').addEventListener('click', async () => {
+      const rule = getSelectedWatchRule();
+      if (!rule) return;
+      if (!confirm(`Delete watch rule "${rule.name}"? Archived files are kept.`)) return;
+      try {
+        await electronAPI.deleteWatchRule(rule.id);
+        await refreshWatchRules(null);
+      } catch (err) {
+        alert(`Failed to delete watch rule: ${err.message}`);
+      }
+    });
+
+    electronAPI.onWatchUpdate(() => refreshWatchRules());
+
+    refreshWatchRules(null);
+  }
+
+  // ---------- IPC LISTENERS ----------
+  function initIpcListeners() {
+    if (!electronAPI) {
+      console.warn('Electron API not present – running in plain browser mode.');
+      return;
+    }
+
+    electronAPI.onToolLog((data) => {
+      const toolId = resolveToolForEvent(data);
+      if (!toolId) return;
+      appendLog(toolId, data.message, data.level || 'info');
+    });
+
+    electronAPI.onToolStatus((data) => {
+      // Runs started by main (pipelines) show up on their tool card if it's free
+      if (
+        data.origin &&
+        data.origin !== 'ui' &&
+        ['queued', 'started'].includes(data.status) &&
+        !isToolRunning(data.toolId) &&
+        document.getElementById(data.toolId)
+      ) {
+        const consoleEl = document.getElementById(`console-${data.toolId}`);
+        if (consoleEl) consoleEl.textContent = '';
+        trackRun(data.toolId, data.runId, data.status === 'queued');
+        appendLog(data.toolId, `▶ Started by ${data.origin} (runId: ${data.runId})`);
+      }
+
+      const toolId = resolveToolForEvent(data);
+      if (!toolId) return;
+
+      // A queued run got its slot
+      const run = getToolRun(toolId);
+      if (run && run.queued && data.status === 'started') {
+        run.queued = false;
+        setRunningUI(toolId);
+      }
+
+      // Stop protocol: stop-requested → draining → (killing) → exit
+      if (run && STOP_STATES.includes(data.status)) {
+        run.stopping = true;
+        run.stopState = data.status;
+        if (data.status === 'killing') run.killing = true;
+        setRunningUI(toolId);
+      }
+
+      if (run && data.progress) {
+        run.progress = data.progress;
+        setRunningUI(toolId);
+      }
+
+      if (data.artifact) addToolArtifact(toolId, { ...data.artifact, runId: data.runId });
+      if (data.status) appendLog(toolId, `ℹ Status: ${data.status}`, 'info');
+      if (data.metrics) updateMetrics(toolId, data.metrics);
+    });
+
+    electronAPI.onToolExit((data) => {
+      const toolId = resolveToolForEvent(data);
+      if (!toolId) return;
+
+      let msg = `✓ Tool "${toolId}" finished.`;
+      if (data.cancelled) msg = `⏹ Queued run of "${toolId}" cancelled.`;
+      else if (data.stopped && !data.error) msg = `⏹ Tool "${toolId}" stopped.`;
+      else if (data.error) msg = `✗ Tool "${toolId}" exited with error: ${data.error}`;
+
+      appendLog(toolId, msg, data.error ? 'error' : 'info');
+      clearRun(toolId);
+      refreshHistory(toolId);
+    });
+  }
+
+  // ---------- INIT ----------
+  document.addEventListener('DOMContentLoaded', () => {
+    initSectionToggle();
+    initNavTabs();
+    initRunButtons();
+    initDirPickers();
+    initFilePickers();
+    initSampleButtons();
+    initPerToolConsoleToggles();
+    initIpcListeners();
+    initResetButton();
+    initRunCap();
+    initFileInputRestore();
+    initColumnMapper();
+    initWaterfallTiers();
+    initVault();
+    initEndpoints();
+    initEnrichmentCache();
+    initApifyRuns();
+    initPresets();
+    initRecentRuns();
+    initOutputFiles();
+    initCsvViewer();
+    initPipelines();
+    initSchedules();
+    initWatchFolders();
+
+    // Initialize embedded departments multi-select for Contact Details Scraper
+    (function initContactDepartmentSelector() {
+      // ✅ options (your 14) — no explicit "None"
+      const OPTIONS = [
+        'C-Suite',
+        'Product',
+        'Engineering & Technical',
+        'Design',
+        'Education',
+        'Finance',
+        'Human Resources',
+        'Information Technology',
+        'Legal',
+        'Marketing',
+        'Medical & Health',
+        'Operations',
+        'Sales',
+        'Consulting',
+      ];
+
+      const ms = document.getElementById('ms-contact');
+      if (!ms) return;
+
+      const btn = ms.querySelector('.ms-btn');
+      const list = document.getElementById('list-contact');
+      const chips = document.getElementById('chips-contact');
+      const search = document.getElementById('search-contact');
+      const clearBtn = document.getElementById('clearBtn-contact');
+      const selectAllBtn = document.getElementById('selectAll-contact');
+      const countEl = document.getElementById('count-contact');
+      // Removed enable toggle elements
+
+      // outputChoice select (used to disable filter UI when not lead enrichment)
+      const contactCard = document.getElementById('contact-details-scraper');
+      const outputChoiceSelect = contactCard?.querySelectorAll('.form-field .input-field')?.[5] || null;
+
+      const local = { open: false, selected: new Set([]), focusIndex: -1 };
+
+      function isLeadEnrichmentOutput(choice) {
+        return choice === '3' || choice === '4' || choice === '5';
+      }
+
+      function setOpen(next) {
+        local.open = next;
+        ms.classList.toggle('open', next);
+        btn.setAttribute('aria-expanded', String(next));
+        if (next) {
+          if (search) search.value = '';
+          local.focusIndex = -1;
+          renderList();
+          setTimeout(() => search?.focus?.(), 50);
+        }
+      }
 
       function renderChips() {
         chips.innerHTML = '';
@@ -1703,6 +4503,14 @@
       // watch output type changes
       outputChoiceSelect?.addEventListener('change', enforceOutputChoiceRules);
 
+      contactDepartments = {
+        get: () => [...local.selected],
+        set: (values = []) => {
+          local.selected = new Set(values.filter((v) => OPTIONS.includes(v)));
+          renderAll(false);
+        },
+      };
+
       // initial state
       renderAll(false);
       enforceOutputChoiceRules();